@@ -19,8 +19,14 @@ import Journal from './pages/Journal/JournalList';
 import JournalEntry from './pages/Journal/JournalEntry';
 import JournalDetail from './pages/Journal/JournalDetail';
 import Insights from './pages/Insights/Insights';
+import JournalMap from './pages/Map/JournalMap';
 import TodoList from './pages/Todo/TodoList';
 import BucketList from './pages/BucketList/BucketList';
+import Templates from './pages/Templates/Templates';
+import Tags from './pages/Tags/Tags';
+import Trash from './pages/Trash/Trash';
+import SharedLinks from './pages/SharedLinks/SharedLinks';
+import SharedJournal from './pages/Shared/SharedJournal';
 import Profile from './pages/Profile/Profile';
 
 import './App.css';
@@ -85,6 +91,9 @@ function App() {
           </PublicRoute>
         } />
 
+        {/* Shared entries are readable whether or not the visitor is logged in */}
+        <Route path="/shared/:token" element={<SharedJournal />} />
+
         {/* Protected Routes */}
         <Route path="/" element={
           <ProtectedRoute>
@@ -100,8 +109,13 @@ function App() {
           <Route path="journal/:id" element={<JournalDetail />} />
           <Route path="journal/:id/edit" element={<JournalEntry />} />
           <Route path="insights" element={<Insights />} />
+          <Route path="map" element={<JournalMap />} />
           <Route path="todo" element={<TodoList />} />
           <Route path="bucket-list" element={<BucketList />} />
+          <Route path="templates" element={<Templates />} />
+          <Route path="tags" element={<Tags />} />
+          <Route path="shared-links" element={<SharedLinks />} />
+          <Route path="trash" element={<Trash />} />
           <Route path="profile" element={<Profile />} />
         </Route>
 
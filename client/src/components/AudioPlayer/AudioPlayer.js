@@ -0,0 +1,54 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Mic } from 'lucide-react';
+import { formatDuration } from '../../utils/media';
+import './AudioPlayer.css';
+
+const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+// Inline player for audio attachments with playback speed control
+const AudioPlayer = ({ src, title, duration }) => {
+  const audioRef = useRef(null);
+  const [playbackRate, setPlaybackRate] = useState(1);
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.playbackRate = playbackRate;
+  }, [playbackRate]);
+
+  // Loading a source resets the rate, so apply the chosen one again
+  const applyPlaybackRate = (e) => {
+    e.currentTarget.playbackRate = playbackRate;
+  };
+
+  return (
+    <div className="audio-player">
+      <div className="audio-player-header">
+        <Mic size={16} />
+        <span className="audio-title">{title}</span>
+        {duration > 0 && <span className="audio-duration">{formatDuration(duration)}</span>}
+      </div>
+      <audio
+        ref={audioRef}
+        src={src}
+        controls
+        preload="metadata"
+        onLoadedMetadata={applyPlaybackRate}
+      >
+        Your browser does not support the audio tag.
+      </audio>
+      <div className="playback-rates" role="group" aria-label="Playback speed">
+        {PLAYBACK_RATES.map(rate => (
+          <button
+            key={rate}
+            type="button"
+            className={rate === playbackRate ? 'active' : ''}
+            onClick={() => setPlaybackRate(rate)}
+          >
+            {rate}×
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AudioPlayer;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { format } from 'date-fns';
+import { Lightbulb, PenLine, CheckCircle } from 'lucide-react';
+import api from '../../utils/api';
+import './DailyPrompt.css';
+
+const MOOD_AWARE_KEY = 'dailyPromptMoodAware';
+
+// Prompt of the day. Without `onUse` it links to a new entry for the prompt;
+// the journal editor passes `onUse` to attach the prompt to the entry instead.
+const DailyPrompt = ({ onUse, isCompact = false }) => {
+  const [moodAware, setMoodAware] = useState(() => localStorage.getItem(MOOD_AWARE_KEY) === 'true');
+
+  const { data, isLoading } = useQuery(
+    ['dailyPrompt', moodAware],
+    async () => {
+      const response = await api.get('/prompts/today', {
+        params: { moodAware, date: format(new Date(), 'yyyy-MM-dd') }
+      });
+      return response.data;
+    },
+    {
+      staleTime: 30 * 60 * 1000,
+      refetchOnWindowFocus: false
+    }
+  );
+
+  const toggleMoodAware = () => {
+    localStorage.setItem(MOOD_AWARE_KEY, String(!moodAware));
+    setMoodAware(!moodAware);
+  };
+
+  if (isLoading || !data?.prompt) return null;
+
+  const { prompt, journal } = data;
+
+  return (
+    <div className={`daily-prompt ${isCompact ? 'compact' : ''}`}>
+      <div className="daily-prompt-header">
+        <span className="daily-prompt-label">
+          <Lightbulb size={16} />
+          Prompt of the day
+          <span className="daily-prompt-category">{prompt.category}</span>
+        </span>
+        <label className="daily-prompt-toggle" title="Pick prompts that suit your mood over the last week">
+          <input type="checkbox" checked={moodAware} onChange={toggleMoodAware} />
+          Match my mood
+        </label>
+      </div>
+      <p className="daily-prompt-text">{prompt.text}</p>
+      <div className="daily-prompt-actions">
+        {journal && !onUse && (
+          <Link to={`/journal/${journal}`} className="daily-prompt-answered">
+            <CheckCircle size={14} />
+            You wrote about this
+          </Link>
+        )}
+        {onUse ? (
+          <button type="button" className="daily-prompt-btn" onClick={() => onUse(prompt)}>
+            <PenLine size={14} />
+            Use this prompt
+          </button>
+        ) : (
+          <Link to={`/journal/new?prompt=${prompt._id}`} className="daily-prompt-btn">
+            <PenLine size={14} />
+            Write about this
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DailyPrompt;
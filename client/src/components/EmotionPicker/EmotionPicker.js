@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import {
+  EMOTION_WHEEL,
+  MAX_EMOTIONS,
+  MAX_INTENSITY,
+  DEFAULT_INTENSITY,
+  INTENSITY_LABELS,
+  getEmotionColor,
+  formatEmotion
+} from '../../utils/emotions';
+import './EmotionPicker.css';
+
+const INTENSITIES = Array.from({ length: MAX_INTENSITY }, (_, index) => index + 1);
+
+// Picks any number of emotions from the emotion wheel and how strongly each was felt.
+// `value` is a list of { name, intensity }.
+const EmotionPicker = ({ value = [], onChange, disabled = false }) => {
+  const [openGroup, setOpenGroup] = useState(null);
+  const selected = value.map(emotion => emotion.name);
+
+  const toggleEmotion = (name) => {
+    if (selected.includes(name)) {
+      onChange(value.filter(emotion => emotion.name !== name));
+    } else if (value.length < MAX_EMOTIONS) {
+      onChange([...value, { name, intensity: DEFAULT_INTENSITY }]);
+    }
+  };
+
+  const setIntensity = (name, intensity) => {
+    onChange(value.map(emotion => (emotion.name === name ? { ...emotion, intensity } : emotion)));
+  };
+
+  return (
+    <div className="emotion-picker">
+      <div className="emotion-wheel" role="group" aria-label="Emotion wheel">
+        {Object.entries(EMOTION_WHEEL).map(([group, { label, emoji, color }]) => (
+          <button
+            key={group}
+            type="button"
+            className={`emotion-group-btn ${openGroup === group ? 'open' : ''}`}
+            style={{ '--emotion-color': color }}
+            onClick={() => setOpenGroup(openGroup === group ? null : group)}
+            aria-expanded={openGroup === group}
+            disabled={disabled}
+          >
+            <span className="emotion-group-emoji">{emoji}</span>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {openGroup && (
+        <div className="emotion-options" style={{ '--emotion-color': EMOTION_WHEEL[openGroup].color }}>
+          {[openGroup, ...EMOTION_WHEEL[openGroup].emotions].map(name => (
+            <button
+              key={name}
+              type="button"
+              className={`emotion-option ${selected.includes(name) ? 'selected' : ''}`}
+              onClick={() => toggleEmotion(name)}
+              aria-pressed={selected.includes(name)}
+              disabled={disabled || (!selected.includes(name) && value.length >= MAX_EMOTIONS)}
+            >
+              {formatEmotion(name)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value.length > 0 && (
+        <ul className="emotion-selected">
+          {value.map(({ name, intensity }) => (
+            <li key={name} style={{ '--emotion-color': getEmotionColor(name) }}>
+              <span className="emotion-name">{formatEmotion(name)}</span>
+              <div className="emotion-intensity" role="radiogroup" aria-label={`Intensity of ${formatEmotion(name)}`}>
+                {INTENSITIES.map(level => (
+                  <button
+                    key={level}
+                    type="button"
+                    className={level <= intensity ? 'filled' : ''}
+                    onClick={() => setIntensity(name, level)}
+                    role="radio"
+                    aria-checked={level === intensity}
+                    title={INTENSITY_LABELS[level - 1]}
+                    disabled={disabled}
+                  />
+                ))}
+              </div>
+              <button
+                type="button"
+                className="emotion-remove-btn"
+                onClick={() => toggleEmotion(name)}
+                title={`Remove "${name}"`}
+                disabled={disabled}
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default EmotionPicker;
@@ -1,24 +1,37 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Search, Filter, Calendar, Smile, X } from 'lucide-react';
+import { Search, Filter, Calendar, Smile, LayoutTemplate, X } from 'lucide-react';
+import SearchHints, { useSearchHints } from './SearchHints/SearchHints';
 import './EnhancedSearchBar.css';
 
+// Operators offered by the hints: only those filtering journals
+const HINT_TYPES = ['journal'];
+
 const EnhancedSearchBar = ({ 
   onSearch, 
   onFilterChange, 
   placeholder = "Search your journals...",
   showFilters = true,
-  initialFilters = {}
+  initialFilters = {},
+  initialSearch = '',
+  templates = [],
+  error = null
 }) => {
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchTerm, setSearchTerm] = useState(initialSearch);
   const [showFilterPanel, setShowFilterPanel] = useState(false);
   const [filters, setFilters] = useState({
     fromDate: '',
     toDate: '',
     mood: '',
+    template: '',
     ...initialFilters
   });
   const [debounceTimer, setDebounceTimer] = useState(null);
   const filterPanelRef = useRef(null);
+  const { inputProps, hintsProps } = useSearchHints({
+    value: searchTerm,
+    onChange: setSearchTerm,
+    types: HINT_TYPES
+  });
 
   // Debounced search
   useEffect(() => {
@@ -67,7 +80,8 @@ const EnhancedSearchBar = ({
     const clearedFilters = {
       fromDate: '',
       toDate: '',
-      mood: ''
+      mood: '',
+      template: ''
     };
     setFilters(clearedFilters);
     onFilterChange && onFilterChange(clearedFilters);
@@ -78,7 +92,7 @@ const EnhancedSearchBar = ({
   };
 
   const hasActiveFilters = () => {
-    return filters.fromDate || filters.toDate || filters.mood;
+    return filters.fromDate || filters.toDate || filters.mood || filters.template;
   };
 
   const getMoodLabel = (value) => {
@@ -92,6 +106,12 @@ const EnhancedSearchBar = ({
     return moodLabels[value] || 'All Moods';
   };
 
+  const getTemplateLabel = (value) => {
+    if (value === 'none') return 'No template';
+    const template = templates.find(t => t._id === value);
+    return template ? `${template.icon} ${template.name}` : 'Template';
+  };
+
   return (
     <div className="enhanced-search-container">
       <div className="search-input-container">
@@ -102,7 +122,8 @@ const EnhancedSearchBar = ({
             value={searchTerm}
             onChange={handleSearchChange}
             placeholder={placeholder}
-            className="search-input"
+            className={`search-input ${error ? 'has-error' : ''}`}
+            {...inputProps}
           />
           {searchTerm && (
             <button
@@ -113,6 +134,7 @@ const EnhancedSearchBar = ({
               <X size={16} />
             </button>
           )}
+          <SearchHints {...hintsProps} />
         </div>
 
         {showFilters && (
@@ -129,6 +151,8 @@ const EnhancedSearchBar = ({
         )}
       </div>
 
+      {error && <p className="search-error-message" role="alert">{error}</p>}
+
       {showFilters && showFilterPanel && (
         <div className="filter-panel" ref={filterPanelRef}>
           <div className="filter-panel-header">
@@ -189,6 +213,28 @@ const EnhancedSearchBar = ({
             </select>
           </div>
 
+          {templates.length > 0 && (
+            <div className="filter-section">
+              <label className="filter-label">
+                <LayoutTemplate size={16} />
+                Template
+              </label>
+              <select
+                value={filters.template}
+                onChange={(e) => handleFilterChange('template', e.target.value)}
+                className="mood-select"
+              >
+                <option value="">All Templates</option>
+                <option value="none">No template</option>
+                {templates.map(template => (
+                  <option key={template._id} value={template._id}>
+                    {template.icon} {template.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {hasActiveFilters() && (
             <div className="active-filters">
               <h5>Active Filters:</h5>
@@ -217,6 +263,14 @@ const EnhancedSearchBar = ({
                     </button>
                   </span>
                 )}
+                {filters.template && (
+                  <span className="filter-tag">
+                    {getTemplateLabel(filters.template)}
+                    <button onClick={() => handleFilterChange('template', '')}>
+                      <X size={12} />
+                    </button>
+                  </span>
+                )}
               </div>
             </div>
           )}
@@ -1,64 +1,65 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useInfiniteQuery } from 'react-query';
 import { 
   FileText, 
   CheckSquare, 
   Target, 
   Calendar, 
   Tag, 
-  Lock, 
   Search,
   X,
   Loader2
 } from 'lucide-react';
 import { format } from 'date-fns';
+import api from '../utils/api';
 import './GlobalSearchResults.css';
 
+const MIN_QUERY_LENGTH = 2;
+
+// Text split by the server into [{ text, match }] segments, with matches highlighted
+const Highlighted = ({ segments, fallback = '' }) => {
+  if (!segments || segments.length === 0) return fallback;
+  return segments.map((segment, index) => (
+    segment.match
+      ? <mark key={index}>{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+  ));
+};
+
 const GlobalSearchResults = ({ query, isVisible, onClose }) => {
-  const [results, setResults] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
   const navigate = useNavigate();
+  const searchQuery = query ? query.trim() : '';
 
-  useEffect(() => {
-    if (isVisible && query && query.trim().length >= 2) {
-      performSearch(query);
+  const {
+    data,
+    isLoading,
+    error,
+    refetch,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    ['globalSearch', searchQuery],
+    async ({ pageParam = 1 }) => {
+      const response = await api.get('/search', { params: { query: searchQuery, page: pageParam } });
+      return response.data;
+    },
+    {
+      enabled: isVisible && searchQuery.length >= MIN_QUERY_LENGTH,
+      getNextPageParam: (lastPage) => (
+        lastPage.pagination.hasMore ? lastPage.pagination.currentPage + 1 : undefined
+      ),
+      keepPreviousData: true,
+      // Malformed searches fail the same way every time
+      retry: (failureCount, err) => err.response?.status !== 400 && failureCount < 1
     }
-  }, [query, isVisible]);
-
-  const performSearch = async (searchQuery) => {
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const token = localStorage.getItem('token');
-      const response = await fetch(
-        `${process.env.REACT_APP_API_URL || 'http://localhost:5000'}/api/search?query=${encodeURIComponent(searchQuery)}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error('Failed to perform search');
-      }
+  );
 
-      const data = await response.json();
-      if (data.success) {
-        setResults(data.results);
-      } else {
-        throw new Error(data.message || 'Search failed');
-      }
-    } catch (err) {
-      console.error('Search error:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Pages of one list ranked by relevance
+  const results = data ? data.pages.flatMap(page => page.results) : [];
+  const counts = data?.pages[0]?.counts || {};
+  const totalResults = data?.pages[0]?.pagination.totalResults || 0;
 
   const handleResultClick = (result) => {
     switch (result.type) {
@@ -127,26 +128,25 @@ const GlobalSearchResults = ({ query, isVisible, onClose }) => {
         </div>
 
         <div className="search-results-content">
-          {loading ? (
+          {isLoading ? (
             <div className="search-loading">
               <Loader2 className="loading-spinner" />
               <p>Searching across all your content...</p>
             </div>
           ) : error ? (
             <div className="search-error">
-              <p>Error: {error}</p>
-              <button onClick={() => performSearch(query)}>Try Again</button>
+              <p>Error: {error.response?.data?.message || 'Failed to perform search'}</p>
+              <button onClick={() => refetch()}>Try Again</button>
             </div>
-          ) : results ? (
+          ) : data ? (
             <div className="search-results-sections">
-              {/* Combined Results */}
-              {results.combined && results.combined.length > 0 ? (
+              {results.length > 0 ? (
                 <div className="results-section">
-                  <h4>All Results ({results.totalResults})</h4>
+                  <h4>All Results ({totalResults})</h4>
                   <div className="results-list">
-                    {results.combined.map((result, index) => (
+                    {results.map((result) => (
                       <div 
-                        key={`${result.type}-${result._id}-${index}`}
+                        key={`${result.type}-${result._id}`}
                         className="result-item"
                         onClick={() => handleResultClick(result)}
                       >
@@ -155,28 +155,36 @@ const GlobalSearchResults = ({ query, isVisible, onClose }) => {
                         </div>
                         <div className="result-content">
                           <div className="result-header">
-                            <h5>{result.title}</h5>
+                            <h5><Highlighted segments={result.highlights.title} fallback={result.title} /></h5>
                             <div className="result-meta">
                               <span className="result-type">
                                 {getResultTypeLabel(result.type)}
                               </span>
-                              {result.isEncrypted && (
-                                <span className="result-encrypted">
-                                  <Lock size={12} />
-                                </span>
-                              )}
                             </div>
                           </div>
-                          <p className="result-excerpt">{result.excerpt}</p>
+                          {result.highlights.snippet.length > 0 && (
+                            <p className="result-excerpt">
+                              <Highlighted segments={result.highlights.snippet} />
+                            </p>
+                          )}
                           <div className="result-footer">
                             <span className="result-date">
                               <Calendar size={12} />
-                              {formatDate(result.createdAt)}
+                              {formatDate(result.date)}
                             </span>
                             {result.tags && result.tags.length > 0 && (
                               <div className="result-tags">
                                 <Tag size={12} />
-                                {result.tags.slice(0, 2).join(', ')}
+                                {/* Matching tags first */}
+                                {[
+                                  ...result.highlights.tags,
+                                  ...result.tags.filter(tag => !result.highlights.tags.includes(tag))
+                                ].slice(0, 2).map((tag, index) => (
+                                  <React.Fragment key={tag}>
+                                    {index > 0 && ', '}
+                                    {result.highlights.tags.includes(tag) ? <mark>{tag}</mark> : tag}
+                                  </React.Fragment>
+                                ))}
                                 {result.tags.length > 2 && ` +${result.tags.length - 2}`}
                               </div>
                             )}
@@ -185,36 +193,45 @@ const GlobalSearchResults = ({ query, isVisible, onClose }) => {
                       </div>
                     ))}
                   </div>
+                  {hasNextPage && (
+                    <button
+                      className="load-more-results"
+                      onClick={() => fetchNextPage()}
+                      disabled={isFetchingNextPage}
+                    >
+                      {isFetchingNextPage ? 'Loading...' : 'Show more results'}
+                    </button>
+                  )}
                 </div>
               ) : (
                 <div className="no-results">
                   <Search size={48} />
                   <h4>No results found</h4>
-                  <p>Try searching with different keywords or check your spelling.</p>
+                  <p>Try other words, put a phrase in "quotes" to match it exactly, or filter with operators like tag:work or priority:high.</p>
                 </div>
               )}
 
               {/* Category Breakdown */}
-              {results.totalResults > 0 && (
+              {totalResults > 0 && (
                 <div className="results-breakdown">
                   <h4>Results by Category</h4>
                   <div className="breakdown-stats">
-                    {results.journals.length > 0 && (
+                    {counts.journal > 0 && (
                       <div className="breakdown-item">
                         <FileText size={16} />
-                        <span>{results.journals.length} Journal{results.journals.length !== 1 ? 's' : ''}</span>
+                        <span>{counts.journal} Journal{counts.journal !== 1 ? 's' : ''}</span>
                       </div>
                     )}
-                    {results.todos.length > 0 && (
+                    {counts.todo > 0 && (
                       <div className="breakdown-item">
                         <CheckSquare size={16} />
-                        <span>{results.todos.length} Todo{results.todos.length !== 1 ? 's' : ''}</span>
+                        <span>{counts.todo} Todo{counts.todo !== 1 ? 's' : ''}</span>
                       </div>
                     )}
-                    {results.bucketList.length > 0 && (
+                    {counts.bucketlist > 0 && (
                       <div className="breakdown-item">
                         <Target size={16} />
-                        <span>{results.bucketList.length} Bucket List Item{results.bucketList.length !== 1 ? 's' : ''}</span>
+                        <span>{counts.bucketlist} Bucket List Item{counts.bucketlist !== 1 ? 's' : ''}</span>
                       </div>
                     )}
                   </div>
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { History, RotateCcw, ChevronDown, ChevronUp, Loader2 } from 'lucide-react';
+import { format } from 'date-fns';
+import api from '../../utils/api';
+import ConfirmDialog from '../ConfirmDialog';
+import './JournalHistory.css';
+
+const JournalHistory = ({ journalId }) => {
+  const queryClient = useQueryClient();
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectedRevision, setSelectedRevision] = useState(null);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+
+  const { data: revisions = [], isLoading } = useQuery(
+    ['journalRevisions', journalId],
+    async () => {
+      const response = await api.get(`/journal/${journalId}/revisions`);
+      return response.data.revisions;
+    },
+    { enabled: isOpen }
+  );
+
+  // Compare the selected revision with the one right before it
+  const { data: diff, isLoading: isDiffLoading } = useQuery(
+    ['journalRevisionDiff', journalId, selectedRevision],
+    async () => {
+      const response = await api.get(`/journal/${journalId}/revisions/diff`, {
+        params: { from: Math.max(selectedRevision - 1, 1), to: selectedRevision }
+      });
+      return response.data.diff;
+    },
+    { enabled: isOpen && !!selectedRevision }
+  );
+
+  const restoreMutation = useMutation(
+    (revision) => api.post(`/journal/${journalId}/revisions/${revision}/restore`),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(['journal', journalId]);
+        queryClient.invalidateQueries(['journalRevisions', journalId]);
+        queryClient.invalidateQueries('journals');
+        setRestoreTarget(null);
+        setSelectedRevision(null);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to restore revision');
+      }
+    }
+  );
+
+  const latestRevision = revisions[0]?.revision;
+
+  return (
+    <div className="journal-history">
+      <button className="history-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <History size={18} />
+        <span>Edit history</span>
+        {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+      </button>
+
+      {isOpen && (
+        <div className="history-panel">
+          {isLoading ? (
+            <div className="history-loading">
+              <Loader2 className="loading-spinner" size={20} />
+              <span>Loading history...</span>
+            </div>
+          ) : revisions.length === 0 ? (
+            <p className="history-empty">No earlier versions of this entry yet.</p>
+          ) : (
+            <ul className="revision-list">
+              {revisions.map((revision) => (
+                <li
+                  key={revision._id}
+                  className={`revision-item ${selectedRevision === revision.revision ? 'selected' : ''}`}
+                >
+                  <button
+                    className="revision-select"
+                    onClick={() => setSelectedRevision(
+                      selectedRevision === revision.revision ? null : revision.revision
+                    )}
+                  >
+                    <span className="revision-number">v{revision.revision}</span>
+                    <span className="revision-title">{revision.title}</span>
+                    <span className="revision-meta">
+                      {format(new Date(revision.createdAt), 'MMM dd, yyyy HH:mm')}
+                      {' · '}{revision.wordCount} words
+                      {revision.restoredFrom && ` · restored from v${revision.restoredFrom}`}
+                    </span>
+                  </button>
+                  {revision.revision !== latestRevision && (
+                    <button
+                      className="revision-restore"
+                      onClick={() => setRestoreTarget(revision.revision)}
+                      title="Restore this version"
+                    >
+                      <RotateCcw size={14} />
+                      Restore
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {selectedRevision && (
+            <div className="revision-diff">
+              {isDiffLoading || !diff ? (
+                <div className="history-loading">
+                  <Loader2 className="loading-spinner" size={20} />
+                  <span>Comparing versions...</span>
+                </div>
+              ) : (
+                <>
+                  <div className="diff-header">
+                    <span>
+                      Changes from v{diff.from.revision} to v{diff.to.revision}
+                    </span>
+                    <span className="diff-summary">
+                      +{diff.summary.wordsAdded} / -{diff.summary.wordsRemoved} words
+                    </span>
+                  </div>
+                  <h4 className="diff-title">
+                    {diff.title.map((part, index) => (
+                      <span key={index} className={`diff-${part.type}`}>{part.value}</span>
+                    ))}
+                  </h4>
+                  <div className="diff-content">
+                    {diff.content.map((part, index) => (
+                      <span key={index} className={`diff-${part.type}`}>{part.value}</span>
+                    ))}
+                  </div>
+                  {(diff.moodRating.from !== diff.moodRating.to ||
+                    diff.tags.added.length > 0 || diff.tags.removed.length > 0) && (
+                    <div className="diff-meta">
+                      {diff.moodRating.from !== diff.moodRating.to && (
+                        <span>Mood: {diff.moodRating.from} → {diff.moodRating.to}</span>
+                      )}
+                      {diff.tags.added.map(tag => (
+                        <span key={`+${tag}`} className="diff-insert">+{tag}</span>
+                      ))}
+                      {diff.tags.removed.map(tag => (
+                        <span key={`-${tag}`} className="diff-delete">-{tag}</span>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={!!restoreTarget}
+        onClose={() => setRestoreTarget(null)}
+        onConfirm={() => restoreMutation.mutate(restoreTarget)}
+        title="Restore Version"
+        message={`Restore this entry to version ${restoreTarget}? The current text will stay available in the history.`}
+        confirmText="Restore"
+        cancelText="Cancel"
+        isLoading={restoreMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default JournalHistory;
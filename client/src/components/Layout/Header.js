@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { Menu, Search, Plus, Sun, Moon, User } from 'lucide-react';
+import { Menu, Search, Plus, Sun, Moon, User, Lock } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { usePasswordPrompt } from '../../contexts/PasswordPromptContext';
 import GlobalSearchResults from '../GlobalSearchResults';
+import SearchHints, { useSearchHints } from '../SearchHints/SearchHints';
 import './Header.css';
 
 const Header = ({ onMenuClick, user, currentPath }) => {
@@ -13,6 +15,7 @@ const Header = ({ onMenuClick, user, currentPath }) => {
   const location = useLocation();
   const { user: authUser } = useAuth();
   const { theme, toggleTheme } = useTheme();
+  const { lockAll, hasUnlocks } = usePasswordPrompt();
 
   const handleSearch = (e) => {
     e.preventDefault();
@@ -25,8 +28,7 @@ const Header = ({ onMenuClick, user, currentPath }) => {
     setShowGlobalSearch(false);
   };
 
-  const handleSearchInputChange = (e) => {
-    const value = e.target.value;
+  const updateSearchQuery = (value) => {
     setSearchQuery(value);
     
     // Auto-trigger search for queries >= 2 characters
@@ -37,6 +39,16 @@ const Header = ({ onMenuClick, user, currentPath }) => {
     }
   };
 
+  const handleSearchInputChange = (e) => {
+    updateSearchQuery(e.target.value);
+  };
+
+  // Operator hints (tag:, priority:...); results wait until the hints are picked or closed
+  const { isOpen: showHints, inputProps, hintsProps } = useSearchHints({
+    value: searchQuery,
+    onChange: updateSearchQuery
+  });
+
   const getPageTitle = () => {
     const pathMap = {
       '/dashboard': 'Dashboard',
@@ -44,6 +56,9 @@ const Header = ({ onMenuClick, user, currentPath }) => {
       '/insights': 'Insights',
       '/todo': 'To-do List',
       '/bucket-list': 'Bucket List',
+      '/templates': 'Templates',
+      '/shared-links': 'Shared Links',
+      '/trash': 'Trash',
       '/profile': 'Profile'
     };
     return pathMap[currentPath] || 'DigiDiary';
@@ -72,7 +87,9 @@ const Header = ({ onMenuClick, user, currentPath }) => {
               value={searchQuery}
               onChange={handleSearchInputChange}
               className="search-input"
+              {...inputProps}
             />
+            <SearchHints {...hintsProps} />
           </div>
         </form>
       </div>
@@ -86,7 +103,12 @@ const Header = ({ onMenuClick, user, currentPath }) => {
         )}
         
         <div className="header-actions">
-
+          {hasUnlocks && (
+            <button className="lock-all-btn" onClick={lockAll} title="Lock all unlocked entries and notebooks now">
+              <Lock size={18} />
+              <span>Lock all</span>
+            </button>
+          )}
           
           <button className="theme-toggle" onClick={toggleTheme}>
             {theme === 'dark' ? <Sun size={20} /> : <Moon size={20} />}
@@ -113,7 +135,7 @@ const Header = ({ onMenuClick, user, currentPath }) => {
       {/* Global Search Results */}
       <GlobalSearchResults 
         query={searchQuery}
-        isVisible={showGlobalSearch}
+        isVisible={showGlobalSearch && !showHints}
         onClose={handleCloseGlobalSearch}
       />
     </header>
@@ -41,6 +41,12 @@ const Layout = () => {
       icon: '📈',
       description: 'Analytics and mood tracking'
     },
+    {
+      path: '/map',
+      label: 'Map',
+      icon: '🗺️',
+      description: 'Where your entries were written'
+    },
     {
       path: '/todo',
       label: 'To-do List',
@@ -53,6 +59,30 @@ const Layout = () => {
       icon: '🎯',
       description: 'Your life goals and dreams'
     },
+    {
+      path: '/templates',
+      label: 'Templates',
+      icon: '🧩',
+      description: 'Starting points for new entries'
+    },
+    {
+      path: '/tags',
+      label: 'Tags',
+      icon: '🏷️',
+      description: 'Rename, merge and remove tags'
+    },
+    {
+      path: '/shared-links',
+      label: 'Shared Links',
+      icon: '🔗',
+      description: 'Manage links to entries you have shared'
+    },
+    {
+      path: '/trash',
+      label: 'Trash',
+      icon: '🗑️',
+      description: 'Restore or permanently delete items'
+    },
     {
       path: '/profile',
       label: 'Profile',
@@ -1,15 +1,20 @@
 import React from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import { Moon, Sun, LogOut, Settings, User } from 'lucide-react';
 import StreakTracker from '../StreakTracker';
+import { useCollections } from '../SmartCollections/SmartCollections';
 import './Sidebar.css';
 
 const Sidebar = ({ isOpen, onClose, navItems, currentPath, user }) => {
   const { logout } = useAuth();
   const { theme, toggleTheme } = useTheme();
   const navigate = useNavigate();
+  const location = useLocation();
+  const { data: collections = [] } = useCollections();
+  const pinnedCollections = collections.filter(collection => collection.pinned);
+  const shownCollection = currentPath === '/journal' && new URLSearchParams(location.search).get('collection');
 
   const handleLogout = async () => {
     await logout();
@@ -48,6 +53,30 @@ const Sidebar = ({ isOpen, onClose, navItems, currentPath, user }) => {
               </li>
             ))}
           </ul>
+
+          {pinnedCollections.length > 0 && (
+            <>
+              <h4 className="nav-section-title">Collections</h4>
+              <ul className="nav-list">
+                {pinnedCollections.map((collection) => (
+                  <li key={collection._id} className="nav-item">
+                    <Link
+                      to={`/journal?collection=${collection._id}`}
+                      className={`nav-link ${shownCollection === collection._id ? 'active' : ''}`}
+                      onClick={handleNavClick}
+                      title={collection.search || collection.name}
+                    >
+                      <span className="nav-icon">{collection.icon}</span>
+                      <span className="nav-label">{collection.name}</span>
+                      {collection.count !== null && (
+                        <span className="nav-count">{collection.count}</span>
+                      )}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
         </nav>
 
         {/* Compact Streak Tracker */}
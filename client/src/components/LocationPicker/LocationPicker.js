@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { MapPin, LocateFixed, Search, X, Loader2 } from 'lucide-react';
+import api from '../../utils/api';
+import { hasCoordinates, formatCoordinates } from '../../utils/location';
+import './LocationPicker.css';
+
+const GEOLOCATION_OPTIONS = { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 };
+
+// Adds an optional location to an entry, from the browser's position or a place typed by hand.
+// `value` is { latitude, longitude, placeName } or null; the server rounds coordinates before storing them.
+const LocationPicker = ({ value, onChange, disabled = false }) => {
+  const [isLocating, setIsLocating] = useState(false);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const locateCurrentPosition = () => {
+    if (!navigator.geolocation) {
+      toast.error('Your browser cannot share its location');
+      return;
+    }
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      async ({ coords }) => {
+        try {
+          const response = await api.get('/location/reverse', {
+            params: { lat: coords.latitude, lng: coords.longitude }
+          });
+          const { latitude, longitude, placeName } = response.data.location;
+          onChange({ latitude, longitude, placeName: placeName || '' });
+        } catch (error) {
+          toast.error(error.response?.data?.message || 'Failed to look up your location');
+        } finally {
+          setIsLocating(false);
+        }
+      },
+      () => {
+        setIsLocating(false);
+        toast.error('Location access is needed to tag this entry with where you are');
+      },
+      GEOLOCATION_OPTIONS
+    );
+  };
+
+  const searchPlaces = async () => {
+    const q = query.trim();
+    if (!q) return;
+    setIsSearching(true);
+    try {
+      const response = await api.get('/location/search', { params: { q } });
+      setResults(response.data.places);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to search places');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const selectPlace = (place) => {
+    onChange(place);
+    setQuery('');
+    setResults(null);
+  };
+
+  // The editor is itself a form, so Enter searches instead of submitting it
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      searchPlaces();
+    }
+  };
+
+  if (value) {
+    return (
+      <div className="location-picker">
+        <div className="location-current">
+          <MapPin size={16} />
+          <input
+            type="text"
+            className="location-name-input"
+            value={value.placeName || ''}
+            onChange={(e) => onChange({ ...value, placeName: e.target.value })}
+            placeholder={hasCoordinates(value) ? formatCoordinates(value) : 'Place name'}
+            maxLength={200}
+            disabled={disabled}
+          />
+          {hasCoordinates(value) && (
+            <span className="location-coordinates">{formatCoordinates(value)}</span>
+          )}
+          <button
+            type="button"
+            className="location-remove-btn"
+            onClick={() => onChange(null)}
+            disabled={disabled}
+            title="Remove location"
+          >
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="location-picker">
+      <div className="location-actions">
+        <button
+          type="button"
+          className="locate-btn"
+          onClick={locateCurrentPosition}
+          disabled={disabled || isLocating}
+        >
+          {isLocating ? <Loader2 size={16} className="spinning" /> : <LocateFixed size={16} />}
+          Use my location
+        </button>
+        <div className="location-search">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setResults(null);
+            }}
+            onKeyDown={handleSearchKeyDown}
+            placeholder="Or type a place..."
+            maxLength={200}
+            disabled={disabled}
+          />
+          <button
+            type="button"
+            onClick={searchPlaces}
+            disabled={disabled || isSearching || !query.trim()}
+            title="Search places"
+          >
+            {isSearching ? <Loader2 size={16} className="spinning" /> : <Search size={16} />}
+          </button>
+        </div>
+      </div>
+
+      {results && (
+        <ul className="location-results">
+          {results.map(place => (
+            <li key={`${place.latitude},${place.longitude}`}>
+              <button type="button" onClick={() => selectPlace(place)}>
+                <MapPin size={14} />
+                {place.placeName}
+              </button>
+            </li>
+          ))}
+          {/* Places the geocoder doesn't know are kept as a name without a map pin */}
+          <li>
+            <button
+              type="button"
+              className="location-name-only"
+              onClick={() => selectPlace({ latitude: null, longitude: null, placeName: query.trim() })}
+            >
+              Use "{query.trim()}" without a map pin
+            </button>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LocationPicker;
@@ -0,0 +1,32 @@
+import React, { useMemo } from 'react';
+import { renderMarkdown, sanitizeHtml, resolveWikiLinks } from '../../utils/markdown';
+import './Markdown.css';
+
+// Displays journal content. Prefers the HTML rendered by the server and falls
+// back to rendering the Markdown source; both are sanitized before display.
+// Wiki links point at `linkedEntries` (see resolveWikiLinks); clicking one calls
+// `onOpenLink(journalId, locked)` so the page can navigate inside the app.
+const MarkdownContent = ({ html, markdown, linkedEntries, onOpenLink, className = '' }) => {
+  const safeHtml = useMemo(() => resolveWikiLinks(
+    html ? sanitizeHtml(html) : renderMarkdown(markdown),
+    linkedEntries
+  ), [html, markdown, linkedEntries]);
+
+  const handleClick = (event) => {
+    const link = event.target.closest('a.wiki-link[data-journal-id]');
+    // Modified clicks open the entry in a new tab as usual
+    if (!link || !onOpenLink || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    event.preventDefault();
+    onOpenLink(link.dataset.journalId, link.classList.contains('wiki-link-locked'));
+  };
+
+  return (
+    <div
+      className={`markdown-body ${className}`}
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: safeHtml }}
+    />
+  );
+};
+
+export default MarkdownContent;
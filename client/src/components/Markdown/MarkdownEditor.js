@@ -0,0 +1,155 @@
+import React, { useRef, useState } from 'react';
+import {
+  Heading2,
+  Bold,
+  Italic,
+  List,
+  ListOrdered,
+  ListChecks,
+  Quote,
+  Code,
+  Link2,
+  Eye,
+  EyeOff
+} from 'lucide-react';
+import MarkdownContent from './MarkdownContent';
+import './Markdown.css';
+
+// Toolbar actions: `wrap` surrounds the selection, `prefix` starts each selected line
+const TOOLBAR_ACTIONS = [
+  { label: 'Heading', icon: Heading2, prefix: '## ' },
+  { label: 'Bold', icon: Bold, wrap: '**', placeholder: 'bold text' },
+  { label: 'Italic', icon: Italic, wrap: '_', placeholder: 'italic text' },
+  { label: 'Bulleted list', icon: List, prefix: '- ' },
+  { label: 'Numbered list', icon: ListOrdered, prefix: '1. ', numbered: true },
+  { label: 'Checklist', icon: ListChecks, prefix: '- [ ] ' },
+  { label: 'Quote', icon: Quote, prefix: '> ' },
+  { label: 'Code', icon: Code, wrap: '`', placeholder: 'code' },
+  { label: 'Link', icon: Link2, link: true }
+];
+
+// Apply a toolbar action to the text, returning the new value and selection
+const applyAction = (action, value, start, end) => {
+  const selected = value.slice(start, end);
+  const before = value.slice(0, start);
+  const after = value.slice(end);
+
+  if (action.link) {
+    const text = selected || 'link text';
+    const url = 'https://';
+    const inserted = `[${text}](${url})`;
+    const urlStart = start + text.length + 3;
+    return { value: before + inserted + after, start: urlStart, end: urlStart + url.length };
+  }
+
+  if (action.wrap) {
+    // Multi-line code becomes a fenced block
+    const wrap = action.wrap === '`' && selected.includes('\n') ? '```\n' : action.wrap;
+    const closing = wrap === '```\n' ? '\n```' : wrap;
+    const text = selected || action.placeholder;
+    return {
+      value: before + wrap + text + closing + after,
+      start: start + wrap.length,
+      end: start + wrap.length + text.length
+    };
+  }
+
+  // Prefix every line touched by the selection
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const lineEndIndex = value.indexOf('\n', end);
+  const lineEnd = lineEndIndex === -1 ? value.length : lineEndIndex;
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+  const prefixed = lines
+    .map((line, index) => (action.numbered ? `${index + 1}. ` : action.prefix) + line)
+    .join('\n');
+
+  return {
+    value: value.slice(0, lineStart) + prefixed + value.slice(lineEnd),
+    start: lineStart,
+    end: lineStart + prefixed.length
+  };
+};
+
+// Markdown textarea with a formatting toolbar and a live preview.
+// `registration` is the react-hook-form register() result for the field.
+const MarkdownEditor = ({
+  id,
+  value,
+  onChange,
+  registration,
+  placeholder,
+  rows = 12,
+  className = ''
+}) => {
+  const textareaRef = useRef(null);
+  const [showPreview, setShowPreview] = useState(true);
+
+  const handleAction = (action) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const result = applyAction(action, value || '', textarea.selectionStart, textarea.selectionEnd);
+    onChange(result.value);
+
+    // Restore focus and selection once the new value is rendered
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(result.start, result.end);
+    });
+  };
+
+  const { ref: registerRef, ...fieldProps } = registration;
+
+  return (
+    <div className={`markdown-editor ${showPreview ? 'with-preview' : ''}`}>
+      <div className="markdown-toolbar">
+        {TOOLBAR_ACTIONS.map(action => {
+          const ActionIcon = action.icon;
+          return (
+            <button
+              key={action.label}
+              type="button"
+              className="toolbar-btn"
+              title={action.label}
+              onClick={() => handleAction(action)}
+            >
+              <ActionIcon size={16} />
+            </button>
+          );
+        })}
+        <button
+          type="button"
+          className={`toolbar-btn preview-toggle ${showPreview ? 'active' : ''}`}
+          title={showPreview ? 'Hide preview' : 'Show preview'}
+          onClick={() => setShowPreview(prev => !prev)}
+        >
+          {showPreview ? <EyeOff size={16} /> : <Eye size={16} />}
+          Preview
+        </button>
+      </div>
+
+      <div className="markdown-panes">
+        <textarea
+          id={id}
+          rows={rows}
+          placeholder={placeholder}
+          {...fieldProps}
+          ref={(element) => {
+            registerRef(element);
+            textareaRef.current = element;
+          }}
+          className={className}
+        />
+        {showPreview && (
+          <div className="markdown-preview">
+            {value && value.trim()
+              ? <MarkdownContent markdown={value} />
+              : <p className="preview-empty">Nothing to preview yet</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
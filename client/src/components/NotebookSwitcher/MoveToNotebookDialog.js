@@ -0,0 +1,69 @@
+import React from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { FolderInput, Lock, X } from 'lucide-react';
+import api from '../../utils/api';
+import { useNotebooks } from './NotebookSwitcher';
+
+// Pick a notebook to move a journal entry to. Open while `journal` is set.
+const MoveToNotebookDialog = ({ journal, onClose }) => {
+  const queryClient = useQueryClient();
+  const { data: notebooks = [] } = useNotebooks();
+
+  const moveMutation = useMutation(
+    (notebook) => api.post(`/notebooks/${notebook._id}/entries`, { journalIds: [journal._id] }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['journals']);
+        queryClient.invalidateQueries(['notebooks']);
+        toast.success(response.data.message);
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to move entry');
+      }
+    }
+  );
+
+  if (!journal) return null;
+
+  const currentId = journal.notebook?._id || journal.notebook;
+
+  return (
+    <div className="notebook-dialog-overlay" onClick={onClose}>
+      <div className="notebook-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="notebook-dialog-header">
+          <div className="notebook-dialog-title">
+            <FolderInput size={20} />
+            <h3>Move to Notebook</h3>
+          </div>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="notebook-dialog-body">
+          <p className="move-notebook-entry">"{journal.title}"</p>
+          <div className="move-notebook-list">
+            {notebooks.map(notebook => (
+              <button
+                key={notebook._id}
+                className="move-notebook-option"
+                style={{ '--notebook-color': notebook.color }}
+                onClick={() => moveMutation.mutate(notebook)}
+                disabled={notebook._id === currentId || moveMutation.isLoading}
+              >
+                <span className="notebook-icon">{notebook.icon}</span>
+                <span className="notebook-name">{notebook.name}</span>
+                {notebook.isProtected && <Lock size={12} className="notebook-lock" />}
+                {notebook._id === currentId && <span className="move-notebook-current">Current</span>}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MoveToNotebookDialog;
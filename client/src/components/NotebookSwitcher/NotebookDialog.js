@@ -0,0 +1,250 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { BookOpen, ImagePlus, Loader2, Trash2, X } from 'lucide-react';
+import api from '../../utils/api';
+import { getMediaSrc } from '../../utils/media';
+import useNotebookUnlockStore from '../../stores/notebookUnlockStore';
+import ConfirmDialog from '../ConfirmDialog';
+
+const ICONS = ['📓', '💼', '🧠', '✈️', '❤️', '🌱', '🎨', '📚'];
+const COLORS = ['#3b82f6', '#8b5cf6', '#ec4899', '#ef4444', '#f59e0b', '#10b981', '#14b8a6', '#64748b'];
+
+// Create a notebook, or edit or delete an existing one (`notebook` with an id).
+// Mount it when it opens, so it starts from `notebook`.
+const NotebookDialog = ({ notebook, onClose, onSaved, onDeleted }) => {
+  const queryClient = useQueryClient();
+  const addUnlock = useNotebookUnlockStore(state => state.addUnlock);
+  const isNew = !notebook._id;
+  const [name, setName] = useState(notebook.name || '');
+  const [icon, setIcon] = useState(notebook.icon || ICONS[0]);
+  const [color, setColor] = useState(notebook.color || COLORS[0]);
+  const [coverFile, setCoverFile] = useState(null);
+  const [coverPreview, setCoverPreview] = useState(null);
+  const [removeCover, setRemoveCover] = useState(false);
+  const [password, setPassword] = useState('');
+  const [removePassword, setRemovePassword] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  useEffect(() => () => {
+    if (coverPreview) URL.revokeObjectURL(coverPreview);
+  }, [coverPreview]);
+
+  const invalidate = () => {
+    queryClient.invalidateQueries(['notebooks']);
+    queryClient.invalidateQueries(['journals']);
+    queryClient.invalidateQueries(['collections']);
+  };
+
+  const saveMutation = useMutation(
+    async () => {
+      const body = { name: name.trim(), icon, color };
+      if (password) body.password = password;
+      else if (removePassword) body.removePassword = true;
+
+      const response = isNew
+        ? await api.post('/notebooks', body)
+        : await api.put(`/notebooks/${notebook._id}`, body);
+      const saved = response.data;
+      // A new password unlocks the notebook for whoever set it
+      if (saved.token) {
+        addUnlock(saved.notebook._id, saved.token, saved.expiresAt);
+      }
+
+      if (coverFile) {
+        const formData = new FormData();
+        formData.append('cover', coverFile);
+        const coverResponse = await api.put(`/notebooks/${saved.notebook._id}/cover`, formData, {
+          headers: { 'Content-Type': 'multipart/form-data' }
+        });
+        return { ...saved, notebook: coverResponse.data.notebook };
+      }
+      if (removeCover && notebook.cover) {
+        const coverResponse = await api.delete(`/notebooks/${saved.notebook._id}/cover`);
+        return { ...saved, notebook: coverResponse.data.notebook };
+      }
+      return saved;
+    },
+    {
+      onSuccess: (data) => {
+        invalidate();
+        toast.success(data.message);
+        onSaved && onSaved(data.notebook);
+        onClose();
+      },
+      onError: (error) => {
+        // A new notebook may have been created before its cover failed to upload
+        invalidate();
+        toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save notebook');
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(
+    () => api.delete(`/notebooks/${notebook._id}`),
+    {
+      onSuccess: (response) => {
+        invalidate();
+        toast.success(response.data.message);
+        onDeleted && onDeleted();
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete notebook');
+      }
+    }
+  );
+
+  const handleCoverChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setCoverFile(file);
+    setCoverPreview(URL.createObjectURL(file));
+    setRemoveCover(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate();
+  };
+
+  const currentCover = coverPreview || (!removeCover && notebook.cover ? getMediaSrc(notebook.cover, 'card') : null);
+
+  return (
+    <>
+      <div className="notebook-dialog-overlay" onClick={onClose}>
+        <div className="notebook-dialog" onClick={(e) => e.stopPropagation()}>
+          <div className="notebook-dialog-header">
+            <div className="notebook-dialog-title">
+              <BookOpen size={20} />
+              <h3>{isNew ? 'New Notebook' : 'Edit Notebook'}</h3>
+            </div>
+            <button className="close-button" onClick={onClose}>
+              <X size={20} />
+            </button>
+          </div>
+
+          <form className="notebook-dialog-body" onSubmit={handleSubmit}>
+            <label htmlFor="notebook-name">Name</label>
+            <input
+              id="notebook-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Travel 2026"
+              maxLength={50}
+              required
+              autoFocus
+            />
+
+            <label>Icon</label>
+            <div className="notebook-choices">
+              {ICONS.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  className={option === icon ? 'selected' : ''}
+                  onClick={() => setIcon(option)}
+                  aria-label={`Use ${option} as icon`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+
+            <label>Color</label>
+            <div className="notebook-choices">
+              {COLORS.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  className={`color-choice ${option === color ? 'selected' : ''}`}
+                  style={{ background: option }}
+                  onClick={() => setColor(option)}
+                  aria-label={`Use color ${option}`}
+                />
+              ))}
+            </div>
+
+            <label>Cover</label>
+            <div className="notebook-cover-field">
+              {currentCover && <img src={currentCover} alt="" className="notebook-cover-preview" />}
+              <label className="notebook-cover-upload">
+                <ImagePlus size={16} />
+                {currentCover ? 'Change Cover' : 'Add Cover'}
+                <input type="file" accept="image/*" onChange={handleCoverChange} hidden />
+              </label>
+              {currentCover && (
+                <button
+                  type="button"
+                  className="notebook-cover-remove"
+                  onClick={() => {
+                    setCoverFile(null);
+                    setCoverPreview(null);
+                    setRemoveCover(true);
+                  }}
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+
+            <label htmlFor="notebook-password">
+              {notebook.isProtected ? 'New password' : 'Password (optional)'}
+            </label>
+            <input
+              id="notebook-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={notebook.isProtected ? 'Leave empty to keep the current one' : 'Hide this notebook\'s entries behind a password'}
+              minLength={4}
+              disabled={removePassword}
+              autoComplete="new-password"
+            />
+            {notebook.isProtected && (
+              <label className="notebook-remove-password">
+                <input
+                  type="checkbox"
+                  checked={removePassword}
+                  onChange={(e) => {
+                    setRemovePassword(e.target.checked);
+                    setPassword('');
+                  }}
+                />
+                Remove the password
+              </label>
+            )}
+
+            <div className="notebook-dialog-actions">
+              {!isNew && !notebook.isDefault && (
+                <button type="button" className="delete-notebook-btn" onClick={() => setConfirmDelete(true)}>
+                  <Trash2 size={16} />
+                  Delete
+                </button>
+              )}
+              <button type="button" className="cancel-button" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="primary-btn" disabled={saveMutation.isLoading || !name.trim()}>
+                {saveMutation.isLoading && <Loader2 size={16} className="loading-spinner" />}
+                {isNew ? 'Create Notebook' : 'Save Changes'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <ConfirmDialog
+        isOpen={confirmDelete}
+        onClose={() => setConfirmDelete(false)}
+        onConfirm={() => deleteMutation.mutate()}
+        title="Delete Notebook"
+        message={`Delete the notebook "${notebook.name}"? Its entries are not deleted; they move to your default notebook.`}
+        isLoading={deleteMutation.isLoading}
+      />
+    </>
+  );
+};
+
+export default NotebookDialog;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Lock, Pencil, Plus } from 'lucide-react';
+import api from '../../utils/api';
+import { getMediaSrc } from '../../utils/media';
+import useNotebookUnlockStore from '../../stores/notebookUnlockStore';
+import PasswordModal from '../PasswordModal/PasswordModal';
+import NotebookDialog from './NotebookDialog';
+import './NotebookSwitcher.css';
+
+// The user's notebooks, the default one first, each with its `stats`.
+// Locked notebooks (`isLocked`) only report their number of entries.
+export const useNotebooks = () => useQuery(
+  ['notebooks'],
+  async () => {
+    const response = await api.get('/notebooks');
+    return response.data.notebooks;
+  },
+  { staleTime: 30 * 1000 }
+);
+
+// Unlock a protected notebook: mutate({ notebook, password }). The token it returns is
+// kept in the unlock store, so requests from then on can reach the notebook's entries.
+export const useUnlockNotebook = (onUnlocked) => {
+  const queryClient = useQueryClient();
+  const addUnlock = useNotebookUnlockStore(state => state.addUnlock);
+
+  return useMutation(
+    ({ notebook, password }) => api.post(`/notebooks/${notebook._id}/unlock`, { password }),
+    {
+      onSuccess: (response, { notebook }) => {
+        addUnlock(notebook._id, response.data.token, response.data.expiresAt);
+        queryClient.invalidateQueries(['notebooks']);
+        queryClient.invalidateQueries(['journals']);
+        queryClient.invalidateQueries(['collections']);
+        toast.success(`${notebook.name} unlocked`);
+        onUnlocked && onUnlocked(notebook);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to unlock notebook');
+      }
+    }
+  );
+};
+
+// Notebooks to pick the journal list from, with the picked one's stats. Picking a
+// locked notebook asks for its password first. `activeId` is null for all notebooks.
+const NotebookSwitcher = ({ activeId, onSelect }) => {
+  const { data: notebooks = [] } = useNotebooks();
+  const isUnlocked = useNotebookUnlockStore(state => state.isUnlocked);
+  const [dialogNotebook, setDialogNotebook] = useState(null);
+  const [unlocking, setUnlocking] = useState(null);
+  const unlockMutation = useUnlockNotebook((notebook) => {
+    setUnlocking(null);
+    onSelect(notebook);
+  });
+
+  const active = notebooks.find(notebook => notebook._id === activeId) || null;
+
+  const handleSelect = (notebook) => {
+    if (notebook.isLocked && !isUnlocked(notebook._id)) {
+      setUnlocking(notebook);
+    } else {
+      onSelect(notebook);
+    }
+  };
+
+  return (
+    <div className="notebook-switcher">
+      <div className="notebook-cards">
+        <button
+          className={`notebook-card ${!activeId ? 'active' : ''}`}
+          onClick={() => onSelect(null)}
+          aria-pressed={!activeId}
+        >
+          <span className="notebook-icon">📚</span>
+          <span className="notebook-name">All Notebooks</span>
+        </button>
+
+        {notebooks.map(notebook => (
+          <button
+            key={notebook._id}
+            className={`notebook-card ${notebook._id === activeId ? 'active' : ''}`}
+            style={{ '--notebook-color': notebook.color }}
+            onClick={() => handleSelect(notebook)}
+            aria-pressed={notebook._id === activeId}
+            title={notebook.isProtected ? 'Protected by a password' : notebook.name}
+          >
+            {notebook.cover && (
+              <img src={getMediaSrc(notebook.cover, 'thumb')} alt="" className="notebook-cover" />
+            )}
+            <span className="notebook-icon">{notebook.icon}</span>
+            <span className="notebook-name">{notebook.name}</span>
+            {notebook.isProtected && <Lock size={12} className="notebook-lock" />}
+            <span className="notebook-count">{notebook.stats.entries}</span>
+          </button>
+        ))}
+
+        <button className="new-notebook-btn" onClick={() => setDialogNotebook({})}>
+          <Plus size={16} />
+          New Notebook
+        </button>
+      </div>
+
+      {active && !active.isLocked && (
+        <div className="notebook-details" style={{ '--notebook-color': active.color }}>
+          <div className="notebook-stats">
+            <span><strong>{active.stats.entries}</strong> entries</span>
+            <span><strong>{active.stats.thisMonth}</strong> this month</span>
+            {active.stats.averageMood !== null && (
+              <span>Average mood <strong>{active.stats.averageMood}</strong></span>
+            )}
+            {active.stats.lastEntryDate && (
+              <span>Last entry {format(new Date(active.stats.lastEntryDate), 'MMM dd, yyyy')}</span>
+            )}
+          </div>
+          <button className="edit-notebook-btn" onClick={() => setDialogNotebook(active)}>
+            <Pencil size={14} />
+            Edit Notebook
+          </button>
+        </div>
+      )}
+
+      {dialogNotebook && (
+        <NotebookDialog
+          notebook={dialogNotebook}
+          onClose={() => setDialogNotebook(null)}
+          onSaved={(saved) => {
+            if (!dialogNotebook._id) onSelect(saved);
+          }}
+          onDeleted={() => onSelect(null)}
+        />
+      )}
+
+      <PasswordModal
+        isOpen={!!unlocking}
+        onClose={() => setUnlocking(null)}
+        onSubmit={(password) => unlockMutation.mutate({ notebook: unlocking, password })}
+        title="Unlock Notebook"
+        description={unlocking ? `"${unlocking.name}" is protected. Enter its password to see its entries.` : ''}
+        isLoading={unlockMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default NotebookSwitcher;
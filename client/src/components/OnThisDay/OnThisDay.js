@@ -0,0 +1,114 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { History, Lock, Mail } from 'lucide-react';
+import api from '../../utils/api';
+import { stripMarkdown } from '../../utils/markdown';
+import './OnThisDay.css';
+
+const PREVIEW_LENGTH = 120;
+
+// The browser's time zone, which decides what "this day" is
+const getTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const toPreview = (content) => {
+  const text = stripMarkdown(content);
+  return text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH)}...` : text;
+};
+
+// Entries written on this day in earlier years, one week ago and one month ago,
+// with the option to get them by email every morning
+const OnThisDay = () => {
+  const queryClient = useQueryClient();
+  const today = format(new Date(), 'yyyy-MM-dd');
+
+  const { data, isLoading } = useQuery(
+    ['memories', today],
+    async () => {
+      const response = await api.get('/memories', {
+        params: { date: today, timeZone: getTimeZone() }
+      });
+      return response.data;
+    },
+    { staleTime: 30 * 60 * 1000 }
+  );
+
+  const { data: digest } = useQuery('memoriesDigest', async () => {
+    const response = await api.get('/memories/digest');
+    return response.data.digest;
+  });
+
+  const digestMutation = useMutation(
+    (enabled) => api.put('/memories/digest', { enabled, timeZone: getTimeZone() }),
+    {
+      onSuccess: (response) => {
+        queryClient.setQueryData('memoriesDigest', response.data.digest);
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update the memories email');
+      }
+    }
+  );
+
+  if (isLoading) return null;
+
+  const memories = data?.memories || [];
+
+  return (
+    <div className="on-this-day">
+      <div className="on-this-day-header">
+        <h2>
+          <History size={20} />
+          On This Day
+        </h2>
+        <label className="on-this-day-toggle" title="Get your memories by email every morning">
+          <input
+            type="checkbox"
+            checked={!!digest?.enabled}
+            onChange={(e) => digestMutation.mutate(e.target.checked)}
+            disabled={!digest || digestMutation.isLoading}
+          />
+          <Mail size={14} />
+          Email me daily
+        </label>
+      </div>
+
+      {memories.length === 0 ? (
+        <p className="on-this-day-empty">
+          Nothing written on this day before. Entries you write today will show up here in the future.
+        </p>
+      ) : (
+        <div className="on-this-day-groups">
+          {memories.map(group => (
+            <section key={`${group.period}-${group.day}`} className="on-this-day-group">
+              <h3>
+                {group.label}
+                <span className="on-this-day-date">{format(new Date(`${group.day}T00:00:00`), 'MMM d, yyyy')}</span>
+              </h3>
+              <ul>
+                {group.journals.map(journal => (
+                  <li key={journal._id}>
+                    <Link to={`/journal/${journal._id}`} className="on-this-day-entry">
+                      <span className="on-this-day-title">
+                        {journal.isEncrypted ? <Lock size={14} /> : <span>{journal.moodEmoji}</span>}
+                        {journal.isEncrypted ? 'Protected entry' : journal.title}
+                      </span>
+                      {!journal.isEncrypted && (
+                        <span className="on-this-day-preview">{toPreview(journal.content)}</span>
+                      )}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OnThisDay;
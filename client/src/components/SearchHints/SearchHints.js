@@ -0,0 +1,104 @@
+import React, { useId, useMemo, useState } from 'react';
+import { useQuery } from 'react-query';
+import api from '../../utils/api';
+import { getSearchHints } from '../../utils/searchQuery';
+import './SearchHints.css';
+
+// Autocomplete for the operators of the search query language in a search input.
+// Spread `inputProps` on the input and render <SearchHints {...hintsProps} /> after it,
+// inside an element positioned relative to the input. `onChange` receives the whole
+// search with the picked hint filled in.
+export const useSearchHints = ({ value, onChange, types }) => {
+  const [isFocused, setIsFocused] = useState(false);
+  // Hint picked with the arrow keys, or -1 while none is
+  const [highlighted, setHighlighted] = useState(-1);
+  // The search Escape closed the hints for, until it changes
+  const [dismissedFor, setDismissedFor] = useState(null);
+  const listId = useId();
+
+  const wantsTags = !types || types.includes('journal');
+  const { data: tags = [] } = useQuery(
+    ['tags'],
+    async () => {
+      const response = await api.get('/tags');
+      return response.data.tags;
+    },
+    { staleTime: 60 * 1000, enabled: wantsTags && isFocused }
+  );
+
+  const allHints = useMemo(
+    () => getSearchHints(value, { types, tags: wantsTags ? tags : [] }),
+    [value, types, tags, wantsTags]
+  );
+  const hints = isFocused && dismissedFor !== value ? allHints : [];
+
+  const pick = (hint) => {
+    onChange(hint.value);
+    setHighlighted(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (hints.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % hints.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => (index <= 0 ? hints.length : index) - 1);
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      pick(hints[Math.min(highlighted, hints.length - 1)]);
+    } else if (e.key === 'Tab') {
+      // Tab completes to the first hint
+      e.preventDefault();
+      pick(hints[Math.min(Math.max(highlighted, 0), hints.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setDismissedFor(value);
+      setHighlighted(-1);
+    }
+  };
+
+  return {
+    isOpen: hints.length > 0,
+    inputProps: {
+      onKeyDown: handleKeyDown,
+      onFocus: () => setIsFocused(true),
+      onBlur: () => {
+        setIsFocused(false);
+        setHighlighted(-1);
+      },
+      role: 'combobox',
+      'aria-controls': listId,
+      'aria-expanded': hints.length > 0,
+      'aria-autocomplete': 'list'
+    },
+    hintsProps: { id: listId, hints, highlighted, onPick: pick }
+  };
+};
+
+// The hints of useSearchHints: an operator or value and what it finds
+const SearchHints = ({ id, hints, highlighted, onPick }) => {
+  if (hints.length === 0) return null;
+
+  return (
+    <ul id={id} className="search-hints" role="listbox">
+      {hints.map((hint, index) => (
+        <li key={hint.key} role="option" aria-selected={index === highlighted}>
+          <button
+            type="button"
+            className={index === highlighted ? 'highlighted' : ''}
+            // Keep focus in the input so it can go on typing
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onPick(hint)}
+          >
+            <code>{hint.label}</code>
+            <span className="search-hint-description">{hint.description}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SearchHints;
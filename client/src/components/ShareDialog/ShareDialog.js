@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Share2, X, Copy, Loader2 } from 'lucide-react';
+import api from '../../utils/api';
+import './ShareDialog.css';
+
+const EXPIRY_OPTIONS = [
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: 'never', label: 'Never' }
+];
+
+const ShareDialog = ({ isOpen, onClose, journal }) => {
+  const queryClient = useQueryClient();
+  const [expiry, setExpiry] = useState('7');
+  const [linkPassword, setLinkPassword] = useState('');
+  const [entryPassword, setEntryPassword] = useState('');
+  const [shareUrl, setShareUrl] = useState('');
+
+  const resetAndClose = () => {
+    setExpiry('7');
+    setLinkPassword('');
+    setEntryPassword('');
+    setShareUrl('');
+    onClose();
+  };
+
+  const createMutation = useMutation(
+    async () => {
+      const expiresAt = expiry === 'never'
+        ? null
+        : new Date(Date.now() + Number(expiry) * 24 * 60 * 60 * 1000).toISOString();
+      const response = await api.post('/shares', {
+        journal: journal._id,
+        // Protected entries are re-verified every time a link is made
+        password: journal.isEncrypted ? entryPassword : undefined,
+        linkPassword: linkPassword || undefined,
+        expiresAt
+      });
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        setShareUrl(`${window.location.origin}/shared/${data.token}`);
+        queryClient.invalidateQueries(['shareLinks']);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create share link');
+      }
+    }
+  );
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="share-dialog-overlay" onClick={resetAndClose}>
+      <div className="share-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="share-dialog-header">
+          <div className="share-dialog-title">
+            <Share2 size={20} />
+            <h3>Share Entry</h3>
+          </div>
+          <button className="close-button" onClick={resetAndClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        {shareUrl ? (
+          <div className="share-dialog-body">
+            <p>Anyone with this link can read the entry. Copy it now - it will not be shown again.</p>
+            <div className="share-url">
+              <input type="text" value={shareUrl} readOnly onFocus={(e) => e.target.select()} />
+              <button type="button" className="copy-btn" onClick={handleCopy} title="Copy link">
+                <Copy size={16} />
+              </button>
+            </div>
+            <div className="share-dialog-actions">
+              <button type="button" className="primary-btn" onClick={resetAndClose}>
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form className="share-dialog-body" onSubmit={handleSubmit}>
+            <p>Create a read-only link to "{journal.title}". You can revoke it at any time from Shared Links.</p>
+
+            <label htmlFor="share-expiry">Link expires after</label>
+            <select id="share-expiry" value={expiry} onChange={(e) => setExpiry(e.target.value)}>
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+
+            <label htmlFor="share-link-password">Link password (optional)</label>
+            <input
+              id="share-link-password"
+              type="password"
+              value={linkPassword}
+              onChange={(e) => setLinkPassword(e.target.value)}
+              placeholder="Visitors must enter this to view"
+              autoComplete="new-password"
+            />
+
+            {journal.isEncrypted && (
+              <>
+                <label htmlFor="share-entry-password">Entry password</label>
+                <input
+                  id="share-entry-password"
+                  type="password"
+                  value={entryPassword}
+                  onChange={(e) => setEntryPassword(e.target.value)}
+                  placeholder="Confirm the password of this protected entry"
+                  autoComplete="current-password"
+                  required
+                />
+              </>
+            )}
+
+            <div className="share-dialog-actions">
+              <button type="button" className="cancel-button" onClick={resetAndClose}>
+                Cancel
+              </button>
+              <button type="submit" className="primary-btn" disabled={createMutation.isLoading}>
+                {createMutation.isLoading ? <Loader2 size={16} className="loading-spinner" /> : <Share2 size={16} />}
+                Create Link
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { FolderSearch, X, Loader2 } from 'lucide-react';
+import api from '../../utils/api';
+import { describeCollectionFilters } from '../../utils/collections';
+import SearchHints, { useSearchHints } from '../SearchHints/SearchHints';
+
+const ICONS = ['🔎', '⭐', '📌', '💼', '❤️', '✈️', '🌱', '📚'];
+
+// Operators offered by the hints: only those filtering journals
+const HINT_TYPES = ['journal'];
+
+// Create a smart collection from `collection` (a search and filters without an id),
+// or edit an existing one. Mount it when it opens, so it starts from `collection`.
+const CollectionDialog = ({ collection, onClose, onSaved }) => {
+  const queryClient = useQueryClient();
+  const isNew = !collection._id;
+  const [name, setName] = useState(collection.name || '');
+  const [icon, setIcon] = useState(collection.icon || ICONS[0]);
+  const [search, setSearch] = useState(collection.search || '');
+  const [filters, setFilters] = useState(collection.filters || {});
+  const [pinned, setPinned] = useState(!!collection.pinned);
+  const { inputProps, hintsProps } = useSearchHints({ value: search, onChange: setSearch, types: HINT_TYPES });
+  const filterDescriptions = describeCollectionFilters(filters);
+
+  const saveMutation = useMutation(
+    async () => {
+      const body = { name: name.trim(), icon, search: search.trim(), filters, pinned };
+      const response = isNew
+        ? await api.post('/collections', body)
+        : await api.put(`/collections/${collection._id}`, body);
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        queryClient.invalidateQueries(['collections']);
+        toast.success(data.message);
+        onSaved && onSaved(data.collection);
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save collection');
+      }
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate();
+  };
+
+  return (
+    <div className="collection-dialog-overlay" onClick={onClose}>
+      <div className="collection-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="collection-dialog-header">
+          <div className="collection-dialog-title">
+            <FolderSearch size={20} />
+            <h3>{isNew ? 'Save as Collection' : 'Edit Collection'}</h3>
+          </div>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <form className="collection-dialog-body" onSubmit={handleSubmit}>
+          <label htmlFor="collection-name">Name</label>
+          <input
+            id="collection-name"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Work reflections"
+            maxLength={50}
+            required
+            autoFocus
+          />
+
+          <label>Icon</label>
+          <div className="collection-icons">
+            {ICONS.map(option => (
+              <button
+                key={option}
+                type="button"
+                className={option === icon ? 'selected' : ''}
+                onClick={() => setIcon(option)}
+                aria-label={`Use ${option} as icon`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+
+          <label htmlFor="collection-search">Search</label>
+          <div className="collection-search">
+            <input
+              id="collection-search"
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Words and operators, like tag:work mood:<4"
+              maxLength={200}
+              {...inputProps}
+            />
+            <SearchHints {...hintsProps} />
+          </div>
+
+          {filterDescriptions.length > 0 && (
+            <div className="collection-filters">
+              <span>Also filtered by: {filterDescriptions.join(', ')}</span>
+              <button type="button" onClick={() => setFilters({})}>
+                Remove filters
+              </button>
+            </div>
+          )}
+
+          <label className="collection-pinned">
+            <input
+              type="checkbox"
+              checked={pinned}
+              onChange={(e) => setPinned(e.target.checked)}
+            />
+            Pin to the sidebar
+          </label>
+
+          <div className="collection-dialog-actions">
+            <button type="button" className="cancel-button" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="primary-btn" disabled={saveMutation.isLoading || !name.trim()}>
+              {saveMutation.isLoading && <Loader2 size={16} className="loading-spinner" />}
+              {isNew ? 'Save Collection' : 'Save Changes'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CollectionDialog;
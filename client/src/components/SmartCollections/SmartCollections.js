@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { AlertTriangle, BookmarkPlus, Pencil, Pin, PinOff, RotateCcw, Trash2 } from 'lucide-react';
+import api from '../../utils/api';
+import { describeCollectionFilters } from '../../utils/collections';
+import ConfirmDialog from '../ConfirmDialog';
+import CollectionDialog from './CollectionDialog';
+import './SmartCollections.css';
+
+// The user's smart collections in order, each with its live `count`
+// (or `error` when its search cannot run)
+export const useCollections = () => useQuery(
+  ['collections'],
+  async () => {
+    const response = await api.get('/collections');
+    return response.data.collections;
+  },
+  { staleTime: 30 * 1000 }
+);
+
+const moveCollection = (collections, id, targetIndex) => {
+  const moved = collections.find(collection => collection._id === id);
+  const rest = collections.filter(collection => collection._id !== id);
+  return [...rest.slice(0, targetIndex), moved, ...rest.slice(targetIndex)];
+};
+
+// Saved searches of the journal list, which can be dragged (or moved with
+// Alt+Left/Right) to reorder them. `currentSearch` is the { search, filters } the
+// list shows, offered to be saved; null when there is nothing to save.
+const SmartCollections = ({ activeId, onSelect, currentSearch }) => {
+  const queryClient = useQueryClient();
+  const { data: collections = [], isLoading } = useCollections();
+  const [dialogCollection, setDialogCollection] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+
+  const reorderMutation = useMutation(
+    (ordered) => api.put('/collections/order', { ids: ordered.map(collection => collection._id) }),
+    {
+      onMutate: (ordered) => {
+        queryClient.setQueryData(['collections'], ordered);
+      },
+      onError: (error) => {
+        queryClient.invalidateQueries(['collections']);
+        toast.error(error.response?.data?.message || 'Failed to reorder collections');
+      }
+    }
+  );
+
+  const pinMutation = useMutation(
+    (collection) => api.put(`/collections/${collection._id}`, { pinned: !collection.pinned }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['collections']);
+        toast.success(response.data.collection.pinned ? 'Pinned to the sidebar' : 'Unpinned from the sidebar');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update collection');
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (collection) => api.delete(`/collections/${collection._id}`),
+    {
+      onSuccess: (response, collection) => {
+        queryClient.invalidateQueries(['collections']);
+        toast.success(response.data.message);
+        setDeleting(null);
+        if (collection._id === activeId) onSelect(null);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete collection');
+      }
+    }
+  );
+
+  const restoreMutation = useMutation(
+    () => api.post('/collections/defaults'),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['collections']);
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to restore default collections');
+      }
+    }
+  );
+
+  const reorder = (id, targetIndex) => {
+    const ordered = moveCollection(collections, id, targetIndex);
+    if (ordered.some((collection, index) => collection._id !== collections[index]._id)) {
+      reorderMutation.mutate(ordered);
+    }
+  };
+
+  const handleDrop = (e, targetIndex) => {
+    e.preventDefault();
+    if (draggedId) reorder(draggedId, targetIndex);
+    setDraggedId(null);
+  };
+
+  const handleKeyDown = (e, index) => {
+    if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    const target = index + (e.key === 'ArrowLeft' ? -1 : 1);
+    if (target >= 0 && target < collections.length) {
+      reorder(collections[index]._id, target);
+    }
+  };
+
+  const describe = (collection) => {
+    if (collection.error) return collection.error;
+    return [collection.search, ...describeCollectionFilters(collection.filters)].filter(Boolean).join(' · ');
+  };
+
+  return (
+    <div className="smart-collections">
+      <div className="collection-chips">
+        {collections.map((collection, index) => {
+          const isActive = collection._id === activeId;
+          return (
+            <div
+              key={collection._id}
+              className={`collection-chip ${isActive ? 'active' : ''} ${draggedId === collection._id ? 'dragging' : ''}`}
+              draggable
+              onDragStart={() => setDraggedId(collection._id)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => handleDrop(e, index)}
+              onDragEnd={() => setDraggedId(null)}
+            >
+              <button
+                className="collection-chip-main"
+                onClick={() => onSelect(isActive ? null : collection)}
+                onKeyDown={(e) => handleKeyDown(e, index)}
+                title={describe(collection)}
+                aria-pressed={isActive}
+              >
+                <span className="collection-icon">{collection.icon}</span>
+                <span>{collection.name}</span>
+                {collection.error
+                  ? <AlertTriangle size={14} className="collection-error" />
+                  : <span className="collection-count">{collection.count}</span>}
+              </button>
+              {isActive && (
+                <div className="collection-actions">
+                  <button
+                    onClick={() => pinMutation.mutate(collection)}
+                    title={collection.pinned ? 'Unpin from the sidebar' : 'Pin to the sidebar'}
+                  >
+                    {collection.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+                  </button>
+                  <button onClick={() => setDialogCollection(collection)} title="Edit collection">
+                    <Pencil size={14} />
+                  </button>
+                  <button onClick={() => setDeleting(collection)} title="Delete collection">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        {currentSearch && (
+          <button className="save-collection-btn" onClick={() => setDialogCollection(currentSearch)}>
+            <BookmarkPlus size={16} />
+            Save as Collection
+          </button>
+        )}
+
+        {!isLoading && (
+          <button
+            className="restore-collections-btn"
+            onClick={() => restoreMutation.mutate()}
+            disabled={restoreMutation.isLoading}
+            title="Bring back deleted default collections"
+          >
+            <RotateCcw size={14} />
+            {collections.length === 0 && 'Restore default collections'}
+          </button>
+        )}
+      </div>
+
+      {dialogCollection && (
+        <CollectionDialog
+          collection={dialogCollection}
+          onClose={() => setDialogCollection(null)}
+          onSaved={(saved) => {
+            if (!dialogCollection._id) onSelect(saved);
+          }}
+        />
+      )}
+
+      <ConfirmDialog
+        isOpen={!!deleting}
+        onClose={() => setDeleting(null)}
+        onConfirm={() => deleteMutation.mutate(deleting)}
+        title="Delete Collection"
+        message={deleting ? `Delete the collection "${deleting.name}"? The entries in it are not deleted.` : ''}
+        isLoading={deleteMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default SmartCollections;
@@ -0,0 +1,153 @@
+import React, { useId, useMemo, useState } from 'react';
+import { useQuery } from 'react-query';
+import { Tag, X } from 'lucide-react';
+import api from '../../utils/api';
+import { normalizeTag, splitTags, joinTags } from '../../utils/tags';
+import './TagInput.css';
+
+const MAX_TAG_LENGTH = 50;
+const MAX_SUGGESTIONS = 8;
+
+// Tags shown as removable chips, with suggestions from the tags already used on other entries.
+// `value` is the comma separated string the editor form stores.
+const TagInput = ({ value, onChange, disabled = false }) => {
+  const [text, setText] = useState('');
+  const [isFocused, setIsFocused] = useState(false);
+  // Suggestion picked with the arrow keys, or -1 to add the tag as typed
+  const [highlighted, setHighlighted] = useState(-1);
+  const tags = useMemo(() => splitTags(value), [value]);
+  const listId = useId();
+
+  const { data: knownTags = [] } = useQuery(
+    ['tags'],
+    async () => {
+      const response = await api.get('/tags');
+      return response.data.tags;
+    },
+    { staleTime: 60 * 1000 }
+  );
+
+  // Tags containing what has been typed, those starting with it first
+  const suggestions = useMemo(() => {
+    const query = normalizeTag(text);
+    if (!query) return [];
+    const matches = knownTags.filter(tag => tag.name.includes(query) && !tags.includes(tag.name));
+    return [
+      ...matches.filter(tag => tag.name.startsWith(query)),
+      ...matches.filter(tag => !tag.name.startsWith(query))
+    ].slice(0, MAX_SUGGESTIONS);
+  }, [knownTags, tags, text]);
+
+  const addTags = (names) => {
+    const next = splitTags(joinTags([...tags, ...names]));
+    if (next.length !== tags.length) onChange(joinTags(next));
+    setText('');
+    setHighlighted(-1);
+  };
+
+  const removeTag = (name) => {
+    onChange(joinTags(tags.filter(tag => tag !== name)));
+  };
+
+  // Typing or pasting a comma finishes the tags before it
+  const handleChange = (e) => {
+    const parts = e.target.value.split(',');
+    if (parts.length > 1) {
+      addTags(parts.slice(0, -1));
+      setText(parts[parts.length - 1]);
+    } else {
+      setText(e.target.value);
+      setHighlighted(-1);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    const showingSuggestions = isFocused && suggestions.length > 0;
+
+    if (e.key === 'ArrowDown' && showingSuggestions) {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && showingSuggestions) {
+      e.preventDefault();
+      setHighlighted(index => (index <= 0 ? suggestions.length : index) - 1);
+    } else if (e.key === 'Enter') {
+      // Enter never submits the entry form from here
+      e.preventDefault();
+      if (showingSuggestions && highlighted >= 0) {
+        addTags([suggestions[highlighted].name]);
+      } else if (text.trim()) {
+        addTags([text]);
+      }
+    } else if (e.key === 'Tab' && text.trim()) {
+      // Tab completes to the first suggestion
+      e.preventDefault();
+      addTags([showingSuggestions ? suggestions[Math.max(highlighted, 0)].name : text]);
+    } else if (e.key === 'Backspace' && !text && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    } else if (e.key === 'Escape') {
+      setText('');
+    }
+  };
+
+  const handleBlur = () => {
+    setIsFocused(false);
+    if (text.trim()) addTags([text]);
+  };
+
+  return (
+    <div className={`tag-input ${disabled ? 'disabled' : ''}`}>
+      <div className="tag-input-field">
+        <Tag size={16} className="tag-input-icon" />
+        {tags.map(tag => (
+          <span key={tag} className="tag-chip">
+            {tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              disabled={disabled}
+              title={`Remove "${tag}"`}
+            >
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsFocused(true)}
+          onBlur={handleBlur}
+          placeholder={tags.length === 0 ? 'Add tags' : ''}
+          maxLength={MAX_TAG_LENGTH}
+          disabled={disabled}
+          role="combobox"
+          aria-controls={listId}
+          aria-expanded={isFocused && suggestions.length > 0}
+          aria-autocomplete="list"
+        />
+      </div>
+
+      {isFocused && suggestions.length > 0 && (
+        <ul id={listId} className="tag-suggestions" role="listbox">
+          {suggestions.map((tag, index) => (
+            <li key={tag.name} role="option" aria-selected={index === highlighted}>
+              <button
+                type="button"
+                className={index === highlighted ? 'highlighted' : ''}
+                // Keep focus in the input so the suggestion is added before it blurs
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTags([tag.name])}
+              >
+                <span>{tag.name}</span>
+                <span className="tag-suggestion-count">{tag.count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
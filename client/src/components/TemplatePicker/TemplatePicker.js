@@ -0,0 +1,45 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FilePlus, Settings } from 'lucide-react';
+import './TemplatePicker.css';
+
+const TemplatePicker = ({ templates = [], selectedId, onSelect }) => {
+  return (
+    <div className="template-picker">
+      <div className="template-picker-header">
+        <h3>Start from a template</h3>
+        <Link to="/templates" className="manage-templates-link">
+          <Settings size={14} />
+          Manage templates
+        </Link>
+      </div>
+      <div className="template-options">
+        <button
+          type="button"
+          className={`template-option ${!selectedId ? 'selected' : ''}`}
+          onClick={() => onSelect(null)}
+        >
+          <span className="template-icon"><FilePlus size={20} /></span>
+          <span className="template-name">Blank</span>
+          <span className="template-description">Start from an empty page</span>
+        </button>
+        {templates.map(template => (
+          <button
+            key={template._id}
+            type="button"
+            className={`template-option ${selectedId === template._id ? 'selected' : ''}`}
+            onClick={() => onSelect(template)}
+          >
+            <span className="template-icon">{template.icon}</span>
+            <span className="template-name">{template.name}</span>
+            {template.description && (
+              <span className="template-description">{template.description}</span>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TemplatePicker;
@@ -0,0 +1,109 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Mic, Square } from 'lucide-react';
+import { formatDuration } from '../../utils/media';
+import './VoiceRecorder.css';
+
+// Recording formats in order of preference; browsers support different ones
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a' };
+
+// Recordings stop by themselves after this long, keeping them under the upload limit
+const MAX_RECORDING_SECONDS = 30 * 60;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const isSupported = () => typeof window !== 'undefined' &&
+  !!window.MediaRecorder &&
+  !!navigator.mediaDevices?.getUserMedia;
+
+// Records a voice note with the microphone and hands it over as a File with its duration in seconds
+const VoiceRecorder = ({ onRecorded, disabled = false }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const recorderRef = useRef(null);
+  const startedAtRef = useRef(null);
+
+  useEffect(() => {
+    if (!isRecording) return;
+    const timer = setInterval(() => {
+      const seconds = (Date.now() - startedAtRef.current) / 1000;
+      setElapsed(seconds);
+      if (seconds >= MAX_RECORDING_SECONDS) {
+        recorderRef.current?.stop();
+      }
+    }, 250);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  // Release the microphone if the editor is left mid-recording
+  useEffect(() => () => {
+    const recorder = recorderRef.current;
+    if (recorder && recorder.state !== 'inactive') {
+      recorder.onstop = null;
+      recorder.stop();
+      recorder.stream.getTracks().forEach(track => track.stop());
+    }
+  }, []);
+
+  const startRecording = async () => {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      toast.error('Microphone access is needed to record a voice note');
+      return;
+    }
+
+    const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      setIsRecording(false);
+
+      const duration = (Date.now() - startedAtRef.current) / 1000;
+      const type = (recorder.mimeType || 'audio/webm').split(';')[0];
+      const blob = new Blob(chunks, { type });
+      if (blob.size > MAX_FILE_SIZE) {
+        toast.error('This recording is too long to upload (max 10MB)');
+        return;
+      }
+
+      const name = `voice-note-${format(new Date(), 'yyyy-MM-dd-HHmmss')}.${EXTENSIONS[type] || 'webm'}`;
+      onRecorded(new File([blob], name, { type }), duration);
+    };
+
+    recorderRef.current = recorder;
+    startedAtRef.current = Date.now();
+    setElapsed(0);
+    recorder.start();
+    setIsRecording(true);
+  };
+
+  if (!isSupported()) return null;
+
+  return (
+    <div className="voice-recorder">
+      {isRecording ? (
+        <button type="button" className="record-btn recording" onClick={() => recorderRef.current.stop()}>
+          <Square size={16} />
+          Stop recording
+          <span className="record-time">{formatDuration(elapsed)}</span>
+        </button>
+      ) : (
+        <button type="button" className="record-btn" onClick={startRecording} disabled={disabled}>
+          <Mic size={16} />
+          Record a voice note
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VoiceRecorder;
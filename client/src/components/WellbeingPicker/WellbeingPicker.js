@@ -0,0 +1,51 @@
+import React from 'react';
+import { WELLBEING_FIELDS } from '../../utils/emotions';
+import './WellbeingPicker.css';
+
+const LEVELS = [1, 2, 3, 4, 5];
+
+// Optional energy, stress and sleep quality ratings from 1 to 5.
+// `value` is { energy, stress, sleepQuality } with unset values left out, or null.
+// Clicking the selected level again clears that rating.
+const WellbeingPicker = ({ value, onChange, disabled = false }) => {
+  const setLevel = (key, level) => {
+    const next = { ...(value || {}) };
+    if (next[key] === level) {
+      delete next[key];
+    } else {
+      next[key] = level;
+    }
+    onChange(Object.keys(next).length > 0 ? next : null);
+  };
+
+  return (
+    <div className="wellbeing-picker">
+      {WELLBEING_FIELDS.map(({ key, label, low, high }) => (
+        <div key={key} className="wellbeing-field">
+          <span className="wellbeing-label">{label}</span>
+          <div className="wellbeing-levels" role="radiogroup" aria-label={label}>
+            {LEVELS.map(level => (
+              <button
+                key={level}
+                type="button"
+                className={value?.[key] === level ? 'selected' : ''}
+                onClick={() => setLevel(key, level)}
+                role="radio"
+                aria-checked={value?.[key] === level}
+                disabled={disabled}
+              >
+                {level}
+              </button>
+            ))}
+          </div>
+          <div className="wellbeing-scale">
+            <span>{low}</span>
+            <span>{high}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default WellbeingPicker;
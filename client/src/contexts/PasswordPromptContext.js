@@ -1,32 +1,78 @@
-import React, { createContext, useState, useContext, useCallback } from 'react';
+import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
 import PasswordPrompt from '../components/PasswordPrompt';
 import api from '../utils/api';
-import useJournalPasswordStore from '../stores/journalPasswordStore';
+import useJournalUnlockStore from '../stores/journalUnlockStore';
+import useNotebookUnlockStore from '../stores/notebookUnlockStore';
 import { useNavigate } from 'react-router-dom';
 import { useMutation, useQueryClient } from 'react-query';
 import toast from 'react-hot-toast';
 
 const PasswordPromptContext = createContext();
 
+// Unlocked entries and notebooks lock again after this long without any activity
+const AUTO_LOCK_AFTER = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+
 export const usePasswordPrompt = () => useContext(PasswordPromptContext);
 
 export const PasswordPromptProvider = ({ children }) => {
   const [promptState, setPromptState] = useState({ isOpen: false, journalId: null, action: null });
-  const { addPassword } = useJournalPasswordStore();
+  const addUnlock = useJournalUnlockStore(state => state.addUnlock);
+  const hasJournalUnlocks = useJournalUnlockStore(state => Object.keys(state.unlocks).length > 0);
+  const hasNotebookUnlocks = useNotebookUnlockStore(state => Object.keys(state.unlocks).length > 0);
+  const hasUnlocks = hasJournalUnlocks || hasNotebookUnlocks;
   const navigate = useNavigate();
   const queryClient = useQueryClient();
 
+  // Forget every unlock token and the decrypted entries already fetched with them
+  const lockAll = useCallback(() => {
+    useJournalUnlockStore.getState().lockAll();
+    useNotebookUnlockStore.getState().lockAll();
+    queryClient.removeQueries(['journalRevisions']);
+    queryClient.removeQueries(['journalRevisionDiff']);
+    queryClient.resetQueries(['journal']);
+    queryClient.invalidateQueries(['journals']);
+    queryClient.invalidateQueries(['notebooks']);
+    queryClient.invalidateQueries(['collections']);
+  }, [queryClient]);
+
+  // Lock everything again once the user has been inactive for a while
+  useEffect(() => {
+    if (!hasUnlocks) return undefined;
+
+    let lastActivity = Date.now();
+    const handleActivity = () => {
+      lastActivity = Date.now();
+    };
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+
+    const interval = setInterval(() => {
+      if (Date.now() - lastActivity >= AUTO_LOCK_AFTER) {
+        lockAll();
+        toast('Protected entries were locked after inactivity', { icon: '🔒' });
+      }
+    }, 30 * 1000);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+      clearInterval(interval);
+    };
+  }, [hasUnlocks, lockAll]);
+
   // Remove the separate delete mutation as it's now handled in verifyPasswordMutation
 
   const verifyPasswordMutation = useMutation(
     ({ journalId, password, action }) => api.post(`/journal/${journalId}/verify-password`, { password, action }),
     {
       onSuccess: (data, variables) => {
-        const { journalId, action, password } = variables;
-        addPassword(journalId, password);
+        const { journalId, action } = variables;
+        // Viewing and editing continue with a short-lived token instead of the password
+        if (data.data.token) {
+          addUnlock(journalId, data.data.token, data.data.expiresAt);
+        }
         
         if (data.data.deleted) {
-          toast.success('Journal entry deleted successfully!');
+          toast.success('Journal entry moved to trash');
           queryClient.invalidateQueries('journals');
           queryClient.removeQueries(['journal', journalId]);
           navigate('/journal');
@@ -35,6 +81,8 @@ export const PasswordPromptProvider = ({ children }) => {
           
           switch (action) {
             case 'view':
+              // The entry may be open already, behind its locked placeholder
+              queryClient.invalidateQueries(['journal', journalId]);
               navigate(`/journal/${journalId}`);
               break;
             case 'edit':
@@ -85,7 +133,7 @@ export const PasswordPromptProvider = ({ children }) => {
   };
 
   return (
-    <PasswordPromptContext.Provider value={{ promptForPassword }}>
+    <PasswordPromptContext.Provider value={{ promptForPassword, lockAll, hasUnlocks }}>
       {children}
       <PasswordPrompt
         isOpen={promptState.isOpen}
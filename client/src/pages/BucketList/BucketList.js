@@ -107,7 +107,7 @@ const BucketList = () => {
     },
     {
       onSuccess: () => {
-        toast.success('Bucket list item deleted successfully!');
+        toast.success('Bucket list item moved to trash');
         queryClient.invalidateQueries(['bucketList']);
       },
       onError: (error) => {
@@ -175,7 +175,7 @@ const BucketList = () => {
         setModalState({ isOpen: false });
       },
       title: 'Delete Bucket List Item',
-      message: 'Are you sure you want to delete this item? This action cannot be undone.',
+      message: 'Move this item to the trash? You can restore it from the Trash page.',
     });
   };
 
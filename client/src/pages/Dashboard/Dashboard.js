@@ -4,8 +4,12 @@ import { useQuery } from 'react-query';
 import { useAuth } from '../../contexts/AuthContext';
 import { Plus, Calendar, TrendingUp, BookOpen, Clock, ListTodo, Star } from 'lucide-react';
 import api from '../../utils/api';
+import { stripMarkdown } from '../../utils/markdown';
+import { getCoverImage, getMediaSrc } from '../../utils/media';
 import StreakTracker from '../../components/StreakTracker';
 import MotivationalQuote from '../../components/MotivationalQuote';
+import DailyPrompt from '../../components/DailyPrompt/DailyPrompt';
+import OnThisDay from '../../components/OnThisDay/OnThisDay';
 import './Dashboard.css';
 
 const Dashboard = () => {
@@ -68,6 +72,11 @@ const Dashboard = () => {
     return emojis[rating] || '😐';
   };
 
+  const truncateText = (text, maxLength = 150) => {
+    if (text.length <= maxLength) return text;
+    return `${text.substring(0, maxLength)}...`;
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
@@ -120,6 +129,12 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Writing Prompt */}
+      <DailyPrompt />
+
+      {/* Memories */}
+      <OnThisDay />
+
       {/* Quick Actions */}
       <div className="quick-actions">
         <h2>Quick Actions</h2>
@@ -204,15 +219,21 @@ const Dashboard = () => {
                     <h3>{journal.title}</h3>
                     <div className="entry-meta">
                       <span className="mood-emoji">{getMoodEmoji(journal.moodRating)}</span>
-                      <span className="entry-date">{formatDate(journal.createdAt)}</span>
+                      <span className="entry-date">{formatDate(journal.entryDate || journal.createdAt)}</span>
                     </div>
                   </div>
+                  {getCoverImage(journal.media) && (
+                    <img
+                      src={getMediaSrc(getCoverImage(journal.media), 'thumb')}
+                      alt=""
+                      className="entry-thumbnail"
+                      loading="lazy"
+                    />
+                  )}
                   <p className="entry-preview">
                     {journal.isEncrypted 
                       ? '[Content is password protected]'
-                      : journal.content.length > 150 
-                        ? `${journal.content.substring(0, 150)}...` 
-                        : journal.content
+                      : truncateText(stripMarkdown(journal.content))
                     }
                   </p>
                   <div className="entry-footer">
@@ -9,12 +9,48 @@ import {
   Loader2,
   Smile,
   Frown,
-  Meh
+  Meh,
+  CloudRain,
+  Sparkles,
+  Battery
 } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import {
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine,
+  Legend
+} from 'recharts';
 import api from '../../utils/api';
+import { getWeatherLabel, WET_CONDITIONS, DRY_CONDITIONS } from '../../utils/weather';
+import { EMOTION_WHEEL, WELLBEING_FIELDS, getEmotionColor, formatEmotion } from '../../utils/emotions';
 import './MoodInsights.css';
 
+// Most emotions shown in the breakdown chart
+const MAX_CHART_EMOTIONS = 8;
+
+const WELLBEING_COLORS = {
+  energy: '#10B981',
+  stress: '#EF4444',
+  sleepQuality: '#8B5CF6'
+};
+
+// Average mood over the entries of several weather conditions, or null if there are none
+const averageOver = (moodByWeather, conditions) => {
+  const groups = moodByWeather.filter(group => conditions.includes(group.condition));
+  const entries = groups.reduce((sum, group) => sum + group.entries, 0);
+  if (entries === 0) return null;
+  const total = groups.reduce((sum, group) => sum + group.averageMood * group.entries, 0);
+  return { averageMood: Math.round((total / entries) * 10) / 10, entries };
+};
+
 const MoodInsights = () => {
   const [period, setPeriod] = useState('week');
 
@@ -58,6 +94,20 @@ const MoodInsights = () => {
     return `Week ${week}`;
   };
 
+  const moodByWeather = (insightsData?.moodByWeather || []).map(group => ({
+    ...group,
+    label: getWeatherLabel(group.condition)
+  }));
+  const wetDays = averageOver(moodByWeather, WET_CONDITIONS);
+  const dryDays = averageOver(moodByWeather, DRY_CONDITIONS);
+
+  const emotionBreakdown = (insightsData?.emotionBreakdown || [])
+    .slice(0, MAX_CHART_EMOTIONS)
+    .map(emotion => ({ ...emotion, label: formatEmotion(emotion.name) }));
+  const topEmotion = emotionBreakdown[0];
+  const emotionGroups = insightsData?.emotionGroups || [];
+  const wellbeing = insightsData?.wellbeing;
+
   if (isLoading) {
     return (
       <div className="insights-container">
@@ -165,36 +215,138 @@ const MoodInsights = () => {
             </div>
           </div>
 
-          {/* Mood Trend Chart */}
-          <div className="chart-section">
-            <h2>Mood Trend</h2>
-            <div className="chart-container">
-              <ResponsiveContainer width="100%" height={300}>
-                <LineChart data={insightsData.moodTrend}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis 
-                    dataKey={period === 'month' ? 'week' : 'date'} 
-                    tickFormatter={period === 'month' ? formatWeek : formatDate}
-                  />
-                  <YAxis domain={[0, 10]} />
-                  <Tooltip 
-                    formatter={(value) => [`${value}/10`, 'Mood']}
-                    labelFormatter={period === 'month' ? formatWeek : formatDate}
-                  />
-                  <ReferenceLine y={insightsData.averageMood} label={{ value: 'Avg', position: 'right' }} stroke="#F59E0B" strokeDasharray="3 3" />
-                  <Line 
-                    type="monotone" 
-                    dataKey="averageMood"
-                    stroke="#87CEEB" 
-                    strokeWidth={3}
-                    dot={{ fill: '#87CEEB', strokeWidth: 2, r: 4 }}
-                    activeDot={{ r: 6, stroke: '#87CEEB', strokeWidth: 2 }}
-                  />
-                </LineChart>
-              </ResponsiveContainer>
+          <div className={`chart-row ${emotionBreakdown.length > 0 ? 'with-emotions' : ''}`}>
+            {/* Mood Trend Chart */}
+            <div className="chart-section">
+              <h2>Mood Trend</h2>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={insightsData.moodTrend}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis 
+                      dataKey={period === 'month' ? 'week' : 'date'} 
+                      tickFormatter={period === 'month' ? formatWeek : formatDate}
+                    />
+                    <YAxis domain={[0, 10]} />
+                    <Tooltip 
+                      formatter={(value) => [`${value}/10`, 'Mood']}
+                      labelFormatter={period === 'month' ? formatWeek : formatDate}
+                    />
+                    <ReferenceLine y={insightsData.averageMood} label={{ value: 'Avg', position: 'right' }} stroke="#F59E0B" strokeDasharray="3 3" />
+                    <Line 
+                      type="monotone" 
+                      dataKey="averageMood"
+                      stroke="#87CEEB" 
+                      strokeWidth={3}
+                      dot={{ fill: '#87CEEB', strokeWidth: 2, r: 4 }}
+                      activeDot={{ r: 6, stroke: '#87CEEB', strokeWidth: 2 }}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
             </div>
+
+            {/* Emotion Breakdown */}
+            {emotionBreakdown.length > 0 && (
+              <div className="chart-section">
+                <h2>Emotions</h2>
+                <div className="chart-container">
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={emotionBreakdown} layout="vertical" margin={{ left: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis type="number" allowDecimals={false} />
+                      <YAxis type="category" dataKey="label" width={90} />
+                      <Tooltip
+                        formatter={(value, name, item) => [
+                          `${value} ${value === 1 ? 'entry' : 'entries'}, intensity ${item.payload.averageIntensity}/5, mood ${item.payload.averageMood}/10`,
+                          item.payload.label
+                        ]}
+                        labelFormatter={() => ''}
+                      />
+                      <Bar dataKey="entries" radius={[0, 4, 4, 0]}>
+                        {emotionBreakdown.map(emotion => (
+                          <Cell key={emotion.name} fill={getEmotionColor(emotion.name)} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="emotion-groups">
+                  {emotionGroups.map(({ group, entries }) => (
+                    <span
+                      key={group}
+                      className="emotion-group-count"
+                      style={{ '--emotion-color': EMOTION_WHEEL[group].color }}
+                    >
+                      {EMOTION_WHEEL[group].emoji} {EMOTION_WHEEL[group].label} · {entries}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
+          {/* Wellbeing */}
+          {wellbeing?.entries > 0 && (
+            <div className="chart-section">
+              <h2>Energy, Stress and Sleep</h2>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={insightsData.moodTrend}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" tickFormatter={formatDate} />
+                    <YAxis domain={[1, 5]} allowDecimals={false} />
+                    <Tooltip
+                      formatter={(value, name) => [`${Math.round(value * 10) / 10}/5`, name]}
+                      labelFormatter={formatDate}
+                    />
+                    <Legend />
+                    {WELLBEING_FIELDS.map(({ key, label }) => (
+                      <Line
+                        key={key}
+                        type="monotone"
+                        dataKey={key}
+                        name={label}
+                        stroke={WELLBEING_COLORS[key]}
+                        strokeWidth={2}
+                        connectNulls
+                        dot={{ r: 3 }}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+
+          {/* Mood by Weather */}
+          {moodByWeather.length > 0 && (
+            <div className="chart-section">
+              <h2>Mood and Weather</h2>
+              <div className="chart-container">
+                <ResponsiveContainer width="100%" height={300}>
+                  <BarChart data={moodByWeather}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis domain={[0, 10]} />
+                    <Tooltip
+                      formatter={(value, name, item) => [
+                        `${value}/10 over ${item.payload.entries} ${item.payload.entries === 1 ? 'entry' : 'entries'}`,
+                        'Average mood'
+                      ]}
+                    />
+                    <ReferenceLine y={insightsData.averageMood} label={{ value: 'Avg', position: 'right' }} stroke="#F59E0B" strokeDasharray="3 3" />
+                    <Bar dataKey="averageMood" radius={[4, 4, 0, 0]}>
+                      {moodByWeather.map(group => (
+                        <Cell key={group.condition} fill={getMoodColor(group.averageMood)} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+
           {/* Detailed Insights */}
           <div className="detailed-insights">
             <h2>Detailed Insights</h2>
@@ -231,6 +383,59 @@ const MoodInsights = () => {
               </div>
             )}
 
+            {topEmotion && (
+              <div className="insight-item neutral">
+                <div className="insight-icon">
+                  <Sparkles size={20} />
+                </div>
+                <div className="insight-content">
+                  <h4>Most Felt Emotion</h4>
+                  <p>You felt {topEmotion.name} in {topEmotion.entries} {topEmotion.entries === 1 ? 'entry' : 'entries'} this {period},
+                     at an average intensity of {topEmotion.averageIntensity}/5.</p>
+                  <p className="insight-note">
+                    Your mood averaged {topEmotion.averageMood}/10 in those entries.
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {wellbeing?.entries > 0 && (
+              <div className="insight-item neutral">
+                <div className="insight-icon">
+                  <Battery size={20} />
+                </div>
+                <div className="insight-content">
+                  <h4>Wellbeing</h4>
+                  <p>
+                    {WELLBEING_FIELDS
+                      .filter(({ key }) => wellbeing[key] !== null)
+                      .map(({ key, label }) => `${label} averaged ${wellbeing[key]}/5`)
+                      .join(', ')}.
+                  </p>
+                  <p className="insight-note">
+                    Based on {wellbeing.entries} {wellbeing.entries === 1 ? 'entry' : 'entries'} with wellbeing logged.
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {wetDays && dryDays && (
+              <div className={`insight-item ${wetDays.averageMood < dryDays.averageMood ? 'negative' : 'positive'}`}>
+                <div className="insight-icon">
+                  <CloudRain size={20} />
+                </div>
+                <div className="insight-content">
+                  <h4>Rainy Days</h4>
+                  <p>On rainy days your mood averaged {wetDays.averageMood}/10, compared
+                     with {dryDays.averageMood}/10 on dry days.</p>
+                  <p className="insight-note">
+                    Based on {wetDays.entries} rainy and {dryDays.entries} dry {dryDays.entries === 1 ? 'entry' : 'entries'} with
+                    weather recorded.
+                  </p>
+                </div>
+              </div>
+            )}
+
             <div className="insight-item neutral">
               <div className="insight-icon">
                 <TrendingUp size={20} />
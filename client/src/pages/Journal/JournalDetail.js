@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { toast } from 'react-hot-toast';
@@ -6,6 +6,7 @@ import {
   ArrowLeft, 
   Edit, 
   Trash2, 
+  Share2,
   Calendar, 
   Tag, 
   Heart, 
@@ -14,28 +15,46 @@ import {
   Video as VideoIcon,
   FileText,
   Loader2,
-  AlertTriangle
+  AlertTriangle,
+  Lightbulb,
+  MapPin,
+  Link2
 } from 'lucide-react';
 import { format } from 'date-fns';
 import api from '../../utils/api';
+import { getMediaSrc } from '../../utils/media';
+import { toLocationValue, hasCoordinates, formatPlace } from '../../utils/location';
+import { getWeatherIcon, formatWeather } from '../../utils/weather';
+import {
+  WELLBEING_FIELDS,
+  INTENSITY_LABELS,
+  getEmotionColor,
+  formatEmotion,
+  hasWellbeing
+} from '../../utils/emotions';
+import AudioPlayer from '../../components/AudioPlayer/AudioPlayer';
 import { usePasswordPrompt } from '../../contexts/PasswordPromptContext';
-import useJournalPasswordStore from '../../stores/journalPasswordStore';
+import useJournalUnlockStore from '../../stores/journalUnlockStore';
 import DeleteConfirmModal from '../../components/DeleteConfirmModal/DeleteConfirmModal';
+import JournalHistory from '../../components/JournalHistory/JournalHistory';
+import MarkdownContent from '../../components/Markdown/MarkdownContent';
+import ShareDialog from '../../components/ShareDialog/ShareDialog';
 import './JournalDetail.css';
 
 const JournalDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
-  const { getPassword, removePassword } = useJournalPasswordStore();
+  const unlocks = useJournalUnlockStore(state => state.unlocks);
   const { promptForPassword } = usePasswordPrompt();
 
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [showShareDialog, setShowShareDialog] = useState(false);
 
-  // Fetch journal entry
+  // Fetch journal entry. Protected entries come back with `contentLocked` unless
+  // they were unlocked in this session; api.js sends their unlock tokens.
   const fetchJournal = async () => {
-    const password = getPassword(id);
-    const response = await api.get(`/journal/${id}`, { params: { password } });
+    const response = await api.get(`/journal/${id}`);
     return response.data.journal;
   };
 
@@ -62,6 +81,29 @@ const JournalDetail = () => {
     },
   });
 
+  // Entries linking to this one
+  const { data: backlinks = [] } = useQuery(
+    ['journal', id, 'backlinks'],
+    async () => {
+      const response = await api.get(`/journal/${id}/backlinks`);
+      return response.data.backlinks;
+    },
+    { enabled: !!journal }
+  );
+
+  // Protected entries stay behind a placeholder until they are unlocked in this session
+  const linkedEntries = useMemo(() => journal?.linkedEntries?.map(entry => (
+    entry && { ...entry, locked: entry.isEncrypted && !(unlocks[entry._id]?.expiresAt > Date.now()) }
+  )), [journal, unlocks]);
+
+  const openLinkedEntry = (journalId, locked) => {
+    if (locked) {
+      promptForPassword(journalId, 'view');
+    } else {
+      navigate(`/journal/${journalId}`);
+    }
+  };
+
   // Delete is now handled through password verification in PasswordPromptContext
 
   const handleEdit = () => {
@@ -83,7 +125,7 @@ const JournalDetail = () => {
   const confirmDelete = async () => {
     try {
       await api.delete(`/journal/${id}`);
-      toast.success('Journal entry deleted successfully');
+      toast.success('Journal entry moved to trash');
       queryClient.invalidateQueries('journals');
       navigate('/journal');
     } catch (error) {
@@ -142,6 +184,9 @@ const JournalDetail = () => {
     );
   }
 
+  const place = toLocationValue(journal);
+  const WeatherIcon = journal.weather?.condition ? getWeatherIcon(journal.weather.condition) : null;
+
   return (
     <div className="journal-detail-container">
       {/* Header */}
@@ -156,6 +201,10 @@ const JournalDetail = () => {
               <Edit size={16} />
               Edit
             </button>
+            <button onClick={() => setShowShareDialog(true)} className="share-btn">
+              <Share2 size={16} />
+              Share
+            </button>
             <button onClick={handleDelete} className="delete-btn">
               <Trash2 size={16} />
               Delete
@@ -170,7 +219,7 @@ const JournalDetail = () => {
           <div className="entry-meta">
             <div className="entry-date">
               <Calendar size={16} />
-              <span>{format(new Date(journal.date || journal.createdAt), 'EEEE, MMMM dd, yyyy')}</span>
+              <span>{format(new Date(journal.entryDate || journal.createdAt), 'EEEE, MMMM dd, yyyy · h:mm a')}</span>
             </div>
             <div className="entry-mood">
               <Heart size={16} />
@@ -183,10 +232,75 @@ const JournalDetail = () => {
                 <span>Encrypted Entry</span>
               </div>
             )}
+            {journal.template && (
+              <div className="entry-template">
+                <span>{journal.template.icon}</span>
+                <span>{journal.template.name}</span>
+              </div>
+            )}
+            {place && (
+              hasCoordinates(place) ? (
+                <Link to={`/map?lat=${place.latitude}&lng=${place.longitude}`} className="entry-location">
+                  <MapPin size={16} />
+                  <span>{formatPlace(place)}</span>
+                </Link>
+              ) : (
+                <div className="entry-location">
+                  <MapPin size={16} />
+                  <span>{formatPlace(place)}</span>
+                </div>
+              )
+            )}
+            {WeatherIcon && (
+              <div className="entry-weather">
+                <WeatherIcon size={16} />
+                <span>{formatWeather(journal.weather)}</span>
+              </div>
+            )}
           </div>
           <h1 className="entry-title">{journal.title}</h1>
         </div>
 
+        {/* Writing Prompt */}
+        {journal.prompt && (
+          <Link to={`/journal?prompt=${journal.prompt._id}`} className="entry-prompt">
+            <Lightbulb size={16} />
+            <span>{journal.prompt.text}</span>
+          </Link>
+        )}
+
+        {/* Emotions and Wellbeing */}
+        {(journal.emotions?.length > 0 || hasWellbeing(journal.wellbeing)) && (
+          <div className="entry-feelings">
+            {journal.emotions?.length > 0 && (
+              <div className="entry-emotions">
+                {journal.emotions.map(({ name, intensity }) => (
+                  <span
+                    key={name}
+                    className="emotion-chip"
+                    style={{ '--emotion-color': getEmotionColor(name) }}
+                    title={`${INTENSITY_LABELS[intensity - 1]} ${name}`}
+                  >
+                    {formatEmotion(name)}
+                    <span className="emotion-chip-intensity">{intensity}/5</span>
+                  </span>
+                ))}
+              </div>
+            )}
+            {hasWellbeing(journal.wellbeing) && (
+              <div className="entry-wellbeing">
+                {WELLBEING_FIELDS
+                  .filter(({ key }) => typeof journal.wellbeing[key] === 'number')
+                  .map(({ key, label }) => (
+                    <span key={key}>
+                      {label} <strong>{journal.wellbeing[key]}/5</strong>
+                    </span>
+                  ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Tags */}
         {journal.tags && journal.tags.length > 0 && (
           <div className="entry-tags">
@@ -205,13 +319,18 @@ const JournalDetail = () => {
             <h3>Attachments</h3>
             <div className="media-grid">
               {journal.media.map((media, index) => (
-                <div key={index} className="media-item">
+                <figure key={media._id || index} className="media-item">
                   {media.type === 'image' ? (
-                    <img 
-                      src={media.url} 
-                      alt={`Attachment ${index + 1}`}
-                      className="media-image"
-                    />
+                    <a href={getMediaSrc(media, 'full')} target="_blank" rel="noopener noreferrer">
+                      <img
+                        src={getMediaSrc(media, 'card')}
+                        alt={media.caption || `Attachment ${index + 1}`}
+                        className="media-image"
+                        loading="lazy"
+                      />
+                    </a>
+                  ) : media.type === 'audio' ? (
+                    <AudioPlayer src={media.url} title={media.filename} duration={media.duration} />
                   ) : media.type === 'video' ? (
                     <video 
                       src={media.url}
@@ -226,7 +345,10 @@ const JournalDetail = () => {
                       <span>{media.filename}</span>
                     </div>
                   )}
-                </div>
+                  {media.caption && (
+                    <figcaption className="media-caption">{media.caption}</figcaption>
+                  )}
+                </figure>
               ))}
             </div>
           </div>
@@ -234,13 +356,62 @@ const JournalDetail = () => {
 
         {/* Journal Content */}
         <div className="entry-content">
-          <div className="content-text">
-            {journal.content.split('\n').map((paragraph, index) => (
-              <p key={index}>{paragraph}</p>
-            ))}
-          </div>
+          {journal.contentLocked ? (
+            <div className="entry-content-locked">
+              <Lock size={32} />
+              <p>This entry is protected. Enter its password to read it.</p>
+              <button className="unlock-entry-btn" onClick={() => promptForPassword(id, 'view')}>
+                Unlock Entry
+              </button>
+            </div>
+          ) : (
+            <MarkdownContent
+              className="content-text"
+              html={journal.contentHtml}
+              markdown={journal.content}
+              linkedEntries={linkedEntries}
+              onOpenLink={openLinkedEntry}
+            />
+          )}
         </div>
 
+        {/* Backlinks */}
+        {backlinks.length > 0 && (
+          <div className="entry-backlinks">
+            <h3>
+              <Link2 size={16} />
+              Linked from
+            </h3>
+            <ul>
+              {backlinks.map(source => {
+                const locked = source.isEncrypted && !(unlocks[source._id]?.expiresAt > Date.now());
+                return (
+                  <li key={source._id}>
+                    {locked ? (
+                      <button
+                        type="button"
+                        className="backlink locked"
+                        onClick={() => promptForPassword(source._id, 'view')}
+                      >
+                        <Lock size={14} />
+                        Protected entry
+                      </button>
+                    ) : (
+                      <Link to={`/journal/${source._id}`} className="backlink">
+                        {source.isEncrypted && <Lock size={14} />}
+                        {source.title || 'Protected entry'}
+                      </Link>
+                    )}
+                    <span className="backlink-date">
+                      {format(new Date(source.entryDate), 'MMM dd, yyyy')}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
         {/* Entry Footer */}
         <div className="entry-footer">
           <div className="footer-meta">
@@ -251,7 +422,9 @@ const JournalDetail = () => {
           </div>
         </div>
       </div>
-      
+
+      {/* Edit History */}
+      {!journal.contentLocked && <JournalHistory journalId={id} />}
       
       {/* Delete Confirmation Modal */}
       <DeleteConfirmModal
@@ -259,10 +432,16 @@ const JournalDetail = () => {
         onClose={() => setShowDeleteModal(false)}
         onConfirm={confirmDelete}
         title="Delete Journal Entry"
-        message="Are you sure you want to delete this journal entry? This action cannot be undone."
+        message="Move this journal entry to the trash? You can restore it from the Trash page."
         itemName={journal?.title}
         isLoading={false}
       />
+
+      <ShareDialog
+        isOpen={showShareDialog}
+        onClose={() => setShowShareDialog(false)}
+        journal={journal}
+      />
     </div>
   );
 };
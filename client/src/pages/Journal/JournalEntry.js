@@ -1,9 +1,10 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { useForm } from 'react-hook-form';
 import { useMutation, useQueryClient, useQuery } from 'react-query';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { useDropzone } from 'react-dropzone';
+import { format } from 'date-fns';
 import { 
   Save, 
   X, 
@@ -15,29 +16,115 @@ import {
   Smile,
   Loader2,
   Calendar,
-  Tag
+  FileText,
+  Cloud,
+  Lightbulb,
+  ChevronLeft,
+  ChevronRight
 } from 'lucide-react';
 import api from '../../utils/api';
-import useJournalPasswordStore from '../../stores/journalPasswordStore';
+import useJournalUnlockStore from '../../stores/journalUnlockStore';
 import { usePasswordPrompt } from '../../contexts/PasswordPromptContext';
+import MarkdownEditor from '../../components/Markdown/MarkdownEditor';
+import TemplatePicker from '../../components/TemplatePicker/TemplatePicker';
+import ConfirmationModal from '../../components/common/ConfirmationModal';
+import DailyPrompt from '../../components/DailyPrompt/DailyPrompt';
+import VoiceRecorder from '../../components/VoiceRecorder/VoiceRecorder';
+import LocationPicker from '../../components/LocationPicker/LocationPicker';
+import TagInput from '../../components/TagInput/TagInput';
+import EmotionPicker from '../../components/EmotionPicker/EmotionPicker';
+import WellbeingPicker from '../../components/WellbeingPicker/WellbeingPicker';
+import { stripMarkdown } from '../../utils/markdown';
+import { getMediaSrc, formatDuration } from '../../utils/media';
+import { buildTemplateContent, mergeTemplateTags } from '../../utils/templates';
+import { toLocationValue } from '../../utils/location';
+import { hasWellbeing } from '../../utils/emotions';
 import './JournalEntry.css';
 
+// Wait this long after the last change before autosaving a draft
+const AUTOSAVE_DELAY = 3000;
+
+// Value for a datetime-local input, in the user's timezone
+const toDateTimeInput = (date) => format(date ? new Date(date) : new Date(), "yyyy-MM-dd'T'HH:mm");
+
+// Entry dates are sent to the server as ISO timestamps
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// The `location` form field; an empty value clears the entry's location
+const toLocationField = (location) => (location ? JSON.stringify(location) : '');
+
+// The `emotions` and `wellbeing` form fields; empty values clear them
+const appendFeelings = (formData, emotions, wellbeing) => {
+  formData.append('emotions', JSON.stringify(emotions));
+  formData.append('wellbeing', wellbeing ? JSON.stringify(wellbeing) : '');
+};
+
+// Wellbeing as stored on an entry or draft, or null when nothing was logged
+const toWellbeingValue = (wellbeing) => (hasWellbeing(wellbeing) ? wellbeing : null);
+
+// Media type of a file picked in the editor
+const getFileType = (file) => ['image', 'audio'].find(type => file.type.startsWith(`${type}/`)) || 'video';
+
+// Send the lengths measured while recording voice notes, for formats that do not store their own
+const appendRecordingDurations = (formData, files) => {
+  const durations = {};
+  files.forEach(fileObj => {
+    if (fileObj.duration) durations[fileObj.file.name] = fileObj.duration;
+  });
+  if (Object.keys(durations).length > 0) {
+    formData.append('recordingDurations', JSON.stringify(durations));
+  }
+};
+
+// Preview of an attachment in the editor
+const MediaPreview = ({ type, src, alt }) => {
+  if (type === 'image') return <img src={src} alt={alt} />;
+  if (type === 'audio') return <audio src={src} controls preload="metadata" />;
+  return <video src={src} controls />;
+};
+
 const JournalEntry = () => {
   const navigate = useNavigate();
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
   const queryClient = useQueryClient();
-  const { getPassword } = useJournalPasswordStore();
+  const isUnlocked = useJournalUnlockStore(state => state.isUnlocked);
   const { promptForPassword } = usePasswordPrompt();
 
   const [isEncrypted, setIsEncrypted] = useState(false);
   const [encryptionPassword, setEncryptionPassword] = useState('');
   const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [location, setLocation] = useState(null);
+  const [emotions, setEmotions] = useState([]);
+  const [wellbeing, setWellbeing] = useState(null);
+  const [template, setTemplate] = useState(null);
+  const [templateToApply, setTemplateToApply] = useState(undefined);
+  const [promptId, setPromptId] = useState(() => (id ? null : searchParams.get('prompt')));
+
+  // Server-side draft state
+  const [draftId, setDraftId] = useState(null);
+  const [draftMedia, setDraftMedia] = useState([]);
+  const [pendingDraft, setPendingDraft] = useState(null);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [isSavingDraft, setIsSavingDraft] = useState(false);
+  const [changeCount, setChangeCount] = useState(0);
+  const savingDraftRef = useRef(false);
+  const publishingRef = useRef(false);
+  // Set when an autosave is asked for while another save or a publish is in flight
+  const draftQueuedRef = useRef(false);
+  // Saves that are in flight or queued read the latest draft and files from these
+  const draftIdRef = useRef(draftId);
+  const uploadedFilesRef = useRef(uploadedFiles);
+  const saveDraftRef = useRef(null);
+  draftIdRef.current = draftId;
+  uploadedFilesRef.current = uploadedFiles;
 
   const {
     register,
     handleSubmit,
     formState: { errors, isSubmitting },
     setValue,
+    getValues,
     watch,
     reset
   } = useForm({
@@ -46,19 +133,27 @@ const JournalEntry = () => {
       content: '',
       moodRating: 5,
       tags: '',
-      isPublic: false
+      isPublic: false,
+      entryDate: toDateTimeInput()
     }
   });
 
   const watchedTitle = watch('title');
   const watchedContent = watch('content');
 
+  // Count edits made by the user; resets from loading data have no field name
+  useEffect(() => {
+    const subscription = watch((value, { name }) => {
+      if (name) setChangeCount(count => count + 1);
+    });
+    return () => subscription.unsubscribe();
+  }, [watch]);
+
   // Fetch journal data when editing
   const fetchJournal = async () => {
     if (!id) return null;
-    const password = getPassword(id);
-    // If there's no password for a protected entry, the API will return 401
-    const response = await api.get(`/journal/${id}`, { params: { password } });
+    // Protected entries only open with the unlock token api.js sends
+    const response = await api.get(`/journal/${id}`);
     return response.data.journal;
   };
 
@@ -68,6 +163,11 @@ const JournalEntry = () => {
     {
       enabled: !!id,
       onSuccess: (data) => {
+        if (data?.contentLocked) {
+          toast.error('This entry is locked. Unlock it again to edit it.');
+          navigate(`/journal/${id}`);
+          return;
+        }
         if (data) {
           reset({
             title: data.title || '',
@@ -75,6 +175,7 @@ const JournalEntry = () => {
             moodRating: data.moodRating || 5,
             tags: data.tags ? data.tags.join(', ') : '',
             isPublic: data.isPublic || false,
+            entryDate: toDateTimeInput(data.entryDate || data.createdAt),
           });
           setIsEncrypted(data.isEncrypted || false);
         }
@@ -90,6 +191,8 @@ const JournalEntry = () => {
         }
       },
       retry: false,
+      // Refetching would reset the form, and an expired unlock token would close it
+      refetchOnWindowFocus: false,
     }
   );
 
@@ -102,12 +205,256 @@ const JournalEntry = () => {
         content: journalData.content || '',
         moodRating: journalData.moodRating || 5,
         tags: journalData.tags ? journalData.tags.join(', ') : '',
-        isPublic: journalData.isPublic || false
+        isPublic: journalData.isPublic || false,
+        entryDate: toDateTimeInput(journalData.entryDate || journalData.createdAt)
       });
       setIsEncrypted(journalData.isEncrypted || false);
+      setLocation(toLocationValue(journalData));
+      setEmotions(journalData.emotions || []);
+      setWellbeing(toWellbeingValue(journalData.wellbeing));
     }
   }, [journalData, reset]);
 
+  // Look for a draft left behind for this entry (or for a new entry)
+  const isProtectedEntry = isEncrypted || !!journalData?.isEncrypted;
+  useQuery(
+    ['journalDraft', id || 'new'],
+    async () => {
+      const response = await api.get('/drafts', { params: { journal: id || 'new' } });
+      return response.data.drafts;
+    },
+    {
+      enabled: id ? !!journalData && !journalData.isEncrypted : true,
+      staleTime: Infinity,
+      refetchOnWindowFocus: false,
+      onSuccess: (drafts) => {
+        if (drafts && drafts.length > 0 && !draftId) {
+          setPendingDraft(drafts[0]);
+        }
+      }
+    }
+  );
+
+  // Templates are only offered when starting a new entry
+  const { data: templates = [] } = useQuery(
+    ['templates'],
+    async () => {
+      const response = await api.get('/templates');
+      return response.data.templates;
+    },
+    {
+      enabled: !id,
+      staleTime: 5 * 60 * 1000
+    }
+  );
+
+  const applyTemplate = (nextTemplate) => {
+    setValue('content', buildTemplateContent(nextTemplate), { shouldDirty: true });
+    setValue('tags', mergeTemplateTags(getValues('tags'), nextTemplate), { shouldDirty: true });
+    setTemplate(nextTemplate);
+    setTemplateToApply(undefined);
+  };
+
+  // Replacing content the user has written needs confirmation
+  const selectTemplate = (nextTemplate) => {
+    const content = getValues('content');
+    if (content.trim() && content !== buildTemplateContent(template)) {
+      setTemplateToApply(nextTemplate);
+    } else {
+      applyTemplate(nextTemplate);
+    }
+  };
+
+  // Opened from the templates page with ?template=<id>. Applied once the templates have
+  // loaded; the current template and applyTemplate are read through refs so that
+  // picking another template does not run this again.
+  const requestedTemplateId = searchParams.get('template');
+  const templateRef = useRef(template);
+  const applyTemplateRef = useRef(applyTemplate);
+  templateRef.current = template;
+  applyTemplateRef.current = applyTemplate;
+  useEffect(() => {
+    if (id || !requestedTemplateId || templateRef.current) return;
+    const requested = templates.find(t => t._id === requestedTemplateId);
+    if (requested && !getValues('content').trim()) {
+      applyTemplateRef.current(requested);
+    }
+  }, [templates, requestedTemplateId, id, getValues]);
+
+  // The writing prompt a new entry answers
+  const { data: writingPrompt } = useQuery(
+    ['writingPrompt', promptId],
+    async () => {
+      const response = await api.get(`/prompts/${promptId}`);
+      return response.data.prompt;
+    },
+    {
+      enabled: !!promptId,
+      staleTime: Infinity,
+      onError: () => setPromptId(null)
+    }
+  );
+
+  const attachPrompt = (prompt) => {
+    queryClient.setQueryData(['writingPrompt', prompt._id], prompt);
+    setPromptId(prompt._id);
+    setChangeCount(count => count + 1);
+  };
+
+  const detachPrompt = () => {
+    setPromptId(null);
+    setChangeCount(count => count + 1);
+  };
+
+  const resumeDraft = () => {
+    reset({
+      title: pendingDraft.title || '',
+      content: pendingDraft.content || '',
+      moodRating: pendingDraft.moodRating || 5,
+      tags: pendingDraft.tags ? pendingDraft.tags.join(', ') : '',
+      isPublic: pendingDraft.isPublic || false,
+      entryDate: toDateTimeInput(pendingDraft.entryDate)
+    });
+    setTemplate(templates.find(t => t._id === pendingDraft.template) || null);
+    setPromptId(pendingDraft.prompt || null);
+    setLocation(toLocationValue(pendingDraft));
+    setEmotions(pendingDraft.emotions || []);
+    setWellbeing(toWellbeingValue(pendingDraft.wellbeing));
+    setDraftId(pendingDraft._id);
+    setDraftMedia(pendingDraft.media || []);
+    setDraftSavedAt(new Date(pendingDraft.updatedAt));
+    setPendingDraft(null);
+  };
+
+  const discardPendingDraft = async () => {
+    const draft = pendingDraft;
+    setPendingDraft(null);
+    try {
+      await api.delete(`/drafts/${draft._id}`);
+      toast.success('Draft discarded');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to discard draft');
+    }
+  };
+
+  // Autosave the editor to a server-side draft a few seconds after the last change.
+  // Protected entries are never drafted because drafts are stored unencrypted.
+  const saveDraft = useCallback(async () => {
+    if (isProtectedEntry) return;
+    if (savingDraftRef.current || publishingRef.current) {
+      // Saved once the request in flight is done, so the latest edits are kept
+      draftQueuedRef.current = true;
+      return;
+    }
+    savingDraftRef.current = true;
+    setIsSavingDraft(true);
+
+    const values = getValues();
+    const filesToUpload = uploadedFilesRef.current;
+    const formData = new FormData();
+    ['title', 'content', 'moodRating', 'tags', 'isPublic'].forEach(key => {
+      formData.append(key, values[key] ?? '');
+    });
+    formData.append('entryDate', toIsoDate(values.entryDate));
+    formData.append('location', toLocationField(location));
+    appendFeelings(formData, emotions, wellbeing);
+    if (!id) {
+      formData.append('template', template?._id || '');
+      formData.append('prompt', promptId || '');
+    }
+    appendRecordingDurations(formData, filesToUpload);
+    filesToUpload.forEach(fileObj => formData.append('media', fileObj.file));
+
+    try {
+      let response;
+      if (draftIdRef.current) {
+        response = await api.put(`/drafts/${draftIdRef.current}`, formData, {
+          headers: { 'Content-Type': 'multipart/form-data' },
+        });
+      } else {
+        if (id) formData.append('journal', id);
+        response = await api.post('/drafts', formData, {
+          headers: { 'Content-Type': 'multipart/form-data' },
+        });
+      }
+
+      const draft = response.data.draft;
+      draftIdRef.current = draft._id;
+      setDraftId(draft._id);
+      setDraftMedia(draft.media);
+      setDraftSavedAt(new Date(draft.updatedAt));
+
+      // Uploaded files now live on the draft
+      if (filesToUpload.length > 0) {
+        const uploadedIds = filesToUpload.map(fileObj => fileObj.id);
+        filesToUpload.forEach(fileObj => fileObj.preview && URL.revokeObjectURL(fileObj.preview));
+        uploadedFilesRef.current = uploadedFilesRef.current.filter(f => !uploadedIds.includes(f.id));
+        setUploadedFiles(prev => prev.filter(f => !uploadedIds.includes(f.id)));
+      }
+    } catch (error) {
+      console.error('Draft autosave failed:', error);
+    } finally {
+      savingDraftRef.current = false;
+      setIsSavingDraft(false);
+      if (draftQueuedRef.current && !publishingRef.current) {
+        draftQueuedRef.current = false;
+        saveDraftRef.current();
+      }
+    }
+  }, [id, getValues, template, promptId, location, emotions, wellbeing, isProtectedEntry]);
+  saveDraftRef.current = saveDraft;
+
+  // Only a new edit restarts the timer. It runs the save of the latest render.
+  useEffect(() => {
+    if (changeCount === 0 || pendingDraft || isProtectedEntry) return;
+    const timer = setTimeout(() => saveDraftRef.current(), AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [changeCount, pendingDraft, isProtectedEntry]);
+
+  const removeDraftMedia = async (mediaId) => {
+    try {
+      const response = await api.put(`/drafts/${draftId}`, { removeMedia: [mediaId] });
+      setDraftMedia(response.data.draft.media);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove file');
+    }
+  };
+
+  // Attachments of a saved entry are changed right away through the media endpoints
+  const savedMedia = journalData?.media || [];
+
+  const updateSavedMedia = async (request, errorMessage) => {
+    try {
+      const response = await request();
+      queryClient.setQueryData(['journal', id], old => ({ ...old, media: response.data.media }));
+      queryClient.invalidateQueries(['journals']);
+    } catch (error) {
+      toast.error(error.response?.data?.message || errorMessage);
+    }
+  };
+
+  const removeSavedMedia = (mediaId) => updateSavedMedia(
+    () => api.delete(`/journal/${id}/media/${mediaId}`),
+    'Failed to remove attachment'
+  );
+
+  const moveSavedMedia = (index, offset) => {
+    const order = savedMedia.map(media => media._id);
+    [order[index], order[index + offset]] = [order[index + offset], order[index]];
+    updateSavedMedia(
+      () => api.put(`/journal/${id}/media/order`, { order }),
+      'Failed to reorder attachments'
+    );
+  };
+
+  const saveMediaCaption = (media, caption) => {
+    if (caption.trim() === (media.caption || '')) return;
+    updateSavedMedia(
+      () => api.patch(`/journal/${id}/media/${media._id}`, { caption }),
+      'Failed to save caption'
+    );
+  };
+
   // File upload handling with dropzone
   const onDrop = useCallback((acceptedFiles) => {
     const newFiles = acceptedFiles.map(file => ({
@@ -117,18 +464,46 @@ const JournalEntry = () => {
       uploading: false
     }));
     setUploadedFiles(prev => [...prev, ...newFiles]);
+    setChangeCount(count => count + 1);
   }, []);
 
+  const addRecording = (file, duration) => {
+    setUploadedFiles(prev => [...prev, {
+      file,
+      id: Math.random().toString(36).substr(2, 9),
+      preview: URL.createObjectURL(file),
+      uploading: false,
+      duration
+    }]);
+    setChangeCount(count => count + 1);
+  };
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
       'image/*': ['.jpeg', '.jpg', '.png', '.gif', '.webp'],
-      'video/*': ['.mp4', '.mov', '.avi', '.mkv', '.webm']
+      'video/*': ['.mp4', '.mov', '.avi', '.mkv', '.webm'],
+      'audio/*': ['.mp3', '.m4a', '.aac', '.wav', '.ogg', '.oga', '.opus', '.flac', '.weba']
     },
     maxSize: 10 * 1024 * 1024, // 10MB
     multiple: true
   });
 
+  const changeLocation = (value) => {
+    setLocation(value);
+    setChangeCount(count => count + 1);
+  };
+
+  const changeEmotions = (value) => {
+    setEmotions(value);
+    setChangeCount(count => count + 1);
+  };
+
+  const changeWellbeing = (value) => {
+    setWellbeing(value);
+    setChangeCount(count => count + 1);
+  };
+
   const removeFile = (fileId) => {
     setUploadedFiles(prev => {
       const file = prev.find(f => f.id === fileId);
@@ -141,8 +516,10 @@ const JournalEntry = () => {
 
   const journalMutation = useMutation(
     async (formData) => {
-      const url = id ? `/journal/${id}` : '/journal';
-      const method = id ? 'put' : 'post';
+      // A draft is published through its own endpoint so its media comes along
+      const currentDraftId = draftIdRef.current;
+      const url = currentDraftId ? `/drafts/${currentDraftId}/publish` : (id ? `/journal/${id}` : '/journal');
+      const method = currentDraftId ? 'post' : (id ? 'put' : 'post');
       const response = await api[method](url, formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
       });
@@ -153,9 +530,18 @@ const JournalEntry = () => {
         toast.success(id ? 'Journal updated successfully!' : 'Journal created successfully!');
         queryClient.invalidateQueries(['journals']);
         queryClient.invalidateQueries(['journalStats']);
+        queryClient.invalidateQueries(['tags']);
+        queryClient.removeQueries('journalDraft');
+        queryClient.invalidateQueries('dailyPrompt');
         navigate('/journal');
       },
       onError: (error) => {
+        publishingRef.current = false;
+        // Autosaves held back during the publish run now
+        if (draftQueuedRef.current) {
+          draftQueuedRef.current = false;
+          saveDraftRef.current();
+        }
         toast.error(error.response?.data?.message || 'Failed to save journal');
       }
     }
@@ -163,26 +549,37 @@ const JournalEntry = () => {
 
   const onSubmit = (data) => {
     const formData = new FormData();
-    Object.keys(data).forEach(key => formData.append(key, data[key]));
+    Object.keys(data).forEach(key => {
+      formData.append(key, key === 'entryDate' ? toIsoDate(data[key]) : data[key]);
+    });
+    formData.append('location', toLocationField(location));
+    appendFeelings(formData, emotions, wellbeing);
+    appendRecordingDurations(formData, uploadedFiles);
     uploadedFiles.forEach(fileObj => formData.append('media', fileObj.file));
     formData.append('isEncrypted', isEncrypted);
+    if (!id && template) formData.append('template', template._id);
+    if (!id && promptId) formData.append('prompt', promptId);
+    // New entries go to the notebook they were started from
+    if (!id && searchParams.get('notebook')) formData.append('notebook', searchParams.get('notebook'));
+
+    // Protected entries are encrypted with their password, so a new one always needs it
+    if (isEncrypted && !journalData?.isEncrypted && !encryptionPassword) {
+      toast.error('Please enter a password to protect this entry.');
+      return;
+    }
 
     if (isEncrypted && encryptionPassword) {
       formData.append('encryptionPassword', encryptionPassword);
     }
 
-    // If editing an encrypted journal, get the password from the store
-    if (id && journalData?.isEncrypted) {
-      const password = getPassword(id);
-      if (!password) {
-        // This should ideally not happen due to the new flow
-        toast.error('Password not found. Please go back and unlock the journal again.');
-        promptForPassword(id, 'edit'); // Re-trigger the prompt as a fallback
-        return;
-      }
-      formData.append('password', password);
+    // Editing an encrypted journal needs its unlock token, which may have expired
+    if (id && journalData?.isEncrypted && !isUnlocked(id)) {
+      toast.error('This entry was locked again. Enter its password to save your changes.');
+      promptForPassword(id, 'edit');
+      return;
     }
 
+    publishingRef.current = true;
     journalMutation.mutate(formData);
   };
 
@@ -196,6 +593,8 @@ const JournalEntry = () => {
     navigate('/journal');
   };
 
+  const truncatePreview = (text) => (text.length > 100 ? text.substring(0, 100) + '...' : text);
+
   const getMoodEmoji = (rating) => {
     const emojis = ['😢', '😞', '😐', '🙂', '😊', '😄', '😁', '🤩', '🥰', '😍'];
     return emojis[rating - 1] || '😐';
@@ -227,6 +626,19 @@ const JournalEntry = () => {
         <div className="header-content">
           <h1>{id ? 'Edit Journal Entry' : 'New Journal Entry'}</h1>
           <p>Share your thoughts, feelings, and experiences</p>
+          {isProtectedEntry ? (
+            <span className="draft-status">
+              <Lock size={14} />
+              Drafts are not autosaved for protected entries
+            </span>
+          ) : (isSavingDraft || draftSavedAt) && (
+            <span className="draft-status">
+              <Cloud size={14} />
+              {isSavingDraft
+                ? 'Saving draft...'
+                : `Draft saved at ${draftSavedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+            </span>
+          )}
         </div>
         <div className="header-actions">
           <button className="cancel-btn" onClick={handleCancel}>
@@ -236,7 +648,7 @@ const JournalEntry = () => {
           <button 
             className="save-btn" 
             onClick={handleSubmit(onSubmit)}
-            disabled={isSubmitting || !watchedTitle.trim() || !watchedContent.trim()}
+            disabled={isSubmitting || isSavingDraft || !watchedTitle.trim() || !watchedContent.trim()}
           >
             {isSubmitting ? (
               <>
@@ -253,6 +665,60 @@ const JournalEntry = () => {
         </div>
       </div>
 
+      {pendingDraft && (
+        <div className="draft-banner">
+          <FileText size={20} />
+          <div className="draft-banner-text">
+            <strong>You have an unsaved draft</strong>
+            <span>
+              {pendingDraft.title || 'Untitled draft'} · last saved {new Date(pendingDraft.updatedAt).toLocaleString()}
+            </span>
+          </div>
+          <div className="draft-banner-actions">
+            <button type="button" className="btn btn-secondary" onClick={discardPendingDraft}>
+              Discard
+            </button>
+            <button type="button" className="btn btn-primary" onClick={resumeDraft}>
+              Resume Draft
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!id && !pendingDraft && (promptId ? (
+        writingPrompt && (
+          <div className="attached-prompt">
+            <Lightbulb size={18} />
+            <div className="attached-prompt-text">
+              <span>Writing from prompt</span>
+              <strong>{writingPrompt.text}</strong>
+            </div>
+            <button type="button" className="detach-prompt-btn" onClick={detachPrompt} title="Remove prompt">
+              <X size={16} />
+            </button>
+          </div>
+        )
+      ) : (
+        <DailyPrompt isCompact onUse={attachPrompt} />
+      ))}
+
+      {!id && !pendingDraft && templates.length > 0 && (
+        <TemplatePicker
+          templates={templates}
+          selectedId={template?._id}
+          onSelect={selectTemplate}
+        />
+      )}
+
+      <ConfirmationModal
+        isOpen={templateToApply !== undefined}
+        onClose={() => setTemplateToApply(undefined)}
+        onConfirm={() => applyTemplate(templateToApply)}
+        title="Replace Content"
+        message="Switching templates replaces what you have written so far. Continue?"
+        confirmText="Replace"
+      />
+
       <form className="entry-form" onSubmit={handleSubmit(onSubmit)}>
         <div className="form-grid">
           {/* Main Content */}
@@ -274,11 +740,13 @@ const JournalEntry = () => {
 
             <div className="form-group">
               <label htmlFor="content">Content *</label>
-              <textarea
+              <MarkdownEditor
                 id="content"
                 rows={12}
-                placeholder="Write about your day, thoughts, feelings, or anything you want to remember..."
-                {...register('content', { 
+                placeholder="Write about your day, thoughts, feelings, or anything you want to remember... Markdown is supported."
+                value={watchedContent}
+                onChange={(value) => setValue('content', value, { shouldDirty: true, shouldValidate: !!errors.content })}
+                registration={register('content', { 
                   required: 'Content is required',
                   minLength: { value: 10, message: 'Content must be at least 10 characters' }
                 })}
@@ -302,25 +770,89 @@ const JournalEntry = () => {
                 <p>
                   {isDragActive 
                     ? 'Drop files here...' 
-                    : 'Drag & drop images/videos here, or click to select'
+                    : 'Drag & drop images, videos or audio here, or click to select'
                   }
                 </p>
-                <small>Supports: JPG, PNG, GIF, MP4, MOV (max 10MB each)</small>
+                <small>Supports: JPG, PNG, GIF, MP4, MOV, MP3, M4A, WAV, OGG (max 10MB each)</small>
               </div>
+              <VoiceRecorder onRecorded={addRecording} />
 
-              {uploadedFiles.length > 0 && (
+              {(savedMedia.length > 0 || draftMedia.length > 0 || uploadedFiles.length > 0) && (
                 <div className="uploaded-files">
+                  {savedMedia.map((media, index) => (
+                    <div key={media._id} className="file-preview">
+                      <MediaPreview
+                        type={media.type}
+                        src={getMediaSrc(media, 'thumb')}
+                        alt={media.caption || 'Attachment'}
+                      />
+                      <div className="file-info">
+                        <span className="file-name">{media.filename}</span>
+                        <input
+                          key={media.caption || ''}
+                          type="text"
+                          className="caption-input"
+                          placeholder="Add a caption..."
+                          maxLength={300}
+                          defaultValue={media.caption || ''}
+                          onBlur={(e) => saveMediaCaption(media, e.target.value)}
+                        />
+                        <div className="media-order-controls">
+                          <button
+                            type="button"
+                            title="Move earlier"
+                            disabled={index === 0}
+                            onClick={() => moveSavedMedia(index, -1)}
+                          >
+                            <ChevronLeft size={16} />
+                          </button>
+                          <button
+                            type="button"
+                            title="Move later"
+                            disabled={index === savedMedia.length - 1}
+                            onClick={() => moveSavedMedia(index, 1)}
+                          >
+                            <ChevronRight size={16} />
+                          </button>
+                        </div>
+                      </div>
+                      <button
+                        type="button"
+                        className="remove-file"
+                        title="Remove attachment"
+                        onClick={() => removeSavedMedia(media._id)}
+                      >
+                        <X size={16} />
+                      </button>
+                    </div>
+                  ))}
+                  {draftMedia.map((media) => (
+                    <div key={media._id} className="file-preview">
+                      <MediaPreview type={media.type} src={getMediaSrc(media, 'thumb')} alt="Preview" />
+                      <div className="file-info">
+                        <span className="file-name">{media.filename}</span>
+                        <span className="file-size">
+                          {(media.size / 1024 / 1024).toFixed(2)} MB
+                          {media.duration > 0 && ` · ${formatDuration(media.duration)}`}
+                        </span>
+                      </div>
+                      <button
+                        type="button"
+                        className="remove-file"
+                        onClick={() => removeDraftMedia(media._id)}
+                      >
+                        <X size={16} />
+                      </button>
+                    </div>
+                  ))}
                   {uploadedFiles.map((fileObj) => (
                     <div key={fileObj.id} className="file-preview">
-                      {fileObj.file.type.startsWith('image/') ? (
-                        <img src={fileObj.preview} alt="Preview" />
-                      ) : (
-                        <video src={fileObj.preview} controls />
-                      )}
+                      <MediaPreview type={getFileType(fileObj.file)} src={fileObj.preview} alt="Preview" />
                       <div className="file-info">
                         <span className="file-name">{fileObj.file.name}</span>
                         <span className="file-size">
                           {(fileObj.file.size / 1024 / 1024).toFixed(2)} MB
+                          {fileObj.duration > 0 && ` · ${formatDuration(fileObj.duration)}`}
                         </span>
                       </div>
                       <button
@@ -341,7 +873,7 @@ const JournalEntry = () => {
           <div className="entry-sidebar">
             {/* Mood Rating */}
             <div className="sidebar-section">
-              <h3>How are you feeling?</h3>
+              <h3>{template?.moodPrompt || 'How are you feeling?'}</h3>
               <div className="mood-rating">
                 <div className="mood-display">
                   <span className="mood-emoji">{getMoodEmoji(watch('moodRating'))}</span>
@@ -362,31 +894,48 @@ const JournalEntry = () => {
               </div>
             </div>
 
+            {/* Emotions */}
+            <div className="sidebar-section">
+              <h3>Emotions</h3>
+              <EmotionPicker value={emotions} onChange={changeEmotions} />
+              <small>Pick as many as fit, then rate how strongly you felt each</small>
+            </div>
+
+            {/* Wellbeing */}
+            <div className="sidebar-section">
+              <h3>Wellbeing</h3>
+              <WellbeingPicker value={wellbeing} onChange={changeWellbeing} />
+            </div>
+
             {/* Date */}
             <div className="sidebar-section">
               <h3>Date</h3>
               <div className="date-input">
                 <Calendar size={16} />
                 <input
-                  type="date"
-                  {...register('date')}
-                  defaultValue={new Date().toISOString().split('T')[0]}
+                  type="datetime-local"
+                  max={toDateTimeInput()}
+                  {...register('entryDate')}
                 />
               </div>
+              <small>Change this to write about an earlier day</small>
+            </div>
+
+            {/* Location */}
+            <div className="sidebar-section">
+              <h3>Location</h3>
+              <LocationPicker value={location} onChange={changeLocation} />
+              <small>Saved approximately, never as your exact position</small>
             </div>
 
             {/* Tags */}
             <div className="sidebar-section">
               <h3>Tags</h3>
-              <div className="tags-input">
-                <Tag size={16} />
-                <input
-                  type="text"
-                  placeholder="Add tags (comma separated)"
-                  {...register('tags')}
-                />
-              </div>
-              <small>Example: work, personal, goals, reflection</small>
+              <TagInput
+                value={watch('tags')}
+                onChange={(value) => setValue('tags', value, { shouldDirty: true })}
+              />
+              <small>Press Enter or type a comma after each tag</small>
             </div>
 
             {/* Encryption */}
@@ -452,16 +1001,14 @@ const JournalEntry = () => {
                 <h4>{watchedTitle || 'Untitled Entry'}</h4>
                 <p className="preview-content">
                   {watchedContent 
-                    ? (watchedContent.length > 100 
-                        ? watchedContent.substring(0, 100) + '...' 
-                        : watchedContent)
+                    ? truncatePreview(stripMarkdown(watchedContent))
                     : 'Start writing to see a preview...'
                   }
                 </p>
                 <div className="preview-meta">
                   <span className="preview-mood">{getMoodEmoji(watch('moodRating'))}</span>
                   <span className="preview-files">
-                    {uploadedFiles.length > 0 && `${uploadedFiles.length} file(s)`}
+                    {draftMedia.length + uploadedFiles.length > 0 && `${draftMedia.length + uploadedFiles.length} file(s)`}
                   </span>
                 </div>
               </div>
@@ -482,7 +1029,7 @@ const JournalEntry = () => {
           <button
             type="submit"
             className="btn btn-primary"
-            disabled={isSubmitting}
+            disabled={isSubmitting || isSavingDraft}
           >
             {isSubmitting ? (
               <>
@@ -1,12 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { usePasswordPrompt } from '../../contexts/PasswordPromptContext';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { 
   Plus, 
   Calendar, 
-  Tag, 
   Lock, 
   Unlock,
   Edit,
@@ -16,43 +15,74 @@ import {
   Loader2,
   FileText,
   Image,
-  Video
+  Video,
+  Mic,
+  MapPin,
+  FolderSearch,
+  FolderInput,
+  BookOpen
 } from 'lucide-react';
 import { format } from 'date-fns';
 import api from '../../utils/api';
+import { stripMarkdown } from '../../utils/markdown';
+import { getCoverImage, getMediaSrc } from '../../utils/media';
+import { toLocationValue, formatPlace } from '../../utils/location';
 import ConfirmDialog from '../../components/ConfirmDialog';
 import EnhancedSearchBar from '../../components/EnhancedSearchBar';
+import SmartCollections, { useCollections } from '../../components/SmartCollections/SmartCollections';
+import NotebookSwitcher, { useNotebooks, useUnlockNotebook } from '../../components/NotebookSwitcher/NotebookSwitcher';
+import MoveToNotebookDialog from '../../components/NotebookSwitcher/MoveToNotebookDialog';
+import PasswordModal from '../../components/PasswordModal/PasswordModal';
+import { toCollectionFilters } from '../../utils/collections';
 import './JournalList.css';
 
+const EMPTY_FILTERS = {
+  fromDate: '',
+  toDate: '',
+  mood: '',
+  isEncrypted: undefined,
+  hasMedia: undefined,
+  moodRange: '',
+  template: '',
+  tag: ''
+};
+
 const JournalList = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Entries answering one writing prompt, linked from an entry's prompt
+  const promptFilter = searchParams.get('prompt') || '';
+  // Entries with one tag, linked from the tags page
+  const tagFilter = searchParams.get('tag') || '';
+  // Smart collection shown, linked from the sidebar
+  const collectionFilter = searchParams.get('collection') || '';
+  // Notebook shown; all notebooks when empty
+  const notebookFilter = searchParams.get('notebook') || '';
   const queryClient = useQueryClient();
   const { promptForPassword } = usePasswordPrompt();
   const [searchTerm, setSearchTerm] = useState('');
-  const [filters, setFilters] = useState({
-    fromDate: '',
-    toDate: '',
-    mood: '',
-    isEncrypted: undefined,
-    hasMedia: undefined,
-    moodRange: ''
-  });
-  const [activeQuickFilter, setActiveQuickFilter] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Changed to reset the search bar to a collection's search
+  const [searchBarKey, setSearchBarKey] = useState(0);
   const [sortBy, setSortBy] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(12);
   const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, journal: null });
+  const [movingJournal, setMovingJournal] = useState(null);
+  const [showUnlock, setShowUnlock] = useState(false);
 
   // Fetch journals with filters
   const { data: journalsData, isLoading, error } = useQuery(
-    ['journals', searchTerm, filters, sortBy, sortOrder, currentPage],
+    ['journals', searchTerm, filters, promptFilter, tagFilter, notebookFilter, sortBy, sortOrder, currentPage],
     async () => {
+      // Searches need two characters and are ranked by relevance
+      const search = searchTerm.trim().length >= 2 ? searchTerm.trim() : '';
       const params = new URLSearchParams({
         page: currentPage,
         limit: itemsPerPage,
-        search: searchTerm,
-        sortBy,
+        search,
+        sortBy: search ? 'relevance' : sortBy,
         sortOrder
       });
 
@@ -62,6 +92,10 @@ const JournalList = () => {
       if (filters.moodRange) params.append('moodRange', filters.moodRange);
       if (filters.fromDate) params.append('fromDate', filters.fromDate);
       if (filters.toDate) params.append('toDate', filters.toDate);
+      if (filters.template) params.append('template', filters.template);
+      if (promptFilter) params.append('prompt', promptFilter);
+      if (tagFilter || filters.tag) params.append('tag', tagFilter || filters.tag);
+      if (notebookFilter) params.append('notebook', notebookFilter);
 
       const response = await api.get(`/journal?${params}`);
       return response.data;
@@ -69,9 +103,20 @@ const JournalList = () => {
     {
       keepPreviousData: true,
       staleTime: 5 * 60 * 1000, // 5 minutes
+      // Malformed searches and locked notebooks fail the same way every time
+      retry: (failureCount, err) => ![400, 401].includes(err.response?.status) && failureCount < 1
     }
   );
 
+  // Searches the server rejected, like mood:9, are explained under the search bar
+  const searchError = error?.response?.status === 400 ? error.response.data.message : null;
+  // The notebook shown was locked again, e.g. once its unlock expired
+  const isNotebookLocked = !!error?.response?.data?.requiresNotebookPassword;
+
+  const { data: notebooks = [] } = useNotebooks();
+  const activeNotebook = notebooks.find(notebook => notebook._id === notebookFilter) || null;
+  const unlockMutation = useUnlockNotebook(() => setShowUnlock(false));
+
   // Fetch journal statistics
   const { data: statsData } = useQuery(
     ['journalStats'],
@@ -81,6 +126,26 @@ const JournalList = () => {
     }
   );
 
+  const { data: collections } = useCollections();
+  const activeCollection = (collections || []).find(collection => collection._id === collectionFilter) || null;
+  const appliedCollectionRef = useRef(null);
+
+  // Show the search and filters of the collection picked, again whenever it is edited
+  useEffect(() => {
+    if (!activeCollection) {
+      appliedCollectionRef.current = null;
+      return;
+    }
+    const version = `${activeCollection._id}:${activeCollection.updatedAt}`;
+    if (appliedCollectionRef.current === version) return;
+    appliedCollectionRef.current = version;
+
+    setSearchTerm(activeCollection.search || '');
+    setFilters({ ...EMPTY_FILTERS, ...activeCollection.filters });
+    setSearchBarKey(key => key + 1);
+    setCurrentPage(1);
+  }, [activeCollection]);
+
   // Fetch filter statistics for cards
   const { data: filterStatsData } = useQuery(
     ['journalFilterStats'],
@@ -93,6 +158,18 @@ const JournalList = () => {
     }
   );
 
+  // Templates for the template filter
+  const { data: templates = [] } = useQuery(
+    ['templates'],
+    async () => {
+      const response = await api.get('/templates');
+      return response.data.templates;
+    },
+    {
+      staleTime: 5 * 60 * 1000,
+    }
+  );
+
   const journals = journalsData?.journals || [];
   const totalPages = journalsData?.totalPages || 1;
   const totalJournals = journalsData?.totalJournals || 0;
@@ -102,7 +179,7 @@ const JournalList = () => {
     (journalId) => api.delete(`/journal/${journalId}`),
     {
       onSuccess: () => {
-        toast.success('Journal deleted successfully');
+        toast.success('Journal moved to trash');
         queryClient.invalidateQueries('journals');
         setDeleteDialog({ isOpen: false, journal: null });
       },
@@ -163,73 +240,53 @@ const JournalList = () => {
     setCurrentPage(1);
   };
 
+  // Filters are cleared within the notebook shown
   const clearAllFilters = () => {
     setSearchTerm('');
-    setFilters({
-      fromDate: '',
-      toDate: '',
-      mood: '',
-      isEncrypted: undefined,
-      hasMedia: undefined,
-      moodRange: ''
-    });
-    setActiveQuickFilter('');
+    setFilters(EMPTY_FILTERS);
+    setSearchParams(notebookFilter ? { notebook: notebookFilter } : {});
+    setSearchBarKey(key => key + 1);
     setCurrentPage(1);
   };
 
   const hasActiveFilters = searchTerm || filters.mood || filters.fromDate || filters.toDate || 
-    filters.isEncrypted !== undefined || filters.hasMedia !== undefined || filters.moodRange;
-
-  // Quick filter functions
-  const handleQuickFilter = (filterType) => {
-    // Clear other quick filters first
-    setFilters(prev => ({
-      ...prev,
-      isEncrypted: undefined,
-      hasMedia: undefined,
-      moodRange: '',
-      fromDate: '',
-      toDate: ''
-    }));
-    
-    setActiveQuickFilter(filterType);
-    setCurrentPage(1);
-    
-    switch (filterType) {
-      case 'protected':
-        setFilters(prev => ({ ...prev, isEncrypted: true }));
-        break;
-      case 'recent':
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-        setFilters(prev => ({ 
-          ...prev, 
-          fromDate: sevenDaysAgo.toISOString().split('T')[0] 
-        }));
-        break;
-      case 'thisMonth':
-        const firstDayOfMonth = new Date();
-        firstDayOfMonth.setDate(1);
-        setFilters(prev => ({ 
-          ...prev, 
-          fromDate: firstDayOfMonth.toISOString().split('T')[0] 
-        }));
-        break;
-      case 'withMedia':
-        setFilters(prev => ({ ...prev, hasMedia: true }));
-        break;
-      case 'goodMood':
-        setFilters(prev => ({ ...prev, moodRange: 'good' }));
-        break;
-      case 'lowMood':
-        setFilters(prev => ({ ...prev, moodRange: 'low' }));
-        break;
-      default:
-        break;
+    filters.isEncrypted !== undefined || filters.hasMedia !== undefined || filters.moodRange ||
+    filters.template || filters.tag || promptFilter || tagFilter;
+
+  // The search shown, as a collection could save it
+  const currentSearch = {
+    search: searchTerm.trim(),
+    filters: toCollectionFilters({ ...filters, tag: tagFilter || filters.tag })
+  };
+  const isCollectionShown = !!activeCollection &&
+    currentSearch.search === (activeCollection.search || '') &&
+    JSON.stringify(currentSearch.filters) === JSON.stringify(toCollectionFilters(activeCollection.filters || {}));
+
+  // Show the entries of a smart collection, or stop showing one
+  const handleSelectCollection = (collection) => {
+    if (collection) {
+      setSearchParams({
+        ...(notebookFilter && { notebook: notebookFilter }),
+        collection: collection._id
+      });
+    } else {
+      clearAllFilters();
     }
   };
 
-  if (error) {
+  // Show one notebook's entries, keeping the search and filters, or all notebooks
+  const handleSelectNotebook = (notebook) => {
+    const params = new URLSearchParams(searchParams);
+    if (notebook) {
+      params.set('notebook', notebook._id);
+    } else {
+      params.delete('notebook');
+    }
+    setSearchParams(params);
+    setCurrentPage(1);
+  };
+
+  if (error && !searchError && !isNotebookLocked) {
     return (
       <div className="journal-list-error">
         <h2>Error loading journals</h2>
@@ -247,7 +304,7 @@ const JournalList = () => {
           <h1>My Journal Entries</h1>
           <p>Reflect on your thoughts, feelings, and experiences</p>
         </div>
-        <Link to="/journal/new" className="new-entry-btn">
+        <Link to={`/journal/new${notebookFilter ? `?notebook=${notebookFilter}` : ''}`} className="new-entry-btn">
           <Plus size={16} />
           New Entry
         </Link>
@@ -295,12 +352,23 @@ const JournalList = () => {
         </div>
       )}
 
-      {/* Quick Filter Shortcuts */}
+      {/* Notebooks */}
+      <div className="quick-filters-section">
+        <div className="quick-filters-header">
+          <h3>
+            <BookOpen size={20} />
+            Notebooks
+          </h3>
+        </div>
+        <NotebookSwitcher activeId={notebookFilter || null} onSelect={handleSelectNotebook} />
+      </div>
+
+      {/* Smart Collections */}
       <div className="quick-filters-section">
         <div className="quick-filters-header">
           <h3>
-            <Tag size={20} />
-            Quick Filters
+            <FolderSearch size={20} />
+            Collections
           </h3>
           {hasActiveFilters && (
             <button className="clear-all-filters-btn" onClick={clearAllFilters}>
@@ -308,60 +376,25 @@ const JournalList = () => {
             </button>
           )}
         </div>
-        <div className="quick-filters">
-          <button 
-            className={`quick-filter-btn ${activeQuickFilter === 'protected' ? 'active' : ''}`}
-            onClick={() => handleQuickFilter('protected')}
-          >
-            <Lock size={16} />
-            Protected Journals
-          </button>
-          <button 
-            className={`quick-filter-btn ${activeQuickFilter === 'recent' ? 'active' : ''}`}
-            onClick={() => handleQuickFilter('recent')}
-          >
-            <Calendar size={16} />
-            Last 7 Days
-          </button>
-          <button 
-            className={`quick-filter-btn ${activeQuickFilter === 'thisMonth' ? 'active' : ''}`}
-            onClick={() => handleQuickFilter('thisMonth')}
-          >
-            <Calendar size={16} />
-            This Month
-          </button>
-          <button 
-            className={`quick-filter-btn ${activeQuickFilter === 'withMedia' ? 'active' : ''}`}
-            onClick={() => handleQuickFilter('withMedia')}
-          >
-            <Image size={16} />
-            With Media
-          </button>
-          <button 
-            className={`quick-filter-btn ${activeQuickFilter === 'goodMood' ? 'active' : ''}`}
-            onClick={() => handleQuickFilter('goodMood')}
-          >
-            <span className="mood-emoji">😊</span>
-            Good Mood
-          </button>
-          <button 
-            className={`quick-filter-btn ${activeQuickFilter === 'lowMood' ? 'active' : ''}`}
-            onClick={() => handleQuickFilter('lowMood')}
-          >
-            <span className="mood-emoji">😔</span>
-            Low Mood
-          </button>
-        </div>
+        <SmartCollections
+          activeId={isCollectionShown ? activeCollection._id : null}
+          onSelect={handleSelectCollection}
+          currentSearch={hasActiveFilters && !isCollectionShown && !promptFilter ? currentSearch : null}
+        />
       </div>
 
       {/* Enhanced Search and Filters */}
       <div className="search-section">
         <EnhancedSearchBar
+          key={searchBarKey}
+          initialSearch={searchTerm}
           onSearch={handleSearch}
           onFilterChange={handleFilterChange}
-          placeholder="Search your journals by title, content, or tags..."
+          placeholder="Search your journals, or filter with tag:work mood:<4 has:media..."
           showFilters={true}
           initialFilters={filters}
+          templates={templates}
+          error={searchError}
         />
 
         </div>
@@ -370,12 +403,25 @@ const JournalList = () => {
       <div className="results-info">
         <p>
           Showing {journals.length} of {totalJournals} entries
-          {hasActiveFilters && ' (filtered)'}
+          {activeNotebook && ` in ${activeNotebook.name}`}
+          {promptFilter
+            ? ' written from a prompt'
+            : tagFilter ? ` tagged "${tagFilter}"` : hasActiveFilters && ' (filtered)'}
         </p>
       </div>
 
       {/* Journals Grid */}
-      {isLoading ? (
+      {isNotebookLocked ? (
+        <div className="empty-state">
+          <Lock size={48} />
+          <h3>This notebook is locked</h3>
+          <p>Enter the notebook's password to see its entries</p>
+          <button className="create-first-btn" onClick={() => setShowUnlock(true)}>
+            <Unlock size={16} />
+            Unlock Notebook
+          </button>
+        </div>
+      ) : isLoading ? (
         <div className="loading-container">
           <Loader2 className="loading-spinner" />
           <p>Loading your journals...</p>
@@ -400,8 +446,22 @@ const JournalList = () => {
                     {getMoodEmoji(journal)}
                   </span>
                   <span className="entry-date">
-                    {format(new Date(journal.date || journal.createdAt), 'MMM dd, yyyy')}
+                    {format(new Date(journal.entryDate || journal.createdAt), 'MMM dd, yyyy')}
                   </span>
+                  {journal.template && (
+                    <span className="template-badge" title={`From template: ${journal.template.name}`}>
+                      {journal.template.icon}
+                    </span>
+                  )}
+                  {!notebookFilter && journal.notebook && (
+                    <span
+                      className="notebook-badge"
+                      style={{ '--notebook-color': journal.notebook.color }}
+                      title={`In ${journal.notebook.name}`}
+                    >
+                      {journal.notebook.icon}
+                    </span>
+                  )}
                 </div>
                 <div className="card-actions">
                   <div className="dropdown">
@@ -423,6 +483,13 @@ const JournalList = () => {
                         <Edit size={14} />
                         Edit
                       </button>
+                      <button
+                        onClick={() => setMovingJournal(journal)}
+                        className="dropdown-item"
+                      >
+                        <FolderInput size={14} />
+                        Move to Notebook
+                      </button>
                       <button
                         onClick={() => handleJournalAction(journal, 'delete')}
                         className="dropdown-item delete"
@@ -436,9 +503,17 @@ const JournalList = () => {
               </div>
 
               <div className="card-content">
+                {getCoverImage(journal.media) && (
+                  <img
+                    src={getMediaSrc(getCoverImage(journal.media), 'card')}
+                    alt=""
+                    className="card-cover"
+                    loading="lazy"
+                  />
+                )}
                 <h3 className="entry-title">{journal.title}</h3>
                 <p className="entry-preview">
-                  {truncateText(journal.content)}
+                  {truncateText(stripMarkdown(journal.content))}
                 </p>
               </div>
 
@@ -462,13 +537,20 @@ const JournalList = () => {
                   )}
                   {journal.media && journal.media.length > 0 && (
                     <span className="indicator media" title={`${journal.media.length} media file(s)`}>
-                      {journal.media[0].type.startsWith('image/') ? (
+                      {journal.media[0].type === 'image' ? (
                         <Image size={12} />
+                      ) : journal.media[0].type === 'audio' ? (
+                        <Mic size={12} />
                       ) : (
                         <Video size={12} />
                       )}
                     </span>
                   )}
+                  {toLocationValue(journal) && (
+                    <span className="indicator location" title={formatPlace(toLocationValue(journal))}>
+                      <MapPin size={12} />
+                    </span>
+                  )}
                 </div>
               </div>
             </div>
@@ -515,13 +597,24 @@ const JournalList = () => {
         onClose={() => setDeleteDialog({ isOpen: false, journal: null })}
         onConfirm={confirmDelete}
         title="Delete Journal Entry"
-        message={`Are you sure you want to delete "${deleteDialog.journal?.title}"? This action cannot be undone.`}
+        message={`Move "${deleteDialog.journal?.title}" to the trash? You can restore it from the Trash page.`}
         confirmText="Delete"
         cancelText="Cancel"
         type="danger"
         isLoading={deleteMutation.isLoading}
       />
 
+      <MoveToNotebookDialog journal={movingJournal} onClose={() => setMovingJournal(null)} />
+
+      <PasswordModal
+        isOpen={showUnlock && !!activeNotebook}
+        onClose={() => setShowUnlock(false)}
+        onSubmit={(password) => unlockMutation.mutate({ notebook: activeNotebook, password })}
+        title="Unlock Notebook"
+        description={activeNotebook ? `"${activeNotebook.name}" is protected. Enter its password to see its entries.` : ''}
+        isLoading={unlockMutation.isLoading}
+      />
+
     </div>
   );
 };
@@ -0,0 +1,241 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { MapContainer, TileLayer, CircleMarker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import { LocateFixed, Loader2, MapPin } from 'lucide-react';
+import { format } from 'date-fns';
+import api from '../../utils/api';
+import { toLocationValue, formatPlace } from '../../utils/location';
+import 'leaflet/dist/leaflet.css';
+import './JournalMap.css';
+
+const TILE_URL = process.env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Most entries plotted for one view; the newest are shown first
+const MAX_MARKERS = 200;
+const WORLD_VIEW = { center: [20, 0], zoom: 2 };
+const FOCUS_ZOOM = 12;
+
+const MOOD_EMOJIS = ['😢', '😞', '😐', '🙂', '😊', '😄', '😁', '🤩', '🥰', '😍'];
+
+const getMoodColor = (rating) => {
+  if (rating >= 7) return '#10B981';
+  if (rating >= 4) return '#F59E0B';
+  return '#EF4444';
+};
+
+// Longitudes keep growing as the map is panned around the world; the API wants -180..180
+const wrapLongitude = (lng) => {
+  const wrapped = ((((lng + 180) % 360) + 360) % 360) - 180;
+  return wrapped === -180 && lng > 0 ? 180 : wrapped;
+};
+
+// The `bbox` filter for what is on screen, or null when the whole world is in view
+const toBoundingBox = (bounds) => {
+  if (bounds.getEast() - bounds.getWest() >= 360) return null;
+  return [
+    wrapLongitude(bounds.getWest()),
+    Math.max(bounds.getSouth(), -90),
+    wrapLongitude(bounds.getEast()),
+    Math.min(bounds.getNorth(), 90)
+  ].map(value => value.toFixed(4)).join(',');
+};
+
+// Entries share a marker when their rounded locations are the same
+const groupByPlace = (journals) => {
+  const groups = new Map();
+  journals.forEach(journal => {
+    const place = toLocationValue(journal);
+    const key = `${place.latitude},${place.longitude}`;
+    if (!groups.has(key)) groups.set(key, { key, place, journals: [] });
+    groups.get(key).journals.push(journal);
+  });
+  return [...groups.values()];
+};
+
+// Reports the visible area after every pan or zoom, and on load when `immediate` is set
+const ViewportTracker = ({ onChange, immediate }) => {
+  const map = useMapEvents({
+    moveend: () => onChange(toBoundingBox(map.getBounds()))
+  });
+
+  useEffect(() => {
+    if (immediate) onChange(toBoundingBox(map.getBounds()));
+  }, [map, onChange, immediate]);
+
+  return null;
+};
+
+// Zooms to the user's entries the first time they load, unless a place was asked for
+const FitToEntries = ({ groups, enabled }) => {
+  const map = useMap();
+  const fittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled || fittedRef.current || groups.length === 0) return;
+    fittedRef.current = true;
+    const points = groups.map(group => [group.place.latitude, group.place.longitude]);
+    map.fitBounds(points, { padding: [40, 40], maxZoom: FOCUS_ZOOM });
+  }, [map, groups, enabled]);
+
+  return null;
+};
+
+const JournalMap = () => {
+  const [searchParams] = useSearchParams();
+  const [map, setMap] = useState(null);
+  const [bbox, setBbox] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+
+  // Linked from an entry's location: /map?lat=..&lng=..
+  const focus = useMemo(() => {
+    const lat = parseFloat(searchParams.get('lat'));
+    const lng = parseFloat(searchParams.get('lng'));
+    return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+  }, [searchParams]);
+
+  const { data, isLoading, isFetching } = useQuery(
+    ['journals', 'map', bbox],
+    async () => {
+      const response = await api.get('/journal', {
+        params: { hasLocation: true, bbox: bbox || undefined, limit: MAX_MARKERS }
+      });
+      return response.data;
+    },
+    {
+      keepPreviousData: true,
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to load the map');
+      }
+    }
+  );
+
+  // Entries without coordinates only name a place, so they cannot be plotted
+  const journals = useMemo(
+    () => (data?.journals || []).filter(journal => journal.location?.coordinates),
+    [data]
+  );
+  const groups = useMemo(() => groupByPlace(journals), [journals]);
+  const total = data?.pagination?.total || 0;
+
+  const showMyLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error('Your browser cannot share its location');
+      return;
+    }
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setIsLocating(false);
+        map?.flyTo([coords.latitude, coords.longitude], FOCUS_ZOOM);
+      },
+      () => {
+        setIsLocating(false);
+        toast.error('Location access is needed to show entries near you');
+      },
+      { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  };
+
+  return (
+    <div className="journal-map-container">
+      <div className="journal-map-header">
+        <div className="header-content">
+          <h1>Map</h1>
+          <p>Where your entries were written</p>
+        </div>
+        <button className="near-me-btn" onClick={showMyLocation} disabled={!map || isLocating}>
+          {isLocating ? <Loader2 size={16} className="spinning" /> : <LocateFixed size={16} />}
+          Near me
+        </button>
+      </div>
+
+      <div className="journal-map-layout">
+        <div className="journal-map">
+          <MapContainer
+            center={focus || WORLD_VIEW.center}
+            zoom={focus ? FOCUS_ZOOM : WORLD_VIEW.zoom}
+            worldCopyJump
+            ref={setMap}
+          >
+            <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
+            <ViewportTracker onChange={setBbox} immediate={!!focus} />
+            <FitToEntries groups={groups} enabled={!focus} />
+            {groups.map(group => (
+              <CircleMarker
+                key={group.key}
+                center={[group.place.latitude, group.place.longitude]}
+                radius={Math.min(6 + group.journals.length * 2, 18)}
+                pathOptions={{
+                  color: getMoodColor(group.journals[0].moodRating),
+                  fillColor: getMoodColor(group.journals[0].moodRating),
+                  fillOpacity: 0.6
+                }}
+              >
+                <Popup>
+                  <div className="map-popup">
+                    <strong>{formatPlace(group.place)}</strong>
+                    <ul>
+                      {group.journals.map(journal => (
+                        <li key={journal._id}>
+                          <Link to={`/journal/${journal._id}`}>{journal.title}</Link>
+                          <span>{format(new Date(journal.entryDate || journal.createdAt), 'MMM dd, yyyy')}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </Popup>
+              </CircleMarker>
+            ))}
+          </MapContainer>
+          {isFetching && (
+            <div className="map-loading">
+              <Loader2 size={16} className="spinning" />
+            </div>
+          )}
+        </div>
+
+        <aside className="map-entries">
+          <h3>
+            {bbox ? 'Entries in this area' : 'All entries with a location'}
+            {total > 0 && <span className="map-entry-count">{total}</span>}
+          </h3>
+          {total > journals.length && (
+            <small>Showing the latest {journals.length}. Zoom in to see the rest.</small>
+          )}
+          {!isLoading && journals.length === 0 && (
+            <div className="map-empty">
+              <MapPin size={32} />
+              <p>
+                {bbox
+                  ? 'No entries were written here.'
+                  : 'No entries have a location yet. Add one from the Location section of the editor.'}
+              </p>
+            </div>
+          )}
+          <ul>
+            {journals.map(journal => (
+              <li key={journal._id}>
+                <Link to={`/journal/${journal._id}`} className="map-entry">
+                  <span className="map-entry-mood">{MOOD_EMOJIS[journal.moodRating - 1] || '😐'}</span>
+                  <span className="map-entry-text">
+                    <span className="map-entry-title">{journal.title}</span>
+                    <span className="map-entry-meta">
+                      {format(new Date(journal.entryDate || journal.createdAt), 'MMM dd, yyyy')}
+                      {' · '}
+                      {formatPlace(toLocationValue(journal))}
+                    </span>
+                  </span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default JournalMap;
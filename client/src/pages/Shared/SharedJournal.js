@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { Calendar, Tag, Heart, Lock, Loader2, Link2Off } from 'lucide-react';
+import { format } from 'date-fns';
+import { publicApi } from '../../utils/api';
+import { getMediaSrc } from '../../utils/media';
+import AudioPlayer from '../../components/AudioPlayer/AudioPlayer';
+import MarkdownContent from '../../components/Markdown/MarkdownContent';
+import './SharedJournal.css';
+
+const SharedJournal = () => {
+  const { token } = useParams();
+  const [password, setPassword] = useState('');
+  const [unlockedJournal, setUnlockedJournal] = useState(null);
+  const [unlockError, setUnlockError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const { data: journal, isLoading, error } = useQuery(
+    ['sharedJournal', token],
+    async () => {
+      const response = await publicApi.get(`/shared/${token}`);
+      return response.data.journal;
+    },
+    { retry: false, refetchOnWindowFocus: false }
+  );
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    setUnlockError('');
+    try {
+      const response = await publicApi.post(`/shared/${token}/unlock`, { password });
+      setUnlockedJournal(response.data.journal);
+    } catch (err) {
+      setUnlockError(err.response?.data?.message || 'Could not open this entry');
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const entry = unlockedJournal || journal;
+  const requiresPassword = !entry && error?.response?.data?.requiresPassword;
+
+  if (isLoading) {
+    return (
+      <div className="shared-journal-page">
+        <div className="shared-state">
+          <Loader2 className="loading-spinner" size={32} />
+          <p>Loading shared entry...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (requiresPassword) {
+    return (
+      <div className="shared-journal-page">
+        <form className="shared-card shared-password-form" onSubmit={handleUnlock}>
+          <Lock size={32} />
+          <h2>This entry is password protected</h2>
+          <p>Enter the password you were given to read it.</p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoFocus
+            required
+          />
+          {unlockError && <span className="shared-error">{unlockError}</span>}
+          <button type="submit" disabled={isUnlocking}>
+            {isUnlocking ? 'Opening...' : 'View Entry'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (!entry) {
+    return (
+      <div className="shared-journal-page">
+        <div className="shared-card shared-state">
+          <Link2Off size={32} />
+          <h2>Link unavailable</h2>
+          <p>{error?.response?.data?.message || 'This share link does not exist or is no longer available.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="shared-journal-page">
+      <article className="shared-card shared-entry">
+        <header className="shared-entry-header">
+          <div className="shared-entry-meta">
+            <span>
+              <Calendar size={16} />
+              {format(new Date(entry.entryDate), 'EEEE, MMMM dd, yyyy')}
+            </span>
+            {entry.moodRating && (
+              <span>
+                <Heart size={16} />
+                {entry.moodEmoji}
+              </span>
+            )}
+          </div>
+          <h1>{entry.title}</h1>
+          {entry.author && <p className="shared-author">Shared by {entry.author}</p>}
+        </header>
+
+        {entry.tags && entry.tags.length > 0 && (
+          <div className="shared-entry-tags">
+            <Tag size={16} />
+            {entry.tags.map((tag, index) => (
+              <span key={index} className="tag">{tag}</span>
+            ))}
+          </div>
+        )}
+
+        {entry.media && entry.media.length > 0 && (
+          <div className="shared-media-grid">
+            {entry.media.map((media, index) => (
+              media.type === 'image' ? (
+                <a key={index} href={getMediaSrc(media, 'full')} target="_blank" rel="noopener noreferrer">
+                  <img src={getMediaSrc(media, 'card')} alt={media.caption || `Attachment ${index + 1}`} />
+                </a>
+              ) : media.type === 'audio' ? (
+                <AudioPlayer key={index} src={media.url} title={media.caption || media.filename} duration={media.duration} />
+              ) : (
+                <video key={index} src={media.url} controls>
+                  Your browser does not support the video tag.
+                </video>
+              )
+            ))}
+          </div>
+        )}
+
+        <MarkdownContent
+          className="shared-entry-content"
+          html={entry.contentHtml}
+          markdown={entry.content}
+        />
+
+        <footer className="shared-entry-footer">
+          <span>Shared with DigiDiary</span>
+          {entry.expiresAt && (
+            <span>Link expires {format(new Date(entry.expiresAt), 'MMM dd, yyyy')}</span>
+          )}
+        </footer>
+      </article>
+    </div>
+  );
+};
+
+export default SharedJournal;
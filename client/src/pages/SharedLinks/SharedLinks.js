@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Ban, Loader2, Lock, KeyRound, Eye } from 'lucide-react';
+import api from '../../utils/api';
+import ConfirmationModal from '../../components/common/ConfirmationModal';
+import './SharedLinks.css';
+
+const STATUS_LABELS = {
+  active: 'Active',
+  expired: 'Expired',
+  revoked: 'Revoked',
+  unavailable: 'Entry deleted'
+};
+
+const SharedLinks = () => {
+  const queryClient = useQueryClient();
+  const [revokeTarget, setRevokeTarget] = useState(null);
+
+  const { data: shareLinks = [], isLoading, error } = useQuery(
+    ['shareLinks'],
+    async () => {
+      const response = await api.get('/shares');
+      return response.data.shareLinks;
+    },
+    {
+      onError: (error) => {
+        console.error('Error fetching share links:', error);
+        toast.error('Failed to load shared links');
+      }
+    }
+  );
+
+  const revokeMutation = useMutation(
+    async (id) => {
+      const response = await api.delete(`/shares/${id}`);
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        toast.success(data.message || 'Share link revoked');
+        queryClient.invalidateQueries(['shareLinks']);
+        setRevokeTarget(null);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to revoke share link');
+      }
+    }
+  );
+
+  const formatDate = (date) => {
+    if (!date) return '—';
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="shared-links-container">
+        <div className="loading-container">
+          <Loader2 className="loading-spinner" />
+          <p>Loading shared links...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="shared-links-container">
+        <div className="error-container">
+          <p>Failed to load shared links. Please try again.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="shared-links-container">
+      <ConfirmationModal
+        isOpen={!!revokeTarget}
+        onClose={() => setRevokeTarget(null)}
+        onConfirm={() => revokeMutation.mutate(revokeTarget._id)}
+        title="Revoke Link"
+        message="Anyone using this link will no longer be able to read the entry. This action cannot be undone."
+        confirmText="Revoke"
+        isLoading={revokeMutation.isLoading}
+      />
+      <div className="shared-links-header">
+        <h1>Shared Links</h1>
+        <p>Read-only links you have created for your journal entries</p>
+      </div>
+
+      {shareLinks.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🔗</div>
+          <h3>No shared links yet</h3>
+          <p>Use the Share button on a journal entry to create one</p>
+        </div>
+      ) : (
+        <div className="shared-links-table-wrapper">
+          <table className="shared-links-table">
+            <thead>
+              <tr>
+                <th>Entry</th>
+                <th>Created</th>
+                <th>Expires</th>
+                <th>Status</th>
+                <th>Views</th>
+                <th>Last viewed</th>
+                <th aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {shareLinks.map(link => (
+                <tr key={link._id}>
+                  <td className="link-entry">
+                    {link.journal ? (
+                      <Link to={`/journal/${link.journal._id}`}>
+                        {link.journal.isEncrypted && <Lock size={14} />}
+                        {link.journal.title}
+                      </Link>
+                    ) : (
+                      <span className="muted">Deleted entry</span>
+                    )}
+                    {link.hasPassword && (
+                      <span className="link-flag" title="Visitors need a password">
+                        <KeyRound size={14} />
+                      </span>
+                    )}
+                  </td>
+                  <td>{formatDate(link.createdAt)}</td>
+                  <td>{link.expiresAt ? formatDate(link.expiresAt) : 'Never'}</td>
+                  <td>
+                    <span className={`link-status ${link.status}`}>{STATUS_LABELS[link.status]}</span>
+                  </td>
+                  <td>
+                    <span className="link-views">
+                      <Eye size={14} />
+                      {link.viewCount}
+                    </span>
+                  </td>
+                  <td>{formatDate(link.lastAccessedAt)}</td>
+                  <td className="link-actions">
+                    {link.status === 'active' && (
+                      <button
+                        className="action-btn revoke"
+                        onClick={() => setRevokeTarget(link)}
+                        disabled={revokeMutation.isLoading}
+                        title="Revoke link"
+                      >
+                        <Ban size={16} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharedLinks;
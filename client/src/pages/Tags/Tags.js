@@ -0,0 +1,296 @@
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Loader2, Pencil, Trash2, Check, X, Merge, Search, Lock } from 'lucide-react';
+import { format } from 'date-fns';
+import api from '../../utils/api';
+import { normalizeTag } from '../../utils/tags';
+import ConfirmationModal from '../../components/common/ConfirmationModal';
+import './Tags.css';
+
+const Tags = () => {
+  const queryClient = useQueryClient();
+  const [filter, setFilter] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [mergeInto, setMergeInto] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  const { data, isLoading, error } = useQuery(
+    ['tags'],
+    async () => {
+      const response = await api.get('/tags');
+      return response.data;
+    },
+    {
+      onError: (error) => {
+        console.error('Error fetching tags:', error);
+        toast.error('Failed to load tags');
+      }
+    }
+  );
+  const tags = useMemo(() => data?.tags || [], [data]);
+
+  const visibleTags = useMemo(() => {
+    const query = normalizeTag(filter);
+    return query ? tags.filter(tag => tag.name.includes(query)) : tags;
+  }, [tags, filter]);
+
+  // Renamed and merged tags change entries, drafts and templates
+  const onTagsChanged = (data) => {
+    toast.success(data.message);
+    queryClient.invalidateQueries(['tags']);
+    queryClient.invalidateQueries(['journals']);
+    queryClient.invalidateQueries(['templates']);
+  };
+
+  const renameMutation = useMutation(
+    async ({ tag, name }) => {
+      const response = await api.patch(`/tags/${encodeURIComponent(tag)}`, { name });
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        onTagsChanged(data);
+        setEditing(null);
+        setSelected([]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to rename tag');
+      }
+    }
+  );
+
+  const mergeMutation = useMutation(
+    async ({ tags, into }) => {
+      const response = await api.post('/tags/merge', { tags, into });
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        onTagsChanged(data);
+        setSelected([]);
+        setMergeInto('');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to merge tags');
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(
+    async (tag) => {
+      const response = await api.delete(`/tags/${encodeURIComponent(tag)}`);
+      return response.data;
+    },
+    {
+      onSuccess: (data, tag) => {
+        onTagsChanged(data);
+        setSelected(prev => prev.filter(name => name !== tag));
+        setDeleteTarget(null);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete tag');
+      }
+    }
+  );
+
+  const toggleSelected = (name) => {
+    const next = selected.includes(name) ? selected.filter(tag => tag !== name) : [...selected, name];
+    setSelected(next);
+    // Suggest merging into the first tag chosen, which is usually the one to keep
+    if (!mergeInto || (selected.includes(mergeInto) && !next.includes(mergeInto))) {
+      setMergeInto(next[0] || '');
+    }
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const name = normalizeTag(editing.name);
+    if (!name || name === editing.tag) {
+      setEditing(null);
+      return;
+    }
+    renameMutation.mutate({ tag: editing.tag, name });
+  };
+
+  const submitMerge = (e) => {
+    e.preventDefault();
+    const into = normalizeTag(mergeInto);
+    if (!into) {
+      toast.error('Enter the tag to merge into');
+      return;
+    }
+    mergeMutation.mutate({ tags: selected, into });
+  };
+
+  const isBusy = renameMutation.isLoading || mergeMutation.isLoading || deleteMutation.isLoading;
+
+  if (isLoading) {
+    return (
+      <div className="tags-container">
+        <div className="loading-container">
+          <Loader2 className="loading-spinner" />
+          <p>Loading tags...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="tags-container">
+        <div className="error-container">
+          <p>Failed to load tags. Please try again.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="tags-container">
+      <ConfirmationModal
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={() => deleteMutation.mutate(deleteTarget.name)}
+        title="Delete Tag"
+        message={deleteTarget
+          ? `"${deleteTarget.name}" will be removed from ${deleteTarget.count} ${deleteTarget.count === 1 ? 'entry' : 'entries'}. The entries themselves are kept.`
+          : ''}
+        confirmText="Delete"
+        isLoading={deleteMutation.isLoading}
+      />
+
+      <div className="tags-header">
+        <h1>Tags</h1>
+        <p>Rename, merge and remove the tags on your entries</p>
+      </div>
+
+      {data?.protectedEntries > 0 && (
+        <p className="tags-note">
+          <Lock size={14} />
+          Tags on your {data.protectedEntries} protected {data.protectedEntries === 1 ? 'entry are' : 'entries are'} encrypted,
+          so they are not listed or changed here.
+        </p>
+      )}
+
+      {tags.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🏷️</div>
+          <h3>No tags yet</h3>
+          <p>Tags you add to entries will appear here</p>
+        </div>
+      ) : (
+        <>
+          <div className="tags-toolbar">
+            <div className="tags-filter">
+              <Search size={16} />
+              <input
+                type="text"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                placeholder="Filter tags..."
+              />
+            </div>
+
+            {selected.length > 1 && (
+              <form className="tags-merge" onSubmit={submitMerge}>
+                <span>Merge {selected.length} tags into</span>
+                <input
+                  type="text"
+                  value={mergeInto}
+                  onChange={(e) => setMergeInto(e.target.value)}
+                  maxLength={50}
+                  list="merge-targets"
+                />
+                <datalist id="merge-targets">
+                  {selected.map(name => <option key={name} value={name} />)}
+                </datalist>
+                <button type="submit" className="btn btn-primary" disabled={isBusy}>
+                  {mergeMutation.isLoading ? <Loader2 size={16} className="spinning" /> : <Merge size={16} />}
+                  Merge
+                </button>
+              </form>
+            )}
+          </div>
+
+          <div className="tags-table-wrapper">
+            <table className="tags-table">
+              <thead>
+                <tr>
+                  <th aria-label="Select" />
+                  <th>Tag</th>
+                  <th>Entries</th>
+                  <th>Last used</th>
+                  <th aria-label="Actions" />
+                </tr>
+              </thead>
+              <tbody>
+                {visibleTags.map(tag => (
+                  <tr key={tag.name} className={selected.includes(tag.name) ? 'selected' : ''}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(tag.name)}
+                        onChange={() => toggleSelected(tag.name)}
+                        aria-label={`Select "${tag.name}"`}
+                      />
+                    </td>
+                    <td className="tag-name">
+                      {editing?.tag === tag.name ? (
+                        <form className="tag-rename" onSubmit={submitRename}>
+                          <input
+                            type="text"
+                            value={editing.name}
+                            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                            onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                            maxLength={50}
+                            autoFocus
+                          />
+                          <button type="submit" className="action-btn" disabled={isBusy} title="Save">
+                            <Check size={16} />
+                          </button>
+                          <button type="button" className="action-btn" onClick={() => setEditing(null)} title="Cancel">
+                            <X size={16} />
+                          </button>
+                        </form>
+                      ) : (
+                        <Link to={`/journal?tag=${encodeURIComponent(tag.name)}`}>{tag.name}</Link>
+                      )}
+                    </td>
+                    <td>{tag.count}</td>
+                    <td>{tag.lastUsed ? format(new Date(tag.lastUsed), 'MMM d, yyyy') : '—'}</td>
+                    <td className="tag-actions">
+                      <button
+                        className="action-btn"
+                        onClick={() => setEditing({ tag: tag.name, name: tag.name })}
+                        disabled={isBusy}
+                        title="Rename tag"
+                      >
+                        <Pencil size={16} />
+                      </button>
+                      <button
+                        className="action-btn delete"
+                        onClick={() => setDeleteTarget(tag)}
+                        disabled={isBusy}
+                        title="Delete tag"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visibleTags.length === 0 && (
+              <p className="tags-no-match">No tags match "{filter}"</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Tags;
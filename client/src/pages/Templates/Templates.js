@@ -0,0 +1,336 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { Plus, Edit, Trash2, Loader2, PenLine, X, Save } from 'lucide-react';
+import api from '../../utils/api';
+import ConfirmationModal from '../../components/common/ConfirmationModal';
+import './Templates.css';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  icon: '📝',
+  moodPrompt: '',
+  defaultTags: '',
+  sections: [{ heading: '', prompt: '' }]
+};
+
+// First validation message from either express-validator or the model
+const getErrorMessage = (error, fallback) => (
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback
+);
+
+const Templates = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  const { data: templates = [], isLoading, error } = useQuery(
+    ['templates'],
+    async () => {
+      const response = await api.get('/templates');
+      return response.data.templates;
+    },
+    {
+      onError: (error) => {
+        console.error('Error fetching templates:', error);
+        toast.error('Failed to load templates');
+      }
+    }
+  );
+
+  const closeForm = () => {
+    setEditingId(null);
+    setFormData(null);
+  };
+
+  const saveMutation = useMutation(
+    async (data) => {
+      const response = editingId
+        ? await api.put(`/templates/${editingId}`, data)
+        : await api.post('/templates', data);
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        queryClient.invalidateQueries(['templates']);
+        closeForm();
+      },
+      onError: (error) => {
+        toast.error(getErrorMessage(error, 'Failed to save template'));
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(
+    async (id) => {
+      const response = await api.delete(`/templates/${id}`);
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        queryClient.invalidateQueries(['templates']);
+        setDeleteTarget(null);
+      },
+      onError: (error) => {
+        toast.error(getErrorMessage(error, 'Failed to delete template'));
+      }
+    }
+  );
+
+  const startCreate = () => {
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  // Built-in templates are copied into a new template rather than edited
+  const startEdit = (template, asCopy = false) => {
+    setEditingId(asCopy ? null : template._id);
+    setFormData({
+      name: asCopy ? `${template.name} (copy)` : template.name,
+      description: template.description || '',
+      icon: template.icon || '📝',
+      moodPrompt: template.moodPrompt || '',
+      defaultTags: template.defaultTags.join(', '),
+      sections: template.sections.map(({ heading, prompt }) => ({ heading, prompt: prompt || '' }))
+    });
+  };
+
+  const updateField = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateSection = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, [field]: value } : section))
+    }));
+  };
+
+  const addSection = () => {
+    setFormData(prev => ({ ...prev, sections: [...prev.sections, { heading: '', prompt: '' }] }));
+  };
+
+  const removeSection = (index) => {
+    setFormData(prev => ({ ...prev, sections: prev.sections.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveMutation.mutate({
+      ...formData,
+      defaultTags: formData.defaultTags.split(',').map(tag => tag.trim()).filter(Boolean)
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="templates-container">
+        <div className="loading-container">
+          <Loader2 className="loading-spinner" />
+          <p>Loading templates...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="templates-container">
+        <div className="error-container">
+          <p>Failed to load templates. Please try again.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="templates-container">
+      <ConfirmationModal
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={() => deleteMutation.mutate(deleteTarget._id)}
+        title="Delete Template"
+        message={`Delete "${deleteTarget?.name}"? Entries you wrote with it are kept.`}
+        isLoading={deleteMutation.isLoading}
+      />
+
+      <div className="templates-header">
+        <div className="header-content">
+          <h1>Templates</h1>
+          <p>Reusable starting points for your journal entries</p>
+        </div>
+        <button className="add-template-btn" onClick={startCreate}>
+          <Plus size={16} />
+          New Template
+        </button>
+      </div>
+
+      {formData && (
+        <form className="template-form" onSubmit={handleSubmit}>
+          <h2>{editingId ? 'Edit Template' : 'New Template'}</h2>
+          <div className="template-form-row">
+            <div className="form-group icon-group">
+              <label htmlFor="template-icon">Icon</label>
+              <input
+                id="template-icon"
+                type="text"
+                value={formData.icon}
+                onChange={(e) => updateField('icon', e.target.value)}
+                maxLength={4}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="template-name">Name *</label>
+              <input
+                id="template-name"
+                type="text"
+                value={formData.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                maxLength={60}
+                required
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="template-description">Description</label>
+            <input
+              id="template-description"
+              type="text"
+              value={formData.description}
+              onChange={(e) => updateField('description', e.target.value)}
+              maxLength={200}
+            />
+          </div>
+          <div className="template-form-row">
+            <div className="form-group">
+              <label htmlFor="template-mood-prompt">Mood prompt</label>
+              <input
+                id="template-mood-prompt"
+                type="text"
+                value={formData.moodPrompt}
+                onChange={(e) => updateField('moodPrompt', e.target.value)}
+                placeholder="How are you feeling?"
+                maxLength={200}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="template-tags">Default tags</label>
+              <input
+                id="template-tags"
+                type="text"
+                value={formData.defaultTags}
+                onChange={(e) => updateField('defaultTags', e.target.value)}
+                placeholder="Separate tags with commas"
+              />
+            </div>
+          </div>
+
+          <div className="template-sections">
+            <label>Sections *</label>
+            {formData.sections.map((section, index) => (
+              <div key={index} className="template-section-row">
+                <input
+                  type="text"
+                  value={section.heading}
+                  onChange={(e) => updateSection(index, 'heading', e.target.value)}
+                  placeholder="Heading"
+                  maxLength={100}
+                  required
+                />
+                <input
+                  type="text"
+                  value={section.prompt}
+                  onChange={(e) => updateSection(index, 'prompt', e.target.value)}
+                  placeholder="Prompt (optional)"
+                  maxLength={300}
+                />
+                <button
+                  type="button"
+                  className="action-btn delete"
+                  onClick={() => removeSection(index)}
+                  disabled={formData.sections.length === 1}
+                  title="Remove section"
+                >
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+            {formData.sections.length < 20 && (
+              <button type="button" className="add-section-btn" onClick={addSection}>
+                <Plus size={14} />
+                Add section
+              </button>
+            )}
+          </div>
+
+          <div className="template-form-actions">
+            <button type="button" className="btn btn-secondary" onClick={closeForm}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saveMutation.isLoading}>
+              {saveMutation.isLoading ? <Loader2 size={16} className="loading-spinner" /> : <Save size={16} />}
+              Save Template
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="templates-grid">
+        {templates.map(template => (
+          <div key={template._id} className="template-card">
+            <div className="template-card-header">
+              <span className="template-card-icon">{template.icon}</span>
+              <div>
+                <h3>{template.name}</h3>
+                {template.isBuiltIn && <span className="built-in-badge">Built-in</span>}
+              </div>
+            </div>
+            {template.description && <p className="template-card-description">{template.description}</p>}
+            <ul className="template-card-sections">
+              {template.sections.map((section, index) => (
+                <li key={index}>{section.heading}</li>
+              ))}
+            </ul>
+            {template.defaultTags.length > 0 && (
+              <div className="template-card-tags">
+                {template.defaultTags.map(tag => <span key={tag} className="tag">{tag}</span>)}
+              </div>
+            )}
+            <div className="template-card-actions">
+              <button
+                className="btn btn-primary"
+                onClick={() => navigate(`/journal/new?template=${template._id}`)}
+              >
+                <PenLine size={14} />
+                Write
+              </button>
+              {template.isBuiltIn ? (
+                <button className="btn btn-secondary" onClick={() => startEdit(template, true)}>
+                  <Plus size={14} />
+                  Copy
+                </button>
+              ) : (
+                <>
+                  <button className="action-btn edit" onClick={() => startEdit(template)} title="Edit">
+                    <Edit size={16} />
+                  </button>
+                  <button className="action-btn delete" onClick={() => setDeleteTarget(template)} title="Delete">
+                    <Trash2 size={16} />
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Templates;
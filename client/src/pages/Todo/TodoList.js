@@ -116,7 +116,7 @@ const TodoList = () => {
     },
     {
       onSuccess: () => {
-        toast.success('Todo item deleted successfully!');
+        toast.success('Todo item moved to trash');
         queryClient.invalidateQueries(['todoList']);
       },
       onError: (error) => {
@@ -256,7 +256,7 @@ const TodoList = () => {
         setModalState({ isOpen: false });
       },
       title: 'Delete Todo Item',
-      message: 'Are you sure you want to delete this todo item? This action cannot be undone.',
+      message: 'Move this todo item to the trash? You can restore it from the Trash page.',
     });
   };
 
@@ -272,7 +272,7 @@ const TodoList = () => {
         setModalState({ isOpen: false });
       },
       title: 'Clear Completed Tasks',
-      message: 'Are you sure you want to delete all completed tasks? This action cannot be undone.',
+      message: 'Move all completed tasks to the trash? You can restore them from the Trash page.',
       confirmText: 'Clear All',
     });
   };
@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import {
+  RotateCcw,
+  Trash2,
+  Loader2,
+  BookOpen,
+  CheckSquare,
+  Target,
+  Lock
+} from 'lucide-react';
+import api from '../../utils/api';
+import ConfirmationModal from '../../components/common/ConfirmationModal';
+import './Trash.css';
+
+const SECTIONS = [
+  { key: 'journals', title: 'Journal Entries', icon: BookOpen, getTitle: (item) => item.title },
+  { key: 'todos', title: 'To-do Items', icon: CheckSquare, getTitle: (item) => item.task },
+  { key: 'bucketList', title: 'Bucket List Items', icon: Target, getTitle: (item) => item.title }
+];
+
+const Trash = () => {
+  const queryClient = useQueryClient();
+  const [modalState, setModalState] = useState({ isOpen: false, onConfirm: null, title: '', message: '' });
+
+  // Fetch trashed items
+  const { data, isLoading, error } = useQuery(
+    ['trash'],
+    async () => {
+      const response = await api.get('/trash');
+      return response.data;
+    },
+    {
+      onError: (error) => {
+        console.error('Error fetching trash:', error);
+        toast.error('Failed to load trash');
+      }
+    }
+  );
+
+  // Restored or purged items affect the lists they came from
+  const refreshLists = () => {
+    queryClient.invalidateQueries(['trash']);
+    queryClient.invalidateQueries('journals');
+    queryClient.invalidateQueries(['journalStats']);
+    queryClient.invalidateQueries(['todoList']);
+    queryClient.invalidateQueries(['bucketList']);
+  };
+
+  const restoreMutation = useMutation(
+    async ({ type, id }) => {
+      const response = await api.patch(`/trash/${type}/${id}/restore`);
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        toast.success(data.message || 'Item restored');
+        refreshLists();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to restore item');
+      }
+    }
+  );
+
+  const deleteMutation = useMutation(
+    async ({ type, id }) => {
+      const response = await api.delete(`/trash/${type}/${id}`);
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        toast.success(data.message || 'Item permanently deleted');
+        refreshLists();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete item');
+      }
+    }
+  );
+
+  const emptyMutation = useMutation(
+    async () => {
+      const response = await api.delete('/trash');
+      return response.data;
+    },
+    {
+      onSuccess: (data) => {
+        toast.success(data.message || 'Trash emptied');
+        refreshLists();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to empty trash');
+      }
+    }
+  );
+
+  const handleDelete = (item) => {
+    setModalState({
+      isOpen: true,
+      title: 'Delete Permanently',
+      message: 'This item will be deleted forever. This action cannot be undone.',
+      confirmText: 'Delete Forever',
+      onConfirm: () => {
+        deleteMutation.mutate({ type: item.type, id: item._id });
+        setModalState({ isOpen: false });
+      }
+    });
+  };
+
+  const handleEmptyTrash = () => {
+    setModalState({
+      isOpen: true,
+      title: 'Empty Trash',
+      message: 'Everything in the trash will be deleted forever. This action cannot be undone.',
+      confirmText: 'Empty Trash',
+      onConfirm: () => {
+        emptyMutation.mutate();
+        setModalState({ isOpen: false });
+      }
+    });
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const getDaysLeft = (purgeAt) => {
+    const diffDays = Math.ceil((new Date(purgeAt) - new Date()) / (1000 * 60 * 60 * 24));
+    return Math.max(diffDays, 0);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="trash-container">
+        <div className="loading-container">
+          <Loader2 className="loading-spinner" />
+          <p>Loading trash...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="trash-container">
+        <div className="error-container">
+          <p>Failed to load trash. Please try again.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const trash = data?.trash || {};
+  const totalItems = SECTIONS.reduce((total, section) => total + (trash[section.key]?.length || 0), 0);
+  const isBusy = restoreMutation.isLoading || deleteMutation.isLoading || emptyMutation.isLoading;
+
+  return (
+    <div className="trash-container">
+      <ConfirmationModal
+        isOpen={modalState.isOpen}
+        onClose={() => setModalState({ isOpen: false })}
+        onConfirm={modalState.onConfirm}
+        title={modalState.title}
+        message={modalState.message}
+        confirmText={modalState.confirmText}
+        isLoading={deleteMutation.isLoading || emptyMutation.isLoading}
+      />
+      <div className="trash-header">
+        <div className="header-content">
+          <h1>Trash</h1>
+          <p>Deleted items are kept for {data?.retentionDays || 30} days before they are removed permanently</p>
+        </div>
+
+        <button
+          className="empty-trash-btn"
+          onClick={handleEmptyTrash}
+          disabled={totalItems === 0 || isBusy}
+        >
+          <Trash2 size={16} />
+          Empty Trash
+        </button>
+      </div>
+
+      {totalItems === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🗑️</div>
+          <h3>Trash is empty</h3>
+          <p>Items you delete will appear here until they are purged</p>
+        </div>
+      ) : (
+        SECTIONS.map(section => {
+          const items = trash[section.key] || [];
+          if (items.length === 0) return null;
+          const SectionIcon = section.icon;
+
+          return (
+            <div key={section.key} className="trash-section">
+              <h2>
+                <SectionIcon size={20} />
+                {section.title} ({items.length})
+              </h2>
+              <div className="trash-items">
+                {items.map(item => (
+                  <div key={item._id} className="trash-item">
+                    <div className="trash-item-info">
+                      <h3>
+                        {item.isEncrypted && <Lock size={14} />}
+                        {section.getTitle(item)}
+                      </h3>
+                      <span className="trash-item-meta">
+                        Deleted {formatDate(item.deletedAt)} · Removed permanently in {getDaysLeft(item.purgeAt)} day(s)
+                      </span>
+                    </div>
+                    <div className="trash-item-actions">
+                      <button
+                        className="action-btn restore"
+                        onClick={() => restoreMutation.mutate({ type: item.type, id: item._id })}
+                        disabled={isBusy}
+                        title="Restore"
+                      >
+                        <RotateCcw size={16} />
+                      </button>
+                      <button
+                        className="action-btn delete"
+                        onClick={() => handleDelete(item)}
+                        disabled={isBusy}
+                        title="Delete permanently"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,30 @@
+import { create } from 'zustand';
+
+// Unlock tokens of protected journal entries, by entry id, each with the time it expires.
+// api.js sends the valid ones with every request; lockAll forgets them all.
+const useJournalUnlockStore = create((set) => ({
+  unlocks: {},
+  addUnlock: (journalId, token, expiresAt) =>
+    set((state) => ({
+      unlocks: { ...state.unlocks, [journalId]: { token, expiresAt: new Date(expiresAt).getTime() } },
+    })),
+  isUnlocked: (journalId) => {
+    const unlock = useJournalUnlockStore.getState().unlocks[journalId];
+    return !!unlock && unlock.expiresAt > Date.now();
+  },
+  getTokens: () => {
+    const { unlocks } = useJournalUnlockStore.getState();
+    return Object.values(unlocks)
+      .filter(unlock => unlock.expiresAt > Date.now())
+      .map(unlock => unlock.token);
+  },
+  removeUnlock: (journalId) =>
+    set((state) => {
+      const newUnlocks = { ...state.unlocks };
+      delete newUnlocks[journalId];
+      return { unlocks: newUnlocks };
+    }),
+  lockAll: () => set({ unlocks: {} }),
+}));
+
+export default useJournalUnlockStore;
@@ -0,0 +1,30 @@
+import { create } from 'zustand';
+
+// Unlock tokens of protected notebooks, by notebook id, each with the time it expires.
+// api.js sends the valid ones with every request.
+const useNotebookUnlockStore = create((set) => ({
+  unlocks: {},
+  addUnlock: (notebookId, token, expiresAt) =>
+    set((state) => ({
+      unlocks: { ...state.unlocks, [notebookId]: { token, expiresAt: new Date(expiresAt).getTime() } },
+    })),
+  isUnlocked: (notebookId) => {
+    const unlock = useNotebookUnlockStore.getState().unlocks[notebookId];
+    return !!unlock && unlock.expiresAt > Date.now();
+  },
+  getTokens: () => {
+    const { unlocks } = useNotebookUnlockStore.getState();
+    return Object.values(unlocks)
+      .filter(unlock => unlock.expiresAt > Date.now())
+      .map(unlock => unlock.token);
+  },
+  removeUnlock: (notebookId) =>
+    set((state) => {
+      const newUnlocks = { ...state.unlocks };
+      delete newUnlocks[notebookId];
+      return { unlocks: newUnlocks };
+    }),
+  lockAll: () => set({ unlocks: {} }),
+}));
+
+export default useNotebookUnlockStore;
@@ -1,4 +1,6 @@
 import axios from 'axios';
+import useNotebookUnlockStore from '../stores/notebookUnlockStore';
+import useJournalUnlockStore from '../stores/journalUnlockStore';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -16,6 +18,16 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Unlocked protected notebooks
+    const notebookTokens = useNotebookUnlockStore.getState().getTokens();
+    if (notebookTokens.length > 0) {
+      config.headers['X-Notebook-Token'] = notebookTokens.join(',');
+    }
+    // Unlocked protected entries, so their passwords are never sent again
+    const journalTokens = useJournalUnlockStore.getState().getTokens();
+    if (journalTokens.length > 0) {
+      config.headers['X-Journal-Token'] = journalTokens.join(',');
+    }
     return config;
   },
   (error) => {
@@ -31,8 +43,15 @@ api.interceptors.response.use(
   (error) => {
     // Handle 401 Unauthorized - but exclude journal password verification
     if (error.response?.status === 401) {
-      // Don't auto-logout for journal password verification errors
-      const isPasswordVerification = error.config?.url?.includes('/verify-password');
+      // Don't auto-logout for journal password verification errors, including
+      // the entry password asked for when sharing a protected entry, and for
+      // the passwords of locked notebooks, and for protected entries whose
+      // unlock token has expired
+      const isPasswordVerification = error.config?.url?.includes('/verify-password') ||
+        (error.config?.url === '/shares' && error.config?.method === 'post') ||
+        /^\/notebooks\/[^/]+\/unlock$/.test(error.config?.url || '') ||
+        error.response.data?.requiresNotebookPassword ||
+        error.response.data?.requiresPassword;
       
       if (!isPasswordVerification) {
         localStorage.removeItem('token');
@@ -55,4 +74,13 @@ api.interceptors.response.use(
   }
 );
 
+// Instance for pages anyone can open (e.g. shared entries): no auth token, no logout on 401
+export const publicApi = axios.create({
+  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
 export default api; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+// Smart collections are saved journal searches (server/utils/smartCollections.js):
+// a search with operators plus the filters of the journal list, stored under the
+// names getJournals takes them as.
+export const COLLECTION_FILTER_FIELDS = [
+  'mood', 'moodRange', 'isEncrypted', 'hasMedia', 'fromDate', 'toDate', 'template', 'tag'
+];
+
+// The filters of the journal list worth saving, without empty ones
+export const toCollectionFilters = (filters) => Object.fromEntries(
+  COLLECTION_FILTER_FIELDS
+    .filter(field => filters[field] !== undefined && filters[field] !== null && filters[field] !== '')
+    .map(field => [field, filters[field]])
+);
+
+// Short descriptions of a collection's filters, like "Mood 4" or "From 2025-06-01"
+export const describeCollectionFilters = (filters = {}) => {
+  const descriptions = [];
+  if (filters.mood) descriptions.push(`Mood ${filters.mood}`);
+  if (filters.moodRange) descriptions.push(filters.moodRange === 'good' ? 'Good mood' : 'Low mood');
+  if (filters.isEncrypted !== undefined) descriptions.push(filters.isEncrypted ? 'Protected' : 'Not protected');
+  if (filters.hasMedia !== undefined) descriptions.push(filters.hasMedia ? 'With media' : 'Without media');
+  if (filters.fromDate) descriptions.push(`From ${filters.fromDate}`);
+  if (filters.toDate) descriptions.push(`To ${filters.toDate}`);
+  if (filters.template) descriptions.push(filters.template === 'none' ? 'No template' : 'Template');
+  if (filters.tag) descriptions.push(`Tag "${filters.tag}"`);
+  return descriptions;
+};
@@ -0,0 +1,67 @@
+// The emotion wheel, in the order it is shown. Keep in step with server/utils/emotions.js.
+export const EMOTION_WHEEL = {
+  joy: {
+    label: 'Joy',
+    emoji: '😊',
+    color: '#F59E0B',
+    emotions: ['happy', 'excited', 'grateful', 'proud', 'content', 'hopeful', 'loved', 'relieved']
+  },
+  sadness: {
+    label: 'Sadness',
+    emoji: '😢',
+    color: '#3B82F6',
+    emotions: ['lonely', 'disappointed', 'hurt', 'guilty', 'bored', 'tired']
+  },
+  anger: {
+    label: 'Anger',
+    emoji: '😠',
+    color: '#EF4444',
+    emotions: ['frustrated', 'irritated', 'resentful', 'jealous']
+  },
+  fear: {
+    label: 'Fear',
+    emoji: '😨',
+    color: '#8B5CF6',
+    emotions: ['anxious', 'worried', 'nervous', 'insecure', 'overwhelmed']
+  },
+  surprise: {
+    label: 'Surprise',
+    emoji: '😲',
+    color: '#10B981',
+    emotions: ['amazed', 'confused', 'curious', 'startled']
+  },
+  disgust: {
+    label: 'Disgust',
+    emoji: '😖',
+    color: '#84CC16',
+    emotions: ['disapproving', 'embarrassed', 'uncomfortable', 'ashamed']
+  }
+};
+
+export const MAX_EMOTIONS = 10;
+export const MAX_INTENSITY = 5;
+export const DEFAULT_INTENSITY = 3;
+
+export const INTENSITY_LABELS = ['Slightly', 'A little', 'Moderately', 'Very', 'Extremely'];
+
+// Logged from 1 (low) to 5 (high)
+export const WELLBEING_FIELDS = [
+  { key: 'energy', label: 'Energy', low: 'Drained', high: 'Energized' },
+  { key: 'stress', label: 'Stress', low: 'Relaxed', high: 'Very stressed' },
+  { key: 'sleepQuality', label: 'Sleep quality', low: 'Poor', high: 'Great' }
+];
+
+// The core emotion an emotion belongs to
+export const getEmotionGroup = (name) => {
+  if (EMOTION_WHEEL[name]) return name;
+  return Object.keys(EMOTION_WHEEL).find(group => EMOTION_WHEEL[group].emotions.includes(name));
+};
+
+export const getEmotionColor = (name) => EMOTION_WHEEL[getEmotionGroup(name)]?.color || '#94A3B8';
+
+export const formatEmotion = (name) => (name ? name.charAt(0).toUpperCase() + name.slice(1) : '');
+
+// Whether any wellbeing value was logged
+export const hasWellbeing = (wellbeing) => (
+  !!wellbeing && WELLBEING_FIELDS.some(({ key }) => typeof wellbeing[key] === 'number')
+);
@@ -0,0 +1,29 @@
+// Editor value for the location of an entry or draft: { latitude, longitude, placeName },
+// where either the coordinates or the place name may be missing, or null without either
+export const toLocationValue = (entry) => {
+  const coordinates = entry?.location?.coordinates;
+  const placeName = entry?.placeName || '';
+  if (!coordinates && !placeName) return null;
+  return {
+    latitude: coordinates ? coordinates[1] : null,
+    longitude: coordinates ? coordinates[0] : null,
+    placeName
+  };
+};
+
+export const hasCoordinates = (value) =>
+  value?.latitude !== null && value?.latitude !== undefined &&
+  value?.longitude !== null && value?.longitude !== undefined;
+
+// "51.51° N, 0.13° W"
+export const formatCoordinates = ({ latitude, longitude }) => {
+  const part = (value, positive, negative) => `${Math.abs(value).toFixed(2)}° ${value < 0 ? negative : positive}`;
+  return `${part(latitude, 'N', 'S')}, ${part(longitude, 'E', 'W')}`;
+};
+
+// Label for a location: its place name, or its coordinates when it has none
+export const formatPlace = (value) => {
+  if (!value) return '';
+  if (value.placeName) return value.placeName;
+  return hasCoordinates(value) ? formatCoordinates(value) : '';
+};
@@ -0,0 +1,109 @@
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+const MARKED_OPTIONS = { gfm: true, breaks: true, async: false };
+
+// [[Entry title]] or [[Entry title|text to show]]. Keep in step with server/utils/markdown.js.
+const WIKI_LINK_PATTERN = /^\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/;
+
+const normalizeLinkTarget = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Wiki links are numbered by target in order of first appearance, like the server does,
+// so the preview can be matched with the entry's resolved links
+const createParser = () => {
+  const targets = [];
+  return new Marked(MARKED_OPTIONS, {
+    extensions: [{
+      name: 'wikiLink',
+      level: 'inline',
+      start: (src) => {
+        const index = src.indexOf('[[');
+        return index === -1 ? undefined : index;
+      },
+      tokenizer: (src) => {
+        const match = WIKI_LINK_PATTERN.exec(src);
+        if (!match || !normalizeLinkTarget(match[1])) return undefined;
+        return {
+          type: 'wikiLink',
+          raw: match[0],
+          target: normalizeLinkTarget(match[1]),
+          text: (match[2] || match[1]).trim()
+        };
+      },
+      renderer: (token) => {
+        let index = targets.indexOf(token.target);
+        if (index === -1) {
+          index = targets.push(token.target) - 1;
+        }
+        const text = token.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return `<a class="wiki-link" data-link-index="${index}">${text}</a>`;
+      }
+    }]
+  });
+};
+
+// Links in journal content open in a new tab without leaking the referrer
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer nofollow');
+  }
+  if (node.tagName === 'INPUT') {
+    node.setAttribute('disabled', '');
+  }
+});
+
+// Sanitize HTML before it is inserted into the page
+export const sanitizeHtml = (html) => DOMPurify.sanitize(html || '', {
+  USE_PROFILES: { html: true },
+  FORBID_TAGS: ['style', 'img', 'video', 'audio', 'iframe', 'form', 'button']
+});
+
+// Render Markdown to sanitized HTML
+export const renderMarkdown = (markdown) => {
+  if (!markdown) return '';
+  return sanitizeHtml(createParser().parse(markdown));
+};
+
+// Point the rendered wiki links at the entries they resolved to. `linkedEntries` is indexed
+// like the links: { _id, isEncrypted, locked } or null when no entry has that title.
+// Links to locked entries only show a placeholder. Without `linkedEntries` the links
+// are shown as plain text.
+export const resolveWikiLinks = (html, linkedEntries) => {
+  if (!html || !html.includes('wiki-link')) return html;
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  doc.querySelectorAll('a.wiki-link').forEach((anchor) => {
+    const entry = linkedEntries ? linkedEntries[Number(anchor.dataset.linkIndex)] : undefined;
+
+    if (!entry) {
+      const span = doc.createElement('span');
+      span.className = linkedEntries ? 'wiki-link wiki-link-missing' : 'wiki-link';
+      span.textContent = anchor.textContent;
+      if (linkedEntries) span.title = 'No entry with this title yet';
+      anchor.replaceWith(span);
+      return;
+    }
+
+    anchor.setAttribute('href', `/journal/${encodeURIComponent(entry._id)}`);
+    anchor.dataset.journalId = entry._id;
+    anchor.removeAttribute('target');
+    anchor.removeAttribute('rel');
+    if (entry.locked) {
+      anchor.classList.add('wiki-link-locked');
+      anchor.textContent = '🔒 Protected entry';
+    }
+  });
+
+  return doc.body.innerHTML;
+};
+
+// Reduce Markdown to plain text for previews and cards
+export const stripMarkdown = (markdown) => {
+  if (!markdown) return '';
+  const html = createParser().parse(markdown)
+    // Keep block boundaries as spaces so words do not run together
+    .replace(/<\/(p|h[1-6]|li|blockquote|pre|tr)>|<br\s*\/?>/gi, ' ');
+  const doc = new DOMParser().parseFromString(sanitizeHtml(html), 'text/html');
+  return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+};
@@ -0,0 +1,15 @@
+// URL of the stored size of an attachment that suits a view: 'thumb', 'card' or 'full'.
+// Videos and images uploaded before resizing existed only have their original `url`.
+export const getMediaSrc = (media, size = 'full') => media.variants?.[size] || media.url;
+
+// First image of an entry, used as its cover in lists
+export const getCoverImage = (media) => (media || []).find(item => item.type === 'image');
+
+// Audio length as m:ss (or h:mm:ss for long recordings)
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
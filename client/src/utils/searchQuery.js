@@ -0,0 +1,169 @@
+import { format } from 'date-fns';
+import { normalizeTag } from './tags';
+
+const MAX_HINTS = 8;
+
+// Letters of an operator name typed before its names are suggested
+const MIN_NAME_LENGTH = 2;
+
+const dateValues = (description) => [
+  { value: format(new Date(), 'yyyy-MM-dd'), description: `${description} today` }
+];
+
+// Operators of the search query language (server/utils/searchQuery.js), with the
+// content types they apply to and the values suggested after their colon.
+// Values can narrow the types further, like is:protected and is:done.
+export const SEARCH_OPERATORS = [
+  {
+    name: 'tag',
+    description: 'Entries with a tag',
+    types: ['journal'],
+    values: []
+  },
+  {
+    name: 'mood',
+    description: 'Mood rating from 1 to 10: 8, <5, >=6 or 6..10',
+    types: ['journal'],
+    values: [
+      { value: 'good', description: 'Mood 7 or more' },
+      { value: 'low', description: 'Mood 3 or less' },
+      { value: '<5', description: 'Mood below 5' },
+      { value: '>=8', description: 'Mood 8 or more' }
+    ]
+  },
+  {
+    name: 'has',
+    description: 'Entries with media, a location, links or tags',
+    types: ['journal'],
+    values: [
+      { value: 'media', description: 'Photos, videos or audio' },
+      { value: 'location', description: 'A location' },
+      { value: 'links', description: 'Links to other entries' },
+      { value: 'tags', description: 'At least one tag' }
+    ]
+  },
+  {
+    name: 'is',
+    description: 'Protected entries, or done and open items',
+    types: ['journal', 'todo', 'bucketlist'],
+    values: [
+      { value: 'protected', description: 'Password protected entries', types: ['journal'] },
+      { value: 'done', description: 'Completed items', types: ['todo', 'bucketlist'] },
+      { value: 'open', description: 'Items still to do', types: ['todo', 'bucketlist'] }
+    ]
+  },
+  {
+    name: 'before',
+    description: 'Entries written before a day (YYYY-MM-DD)',
+    types: ['journal'],
+    values: dateValues('Before')
+  },
+  {
+    name: 'after',
+    description: 'Entries written after a day (YYYY-MM-DD)',
+    types: ['journal'],
+    values: dateValues('After')
+  },
+  {
+    name: 'since',
+    description: 'Entries written since a day or a while ago: 7d, 2w, 3m, 1y',
+    types: ['journal'],
+    values: [
+      { value: '7d', description: 'The last 7 days' },
+      { value: 'month', description: 'This month' },
+      { value: '3m', description: 'The last 3 months' },
+      { value: 'year', description: 'This year' }
+    ]
+  },
+  {
+    name: 'on',
+    description: 'Entries written on a day (YYYY-MM-DD)',
+    types: ['journal'],
+    values: dateValues('Written')
+  },
+  {
+    name: 'priority',
+    description: 'Todos by priority',
+    types: ['todo'],
+    values: [
+      { value: 'high', description: 'High priority' },
+      { value: 'medium', description: 'Medium priority' },
+      { value: 'low', description: 'Low priority' }
+    ]
+  },
+  {
+    name: 'due',
+    description: 'Todos by due date',
+    types: ['todo'],
+    values: [
+      { value: 'overdue', description: 'Past their due date' },
+      { value: 'today', description: 'Due today' },
+      { value: 'week', description: 'Due in the next 7 days' },
+      { value: 'none', description: 'Without a due date' }
+    ]
+  },
+  {
+    name: 'type',
+    description: 'Only journals, todos or bucket list items',
+    types: ['journal', 'todo', 'bucketlist'],
+    values: [
+      { value: 'journal', description: 'Journal entries', types: ['journal'] },
+      { value: 'todo', description: 'Todos', types: ['todo'] },
+      { value: 'bucketlist', description: 'Bucket list items', types: ['bucketlist'] }
+    ]
+  }
+];
+
+const appliesTo = (option, types) => !option.types || option.types.some(type => types.includes(type));
+
+// Suggestions for the word being typed at the end of a search: operator names while
+// typing a word, then their values after the colon. `types` are the content types the
+// search bar covers and `tags` the user's tags ({ name, count }). Each hint carries
+// the whole search with the suggestion filled in.
+export const getSearchHints = (input, { types = ['journal', 'todo', 'bucketlist'], tags = [] } = {}) => {
+  const word = (input || '').match(/(^|\s)(-?)([^\s]*)$/);
+  // Nothing is being typed, or it is inside quotes
+  if (!word || !word[3] || (input.match(/"/g) || []).length % 2 !== 0) return [];
+
+  const [, , negation, typed] = word;
+  const before = input.slice(0, input.length - negation.length - typed.length);
+  const complete = (text) => `${before}${negation}${text}`;
+  const operators = SEARCH_OPERATORS.filter(operator => appliesTo(operator, types));
+
+  const colon = typed.indexOf(':');
+  if (colon === -1) {
+    const prefix = typed.toLowerCase();
+    if (prefix.length < MIN_NAME_LENGTH) return [];
+    return operators
+      .filter(operator => operator.name.startsWith(prefix))
+      .map(operator => ({
+        key: operator.name,
+        label: `${operator.name}:`,
+        description: operator.description,
+        value: complete(`${operator.name}:`)
+      }));
+  }
+
+  const operator = operators.find(candidate => candidate.name === typed.slice(0, colon).toLowerCase());
+  if (!operator) return [];
+  const partial = typed.slice(colon + 1).toLowerCase();
+
+  const values = operator.name === 'tag'
+    ? tags
+      .filter(tag => tag.name.includes(normalizeTag(partial)))
+      .map(tag => ({
+        value: tag.name.includes(' ') ? `"${tag.name}"` : tag.name,
+        description: `${tag.count} ${tag.count === 1 ? 'entry' : 'entries'}`
+      }))
+    : operator.values.filter(option => appliesTo(option, types) && option.value.startsWith(partial));
+
+  return values
+    .filter(option => option.value !== partial)
+    .slice(0, MAX_HINTS)
+    .map(option => ({
+      key: `${operator.name}:${option.value}`,
+      label: `${operator.name}:${option.value}`,
+      description: option.description,
+      value: complete(`${operator.name}:${option.value} `)
+    }));
+};
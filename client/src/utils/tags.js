@@ -0,0 +1,14 @@
+// Matches the server's normalization (server/utils/tags.js): lower case, no leading
+// "#" and single spaces, so "Work", "work " and "#work" are the same tag
+export const normalizeTag = (tag) => (tag || '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^#+\s*/, '')
+  .toLowerCase();
+
+// The editor keeps tags as a comma separated string; these convert to and from a list
+export const splitTags = (value) => [
+  ...new Set((value || '').split(',').map(normalizeTag).filter(Boolean))
+];
+
+export const joinTags = (tags) => tags.join(', ');
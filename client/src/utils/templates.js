@@ -0,0 +1,18 @@
+// Starting Markdown for an entry made from a template: one heading per section,
+// with the section's prompt quoted underneath as a hint to write over
+export const buildTemplateContent = (template) => {
+  if (!template) return '';
+  return template.sections
+    .map(section => (section.prompt
+      ? `## ${section.heading}\n> ${section.prompt}\n\n`
+      : `## ${section.heading}\n\n`))
+    .join('\n');
+};
+
+// Add a template's default tags to a comma separated tag list, skipping duplicates
+export const mergeTemplateTags = (tags, template) => {
+  const current = tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+  const lower = current.map(tag => tag.toLowerCase());
+  const added = (template?.defaultTags || []).filter(tag => !lower.includes(tag.toLowerCase()));
+  return [...current, ...added].join(', ');
+};
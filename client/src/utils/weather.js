@@ -0,0 +1,32 @@
+import { Sun, CloudSun, Cloud, CloudFog, CloudDrizzle, CloudRain, CloudSnow, CloudLightning } from 'lucide-react';
+
+// Conditions the server records, in the order they are shown
+export const WEATHER_CONDITIONS = {
+  clear: { label: 'Clear', icon: Sun },
+  'partly-cloudy': { label: 'Partly cloudy', icon: CloudSun },
+  cloudy: { label: 'Cloudy', icon: Cloud },
+  fog: { label: 'Fog', icon: CloudFog },
+  drizzle: { label: 'Drizzle', icon: CloudDrizzle },
+  rain: { label: 'Rain', icon: CloudRain },
+  snow: { label: 'Snow', icon: CloudSnow },
+  thunderstorm: { label: 'Thunderstorm', icon: CloudLightning }
+};
+
+// Conditions compared against each other in the mood insights
+export const WET_CONDITIONS = ['drizzle', 'rain', 'thunderstorm'];
+export const DRY_CONDITIONS = ['clear', 'partly-cloudy'];
+
+export const getWeatherLabel = (condition) => WEATHER_CONDITIONS[condition]?.label || 'Unknown';
+
+export const getWeatherIcon = (condition) => WEATHER_CONDITIONS[condition]?.icon || Cloud;
+
+// "12°C, Rain · 80% humidity"
+export const formatWeather = (weather) => {
+  const parts = [];
+  if (typeof weather.temperature === 'number') parts.push(`${Math.round(weather.temperature)}°C`);
+  if (weather.condition) parts.push(getWeatherLabel(weather.condition));
+  const summary = parts.join(', ');
+  return typeof weather.humidity === 'number'
+    ? `${summary} · ${Math.round(weather.humidity)}% humidity`
+    : summary;
+};
@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const sendEmail = require('../utils/sendEmail');
 const { validationResult } = require('express-validator');
+const { toProfilePictureUrl } = require('../utils/mediaUrls');
 
 // Generate JWT Token
 const generateToken = (id) => {
@@ -53,9 +54,7 @@ exports.register = async (req, res) => {
     }
 
     // Add profile picture URL if it exists
-    if (userData.profilePicture && !userData.profilePicture.startsWith('http')) {
-      userData.profilePicture = `${process.env.SERVER_URL || 'http://localhost:5000'}${userData.profilePicture}`;
-    }
+    userData.profilePicture = toProfilePictureUrl(userData.profilePicture);
 
     res.status(201).json({
       success: true,
@@ -116,9 +115,7 @@ exports.login = async (req, res) => {
     }
 
     // Add profile picture URL if it exists
-    if (userData.profilePicture && !userData.profilePicture.startsWith('http')) {
-      userData.profilePicture = `${process.env.SERVER_URL || 'http://localhost:5000'}${userData.profilePicture}`;
-    }
+    userData.profilePicture = toProfilePictureUrl(userData.profilePicture);
 
     res.json({
       success: true,
@@ -267,9 +264,7 @@ exports.getMe = async (req, res) => {
     }
 
     // Add profile picture URL if it exists
-    if (userData.profilePicture && !userData.profilePicture.startsWith('http')) {
-      userData.profilePicture = `${process.env.SERVER_URL || 'http://localhost:5000'}${userData.profilePicture}`;
-    }
+    userData.profilePicture = toProfilePictureUrl(userData.profilePicture);
 
     res.json({
       success: true,
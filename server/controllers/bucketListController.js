@@ -179,12 +179,12 @@ exports.cutBucketListItem = async (req, res) => {
   }
 };
 
-// @desc    Delete bucket list item
+// @desc    Move bucket list item to trash
 // @route   DELETE /api/bucket-list/:id
 // @access  Private
 exports.deleteBucketListItem = async (req, res) => {
   try {
-    const bucketListItem = await BucketList.findOneAndDelete({
+    const bucketListItem = await BucketList.findOne({
       _id: req.params.id,
       userId: req.user.id
     });
@@ -196,9 +196,11 @@ exports.deleteBucketListItem = async (req, res) => {
       });
     }
 
+    await bucketListItem.softDelete();
+
     res.json({
       success: true,
-      message: 'Bucket list item deleted successfully'
+      message: 'Bucket list item moved to trash'
     });
   } catch (error) {
     console.error('Delete bucket list item error:', error);
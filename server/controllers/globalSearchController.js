@@ -1,212 +1,199 @@
 const Journal = require('../models/Journal');
 const TodoList = require('../models/TodoList');
 const BucketList = require('../models/BucketList');
+const { stripMarkdown } = require('../utils/markdown');
+const { buildHighlightPattern, highlight, buildSnippet } = require('../utils/search');
+const { parseSearch, searchFilter } = require('../utils/searchQuery');
+const { hiddenNotebookIds } = require('../utils/notebooks');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Ranking needs the best matches of every type up to the requested page,
+// so pages stop this far into the results
+const MAX_RESULT_WINDOW = 1000;
+
+// Searchable content types. Each is matched through its text index and the
+// operators of utils/searchQuery, and turned into a result with the same shape:
+// title, date, highlights and a few extras.
+const SEARCH_TYPES = {
+  journal: {
+    Model: Journal,
+    owner: 'user',
+    // Protected entries have no text to match, except ones still waiting to be
+    // encrypted at rest, whose plaintext must not show up in text results
+    textFilter: { isEncrypted: { $ne: true } },
+    select: 'title content tags moodRating isEncrypted entryDate createdAt',
+    // Entries can be backdated, so they are ordered by the day they are about
+    dateField: 'entryDate',
+    toResult: (journal, pattern) => (journal.isEncrypted ? {
+      title: '[Protected Journal]',
+      date: journal.entryDate || journal.createdAt,
+      tags: [],
+      highlights: { title: [], snippet: [], tags: [] }
+    } : {
+      title: journal.title,
+      date: journal.entryDate || journal.createdAt,
+      tags: journal.tags || [],
+      moodRating: journal.moodRating,
+      highlights: {
+        title: highlight(journal.title, pattern),
+        snippet: buildSnippet(stripMarkdown(journal.content), pattern),
+        tags: (journal.tags || []).filter(tag => highlight(tag, pattern).some(segment => segment.match))
+      }
+    })
+  },
+  todo: {
+    Model: TodoList,
+    owner: 'userId',
+    textFilter: {},
+    select: 'task priority dueDate isCompleted createdAt',
+    dateField: 'createdAt',
+    toResult: (todo, pattern) => ({
+      title: todo.task,
+      date: todo.dueDate || todo.createdAt,
+      priority: todo.priority,
+      isCompleted: todo.isCompleted,
+      highlights: {
+        title: highlight(todo.task, pattern),
+        snippet: []
+      }
+    })
+  },
+  bucketlist: {
+    Model: BucketList,
+    owner: 'userId',
+    textFilter: {},
+    select: 'title description targetDate isCompleted createdAt',
+    dateField: 'createdAt',
+    toResult: (item, pattern) => ({
+      title: item.title,
+      date: item.targetDate || item.createdAt,
+      isCompleted: item.isCompleted,
+      highlights: {
+        title: highlight(item.title, pattern),
+        snippet: buildSnippet(item.description, pattern)
+      }
+    })
+  }
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Send errors with a status as client errors
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
 
-// @desc    Global search across all content types
+// Requested types (?type=journal,todo), all of them by default
+const parseTypes = (value) => {
+  if (!value) return Object.keys(SEARCH_TYPES);
+  const types = [...new Set(String(value).split(',').map(type => type.trim().toLowerCase()))];
+  const unknown = types.filter(type => !SEARCH_TYPES[type]);
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown search type: ${unknown.join(', ')}`);
+  }
+  return types;
+};
+
+// The best `count` matches of one type, with their relevance scores when the search
+// has text (newest first otherwise), and how many match in total.
+// Journals in the locked `hiddenNotebooks` are left out.
+const searchType = async (type, userId, search, count, hiddenNotebooks) => {
+  const { Model, owner, textFilter, select, dateField } = SEARCH_TYPES[type];
+  const conditions = {
+    [owner]: userId,
+    ...(search.text ? textFilter : {}),
+    ...(type === 'journal' && hiddenNotebooks.length ? { notebook: { $nin: hiddenNotebooks } } : {}),
+    ...searchFilter(search, type)
+  };
+
+  let find = Model.find(conditions).select(select);
+  find = search.text
+    ? find.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, [dateField]: -1 })
+    : find.sort({ [dateField]: -1 });
+
+  const [documents, total] = await Promise.all([
+    find.limit(count).lean(),
+    Model.countDocuments(conditions)
+  ]);
+
+  return { type, documents, total };
+};
+
+// When a search result was written, or for journals the day the entry is about
+const dateOf = ({ type, document }) => new Date(document[SEARCH_TYPES[type].dateField]);
+
+// @desc    Full-text search across journals, todos and bucket list items, ranked by relevance.
+//          ?query= takes the operators of utils/searchQuery (tag:work priority:high ...)
+//          (?query=, ?type=journal,todo,bucketlist, ?page=, ?limit=)
 // @route   GET /api/search
 // @access  Private
 exports.globalSearch = async (req, res) => {
   try {
-    const { query, type, page = 1, limit = 20 } = req.query;
-    const userId = req.user.id;
-
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query must be at least 2 characters long'
-      });
+    const search = parseSearch(req.query.query);
+    // Only types supporting every operator of the query are searched
+    const types = parseTypes(req.query.type).filter(type => search.types.includes(type));
+    if (types.length === 0) {
+      throw badRequest('The operators of this search do not apply to the requested types');
     }
-
-    const searchQuery = query.trim();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
     const skip = (page - 1) * limit;
-    const results = {
-      journals: [],
-      todos: [],
-      bucketList: [],
-      totalResults: 0
-    };
-
-    // Create search regex for text search
-    const textSearchRegex = new RegExp(searchQuery, 'i');
-    
-    // Try to parse as date for date-based searches
-    let dateSearch = null;
-    try {
-      const parsedDate = new Date(searchQuery);
-      if (!isNaN(parsedDate.getTime())) {
-        dateSearch = {
-          $gte: new Date(parsedDate.getFullYear(), parsedDate.getMonth(), parsedDate.getDate()),
-          $lt: new Date(parsedDate.getFullYear(), parsedDate.getMonth(), parsedDate.getDate() + 1)
-        };
-      }
-    } catch (e) {
-      // Not a valid date, continue with text search only
-    }
 
-    // Build search conditions
-    const buildSearchConditions = (fields) => {
-      const conditions = [
-        ...fields.map(field => ({ [field]: textSearchRegex }))
-      ];
-      
-      if (dateSearch) {
-        conditions.push({ createdAt: dateSearch });
-        conditions.push({ updatedAt: dateSearch });
-      }
-      
-      return { $or: conditions };
-    };
-
-    // Search journals (if not filtered by type or type is 'journal')
-    if (!type || type === 'journal') {
-      const journalSearchConditions = {
-        user: userId,
-        ...buildSearchConditions(['title', 'content', 'tags'])
-      };
-
-      const journals = await Journal.find(journalSearchConditions)
-        .select('title content tags date createdAt isEncrypted moodScore')
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(skip);
-
-      results.journals = journals.map(journal => {
-        const journalObj = journal.toObject();
-        
-        // Hide content for encrypted journals in search results
-        if (journalObj.isEncrypted) {
-          return {
-            ...journalObj,
-            type: 'journal',
-            title: '[Protected Journal]',
-            content: '[Content is password protected]',
-            excerpt: '[Content is password protected]',
-            tags: [], // Hide tags for encrypted journals
-            matchType: 'protected'
-          };
-        }
-        
-        return {
-          ...journalObj,
-          type: 'journal',
-          excerpt: journalObj.content ? journalObj.content.substring(0, 150) + '...' : '',
-          matchType: getMatchType(journalObj, searchQuery, dateSearch)
-        };
-      });
+    if (skip + limit > MAX_RESULT_WINDOW) {
+      throw badRequest(`Search results are limited to the first ${MAX_RESULT_WINDOW} matches`);
     }
 
-    // Search todos (if not filtered by type or type is 'todo')
-    if (!type || type === 'todo') {
-      const todoSearchConditions = {
-        userId: userId, // TodoList uses userId, not user
-        ...buildSearchConditions(['task']) // TodoList uses task, not title
-      };
-
-      const todos = await TodoList.find(todoSearchConditions)
-        .select('task priority dueDate isCompleted createdAt')
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(skip);
-
-      results.todos = todos.map(todo => {
-        const todoObj = todo.toObject();
-        return {
-          ...todoObj,
-          type: 'todo',
-          title: todoObj.task, // Map task to title for consistency
-          excerpt: todoObj.task ? todoObj.task.substring(0, 150) + '...' : '',
-          matchType: getMatchType(todoObj, searchQuery, dateSearch)
-        };
-      });
-    }
-
-    // Search bucket list (if not filtered by type or type is 'bucketlist')
-    if (!type || type === 'bucketlist') {
-      const bucketSearchConditions = {
-        userId: userId, // BucketList uses userId, not user
-        ...buildSearchConditions(['title', 'description'])
-      };
-
-      const bucketItems = await BucketList.find(bucketSearchConditions)
-        .select('title description isCompleted targetDate createdAt')
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(skip);
-
-      results.bucketList = bucketItems.map(item => ({
-        ...item.toObject(),
-        type: 'bucketlist',
-        excerpt: item.description ? item.description.substring(0, 150) + '...' : '',
-        matchType: getMatchType(item, searchQuery, dateSearch)
-      }));
-    }
-
-    // Calculate total results
-    results.totalResults = results.journals.length + results.todos.length + results.bucketList.length;
-
-    // Combine and sort all results by relevance and date
-    const allResults = [
-      ...results.journals,
-      ...results.todos,
-      ...results.bucketList
-    ].sort((a, b) => {
-      // Prioritize exact title matches
-      if (a.matchType === 'title' && b.matchType !== 'title') return -1;
-      if (b.matchType === 'title' && a.matchType !== 'title') return 1;
-      
-      // Then sort by date (newest first)
-      return new Date(b.createdAt) - new Date(a.createdAt);
-    });
+    const hiddenNotebooks = await hiddenNotebookIds(req);
+    const matches = await Promise.all(
+      types.map(type => searchType(type, req.user.id, search, skip + limit, hiddenNotebooks))
+    );
+
+    // One list ranked by relevance, newest first among equally relevant results
+    const ranked = matches
+      .flatMap(({ type, documents }) => documents.map(document => ({ type, document })))
+      .sort((a, b) => ((b.document.score || 0) - (a.document.score || 0))
+        || (dateOf(b) - dateOf(a)));
+
+    const pattern = buildHighlightPattern(search.text);
+    const results = ranked.slice(skip, skip + limit).map(({ type, document }) => ({
+      _id: document._id,
+      type,
+      score: search.text ? Math.round(document.score * 100) / 100 : null,
+      ...SEARCH_TYPES[type].toResult(document, pattern)
+    }));
+
+    const counts = Object.fromEntries(Object.keys(SEARCH_TYPES).map(type => [type, 0]));
+    matches.forEach(({ type, total }) => { counts[type] = total; });
+    const totalResults = matches.reduce((sum, { total }) => sum + total, 0);
 
     res.json({
       success: true,
-      query: searchQuery,
-      results: {
-        ...results,
-        combined: allResults.slice(0, limit)
-      },
+      query: req.query.query.trim(),
+      results,
+      counts,
       pagination: {
-        currentPage: parseInt(page),
-        totalResults: results.totalResults,
-        hasMore: results.totalResults > (page * limit)
+        currentPage: page,
+        limit,
+        totalResults,
+        totalPages: Math.ceil(Math.min(totalResults, MAX_RESULT_WINDOW) / limit),
+        hasMore: skip + limit < Math.min(totalResults, MAX_RESULT_WINDOW)
       }
     });
-
   } catch (error) {
-    console.error('Global search error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error performing search',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-// Helper function to determine what type of match was found
-const getMatchType = (item, searchQuery, dateSearch) => {
-  const query = searchQuery.toLowerCase();
-  
-  if (item.title && item.title.toLowerCase().includes(query)) {
-    return 'title';
-  }
-  if (item.task && item.task.toLowerCase().includes(query)) {
-    return 'task';
-  }
-  if (item.content && item.content.toLowerCase().includes(query)) {
-    return 'content';
-  }
-  if (item.description && item.description.toLowerCase().includes(query)) {
-    return 'description';
-  }
-  if (item.tags && item.tags.some(tag => tag.toLowerCase().includes(query))) {
-    return 'tag';
-  }
-  if (item.category && item.category.toLowerCase().includes(query)) {
-    return 'category';
-  }
-  if (dateSearch) {
-    return 'date';
+    handleError(res, error, 'Global search error', 'Error performing search');
   }
-  
-  return 'other';
 };
@@ -2,6 +2,87 @@ const Journal = require('../models/Journal');
 const TodoList = require('../models/TodoList');
 const BucketList = require('../models/BucketList');
 const { validationResult } = require('express-validator');
+const { WEATHER_CONDITIONS } = require('../utils/weather');
+const { EMOTION_GROUPS, WELLBEING_FIELDS, getEmotionGroup } = require('../utils/emotions');
+const { hiddenNotebookIds } = require('../utils/notebooks');
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Average mood per weather condition, for entries whose weather was captured
+const getMoodByWeather = (journalEntries) => {
+  const groups = {};
+  journalEntries.forEach(entry => {
+    const condition = entry.weather && entry.weather.condition;
+    if (!condition) return;
+    if (!groups[condition]) groups[condition] = [];
+    groups[condition].push(entry.moodRating);
+  });
+
+  return WEATHER_CONDITIONS
+    .filter(condition => groups[condition])
+    .map(condition => ({
+      condition,
+      averageMood: roundToTenth(average(groups[condition])),
+      entries: groups[condition].length
+    }));
+};
+
+// How often each emotion was felt, how strongly and with what mood, most frequent first
+const getEmotionBreakdown = (journalEntries) => {
+  const emotions = {};
+  journalEntries.forEach(entry => {
+    (entry.emotions || []).forEach(({ name, intensity }) => {
+      if (!emotions[name]) emotions[name] = { intensities: [], moods: [] };
+      emotions[name].intensities.push(intensity);
+      emotions[name].moods.push(entry.moodRating);
+    });
+  });
+
+  return Object.entries(emotions)
+    .map(([name, { intensities, moods }]) => ({
+      name,
+      group: getEmotionGroup(name),
+      entries: intensities.length,
+      averageIntensity: roundToTenth(average(intensities)),
+      averageMood: roundToTenth(average(moods))
+    }))
+    .sort((a, b) => b.entries - a.entries || b.averageIntensity - a.averageIntensity);
+};
+
+// Entries touching each core emotion of the wheel, in wheel order.
+// An entry that is both anxious and worried counts once towards fear.
+const getEmotionGroups = (journalEntries) => {
+  const groups = {};
+  journalEntries.forEach(entry => {
+    const entryGroups = new Set((entry.emotions || []).map(emotion => getEmotionGroup(emotion.name)));
+    entryGroups.forEach(group => {
+      if (!groups[group]) groups[group] = [];
+      groups[group].push(entry.moodRating);
+    });
+  });
+
+  return EMOTION_GROUPS
+    .filter(group => groups[group])
+    .map(group => ({
+      group,
+      entries: groups[group].length,
+      averageMood: roundToTenth(average(groups[group]))
+    }));
+};
+
+// Average of each wellbeing value over the entries that logged it, or null when none did
+const averageWellbeing = (journalEntries) => {
+  const averages = {};
+  WELLBEING_FIELDS.forEach(field => {
+    const values = journalEntries
+      .map(entry => entry.wellbeing && entry.wellbeing[field])
+      .filter(value => typeof value === 'number');
+    averages[field] = values.length > 0 ? roundToTenth(average(values)) : null;
+  });
+  return averages;
+};
 
 // @desc    Get dashboard stats
 // @route   GET /api/insights/stats
@@ -15,7 +96,14 @@ exports.getDashboardStats = async (req, res) => {
     const bucketListCount = await BucketList.countDocuments({ userId: userId });
 
     const moodStats = await Journal.aggregate([
-      { $match: { user: userId, isEncrypted: { $ne: true }, moodRating: { $exists: true } } },
+      {
+        $match: {
+          user: userId,
+          isEncrypted: { $ne: true },
+          moodRating: { $exists: true },
+          notebook: { $nin: await hiddenNotebookIds(req) }
+        }
+      },
       { $group: { _id: null, averageMood: { $avg: "$moodRating" } } },
     ]);
 
@@ -55,13 +143,14 @@ exports.getMoodInsights = async (req, res) => {
       startDate = new Date(now.getFullYear(), 0, 1); // Year
     }
 
-    // Get journal entries with mood ratings, excluding encrypted ones
+    // Get journal entries with mood ratings, excluding encrypted ones and those in locked notebooks
     const journalEntries = await Journal.find({
       user: req.user.id,
-      createdAt: { $gte: startDate, $lte: now },
+      entryDate: { $gte: startDate, $lte: now },
       moodRating: { $exists: true, $ne: null },
-      isEncrypted: false // Exclude protected journals
-    }).sort({ createdAt: 1 });
+      isEncrypted: false, // Exclude protected journals
+      notebook: { $nin: await hiddenNotebookIds(req) }
+    }).sort({ entryDate: 1 });
 
     if (journalEntries.length === 0) {
       return res.json({
@@ -71,6 +160,10 @@ exports.getMoodInsights = async (req, res) => {
           highestMood: null,
           lowestMood: null,
           moodTrend: [],
+          moodByWeather: [],
+          emotionBreakdown: [],
+          emotionGroups: [],
+          wellbeing: { ...averageWellbeing([]), entries: 0 },
           totalEntries: 0,
           period
         }
@@ -90,19 +183,24 @@ exports.getMoodInsights = async (req, res) => {
     );
 
     // Group by date for daily averages
-    const dailyMoods = {};
+    const dailyEntries = {};
     journalEntries.forEach(entry => {
-      const date = entry.createdAt.toISOString().split('T')[0];
-      if (!dailyMoods[date]) {
-        dailyMoods[date] = [];
+      const date = entry.entryDate.toISOString().split('T')[0];
+      if (!dailyEntries[date]) {
+        dailyEntries[date] = [];
       }
-      dailyMoods[date].push(entry.moodRating);
+      dailyEntries[date].push(entry);
     });
 
-    const dailyAverages = Object.entries(dailyMoods).map(([date, ratings]) => ({
+    // Wellbeing values are null on days none were logged
+    const dailyAverages = Object.entries(dailyEntries).map(([date, entries]) => ({
       date,
-      averageMood: ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+      averageMood: average(entries.map(entry => entry.moodRating)),
+      ...averageWellbeing(entries)
     }));
+    const wellbeingEntries = journalEntries.filter(entry => (
+      entry.wellbeing && WELLBEING_FIELDS.some(field => typeof entry.wellbeing[field] === 'number')
+    ));
 
     res.json({
       success: true,
@@ -110,15 +208,19 @@ exports.getMoodInsights = async (req, res) => {
         averageMood: Math.round(averageMood * 10) / 10,
         highestMood: {
           score: highestMoodEntry.moodRating,
-          date: highestMoodEntry.createdAt.toISOString().split('T')[0],
+          date: highestMoodEntry.entryDate.toISOString().split('T')[0],
           title: highestMoodEntry.title
         },
         lowestMood: {
           score: lowestMoodEntry.moodRating,
-          date: lowestMoodEntry.createdAt.toISOString().split('T')[0],
+          date: lowestMoodEntry.entryDate.toISOString().split('T')[0],
           title: lowestMoodEntry.title
         },
         moodTrend: dailyAverages,
+        moodByWeather: getMoodByWeather(journalEntries),
+        emotionBreakdown: getEmotionBreakdown(journalEntries),
+        emotionGroups: getEmotionGroups(journalEntries),
+        wellbeing: { ...averageWellbeing(wellbeingEntries), entries: wellbeingEntries.length },
         totalEntries: journalEntries.length,
         period
       }
@@ -1,6 +1,305 @@
+const mongoose = require('mongoose');
 const Journal = require('../models/Journal');
+const JournalRevision = require('../models/JournalRevision');
+const JournalDraft = require('../models/JournalDraft');
+const ShareLink = require('../models/ShareLink');
+const JournalTemplate = require('../models/JournalTemplate');
+const WritingPrompt = require('../models/WritingPrompt');
+const PromptHistory = require('../models/PromptHistory');
 const { validationResult } = require('express-validator');
 const { updateStreak } = require('./streakController');
+const { sanitizeJournal, unlockJournal, SECRET_FIELDS } = require('../utils/journalAccess');
+const { issueJournalUnlockToken, keyFromUnlockToken } = require('../utils/journalUnlockTokens');
+const { buildMediaFromFiles, deleteMediaFiles } = require('../middlewares/upload');
+const { signMedia } = require('../utils/mediaUrls');
+const { parseLocation } = require('../utils/location');
+const { captureWeather } = require('../utils/weather');
+const { parseTags } = require('../utils/tags');
+const { parseEmotions, parseWellbeing } = require('../utils/emotions');
+const { buildJournalQuery } = require('../utils/journalFilters');
+const { resolveNotebook, hiddenNotebookIds, assertNotebookUnlocked } = require('../utils/notebooks');
+const {
+  resolveLinks,
+  linkDanglingReferences,
+  getLinkedEntries,
+  toPublicContent
+} = require('../utils/wikiLinks');
+
+// Multipart forms send booleans as strings
+const toBoolean = (value) => value === true || value === 'true';
+
+// Error carrying the HTTP status the handlers should respond with
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Files uploaded with a request that failed before the entry was saved are orphans
+const discardUploads = (req, error) => {
+  if (!error || error.status || error.name === 'ValidationError') {
+    deleteMediaFiles(buildMediaFromFiles(req.files));
+  }
+};
+
+// Sort options accepted by getJournals
+const SORT_FIELDS = {
+  date: 'entryDate',
+  mood: 'moodRating',
+  title: 'title'
+};
+
+// Allowed difference between client and server clocks for entry dates
+const CLOCK_SKEW = 5 * 60 * 1000; // 5 minutes
+
+// Parse a submitted entry date; entries can be backdated but not dated in the future
+const parseEntryDate = (value) => {
+  const entryDate = new Date(value);
+  if (isNaN(entryDate.getTime())) {
+    throw badRequest('Entry date must be a valid date');
+  }
+  if (entryDate.getTime() > Date.now() + CLOCK_SKEW) {
+    throw badRequest('Entry date cannot be in the future');
+  }
+  return entryDate;
+};
+
+// Check that a submitted template is one the user may use
+const resolveTemplate = async (userId, templateId) => {
+  if (!mongoose.isValidObjectId(templateId)) {
+    throw badRequest('Template not found');
+  }
+  const template = await JournalTemplate.exists({
+    _id: templateId,
+    $or: [{ user: null }, { user: userId }]
+  });
+  if (!template) {
+    throw badRequest('Template not found');
+  }
+  return template._id;
+};
+
+// Check that a submitted writing prompt exists
+const resolvePrompt = async (promptId) => {
+  const prompt = mongoose.isValidObjectId(promptId) && await WritingPrompt.exists({ _id: promptId });
+  if (!prompt) {
+    throw badRequest('Writing prompt not found');
+  }
+  return prompt._id;
+};
+
+// Create and save a journal entry from submitted fields, then update the user's streak.
+// Shared by createJournal and draft publishing.
+exports.createJournalEntry = async (userId, fields, media) => {
+  const {
+    title,
+    content,
+    moodRating,
+    isEncrypted,
+    encryptionPassword,
+    tags,
+    isPublic,
+    entryDate,
+    template,
+    prompt,
+    location,
+    emotions,
+    wellbeing,
+    notebook
+  } = fields;
+  const place = parseLocation(location);
+
+  const journal = new Journal({
+    user: userId,
+    notebook: await resolveNotebook(userId, notebook),
+    title,
+    content,
+    media,
+    moodRating,
+    emotions: parseEmotions(emotions) || [],
+    wellbeing: parseWellbeing(wellbeing) || undefined,
+    isEncrypted: toBoolean(isEncrypted),
+    encryptionPassword,
+    tags: parseTags(tags),
+    isPublic,
+    entryDate: entryDate ? parseEntryDate(entryDate) : undefined,
+    template: template ? await resolveTemplate(userId, template) : null,
+    prompt: prompt ? await resolvePrompt(prompt) : null,
+    location: place ? place.location : undefined,
+    placeName: place ? place.placeName : undefined
+  });
+
+  await captureWeather(journal);
+  await resolveLinks(journal);
+
+  const snapshot = JournalRevision.snapshotOf(journal);
+  let key = null;
+
+  // Protected entries are encrypted with a key derived from their password
+  if (journal.isEncrypted) {
+    if (!encryptionPassword) {
+      throw badRequest('A password is required to protect this journal entry');
+    }
+    key = await journal.deriveContentKey(encryptionPassword, true);
+    journal.sealContent(key);
+  }
+
+  await journal.save();
+  await JournalRevision.record(journal, snapshot, key);
+  await linkDanglingReferences(journal, snapshot.title);
+  await journal.populate('user', 'fullName surname');
+
+  // Mark the prompt as answered where it was shown to the user
+  if (journal.prompt) {
+    await PromptHistory.updateMany(
+      { user: userId, prompt: journal.prompt, journal: null },
+      { journal: journal._id }
+    );
+  }
+
+  // Update user streak after successful journal creation
+  await updateStreak(userId);
+
+  return journal;
+};
+
+// Drafts are stored as plaintext, so protecting an entry removes its drafts and their
+// files. Files the entry took over from a draft being published stay.
+const discardDrafts = async (journal) => {
+  const drafts = await JournalDraft.find({ journal: journal._id }).select('media');
+  const kept = journal.media.map(item => item.url);
+  drafts.forEach(draft => deleteMediaFiles(draft.media.filter(item => !kept.includes(item.url))));
+  await JournalDraft.deleteMany({ journal: journal._id });
+};
+
+// Apply submitted fields to an unlocked journal and save it with a new revision.
+// New `media` is appended to the existing attachments; `fields.removeMedia` lists
+// attachment ids to drop, whose files are deleted once the entry is saved.
+// `currentKey` is the key returned by unlockJournal. Shared by updateJournal and draft publishing.
+exports.applyJournalUpdate = async (journal, currentKey, fields, media) => {
+  // Entries written before revision history existed get their current state saved first
+  const hasHistory = await JournalRevision.exists({ journal: journal._id });
+  if (!hasHistory) {
+    await JournalRevision.record(journal, JournalRevision.snapshotOf(journal), currentKey);
+  }
+
+  const {
+    title,
+    content,
+    moodRating,
+    isEncrypted,
+    encryptionPassword,
+    tags,
+    isPublic,
+    entryDate,
+    removeMedia,
+    location,
+    emotions,
+    wellbeing,
+    notebook
+  } = fields;
+  const place = parseLocation(location);
+  const parsedEmotions = parseEmotions(emotions);
+  const parsedWellbeing = parseWellbeing(wellbeing);
+
+  const removeIds = removeMedia ? [].concat(removeMedia).join(',').split(',') : [];
+  const removedMedia = journal.media.filter(item => removeIds.includes(item._id.toString()));
+  const previousPlace = journal.location ? journal.location.coordinates.join(',') : null;
+
+  // Update journal fields
+  journal.title = title;
+  journal.content = content;
+  journal.media = [
+    ...journal.media.filter(item => !removeIds.includes(item._id.toString())),
+    ...media
+  ];
+  journal.moodRating = moodRating;
+  // Empty values clear the emotions and wellbeing; leaving them out keeps the current ones
+  if (parsedEmotions !== undefined) {
+    journal.emotions = parsedEmotions;
+  }
+  if (parsedWellbeing !== undefined) {
+    journal.wellbeing = parsedWellbeing || undefined;
+  }
+  // An empty value removes every tag; leaving the field out keeps the current ones
+  if (tags !== undefined) {
+    journal.tags = parseTags(tags);
+  }
+  journal.isPublic = isPublic;
+  // Leaving the notebook out keeps the entry where it is
+  if (notebook) {
+    journal.notebook = await resolveNotebook(journal.user, notebook);
+  }
+  if (entryDate) {
+    journal.entryDate = parseEntryDate(entryDate);
+  }
+  // An empty location clears it; leaving the field out keeps the current one
+  if (place !== undefined) {
+    journal.location = place ? place.location : undefined;
+    journal.placeName = place ? place.placeName : undefined;
+  }
+  const entryDateChanged = journal.isModified('entryDate');
+
+  // The weather belongs to the entry's place and time, so it follows them
+  const currentPlace = journal.location ? journal.location.coordinates.join(',') : null;
+  if (currentPlace !== previousPlace || entryDateChanged || (currentPlace && !journal.weather?.condition)) {
+    journal.weather = undefined;
+    await captureWeather(journal);
+  }
+
+  await resolveLinks(journal);
+  const titleChanged = journal.isModified('title');
+
+  const wasEncrypted = journal.isEncrypted;
+  const willBeEncrypted = isEncrypted === undefined ? wasEncrypted : toBoolean(isEncrypted);
+  const snapshot = JournalRevision.snapshotOf(journal);
+  let key = null;
+
+  if (willBeEncrypted) {
+    key = currentKey;
+    if (encryptionPassword) {
+      // A new password always gets a fresh salt and key
+      journal.encryptionPassword = encryptionPassword;
+      key = await journal.deriveContentKey(encryptionPassword, true);
+    } else if (!wasEncrypted) {
+      throw badRequest('A password is required to protect this journal entry');
+    }
+    journal.isEncrypted = true;
+    await journal.validate(Journal.ENCRYPTED_FIELDS);
+    journal.sealContent(key);
+  } else if (wasEncrypted) {
+    journal.removeEncryption();
+  }
+
+  // Save to trigger pre-save middleware for password hashing
+  await journal.save();
+
+  // Keep the history protected exactly like the entry itself
+  if (key !== currentKey) {
+    await JournalRevision.reprotect(journal._id, currentKey, key);
+    // Share links carry the old key (or none), so they cannot follow the change
+    await ShareLink.revokeForJournal(journal._id);
+  }
+  await JournalRevision.record(journal, snapshot, key);
+  if (willBeEncrypted && !wasEncrypted) {
+    await discardDrafts(journal);
+  }
+  // Links written before an entry with this title existed can find it now
+  if (titleChanged) {
+    await linkDanglingReferences(journal, snapshot.title);
+  }
+  await journal.populate('user', 'fullName surname');
+
+  // Files of removed attachments are no longer referenced anywhere
+  deleteMediaFiles(removedMedia);
+
+  // Moving an entry to another day can change the streak
+  if (entryDateChanged) {
+    await updateStreak(journal.user._id);
+  }
+
+  return journal;
+};
 
 // @desc    Create new journal entry
 // @route   POST /api/journal
@@ -9,61 +308,36 @@ exports.createJournal = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      discardUploads(req);
       return res.status(400).json({
         success: false,
         errors: errors.array()
       });
     }
 
-    const {
-      title,
-      content,
-      moodRating,
-      isEncrypted,
-      encryptionPassword,
-      tags,
-      isPublic
-    } = req.body;
-
-    // Handle media files
-    const media = [];
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        // Generate proper URL path for uploaded files
-        const relativePath = file.path.replace(/\\/g, '/').replace(/.*\/uploads\//, '');
-        media.push({
-          url: `/uploads/${relativePath}`,
-          type: file.mimetype.startsWith('image/') ? 'image' : 'video',
-          filename: file.originalname,
-          size: file.size
-        });
-      });
-    }
-
-    const journal = await Journal.create({
-      user: req.user.id,
-      title,
-      content,
-      media,
-      moodRating,
-      isEncrypted,
-      encryptionPassword,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      isPublic
-    });
-
-    await journal.populate('user', 'fullName surname');
-
-    // Update user streak after successful journal creation
-    await updateStreak(req.user.id);
+    const journal = await exports.createJournalEntry(
+      req.user.id,
+      req.body,
+      buildMediaFromFiles(req.files)
+    );
 
     res.status(201).json({
       success: true,
       message: 'Journal entry created successfully',
-      journal
+      journal: sanitizeJournal(journal.toUnlockedObject())
     });
   } catch (error) {
     console.error('Create journal error:', error);
+    discardUploads(req, error);
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     console.error('Error stack:', error.stack);
     console.error('Request body:', req.body);
     console.error('Request files:', req.files);
@@ -86,96 +360,31 @@ exports.getJournals = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const query = { user: req.user.id };
-
-    // Add search functionality
-    if (req.query.search) {
-      query.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { content: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } }
-      ];
-    }
-
-    // Add mood filter
-    if (req.query.mood) {
-      query.moodRating = parseInt(req.query.mood);
-    }
-
-    // Add encryption filter (for Protected Journals shortcut)
-    if (req.query.isEncrypted !== undefined) {
-      query.isEncrypted = req.query.isEncrypted === 'true';
-    }
-
-    // Add media filter (for With Media shortcut)
-    if (req.query.hasMedia !== undefined) {
-      if (req.query.hasMedia === 'true') {
-        query['media.0'] = { $exists: true }; // Has at least one media item
-      } else {
-        query.media = { $size: 0 }; // No media items
-      }
-    }
-
-    // Add mood range filters (for Good Mood / Low Mood shortcuts)
-    if (req.query.moodRange) {
-      if (req.query.moodRange === 'good') {
-        query.moodRating = { $gte: 4 }; // 4-5 rating
-      } else if (req.query.moodRange === 'low') {
-        query.moodRating = { $lte: 2 }; // 1-2 rating
-      }
-    }
-
-    // Add date range filter
-    if (req.query.fromDate || req.query.toDate) {
-      query.createdAt = {};
-      if (req.query.fromDate) {
-        query.createdAt.$gte = new Date(req.query.fromDate);
-      }
-      if (req.query.toDate) {
-        const toDate = new Date(req.query.toDate);
-        toDate.setHours(23, 59, 59, 999); // End of day
-        query.createdAt.$lte = toDate;
-      }
-    }
+    const { query, search } = buildJournalQuery(req.user.id, req.query, {
+      hiddenNotebooks: await hiddenNotebookIds(req)
+    });
 
-    // Add single date filter (for backward compatibility)
-    if (req.query.date && !req.query.fromDate && !req.query.toDate) {
-      const date = new Date(req.query.date);
-      const nextDay = new Date(date);
-      nextDay.setDate(nextDay.getDate() + 1);
-      query.createdAt = {
-        $gte: date,
-        $lt: nextDay
-      };
-    }
+    // Sort by entry date unless another field is requested; newest first by default.
+    // Searches are ranked by relevance unless a field is requested.
+    const sortDirection = req.query.sortOrder === 'asc' ? 1 : -1;
+    const byRelevance = search && search.text && (!req.query.sortBy || req.query.sortBy === 'relevance');
+    const sortField = SORT_FIELDS[req.query.sortBy] || SORT_FIELDS.date;
+    const sort = byRelevance
+      ? { score: { $meta: 'textScore' }, entryDate: -1, _id: -1 }
+      : { [sortField]: sortDirection, _id: sortDirection };
 
     const journals = await Journal.find(query)
       .populate('user', 'fullName surname')
-      .sort({ createdAt: -1 })
+      .populate('template', 'name icon')
+      .populate('notebook', 'name icon color')
+      .sort(sort)
       .skip(skip)
       .limit(limit);
 
     const total = await Journal.countDocuments(query);
 
     // Sanitize journals to hide content for encrypted entries
-    const sanitizedJournals = journals.map(journal => {
-      const journalObj = journal.toObject();
-      
-      // If journal is encrypted, hide sensitive content
-      if (journalObj.isEncrypted) {
-        return {
-          ...journalObj,
-          title: '[Protected Journal]',
-          content: '[Content is password protected]',
-          moodRating: null,
-          moodEmoji: '🔒',
-          media: [], // Hide media for encrypted journals
-          tags: [] // Hide tags for encrypted journals
-        };
-      }
-      
-      return journalObj;
-    });
+    const sanitizedJournals = journals.map(journal => sanitizeJournal(journal.toObject()));
 
     res.json({
       success: true,
@@ -190,6 +399,13 @@ exports.getJournals = async (req, res) => {
     });
   } catch (error) {
     console.error('Get journals error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        requiresNotebookPassword: error.requiresNotebookPassword
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error fetching journal entries',
@@ -204,7 +420,10 @@ exports.getJournals = async (req, res) => {
 exports.getJournal = async (req, res) => {
   try {
     const journal = await Journal.findById(req.params.id)
-      .populate('user', 'fullName surname');
+      .populate('user', 'fullName surname')
+      .populate('template', 'name icon')
+      .populate('prompt', 'text category')
+      .populate('notebook', 'name icon color');
 
     if (!journal) {
       return res.status(404).json({
@@ -214,57 +433,68 @@ exports.getJournal = async (req, res) => {
     }
 
     // Check if user owns this journal or if it's public
-    if (journal.user._id.toString() !== req.user.id && !journal.isPublic) {
+    const isOwner = journal.user._id.toString() === req.user.id;
+    if (!isOwner && !journal.isPublic) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    // Entries in a locked notebook stay hidden from their owner until it is unlocked
+    if (isOwner) {
+      await assertNotebookUnlocked(req, journal);
+    }
+
     // If journal is encrypted, sanitize the output
     if (journal.isEncrypted) {
-      const { password } = req.query; // Check for password in query for verified requests
-
-      if (!password) {
-        // If no password, return sanitized data and indicate it's locked
+      const withSecrets = isOwner && await Journal.findById(req.params.id).select(SECRET_FIELDS);
+      if (!withSecrets || !keyFromUnlockToken(req, withSecrets)) {
+        // Without an unlock token from verify-password, return sanitized data and indicate it's locked
         const sanitizedJournal = {
-          ...journal.toObject(),
-          title: '[Protected Journal]',
-          content: '[Content is password protected]',
-          moodRating: null,
-          media: [],
-          tags: [],
+          ...sanitizeJournal(journal.toObject()),
           contentLocked: true,
         };
         return res.json({ success: true, journal: sanitizedJournal });
       }
 
-      // If password is provided, verify it
-      const journalWithPassword = await Journal.findById(req.params.id).select('+encryptionPassword +passwordFailedAttempts +passwordLockoutUntil');
-      const isPasswordValid = await journalWithPassword.verifyPasswordAndHandleLockout(password);
+      // Decrypt the entry with the key the unlock token carries
+      const { journal: unlockedJournal } = await unlockJournal(req, req.params.id);
+      await unlockedJournal.populate('user', 'fullName surname');
 
-      if (!isPasswordValid) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid password',
-        });
-      }
-
-      // If password is valid, return the full journal
+      const journalObj = unlockedJournal.toUnlockedObject();
       return res.json({
         success: true,
-        journal: journalWithPassword, // Return the full journal object
+        journal: {
+          ...journalObj,
+          media: signMedia(journalObj.media),
+          linkedEntries: await getLinkedEntries(unlockedJournal, await hiddenNotebookIds(req))
+        },
       });
     }
 
+    const journalObj = sanitizeJournal(journal.toObject({ virtuals: true }));
+    if (isOwner) {
+      journalObj.linkedEntries = await getLinkedEntries(journal, await hiddenNotebookIds(req));
+    } else {
+      // Other readers of a public entry see its wiki links as plain text
+      Object.assign(journalObj, await toPublicContent(journal));
+      delete journalObj.links;
+    }
+
     res.json({
       success: true,
-      journal,
+      journal: journalObj,
     });
   } catch (error) {
     console.error('Get journal error:', error);
-    if (error.status === 429) {
-      return res.status(429).json({ success: false, message: error.message });
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        requiresPassword: error.requiresPassword,
+        requiresNotebookPassword: error.requiresNotebookPassword
+      });
     }
     res.status(500).json({
       success: false,
@@ -274,20 +504,12 @@ exports.getJournal = async (req, res) => {
   }
 };
 
-// @desc    Update journal entry
-// @route   PUT /api/journal/:id
+// @desc    Get the user's entries that link to a journal entry
+// @route   GET /api/journal/:id/backlinks
 // @access  Private
-exports.updateJournal = async (req, res) => {
+exports.getBacklinks = async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
-
-    let journal = await Journal.findById(req.params.id);
+    const journal = mongoose.isValidObjectId(req.params.id) && await Journal.findById(req.params.id);
 
     if (!journal) {
       return res.status(404).json({
@@ -296,7 +518,6 @@ exports.updateJournal = async (req, res) => {
       });
     }
 
-    // Check ownership
     if (journal.user.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
@@ -304,77 +525,81 @@ exports.updateJournal = async (req, res) => {
       });
     }
 
-    // If journal is encrypted, verify password before allowing edit
-    if (journal.isEncrypted) {
-      const { password } = req.body;
-      if (!password) {
-        return res.status(401).json({
-          success: false,
-          message: 'Password required to edit encrypted journal'
-        });
-      }
+    // Entries in locked notebooks are left out until the notebook is unlocked
+    const sources = await Journal.find({
+      user: req.user.id,
+      'links.journal': journal._id,
+      notebook: { $nin: await hiddenNotebookIds(req) }
+    })
+      .select('title entryDate isEncrypted')
+      .sort({ entryDate: -1 });
 
-      const journalWithPassword = await Journal.findById(req.params.id).select('+encryptionPassword +passwordFailedAttempts +passwordLockoutUntil');
-      const isPasswordValid = await journalWithPassword.verifyPasswordAndHandleLockout(password);
-      
-      if (!isPasswordValid) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid password'
-        });
-      }
-    }
+    res.json({
+      success: true,
+      // Titles of protected entries stay hidden until they are unlocked
+      backlinks: sources.map(source => ({
+        _id: source._id,
+        title: source.isEncrypted ? null : source.title,
+        entryDate: source.entryDate,
+        isEncrypted: source.isEncrypted
+      }))
+    });
+  } catch (error) {
+    console.error('Get backlinks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching linked entries',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
 
-    const {
-      title,
-      content,
-      moodRating,
-      isEncrypted,
-      encryptionPassword,
-      tags,
-      isPublic
-    } = req.body;
-
-    // Handle media files
-    const media = [];
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        // Generate proper URL path for uploaded files
-        const relativePath = file.path.replace(/\\/g, '/').replace(/.*\/uploads\//, '');
-        media.push({
-          url: `/uploads/${relativePath}`,
-          type: file.mimetype.startsWith('image/') ? 'image' : 'video',
-          filename: file.originalname,
-          size: file.size
-        });
+// @desc    Update journal entry
+// @route   PUT /api/journal/:id
+// @access  Private
+exports.updateJournal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
       });
     }
 
-    // Update journal fields
-    journal.title = title;
-    journal.content = content;
-    journal.media = media.length > 0 ? media : journal.media;
-    journal.moodRating = moodRating;
-    journal.isEncrypted = isEncrypted;
-    if (encryptionPassword) {
-      journal.encryptionPassword = encryptionPassword;
-    }
-    journal.tags = tags ? tags.split(',').map(tag => tag.trim()) : journal.tags;
-    journal.isPublic = isPublic;
+    // Loads the journal, checks ownership and, for encrypted entries,
+    // verifies the password before allowing edit and decrypts the content
+    const { journal: unlocked, key } = await unlockJournal(req, req.params.id, req.body.password);
 
-    // Save to trigger pre-save middleware for password hashing
-    await journal.save();
-    await journal.populate('user', 'fullName surname');
+    const journal = await exports.applyJournalUpdate(
+      unlocked,
+      key,
+      req.body,
+      buildMediaFromFiles(req.files)
+    );
 
     res.json({
       success: true,
       message: 'Journal entry updated successfully',
-      journal
+      journal: sanitizeJournal(journal.toUnlockedObject())
     });
   } catch (error) {
     console.error('Update journal error:', error);
-    if (error.status === 429) {
-      return res.status(429).json({ success: false, message: error.message });
+    discardUploads(req, error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        requiresPassword: error.requiresPassword,
+        requiresNotebookPassword: error.requiresNotebookPassword
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
     }
     res.status(500).json({
       success: false,
@@ -405,7 +630,7 @@ exports.verifyJournalPassword = async (req, res) => {
       });
     }
 
-    const journal = await Journal.findById(req.params.id).select('+encryptionPassword +passwordFailedAttempts +passwordLockoutUntil');
+    const journal = await Journal.findById(req.params.id).select(SECRET_FIELDS);
 
     if (!journal) {
       return res.status(404).json({
@@ -422,6 +647,8 @@ exports.verifyJournalPassword = async (req, res) => {
       });
     }
 
+    await assertNotebookUnlocked(req, journal);
+
     // Check if journal is encrypted
     if (!journal.isEncrypted) {
       return res.status(400).json({
@@ -477,6 +704,14 @@ exports.verifyJournalPassword = async (req, res) => {
       await journal.save();
     }
 
+    // The content key goes into the unlock token. Entries protected before at-rest
+    // encryption existed are sealed with it.
+    const key = await journal.deriveContentKey(password);
+    if (journal.hasLegacyPlaintext()) {
+      journal.sealContent(key);
+      await journal.save();
+    }
+
     // Handle different actions
     let responseData = {
       success: true,
@@ -485,15 +720,26 @@ exports.verifyJournalPassword = async (req, res) => {
     };
 
     if (action === 'delete') {
-      // For delete action, perform the deletion immediately
-      await Journal.findByIdAndDelete(req.params.id);
-      responseData.message = 'Journal entry deleted successfully';
+      // For delete action, move the entry to the trash immediately
+      await journal.softDelete();
+      responseData.message = 'Journal entry moved to trash';
       responseData.deleted = true;
+    } else {
+      // Viewing and editing go through a short-lived unlock token, sent back in the
+      // X-Journal-Token header, so the password is not sent again
+      Object.assign(responseData, issueJournalUnlockToken(journal, key, req.user.id));
     }
 
     res.json(responseData);
   } catch (error) {
     console.error('Verify journal password error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        requiresNotebookPassword: error.requiresNotebookPassword
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error verifying password',
@@ -502,7 +748,7 @@ exports.verifyJournalPassword = async (req, res) => {
   }
 };
 
-// @desc    Delete journal entry
+// @desc    Move journal entry to trash
 // @route   DELETE /api/journal/:id
 // @access  Private
 exports.deleteJournal = async (req, res) => {
@@ -524,8 +770,11 @@ exports.deleteJournal = async (req, res) => {
       });
     }
 
-    // If journal is encrypted, verify password before allowing delete
-    if (journal.isEncrypted) {
+    await assertNotebookUnlocked(req, journal);
+
+    // If journal is encrypted, require its unlock token or password before allowing delete
+    const journalWithPassword = journal.isEncrypted && await Journal.findById(req.params.id).select(SECRET_FIELDS);
+    if (journalWithPassword && !keyFromUnlockToken(req, journalWithPassword)) {
       const { password } = req.body;
       if (!password) {
         return res.status(401).json({
@@ -535,7 +784,6 @@ exports.deleteJournal = async (req, res) => {
         });
       }
 
-      const journalWithPassword = await Journal.findById(req.params.id).select('+encryptionPassword +passwordFailedAttempts +passwordLockoutUntil');
       const isPasswordValid = await journalWithPassword.verifyPasswordAndHandleLockout(password);
       
       if (!isPasswordValid) {
@@ -546,16 +794,22 @@ exports.deleteJournal = async (req, res) => {
       }
     }
 
-    await Journal.findByIdAndDelete(req.params.id);
+    // Move to trash; it is purged permanently after the retention window
+    await journal.softDelete();
 
     res.json({
       success: true,
-      message: 'Journal entry deleted successfully'
+      message: 'Journal entry moved to trash'
     });
   } catch (error) {
     console.error('Delete journal error:', error);
-    if (error.status === 429) {
-      return res.status(429).json({ success: false, message: error.message });
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        requiresPassword: error.requiresPassword,
+        requiresNotebookPassword: error.requiresNotebookPassword
+      });
     }
     res.status(500).json({
       success: false,
@@ -581,7 +835,7 @@ exports.getJournalFilterStats = async (req, res) => {
     // Get this month's entries
     const thisMonthEntries = await Journal.countDocuments({
       user: userId,
-      createdAt: {
+      entryDate: {
         $gte: startOfMonth,
         $lte: endOfMonth
       }
@@ -636,8 +890,8 @@ exports.getJournalStats = async (req, res) => {
       {
         $group: {
           _id: {
-            year: { $year: '$createdAt' },
-            month: { $month: '$createdAt' }
+            year: { $year: '$entryDate' },
+            month: { $month: '$entryDate' }
           },
           count: { $sum: 1 }
         }
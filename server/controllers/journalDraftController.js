@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const { createJournalEntry, applyJournalUpdate } = require('./journalController');
+const { sanitizeJournal, unlockJournal } = require('../utils/journalAccess');
+const { hiddenNotebookIds, assertNotebookUnlocked } = require('../utils/notebooks');
+const { buildMediaFromFiles, deleteMediaFiles } = require('../middlewares/upload');
+const { signMedia } = require('../utils/mediaUrls');
+const { parseLocation } = require('../utils/location');
+const { parseTags } = require('../utils/tags');
+const { parseEmotions, parseWellbeing } = require('../utils/emotions');
+
+const DRAFT_FIELDS = ['title', 'content', 'moodRating', 'isPublic', 'entryDate'];
+
+// Error carrying the HTTP status the handlers should respond with
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Drafts are stored as plaintext, so protected entries never get one
+const assertDraftable = async (req, journalId) => {
+  if (req.body.isEncrypted === true || req.body.isEncrypted === 'true') {
+    throw httpError(400, 'Drafts are not saved for password protected entries');
+  }
+  if (!journalId) return;
+  if (!mongoose.isValidObjectId(journalId)) {
+    throw httpError(400, 'Invalid journal id');
+  }
+
+  const journal = await Journal.findOne({ _id: journalId, user: req.user.id }).select('isEncrypted notebook');
+  if (!journal) {
+    throw httpError(404, 'Journal entry not found');
+  }
+  await assertNotebookUnlocked(req, journal);
+  if (journal.isEncrypted) {
+    throw httpError(400, 'Drafts are not saved for password protected entries');
+  }
+};
+
+// Copy submitted editor fields onto a draft, leaving missing ones untouched
+const applyDraftFields = (draft, body) => {
+  DRAFT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      draft[field] = body[field];
+    }
+  });
+  if (body.tags !== undefined) {
+    draft.tags = parseTags(body.tags);
+  }
+  const emotions = parseEmotions(body.emotions);
+  if (emotions !== undefined) {
+    draft.emotions = emotions;
+  }
+  const wellbeing = parseWellbeing(body.wellbeing);
+  if (wellbeing !== undefined) {
+    draft.wellbeing = wellbeing || undefined;
+  }
+  const place = parseLocation(body.location);
+  if (place !== undefined) {
+    draft.location = place && place.location ? place.location : undefined;
+    draft.placeName = place ? place.placeName : undefined;
+  }
+  // Only drafts of new entries record a template or prompt; published entries keep theirs
+  if (!draft.journal) {
+    if (body.template !== undefined) draft.template = body.template || null;
+    if (body.prompt !== undefined) draft.prompt = body.prompt || null;
+  }
+};
+
+// Draft in the shape sent to the client, with signed media URLs
+const formatDraft = (draft) => ({ ...draft.toObject(), media: signMedia(draft.media) });
+
+// Load one of the user's drafts. Drafts of entries in a locked notebook stay
+// out of reach until the notebook is unlocked, like the entries themselves.
+const findDraft = async (req) => {
+  const draft = mongoose.isValidObjectId(req.params.id) &&
+    await JournalDraft.findOne({ _id: req.params.id, user: req.user.id });
+  if (!draft) {
+    throw httpError(404, 'Draft not found');
+  }
+  if (draft.journal) {
+    const journal = await Journal.findById(draft.journal).select('notebook').setOptions({ withDeleted: true });
+    if (journal) await assertNotebookUnlocked(req, journal);
+  }
+  return draft;
+};
+
+// Ids of the user's entries in locked notebooks, whose drafts are left out of lists
+const hiddenDraftJournalIds = async (req) => {
+  const hidden = await hiddenNotebookIds(req);
+  if (hidden.length === 0) return [];
+  return Journal.find({ user: req.user.id, notebook: { $in: hidden } })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+};
+
+// Send errors with a status or validation failures as client errors
+const handleError = (req, res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (req.files && (error.status || error.name === 'ValidationError')) {
+    deleteMediaFiles(buildMediaFromFiles(req.files));
+  }
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      requiresPassword: error.requiresPassword,
+      requiresNotebookPassword: error.requiresNotebookPassword
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @desc    Create a draft, or update the existing draft of the same entry
+// @route   POST /api/drafts
+// @access  Private
+exports.createDraft = async (req, res) => {
+  try {
+    const journalId = req.body.journal || null;
+    await assertDraftable(req, journalId);
+
+    // An entry being edited only ever has one draft
+    let draft = journalId
+      ? await JournalDraft.findOne({ user: req.user.id, journal: journalId })
+      : null;
+    const isNew = !draft;
+
+    if (isNew) {
+      draft = new JournalDraft({ user: req.user.id, journal: journalId });
+    }
+    applyDraftFields(draft, req.body);
+    draft.media.push(...buildMediaFromFiles(req.files));
+    await draft.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: 'Draft saved',
+      draft: formatDraft(draft)
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Create draft error', 'Error saving draft');
+  }
+};
+
+// @desc    List drafts, optionally for one entry (?journal=<id>) or new entries (?journal=new)
+// @route   GET /api/drafts
+// @access  Private
+exports.getDrafts = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.journal) {
+      if (req.query.journal !== 'new' && !mongoose.isValidObjectId(req.query.journal)) {
+        throw httpError(400, 'Invalid journal id');
+      }
+      query.journal = req.query.journal === 'new' ? null : req.query.journal;
+    }
+
+    const [drafts, hiddenJournals] = await Promise.all([
+      JournalDraft.find(query).sort({ updatedAt: -1 }),
+      hiddenDraftJournalIds(req)
+    ]);
+    const visible = drafts.filter(draft => !draft.journal || !hiddenJournals.some(id => id.equals(draft.journal)));
+
+    res.json({
+      success: true,
+      drafts: visible.map(formatDraft)
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Get drafts error', 'Error fetching drafts');
+  }
+};
+
+// @desc    Get a single draft
+// @route   GET /api/drafts/:id
+// @access  Private
+exports.getDraft = async (req, res) => {
+  try {
+    const draft = await findDraft(req);
+
+    res.json({
+      success: true,
+      draft: formatDraft(draft)
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Get draft error', 'Error fetching draft');
+  }
+};
+
+// @desc    Autosave a draft. New files are appended; `removeMedia` lists media ids to drop.
+// @route   PUT /api/drafts/:id
+// @access  Private
+exports.updateDraft = async (req, res) => {
+  try {
+    const draft = await findDraft(req);
+    await assertDraftable(req, draft.journal);
+
+    applyDraftFields(draft, req.body);
+
+    if (req.body.removeMedia) {
+      const removeIds = [].concat(req.body.removeMedia).join(',').split(',');
+      const removed = draft.media.filter(item => removeIds.includes(item._id.toString()));
+      draft.media = draft.media.filter(item => !removeIds.includes(item._id.toString()));
+      deleteMediaFiles(removed);
+    }
+    draft.media.push(...buildMediaFromFiles(req.files));
+
+    await draft.save();
+
+    res.json({
+      success: true,
+      message: 'Draft saved',
+      draft: formatDraft(draft)
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Update draft error', 'Error saving draft');
+  }
+};
+
+// @desc    Discard a draft and its uploaded media
+// @route   DELETE /api/drafts/:id
+// @access  Private
+exports.discardDraft = async (req, res) => {
+  try {
+    const draft = await findDraft(req);
+
+    deleteMediaFiles(draft.media);
+    await draft.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Draft discarded'
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Discard draft error', 'Error discarding draft');
+  }
+};
+
+// @desc    Publish a draft as a new entry, or apply it to the entry it edits.
+//          Submitted fields and files take precedence over the saved draft.
+// @route   POST /api/drafts/:id/publish
+// @access  Private
+exports.publishDraft = async (req, res) => {
+  try {
+    const draft = await findDraft(req);
+
+    const fields = { ...draft.toJournalFields(), ...req.body };
+    const media = [
+      ...draft.media.map(({ url, type, filename, size, variants, width, height, duration }) => ({
+        url, type, filename, size, variants, width, height, duration
+      })),
+      ...buildMediaFromFiles(req.files)
+    ];
+
+    let journal;
+    if (draft.journal) {
+      const { journal: unlocked, key } = await unlockJournal(req, draft.journal, req.body.password);
+      journal = await applyJournalUpdate(unlocked, key, fields, media);
+    } else {
+      journal = await createJournalEntry(req.user.id, fields, media);
+    }
+
+    // The media now belongs to the journal, so only the draft itself is removed
+    await draft.deleteOne();
+
+    res.status(draft.journal ? 200 : 201).json({
+      success: true,
+      message: draft.journal ? 'Journal entry updated successfully' : 'Journal entry created successfully',
+      journal: sanitizeJournal(journal.toUnlockedObject())
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Publish draft error', 'Error publishing draft');
+  }
+};
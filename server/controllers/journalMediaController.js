@@ -0,0 +1,169 @@
+const Journal = require('../models/Journal');
+const { unlockJournal } = require('../utils/journalAccess');
+const { buildMediaFromFiles, deleteMediaFiles } = require('../middlewares/upload');
+const { signMedia } = require('../utils/mediaUrls');
+
+// Error carrying the HTTP status the handlers should respond with
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const findMedia = (journal, mediaId) => {
+  const item = journal.media.id(mediaId);
+  if (!item) {
+    throw httpError(404, 'Attachment not found');
+  }
+  return item;
+};
+
+// Save media changes and return the media list for the response. Protected entries
+// are re-sealed first, since unlocking decrypted their content (and captions) in place.
+const saveMedia = async (journal, key) => {
+  const media = signMedia(journal.media);
+  if (journal.isEncrypted) {
+    journal.sealContent(key);
+  }
+  await journal.save();
+  return media;
+};
+
+// Send errors with a status or validation failures as client errors, removing
+// files uploaded with a request that did not go through
+const handleError = (req, res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (req.files && (error.status || error.name === 'ValidationError')) {
+    deleteMediaFiles(buildMediaFromFiles(req.files));
+  }
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      requiresPassword: error.requiresPassword,
+      requiresNotebookPassword: error.requiresNotebookPassword
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @desc    Add attachments to a journal entry, keeping the existing ones
+// @route   POST /api/journal/:id/media
+// @access  Private
+exports.addMedia = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      throw httpError(400, 'No files were uploaded');
+    }
+
+    const { journal, key } = await unlockJournal(req, req.params.id, req.body.password);
+
+    if (journal.media.length + req.files.length > Journal.MAX_MEDIA) {
+      throw httpError(400, `A journal entry can have at most ${Journal.MAX_MEDIA} attachments`);
+    }
+
+    journal.media.push(...buildMediaFromFiles(req.files));
+    const media = await saveMedia(journal, key);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachments added',
+      media
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Add media error', 'Error adding attachments');
+  }
+};
+
+// @desc    Remove one attachment and delete its file
+// @route   DELETE /api/journal/:id/media/:mediaId
+// @access  Private
+exports.removeMedia = async (req, res) => {
+  try {
+    const { journal, key } = await unlockJournal(req, req.params.id, req.body.password);
+
+    const item = findMedia(journal, req.params.mediaId);
+    const removed = item.toObject();
+    journal.media.pull(item._id);
+    const media = await saveMedia(journal, key);
+
+    deleteMediaFiles([removed]);
+
+    res.json({
+      success: true,
+      message: 'Attachment removed',
+      media
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Remove media error', 'Error removing attachment');
+  }
+};
+
+// @desc    Reorder attachments. `order` must list every attachment id exactly once.
+// @route   PUT /api/journal/:id/media/order
+// @access  Private
+exports.reorderMedia = async (req, res) => {
+  try {
+    const { order } = req.body;
+    if (!Array.isArray(order)) {
+      throw httpError(400, 'Order must be a list of attachment ids');
+    }
+
+    const { journal, key } = await unlockJournal(req, req.params.id, req.body.password);
+
+    const currentIds = journal.media.map(item => item._id.toString());
+    const isPermutation = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(mediaId => currentIds.includes(mediaId));
+    if (!isPermutation) {
+      throw httpError(400, 'Order must list every attachment of the entry exactly once');
+    }
+
+    journal.media = order.map(mediaId => journal.media.id(mediaId));
+    const media = await saveMedia(journal, key);
+
+    res.json({
+      success: true,
+      message: 'Attachments reordered',
+      media
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Reorder media error', 'Error reordering attachments');
+  }
+};
+
+// @desc    Set or clear the caption of an attachment
+// @route   PATCH /api/journal/:id/media/:mediaId
+// @access  Private
+exports.updateMediaCaption = async (req, res) => {
+  try {
+    const { caption } = req.body;
+    if (caption !== undefined && caption !== null && typeof caption !== 'string') {
+      throw httpError(400, 'Caption must be text');
+    }
+
+    const { journal, key } = await unlockJournal(req, req.params.id, req.body.password);
+
+    const item = findMedia(journal, req.params.mediaId);
+    item.caption = caption ? caption.trim() : undefined;
+    const media = await saveMedia(journal, key);
+
+    res.json({
+      success: true,
+      message: 'Caption updated',
+      media
+    });
+  } catch (error) {
+    handleError(req, res, error, 'Update media caption error', 'Error updating caption');
+  }
+};
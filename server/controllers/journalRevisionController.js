@@ -0,0 +1,183 @@
+const JournalRevision = require('../models/JournalRevision');
+const { unlockJournal } = require('../utils/journalAccess');
+const { signMedia } = require('../utils/mediaUrls');
+const { diffWords, summarizeDiff } = require('../utils/textDiff');
+const { resolveLinks, linkDanglingReferences, getLinkedEntries } = require('../utils/wikiLinks');
+const { hiddenNotebookIds } = require('../utils/notebooks');
+
+// Find a single revision of a journal by its number, including encrypted content
+const findRevision = async (journalId, revisionNumber) => {
+  const revision = await JournalRevision.findOne({
+    journal: journalId,
+    revision: parseInt(revisionNumber)
+  }).select('+encryptedContent');
+
+  if (!revision) {
+    const error = new Error('Revision not found');
+    error.status = 404;
+    throw error;
+  }
+  return revision;
+};
+
+const countWords = (text) => (text ? (text.match(/[^\s]+/g) || []).length : 0);
+
+// Send errors raised by unlockJournal/findRevision with their status
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      requiresPassword: error.requiresPassword,
+      requiresNotebookPassword: error.requiresNotebookPassword
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// @desc    List revisions of a journal entry
+// @route   GET /api/journal/:id/revisions
+// @access  Private
+exports.getRevisions = async (req, res) => {
+  try {
+    const { journal, key } = await unlockJournal(req, req.params.id);
+
+    const revisions = await JournalRevision.find({ journal: journal._id })
+      .select('+encryptedContent')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      revisions: revisions.map(revision => {
+        const snapshot = revision.getSnapshot(key);
+        return {
+          _id: revision._id,
+          revision: revision.revision,
+          createdAt: revision.createdAt,
+          restoredFrom: revision.restoredFrom,
+          title: snapshot.title,
+          moodRating: snapshot.moodRating,
+          tags: snapshot.tags || [],
+          wordCount: countWords(snapshot.content)
+        };
+      })
+    });
+  } catch (error) {
+    handleError(res, error, 'Get revisions error', 'Error fetching revision history');
+  }
+};
+
+// @desc    Word-level diff between two revisions
+// @route   GET /api/journal/:id/revisions/diff?from=&to=
+// @access  Private
+exports.diffRevisions = async (req, res) => {
+  try {
+    const { journal, key } = await unlockJournal(req, req.params.id);
+
+    // Default to comparing the latest revision with the one before it
+    let toNumber = parseInt(req.query.to);
+    if (!toNumber) {
+      const latest = await JournalRevision.findOne({ journal: journal._id }).sort({ revision: -1 });
+      toNumber = latest ? latest.revision : 1;
+    }
+    const fromNumber = parseInt(req.query.from) || Math.max(toNumber - 1, 1);
+
+    const fromRevision = await findRevision(journal._id, fromNumber);
+    const toRevision = await findRevision(journal._id, toNumber);
+    const from = fromRevision.getSnapshot(key);
+    const to = toRevision.getSnapshot(key);
+
+    const contentDiff = diffWords(from.content, to.content);
+    const fromTags = from.tags || [];
+    const toTags = to.tags || [];
+
+    res.json({
+      success: true,
+      diff: {
+        from: { revision: fromRevision.revision, createdAt: fromRevision.createdAt },
+        to: { revision: toRevision.revision, createdAt: toRevision.createdAt },
+        title: diffWords(from.title, to.title),
+        content: contentDiff,
+        moodRating: { from: from.moodRating, to: to.moodRating },
+        tags: {
+          added: toTags.filter(tag => !fromTags.includes(tag)),
+          removed: fromTags.filter(tag => !toTags.includes(tag))
+        },
+        summary: summarizeDiff(contentDiff)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Diff revisions error', 'Error comparing revisions');
+  }
+};
+
+// @desc    Get a single revision
+// @route   GET /api/journal/:id/revisions/:revision
+// @access  Private
+exports.getRevision = async (req, res) => {
+  try {
+    const { journal, key } = await unlockJournal(req, req.params.id);
+    const revision = await findRevision(journal._id, req.params.revision);
+
+    res.json({
+      success: true,
+      revision: {
+        _id: revision._id,
+        revision: revision.revision,
+        createdAt: revision.createdAt,
+        restoredFrom: revision.restoredFrom,
+        ...revision.getSnapshot(key)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get revision error', 'Error fetching revision');
+  }
+};
+
+// @desc    Restore a journal entry to an older revision
+// @route   POST /api/journal/:id/revisions/:revision/restore
+// @access  Private
+exports.restoreRevision = async (req, res) => {
+  try {
+    const { journal, key } = await unlockJournal(req, req.params.id, req.body.password);
+    const revision = await findRevision(journal._id, req.params.revision);
+    const snapshot = revision.getSnapshot(key);
+
+    JournalRevision.REVISION_FIELDS.forEach(field => {
+      journal[field] = snapshot[field];
+    });
+    await resolveLinks(journal);
+    const titleChanged = journal.isModified('title');
+
+    if (journal.isEncrypted) {
+      await journal.validate(JournalRevision.REVISION_FIELDS);
+      journal.sealContent(key);
+    }
+    await journal.save();
+
+    // Restoring is itself a save, so it becomes the newest revision
+    await JournalRevision.record(journal, snapshot, key, revision.revision);
+    if (titleChanged) {
+      await linkDanglingReferences(journal, snapshot.title);
+    }
+
+    const restored = journal.toUnlockedObject();
+    Object.assign(restored, snapshot, {
+      media: signMedia(restored.media),
+      linkedEntries: await getLinkedEntries(journal, await hiddenNotebookIds(req))
+    });
+
+    res.json({
+      success: true,
+      message: `Journal entry restored to revision ${revision.revision}`,
+      journal: restored
+    });
+  } catch (error) {
+    handleError(res, error, 'Restore revision error', 'Error restoring revision');
+  }
+};
@@ -0,0 +1,80 @@
+const { getGeocoder } = require('../utils/geocoding');
+const { parseLocation } = require('../utils/location');
+
+const MAX_QUERY_LENGTH = 200;
+
+// Send errors with a status as client errors
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Language for place names, from the browser's preferences
+const requestLanguage = (req) => req.get('Accept-Language') || undefined;
+
+// @desc    Name the place at a point (?lat=&lng=). The point is coarsened like a
+//          stored location before it is looked up.
+// @route   GET /api/location/reverse
+// @access  Private
+exports.reverseGeocode = async (req, res) => {
+  try {
+    const parsed = parseLocation({ latitude: req.query.lat, longitude: req.query.lng });
+    if (!parsed || !parsed.location) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitude and longitude are required'
+      });
+    }
+
+    const [longitude, latitude] = parsed.location.coordinates;
+    const place = await getGeocoder().reverse(latitude, longitude, { language: requestLanguage(req) });
+
+    res.json({
+      success: true,
+      location: {
+        latitude,
+        longitude,
+        placeName: place ? place.placeName : null
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Reverse geocode error', 'Error looking up location');
+  }
+};
+
+// @desc    Find places matching a name typed by hand (?q=)
+// @route   GET /api/location/search
+// @access  Private
+exports.searchPlaces = async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+
+    const places = await getGeocoder().search(query, { language: requestLanguage(req) });
+
+    res.json({
+      success: true,
+      places
+    });
+  } catch (error) {
+    handleError(res, error, 'Place search error', 'Error searching places');
+  }
+};
@@ -0,0 +1,153 @@
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const Notebook = require('../models/Notebook');
+const { getStorage, isValidKey } = require('../utils/storage');
+const { toMediaUrl, verifyMediaSignature, LEGACY_ROUTE } = require('../utils/mediaUrls');
+const { hiddenNotebookIds } = require('../utils/notebooks');
+
+// Error carrying the HTTP status the handlers should respond with
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Send errors with a status as client errors
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Types a browser may show inline. Anything else, including SVG images that can run
+// scripts, is sent as a download.
+const isInlineType = (contentType) => (
+  /^(image|audio|video)\//.test(contentType) && contentType !== 'image/svg+xml'
+);
+
+// Stream a stored file, passing byte ranges through so videos can seek
+const sendMedia = async (req, res, mediaPath, cacheControl) => {
+  if (!isValidKey(mediaPath)) {
+    throw httpError(404, 'File not found');
+  }
+
+  const file = await getStorage().get(mediaPath, { range: req.headers.range });
+
+  res.status(file.contentRange ? 206 : 200);
+  const contentType = file.contentType || 'application/octet-stream';
+  res.set({
+    'Content-Type': contentType,
+    'X-Content-Type-Options': 'nosniff',
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': cacheControl
+  });
+  if (!isInlineType(contentType)) res.set('Content-Disposition', 'attachment');
+  if (file.contentLength !== undefined) res.set('Content-Length', String(file.contentLength));
+  if (file.contentRange) res.set('Content-Range', file.contentRange);
+
+  file.stream.on('error', (err) => {
+    console.error('Media stream error:', err);
+    res.destroy(err);
+  });
+  file.stream.pipe(res);
+};
+
+// Whether the signed-in user may see a file without a signed URL. Media of protected
+// entries is only reachable through the signed URLs returned once an entry is unlocked,
+// and media of entries in a locked notebook once the notebook is unlocked.
+const canAccessMedia = async (req, mediaPath) => {
+  const { user } = req;
+  // Records written before the media route existed may still use /uploads URLs
+  const urls = [toMediaUrl(mediaPath), `${LEGACY_ROUTE}/${mediaPath}`];
+  const folder = mediaPath.split('/')[0];
+
+  if (folder === 'profiles') {
+    return urls.includes(user.profilePicture);
+  }
+
+  if (folder === 'journals') {
+    // The file may be an attachment or one of its resized copies
+    const filter = {
+      $or: [
+        { 'media.url': { $in: urls } },
+        { 'media.variants.thumb': urls[0] },
+        { 'media.variants.card': urls[0] }
+      ]
+    };
+
+    const journal = await Journal.findOne(filter)
+      .setOptions({ withDeleted: true })
+      .select('user notebook isPublic isEncrypted deletedAt');
+
+    if (journal) {
+      if (journal.isEncrypted) return false;
+      if (journal.user.toString() === user.id) {
+        const hidden = journal.notebook ? await hiddenNotebookIds(req) : [];
+        return !hidden.some(id => id.equals(journal.notebook));
+      }
+      return journal.isPublic && !journal.deletedAt;
+    }
+
+    return !!(await JournalDraft.exists({ ...filter, user: user.id }));
+  }
+
+  if (folder === 'notebooks') {
+    return !!(await Notebook.exists({
+      user: user.id,
+      $or: [
+        { 'cover.url': { $in: urls } },
+        { 'cover.variants.thumb': urls[0] },
+        { 'cover.variants.card': urls[0] }
+      ]
+    }));
+  }
+
+  return false;
+};
+
+// @desc    Serve an uploaded file through a signed URL. Requests without a signature
+//          fall through to serveMedia.
+// @route   GET /api/media/*?expires=&signature=
+// @access  Public (signed)
+exports.serveSignedMedia = async (req, res, next) => {
+  const { expires, signature } = req.query;
+  if (!signature) {
+    return next();
+  }
+
+  try {
+    const mediaPath = req.params[0];
+    if (!verifyMediaSignature(mediaPath, expires, signature)) {
+      throw httpError(403, 'This media link is invalid or has expired');
+    }
+
+    const maxAge = Math.max(0, Math.floor((Number(expires) - Date.now()) / 1000));
+    await sendMedia(req, res, mediaPath, `private, max-age=${maxAge}`);
+  } catch (error) {
+    handleError(res, error, 'Serve signed media error', 'Error fetching file');
+  }
+};
+
+// @desc    Serve an uploaded file the current user owns or may otherwise see
+// @route   GET /api/media/*
+// @access  Private
+exports.serveMedia = async (req, res) => {
+  try {
+    const mediaPath = req.params[0];
+
+    // Files the user may not see are reported as missing so their names are not confirmed
+    if (!(await canAccessMedia(req, mediaPath))) {
+      throw httpError(404, 'File not found');
+    }
+
+    await sendMedia(req, res, mediaPath, 'private, no-cache');
+  } catch (error) {
+    handleError(res, error, 'Serve media error', 'Error fetching file');
+  }
+};
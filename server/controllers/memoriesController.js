@@ -0,0 +1,104 @@
+const User = require('../models/User');
+const { isValidTimeZone, getLocalTime, findMemories } = require('../utils/memories');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Send errors with a status as client errors
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// An IANA time zone from a request, UTC when none is given
+const resolveTimeZone = (value) => {
+  if (value === undefined || value === '') return 'UTC';
+  if (!isValidTimeZone(value)) {
+    throw badRequest('Time zone is not valid');
+  }
+  return value;
+};
+
+const toDigestSettings = (user) => ({
+  enabled: !!user.memoriesDigest?.enabled,
+  timeZone: user.memoriesDigest?.timeZone || 'UTC'
+});
+
+// @desc    Get entries written on this day in earlier years, one week ago and one month ago
+//          (?date=YYYY-MM-DD for the user's local day, ?timeZone= to place entries in it)
+// @route   GET /api/memories
+// @access  Private
+exports.getMemories = async (req, res) => {
+  try {
+    const timeZone = resolveTimeZone(req.query.timeZone);
+    const { date } = req.query;
+    const day = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date).getTime())
+      ? date
+      : getLocalTime(timeZone).day;
+
+    const memories = await findMemories(req.user.id, { day, timeZone });
+
+    res.json({
+      success: true,
+      day,
+      memories,
+      total: memories.reduce((sum, group) => sum + group.journals.length, 0)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get memories error', 'Error fetching memories');
+  }
+};
+
+// @desc    Get the memories email settings
+// @route   GET /api/memories/digest
+// @access  Private
+exports.getDigestSettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('memoriesDigest');
+
+    res.json({
+      success: true,
+      digest: toDigestSettings(user)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get memories digest error', 'Error fetching memories email settings');
+  }
+};
+
+// @desc    Turn the daily memories email on or off
+// @route   PUT /api/memories/digest
+// @access  Private
+exports.updateDigestSettings = async (req, res) => {
+  try {
+    const { enabled, timeZone } = req.body;
+    if (typeof enabled !== 'boolean') {
+      throw badRequest('enabled must be a boolean');
+    }
+
+    const update = { 'memoriesDigest.enabled': enabled };
+    if (timeZone !== undefined) {
+      update['memoriesDigest.timeZone'] = resolveTimeZone(timeZone);
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, update, { new: true })
+      .select('memoriesDigest');
+
+    res.json({
+      success: true,
+      message: enabled ? 'Daily memories email turned on' : 'Daily memories email turned off',
+      digest: toDigestSettings(user)
+    });
+  } catch (error) {
+    handleError(res, error, 'Update memories digest error', 'Error updating memories email settings');
+  }
+};
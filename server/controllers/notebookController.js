@@ -0,0 +1,357 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Notebook = require('../models/Notebook');
+const Journal = require('../models/Journal');
+const { buildMediaFromFiles, deleteMediaFiles } = require('../middlewares/upload');
+const { signMedia } = require('../utils/mediaUrls');
+const {
+  notebookError,
+  ensureDefaultNotebook,
+  issueUnlockToken,
+  unlockedNotebookIds,
+  hiddenNotebookIds
+} = require('../utils/notebooks');
+
+const NOTEBOOK_FIELDS = ['name', 'color', 'icon'];
+
+// Send errors with a status and model validation errors as client errors
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      requiresNotebookPassword: error.requiresNotebookPassword
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Load one of the user's notebooks, with its password fields when `withSecrets` is set
+const findNotebook = async (req, withSecrets = false) => {
+  const notebook = mongoose.isValidObjectId(req.params.id) &&
+    await Notebook.findOne({ _id: req.params.id, user: req.user.id })
+      .select(withSecrets ? '+password +passwordFailedAttempts +passwordLockoutUntil' : '');
+  if (!notebook) {
+    throw notebookError(404, 'Notebook not found');
+  }
+  return notebook;
+};
+
+// Whether a notebook is protected and not among the `unlocked` notebook ids
+const isLocked = (notebook, unlocked) => (
+  notebook.isProtected && !unlocked.includes(notebook._id.toString())
+);
+
+// Changing a protected notebook needs it unlocked, like reading its entries
+const assertUnlocked = async (req, notebook) => {
+  if (isLocked(notebook, await unlockedNotebookIds(req))) {
+    throw notebookError(401, 'This notebook is locked', { requiresNotebookPassword: true });
+  }
+};
+
+// Entry count, entries this month, average mood and last entry date of each of the
+// user's notebooks, by notebook id. Moods of protected entries are not stored in
+// plaintext, so they are not part of the average.
+const notebookStats = async (userId) => {
+  const now = new Date();
+  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+  const groups = await Journal.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: '$notebook',
+        entries: { $sum: 1 },
+        thisMonth: { $sum: { $cond: [{ $gte: ['$entryDate', startOfMonth] }, 1, 0] } },
+        averageMood: { $avg: '$moodRating' },
+        lastEntryDate: { $max: '$entryDate' }
+      }
+    }
+  ]);
+
+  return new Map(groups.map(({ _id, ...stats }) => [String(_id), stats]));
+};
+
+// Plain notebook with its signed cover and stats. Locked notebooks only show
+// how many entries they hold.
+const toNotebookObject = (notebook, stats, unlocked) => {
+  const locked = isLocked(notebook, unlocked);
+  const { entries = 0, thisMonth = 0, averageMood = null, lastEntryDate = null } = stats || {};
+  return {
+    ...notebook.toJSON(),
+    cover: notebook.cover && notebook.cover.url ? signMedia([notebook.cover])[0] : null,
+    isLocked: locked,
+    stats: locked
+      ? { entries }
+      : {
+        entries,
+        thisMonth,
+        averageMood: averageMood === null ? null : Math.round(averageMood * 10) / 10,
+        lastEntryDate
+      }
+  };
+};
+
+const withStats = async (req, notebook, unlocked) => {
+  const [stats, unlockedIds] = await Promise.all([
+    notebookStats(req.user.id),
+    unlocked || unlockedNotebookIds(req)
+  ]);
+  return toNotebookObject(notebook, stats.get(notebook._id.toString()), unlockedIds);
+};
+
+// Response for a saved notebook. Whoever just set its password may use it right away,
+// so a new password comes with an unlock token.
+const savedNotebookResponse = async (req, notebook, message, passwordSet) => {
+  if (!passwordSet) {
+    return { success: true, message, notebook: await withStats(req, notebook) };
+  }
+  const unlock = issueUnlockToken(notebook, req.user.id);
+  const unlocked = [...await unlockedNotebookIds(req), notebook._id.toString()];
+  return { success: true, message, notebook: await withStats(req, notebook, unlocked), ...unlock };
+};
+
+// @desc    Get the user's notebooks with their stats, the default one first.
+//          The default notebook is created on the first request.
+// @route   GET /api/notebooks
+// @access  Private
+exports.getNotebooks = async (req, res) => {
+  try {
+    await ensureDefaultNotebook(req.user.id);
+
+    const [notebooks, stats] = await Promise.all([
+      Notebook.find({ user: req.user.id }).sort({ isDefault: -1, createdAt: 1 }),
+      notebookStats(req.user.id)
+    ]);
+    const unlocked = await unlockedNotebookIds(req);
+
+    res.json({
+      success: true,
+      notebooks: notebooks.map(notebook => (
+        toNotebookObject(notebook, stats.get(notebook._id.toString()), unlocked)
+      ))
+    });
+  } catch (error) {
+    handleError(res, error, 'Get notebooks error', 'Error fetching notebooks');
+  }
+};
+
+// @desc    Create a notebook, optionally protected by a password
+// @route   POST /api/notebooks
+// @access  Private
+exports.createNotebook = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    // Entries written so far need their default notebook before others exist
+    await ensureDefaultNotebook(req.user.id);
+
+    const notebook = new Notebook({ user: req.user.id });
+    NOTEBOOK_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) notebook[field] = req.body[field];
+    });
+    if (req.body.password) {
+      notebook.password = req.body.password;
+    }
+    await notebook.save();
+
+    res.status(201).json(await savedNotebookResponse(req, notebook, 'Notebook created', !!req.body.password));
+  } catch (error) {
+    handleError(res, error, 'Create notebook error', 'Error creating notebook');
+  }
+};
+
+// @desc    Update a notebook's name, color or icon, or set or remove its password
+//          (body: { password } or { removePassword: true }). Protected notebooks
+//          must be unlocked first.
+// @route   PUT /api/notebooks/:id
+// @access  Private
+exports.updateNotebook = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    // With its password selected, so removing it is saved
+    const notebook = await findNotebook(req, true);
+    await assertUnlocked(req, notebook);
+
+    NOTEBOOK_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) notebook[field] = req.body[field];
+    });
+    if (req.body.password) {
+      notebook.password = req.body.password;
+    } else if (req.body.removePassword === true) {
+      notebook.password = undefined;
+    }
+    await notebook.save();
+
+    res.json(await savedNotebookResponse(req, notebook, 'Notebook updated', !!req.body.password));
+  } catch (error) {
+    handleError(res, error, 'Update notebook error', 'Error updating notebook');
+  }
+};
+
+// @desc    Unlock a protected notebook. Returns a short-lived token to send in the
+//          X-Notebook-Token header with requests for its entries.
+// @route   POST /api/notebooks/:id/unlock
+// @access  Private
+exports.unlockNotebook = async (req, res) => {
+  try {
+    if (!req.body.password) {
+      throw notebookError(400, 'Password is required');
+    }
+
+    const notebook = await findNotebook(req, true);
+    if (!notebook.isProtected) {
+      throw notebookError(400, 'Notebook is not password protected');
+    }
+
+    const isPasswordValid = await notebook.verifyPasswordAndHandleLockout(req.body.password);
+    if (!isPasswordValid) {
+      throw notebookError(401, 'Invalid password');
+    }
+
+    res.json({
+      success: true,
+      message: 'Notebook unlocked',
+      ...issueUnlockToken(notebook, req.user.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Unlock notebook error', 'Error unlocking notebook');
+  }
+};
+
+// @desc    Set a notebook's cover image, replacing the current one
+// @route   PUT /api/notebooks/:id/cover
+// @access  Private
+exports.updateNotebookCover = async (req, res) => {
+  const [cover] = buildMediaFromFiles(req.file ? [req.file] : []);
+  try {
+    if (!cover) {
+      throw notebookError(400, 'Please choose an image');
+    }
+
+    const notebook = await findNotebook(req);
+    await assertUnlocked(req, notebook);
+
+    const previous = notebook.cover && notebook.cover.url ? [notebook.cover] : [];
+    notebook.cover = cover;
+    await notebook.save();
+    deleteMediaFiles(previous);
+
+    res.json({
+      success: true,
+      message: 'Cover updated',
+      notebook: await withStats(req, notebook)
+    });
+  } catch (error) {
+    deleteMediaFiles(cover ? [cover] : []);
+    handleError(res, error, 'Update notebook cover error', 'Error updating cover');
+  }
+};
+
+// @desc    Remove a notebook's cover image
+// @route   DELETE /api/notebooks/:id/cover
+// @access  Private
+exports.removeNotebookCover = async (req, res) => {
+  try {
+    const notebook = await findNotebook(req);
+    await assertUnlocked(req, notebook);
+
+    const previous = notebook.cover && notebook.cover.url ? [notebook.cover] : [];
+    notebook.cover = undefined;
+    await notebook.save();
+    deleteMediaFiles(previous);
+
+    res.json({
+      success: true,
+      message: 'Cover removed',
+      notebook: await withStats(req, notebook)
+    });
+  } catch (error) {
+    handleError(res, error, 'Remove notebook cover error', 'Error removing cover');
+  }
+};
+
+// @desc    Move journal entries into a notebook (body: { journalIds }). Entries in
+//          locked notebooks stay where they are.
+// @route   POST /api/notebooks/:id/entries
+// @access  Private
+exports.moveEntries = async (req, res) => {
+  try {
+    const { journalIds } = req.body;
+    if (!Array.isArray(journalIds) || journalIds.length === 0 || !journalIds.every(id => mongoose.isValidObjectId(id))) {
+      throw notebookError(400, 'journalIds must be a list of journal entry ids');
+    }
+
+    const notebook = await findNotebook(req);
+
+    const result = await Journal.updateMany(
+      { _id: { $in: journalIds }, user: req.user.id, notebook: { $nin: await hiddenNotebookIds(req) } },
+      { $set: { notebook: notebook._id } },
+      { timestamps: false }
+    );
+
+    res.json({
+      success: true,
+      message: `Moved ${result.modifiedCount} ${result.modifiedCount === 1 ? 'entry' : 'entries'} to ${notebook.name}`,
+      moved: result.modifiedCount
+    });
+  } catch (error) {
+    handleError(res, error, 'Move journal entries error', 'Error moving entries');
+  }
+};
+
+// @desc    Delete a notebook. Its entries, including those in the trash, move to the
+//          default notebook, which cannot be deleted.
+// @route   DELETE /api/notebooks/:id
+// @access  Private
+exports.deleteNotebook = async (req, res) => {
+  try {
+    const notebook = await findNotebook(req);
+    if (notebook.isDefault) {
+      throw notebookError(400, 'The default notebook cannot be deleted');
+    }
+    await assertUnlocked(req, notebook);
+
+    const defaultNotebook = await ensureDefaultNotebook(req.user.id);
+    const result = await Journal.updateMany(
+      { user: req.user.id, notebook: notebook._id },
+      { $set: { notebook: defaultNotebook._id } },
+      { timestamps: false }
+    ).setOptions({ withDeleted: true });
+
+    await notebook.deleteOne();
+    deleteMediaFiles(notebook.cover && notebook.cover.url ? [notebook.cover] : []);
+
+    res.json({
+      success: true,
+      message: result.modifiedCount > 0
+        ? `Notebook deleted. Its entries were moved to ${defaultNotebook.name}.`
+        : 'Notebook deleted',
+      moved: result.modifiedCount
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete notebook error', 'Error deleting notebook');
+  }
+};
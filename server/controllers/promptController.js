@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const WritingPrompt = require('../models/WritingPrompt');
+const PromptHistory = require('../models/PromptHistory');
+const { getRecentMoodSummary } = require('./quotesController');
+
+// A prompt shown within this many days is not picked again while others are available
+const RECENT_PROMPT_DAYS = 30;
+
+// The user's local day (YYYY-MM-DD) sent by the client, or the server's day
+const resolveDay = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime())) {
+    return value;
+  }
+  return new Date().toISOString().split('T')[0];
+};
+
+// Pick a random active prompt, preferring ones not shown recently and, when an
+// average mood is given, ones suited to it. Each preference is dropped in turn
+// if nothing matches.
+const pickPrompt = async (recentIds, averageMood) => {
+  const moodFilter = averageMood === null
+    ? {}
+    : { 'moodRange.min': { $lte: averageMood }, 'moodRange.max': { $gte: averageMood } };
+
+  const attempts = [
+    { isActive: true, _id: { $nin: recentIds }, ...moodFilter },
+    { isActive: true, ...moodFilter },
+    { isActive: true }
+  ];
+
+  for (const match of attempts) {
+    const [prompt] = await WritingPrompt.aggregate([{ $match: match }, { $sample: { size: 1 } }]);
+    if (prompt) return prompt;
+  }
+  return null;
+};
+
+// @desc    Get the prompt of the day (?moodAware=true to match the user's recent mood,
+//          ?date=YYYY-MM-DD for the user's local day)
+// @route   GET /api/prompts/today
+// @access  Private
+exports.getPromptOfTheDay = async (req, res) => {
+  try {
+    const day = resolveDay(req.query.date);
+    const moodAware = req.query.moodAware === 'true';
+    const { averageMood } = moodAware
+      ? await getRecentMoodSummary(req.user.id)
+      : { averageMood: null };
+
+    // The same prompt is shown all day
+    let history = await PromptHistory.findOne({ user: req.user.id, day, moodAware }).populate('prompt');
+
+    if (!history || !history.prompt) {
+      const since = new Date();
+      since.setDate(since.getDate() - RECENT_PROMPT_DAYS);
+      const recentIds = await PromptHistory.distinct('prompt', {
+        user: new mongoose.Types.ObjectId(req.user.id),
+        createdAt: { $gte: since }
+      });
+
+      const prompt = await pickPrompt(recentIds, averageMood);
+      if (!prompt) {
+        return res.status(404).json({
+          success: false,
+          message: 'No writing prompts are available'
+        });
+      }
+
+      history = await PromptHistory.findOneAndUpdate(
+        { user: req.user.id, day, moodAware },
+        { prompt: prompt._id, journal: null },
+        { upsert: true, new: true }
+      ).populate('prompt');
+    }
+
+    res.json({
+      success: true,
+      prompt: history.prompt,
+      day,
+      moodAware,
+      averageMood: averageMood !== null ? Math.round(averageMood * 10) / 10 : null,
+      journal: history.journal
+    });
+  } catch (error) {
+    console.error('Get prompt of the day error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching prompt of the day',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get prompt categories with the number of prompts in each
+// @route   GET /api/prompts/categories
+// @access  Private
+exports.getPromptCategories = async (req, res) => {
+  try {
+    const counts = await WritingPrompt.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    const categories = WritingPrompt.CATEGORIES.map(category => ({
+      category,
+      count: counts.find(item => item._id === category)?.count || 0
+    }));
+
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (error) {
+    console.error('Get prompt categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching prompt categories',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the prompt library, optionally for one category (?category=)
+// @route   GET /api/prompts
+// @access  Private
+exports.getPrompts = async (req, res) => {
+  try {
+    const query = { isActive: true };
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const prompts = await WritingPrompt.find(query).sort({ category: 1, text: 1 });
+
+    res.json({
+      success: true,
+      prompts
+    });
+  } catch (error) {
+    console.error('Get prompts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching prompts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a single prompt
+// @route   GET /api/prompts/:id
+// @access  Private
+exports.getPrompt = async (req, res) => {
+  try {
+    const prompt = mongoose.isValidObjectId(req.params.id)
+      ? await WritingPrompt.findById(req.params.id)
+      : null;
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      prompt
+    });
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching prompt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
@@ -77,37 +77,46 @@ exports.getRandomQuote = async (req, res) => {
   }
 };
 
+// Average mood of the user's recent unprotected entries (last 7 days).
+// Shared with the writing prompts, which can be matched to the user's mood.
+exports.getRecentMoodSummary = async (userId) => {
+  const sevenDaysAgo = new Date();
+  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+
+  const recentJournals = await Journal.find({
+    user: userId,
+    moodRating: { $exists: true, $ne: null },
+    isEncrypted: { $ne: true }, // Exclude encrypted entries
+    entryDate: { $gte: sevenDaysAgo }
+  }).select('moodRating');
+
+  if (recentJournals.length === 0) {
+    return { averageMood: null, entriesAnalyzed: 0 };
+  }
+
+  const moodSum = recentJournals.reduce((sum, journal) => sum + journal.moodRating, 0);
+  return {
+    averageMood: moodSum / recentJournals.length,
+    entriesAnalyzed: recentJournals.length
+  };
+};
+
 // @desc    Check if user needs motivational quote based on average mood
 // @route   GET /api/quotes/check
 // @access  Private
 exports.checkForMotivationalQuote = async (req, res) => {
   try {
-    // Calculate average mood from recent journal entries (last 7 days)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-    const recentJournals = await Journal.find({
-      user: req.user.id,
-      moodRating: { $exists: true, $ne: null },
-      isEncrypted: { $ne: true }, // Exclude encrypted entries
-      createdAt: { $gte: sevenDaysAgo }
-    });
+    // Calculate average mood from recent journal entries
+    const { averageMood, entriesAnalyzed } = await exports.getRecentMoodSummary(req.user.id);
 
     let needsQuote = false;
     let quote = null;
-    let averageMood = null;
-
-    if (recentJournals.length > 0) {
-      // Calculate average mood from recent entries
-      const moodSum = recentJournals.reduce((sum, journal) => sum + journal.moodRating, 0);
-      averageMood = moodSum / recentJournals.length;
 
-      // Show quote if average mood is <= 4 (below neutral)
-      if (averageMood <= 4) {
-        needsQuote = true;
-        const randomIndex = Math.floor(Math.random() * motivationalQuotes.length);
-        quote = motivationalQuotes[randomIndex];
-      }
+    // Show quote if average mood is <= 4 (below neutral)
+    if (averageMood !== null && averageMood <= 4) {
+      needsQuote = true;
+      const randomIndex = Math.floor(Math.random() * motivationalQuotes.length);
+      quote = motivationalQuotes[randomIndex];
     }
 
     res.json({
@@ -115,7 +124,7 @@ exports.checkForMotivationalQuote = async (req, res) => {
       needsQuote,
       quote,
       averageMood: averageMood ? Math.round(averageMood * 10) / 10 : null,
-      entriesAnalyzed: recentJournals.length
+      entriesAnalyzed
     });
   } catch (error) {
     console.error('Check motivational quote error:', error);
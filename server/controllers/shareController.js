@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Journal = require('../models/Journal');
+const ShareLink = require('../models/ShareLink');
+const { unlockJournal } = require('../utils/journalAccess');
+const { signMedia } = require('../utils/mediaUrls');
+const { toPublicContent } = require('../utils/wikiLinks');
+const {
+  generateShareToken,
+  hashShareToken,
+  wrapContentKey,
+  unwrapContentKey
+} = require('../utils/shareTokens');
+
+// Error carrying the HTTP status the handlers should respond with
+const httpError = (status, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Send errors with a status as client errors
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      requiresPassword: error.requiresPassword
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Shape of a link in the owner's management view
+const formatShareLink = (link) => {
+  const linkObj = link.toObject({ virtuals: true });
+  const journal = linkObj.journal;
+
+  return {
+    _id: linkObj._id,
+    journal: journal && journal._id
+      ? {
+          _id: journal._id,
+          title: journal.isEncrypted ? '[Protected Journal]' : journal.title,
+          isEncrypted: journal.isEncrypted
+        }
+      : null,
+    status: journal ? linkObj.status : 'unavailable',
+    hasPassword: !!linkObj.password,
+    isProtectedEntry: !!linkObj.wrappedKey,
+    expiresAt: linkObj.expiresAt,
+    revokedAt: linkObj.revokedAt,
+    viewCount: linkObj.viewCount,
+    lastAccessedAt: linkObj.lastAccessedAt,
+    createdAt: linkObj.createdAt
+  };
+};
+
+// @desc    Create a share link for a journal entry. Protected entries require their password.
+// @route   POST /api/shares
+// @access  Private
+exports.createShareLink = async (req, res) => {
+  try {
+    const { journal: journalId, password, linkPassword, expiresAt } = req.body;
+
+    if (!journalId) {
+      throw httpError(400, 'Journal entry is required');
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw httpError(400, 'Expiry must be a date in the future');
+      }
+    }
+
+    if (linkPassword && linkPassword.length < 4) {
+      throw httpError(400, 'Link password must be at least 4 characters');
+    }
+
+    // Re-verifies the entry password for protected entries and gives us its content key
+    const { journal, key } = await unlockJournal(req, journalId, password);
+
+    const token = generateShareToken();
+    const link = new ShareLink({
+      user: req.user.id,
+      journal: journal._id,
+      tokenHash: hashShareToken(token),
+      password: linkPassword || undefined,
+      expiresAt: expiry
+    });
+
+    if (key) {
+      link.wrappedKey = wrapContentKey(key, token, link._id);
+    }
+
+    await link.save();
+    await link.populate('journal', 'title isEncrypted');
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      // The token cannot be recovered later, so the client must show it now
+      token,
+      shareLink: formatShareLink(link)
+    });
+  } catch (error) {
+    handleError(res, error, 'Create share link error', 'Error creating share link');
+  }
+};
+
+// @desc    List the current user's share links, optionally for one entry (?journal=<id>)
+// @route   GET /api/shares
+// @access  Private
+exports.getShareLinks = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.journal) {
+      if (!mongoose.isValidObjectId(req.query.journal)) {
+        throw httpError(400, 'Invalid journal id');
+      }
+      query.journal = req.query.journal;
+    }
+
+    const links = await ShareLink.find(query)
+      .select('+password +wrappedKey')
+      .populate('journal', 'title isEncrypted')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      shareLinks: links.map(formatShareLink)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get share links error', 'Error fetching share links');
+  }
+};
+
+// @desc    Revoke a share link
+// @route   DELETE /api/shares/:id
+// @access  Private
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const link = mongoose.isValidObjectId(req.params.id) &&
+      await ShareLink.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!link) {
+      throw httpError(404, 'Share link not found');
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    handleError(res, error, 'Revoke share link error', 'Error revoking share link');
+  }
+};
+
+// Resolve a token to the entry it shares, checking the link state and password.
+// Protected entries are decrypted with the key wrapped by the token.
+const openSharedJournal = async (token, password) => {
+  const link = await ShareLink.findOne({ tokenHash: hashShareToken(token) })
+    .select('+password +wrappedKey');
+
+  if (!link) {
+    throw httpError(404, 'Share link not found');
+  }
+  if (link.status !== 'active') {
+    throw httpError(410, 'This share link is no longer available');
+  }
+
+  if (link.password) {
+    if (!password) {
+      throw httpError(401, 'This shared entry is password protected', { requiresPassword: true });
+    }
+    const isPasswordValid = await link.comparePassword(password);
+    if (!isPasswordValid) {
+      throw httpError(401, 'Invalid password', { requiresPassword: true });
+    }
+  }
+
+  const journal = await Journal.findById(link.journal)
+    .select('+encryptedContent')
+    .populate('user', 'fullName');
+
+  if (!journal) {
+    throw httpError(410, 'This share link is no longer available');
+  }
+
+  if (journal.isEncrypted) {
+    // An entry protected after the link was made was never shared in protected form
+    if (!link.wrappedKey) {
+      throw httpError(410, 'This share link is no longer available');
+    }
+    try {
+      journal.openContent(unwrapContentKey(link.wrappedKey, token, link._id));
+    } catch (err) {
+      throw httpError(410, 'This share link is no longer available');
+    }
+  }
+
+  await ShareLink.updateOne(
+    { _id: link._id },
+    { $inc: { viewCount: 1 }, $set: { lastAccessedAt: new Date() } }
+  );
+
+  return { link, journal };
+};
+
+// Read-only view of a shared entry. Holding the link grants access to its media,
+// but not to the entries it links to.
+const toSharedView = async (link, journal) => ({
+  title: journal.title,
+  ...await toPublicContent(journal),
+  moodRating: journal.moodRating,
+  moodEmoji: journal.moodEmoji,
+  tags: journal.tags,
+  media: signMedia(journal.media),
+  entryDate: journal.entryDate || journal.createdAt,
+  author: journal.user ? journal.user.fullName : null,
+  expiresAt: link.expiresAt
+});
+
+// @desc    View a shared journal entry
+// @route   GET /api/shared/:token
+// @access  Public
+exports.getSharedJournal = async (req, res) => {
+  try {
+    const { link, journal } = await openSharedJournal(req.params.token);
+
+    res.json({
+      success: true,
+      journal: await toSharedView(link, journal)
+    });
+  } catch (error) {
+    handleError(res, error, 'Get shared journal error', 'Error fetching shared entry');
+  }
+};
+
+// @desc    View a password protected shared journal entry
+// @route   POST /api/shared/:token/unlock
+// @access  Public
+exports.unlockSharedJournal = async (req, res) => {
+  try {
+    const { link, journal } = await openSharedJournal(req.params.token, req.body.password);
+
+    res.json({
+      success: true,
+      journal: await toSharedView(link, journal)
+    });
+  } catch (error) {
+    handleError(res, error, 'Unlock shared journal error', 'Error fetching shared entry');
+  }
+};
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const SmartCollection = require('../models/SmartCollection');
+const { buildJournalQuery } = require('../utils/journalFilters');
+const {
+  FILTER_FIELDS,
+  toJournalParams,
+  addDefaultCollections,
+  ensureDefaultCollections,
+  countCollection
+} = require('../utils/smartCollections');
+const { hiddenNotebookIds } = require('../utils/notebooks');
+
+const COLLECTION_FIELDS = ['name', 'icon', 'search', 'pinned'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Send errors with a status and model validation errors as client errors
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Copy submitted fields onto a collection and check that its search runs.
+// Filters are replaced as a whole, dropping empty ones.
+const applyCollectionFields = (collection, body, userId) => {
+  COLLECTION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      collection[field] = body[field];
+    }
+  });
+  if (body.filters !== undefined) {
+    const filters = body.filters || {};
+    collection.filters = Object.fromEntries(
+      FILTER_FIELDS
+        .filter(field => filters[field] !== undefined && filters[field] !== null && filters[field] !== '')
+        .map(field => [field, filters[field]])
+    );
+  }
+
+  // Throws the 400 error getJournals would give for the same search
+  buildJournalQuery(userId, toJournalParams(collection));
+};
+
+// Entries of locked notebooks are not counted
+const withCount = async (userId, collection, hiddenNotebooks) => ({
+  ...collection.toJSON(),
+  ...await countCollection(userId, collection, hiddenNotebooks)
+});
+
+// @desc    Get the user's smart collections in order, with the number of entries in each.
+//          The default collections are created on the first request.
+// @route   GET /api/collections
+// @access  Private
+exports.getCollections = async (req, res) => {
+  try {
+    await ensureDefaultCollections(req.user);
+
+    const collections = await SmartCollection.find({ user: req.user.id })
+      .sort({ position: 1, createdAt: 1 });
+    const hiddenNotebooks = await hiddenNotebookIds(req);
+
+    res.json({
+      success: true,
+      collections: await Promise.all(collections.map(collection => withCount(req.user.id, collection, hiddenNotebooks)))
+    });
+  } catch (error) {
+    handleError(res, error, 'Get smart collections error', 'Error fetching smart collections');
+  }
+};
+
+// @desc    Save a search as a smart collection, placed after the others
+// @route   POST /api/collections
+// @access  Private
+exports.createCollection = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const last = await SmartCollection.findOne({ user: req.user.id })
+      .sort({ position: -1 })
+      .select('position');
+
+    const collection = new SmartCollection({
+      user: req.user.id,
+      position: last ? last.position + 1 : 0
+    });
+    applyCollectionFields(collection, req.body, req.user.id);
+    await collection.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection saved',
+      collection: await withCount(req.user.id, collection, await hiddenNotebookIds(req))
+    });
+  } catch (error) {
+    handleError(res, error, 'Create smart collection error', 'Error saving collection');
+  }
+};
+
+// @desc    Update a smart collection's name, icon, search, filters or pinning
+// @route   PUT /api/collections/:id
+// @access  Private
+exports.updateCollection = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const collection = mongoose.isValidObjectId(req.params.id) &&
+      await SmartCollection.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    applyCollectionFields(collection, req.body, req.user.id);
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated',
+      collection: await withCount(req.user.id, collection, await hiddenNotebookIds(req))
+    });
+  } catch (error) {
+    handleError(res, error, 'Update smart collection error', 'Error updating collection');
+  }
+};
+
+// @desc    Reorder the user's smart collections (body: { ids } in the new order)
+// @route   PUT /api/collections/order
+// @access  Private
+exports.reorderCollections = async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+      throw badRequest('ids must be a list of collection ids');
+    }
+
+    const collections = await SmartCollection.find({ user: req.user.id }).select('_id');
+    const owned = new Set(collections.map(collection => collection._id.toString()));
+    const ordered = [...new Set(ids.map(String))];
+    if (ordered.length !== owned.size || !ordered.every(id => owned.has(id))) {
+      throw badRequest('ids must list each of your collections once');
+    }
+
+    await SmartCollection.bulkWrite(ordered.map((id, position) => ({
+      updateOne: {
+        filter: { _id: id, user: req.user.id },
+        update: { position }
+      }
+    })));
+
+    res.json({
+      success: true,
+      message: 'Collections reordered'
+    });
+  } catch (error) {
+    handleError(res, error, 'Reorder smart collections error', 'Error reordering collections');
+  }
+};
+
+// @desc    Bring back the default collections the user deleted
+// @route   POST /api/collections/defaults
+// @access  Private
+exports.restoreDefaultCollections = async (req, res) => {
+  try {
+    const restored = await addDefaultCollections(req.user.id);
+
+    res.json({
+      success: true,
+      message: restored > 0 ? `Restored ${restored} default collection(s)` : 'All default collections are already there',
+      restored
+    });
+  } catch (error) {
+    handleError(res, error, 'Restore default collections error', 'Error restoring default collections');
+  }
+};
+
+// @desc    Delete a smart collection. The entries in it are not affected.
+// @route   DELETE /api/collections/:id
+// @access  Private
+exports.deleteCollection = async (req, res) => {
+  try {
+    const collection = mongoose.isValidObjectId(req.params.id) &&
+      await SmartCollection.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection deleted'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete smart collection error', 'Error deleting collection');
+  }
+};
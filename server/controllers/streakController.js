@@ -6,8 +6,8 @@ const calculateStreaksFromJournals = async (userId) => {
   try {
     // Get all journal entries for the user, sorted by date (oldest first)
     const journals = await Journal.find({ user: userId })
-      .sort({ createdAt: 1 })
-      .select('createdAt');
+      .sort({ entryDate: 1 })
+      .select('entryDate');
 
     if (journals.length === 0) {
       return {
@@ -21,7 +21,7 @@ const calculateStreaksFromJournals = async (userId) => {
     // Group journals by date (ignore time)
     const journalDates = new Set();
     journals.forEach(journal => {
-      const date = new Date(journal.createdAt);
+      const date = new Date(journal.entryDate);
       date.setHours(0, 0, 0, 0);
       journalDates.add(date.getTime());
     });
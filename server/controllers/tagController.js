@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const JournalTemplate = require('../models/JournalTemplate');
+const { normalizeTag, MAX_TAG_LENGTH } = require('../utils/tags');
+const { hiddenNotebookIds } = require('../utils/notebooks');
+
+// Protected entries keep their tags in the encrypted payload, so they are neither
+// counted nor changed here; their tags are normalized the next time they are saved.
+
+const MAX_MERGE_TAGS = 50;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Send errors with a status as client errors
+const handleError = (res, error, label, message) => {
+  console.error(`${label}:`, error);
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Normalize a tag name from a request, rejecting empty and overlong names
+const requireTag = (value, label = 'Tag') => {
+  const tag = normalizeTag(typeof value === 'string' ? value : '');
+  if (!tag) {
+    throw badRequest(`${label} is required`);
+  }
+  if (tag.length > MAX_TAG_LENGTH) {
+    throw badRequest(`${label} cannot exceed ${MAX_TAG_LENGTH} characters`);
+  }
+  return tag;
+};
+
+// Replace every tag in `sources` with `target` in one update, keeping the order of
+// the remaining tags and dropping the duplicate when a document already has `target`
+const replaceTags = (Model, filter, field, sources, target) => Model.updateMany(
+  { ...filter, [field]: { $in: sources } },
+  [{
+    $set: {
+      [field]: {
+        $reduce: {
+          input: {
+            $map: {
+              input: `$${field}`,
+              in: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] }
+            }
+          },
+          initialValue: [],
+          in: {
+            $cond: [
+              { $in: ['$$this', '$$value'] },
+              '$$value',
+              { $concatArrays: ['$$value', ['$$this']] }
+            ]
+          }
+        }
+      }
+    }
+  }],
+  // Tidying tags is not an edit, so entries keep their last updated time
+  { timestamps: false }
+);
+
+// Rename `sources` to `target` across the user's entries (including those in the trash),
+// drafts and templates
+const mergeInto = async (userId, sources, target) => {
+  const [journals, drafts, templates] = await Promise.all([
+    replaceTags(Journal, { user: userId }, 'tags', sources, target).setOptions({ withDeleted: true }),
+    replaceTags(JournalDraft, { user: userId }, 'tags', sources, target),
+    replaceTags(JournalTemplate, { user: userId }, 'defaultTags', sources, target)
+  ]);
+
+  return {
+    journals: journals.modifiedCount,
+    drafts: drafts.modifiedCount,
+    templates: templates.modifiedCount
+  };
+};
+
+// @desc    Get the user's tags with the number of entries using each, most used first.
+//          ?q= keeps tags containing the text, starting with those that begin with it.
+// @route   GET /api/tags
+// @access  Private
+exports.getTags = async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const limit = Math.min(parseInt(req.query.limit) || 0, 500);
+    const query = normalizeTag(req.query.q);
+    // Tags of entries in locked notebooks stay hidden until the notebook is unlocked
+    const notebook = { $nin: await hiddenNotebookIds(req) };
+
+    const [counts, protectedEntries] = await Promise.all([
+      Journal.aggregate([
+        { $match: { user: userId, notebook } },
+        { $unwind: '$tags' },
+        {
+          $group: {
+            _id: '$tags',
+            count: { $sum: 1 },
+            lastUsed: { $max: '$entryDate' }
+          }
+        },
+        { $sort: { count: -1, _id: 1 } }
+      ]),
+      Journal.countDocuments({ user: userId, isEncrypted: true, notebook })
+    ]);
+
+    let tags = counts.map(({ _id, count, lastUsed }) => ({ name: _id, count, lastUsed }));
+    if (query) {
+      tags = tags.filter(tag => tag.name.includes(query));
+      tags = [
+        ...tags.filter(tag => tag.name.startsWith(query)),
+        ...tags.filter(tag => !tag.name.startsWith(query))
+      ];
+    }
+    if (limit > 0) {
+      tags = tags.slice(0, limit);
+    }
+
+    res.json({
+      success: true,
+      tags,
+      // Entries whose tags are encrypted and not included above
+      protectedEntries
+    });
+  } catch (error) {
+    handleError(res, error, 'Get tags error', 'Error fetching tags');
+  }
+};
+
+// @desc    Rename a tag on every entry. Renaming to a tag that already exists merges the two.
+// @route   PATCH /api/tags/:tag
+// @access  Private
+exports.renameTag = async (req, res) => {
+  try {
+    const source = requireTag(req.params.tag);
+    const target = requireTag(req.body.name, 'New tag name');
+    if (source === target) {
+      throw badRequest('The new name is the same as the current one');
+    }
+
+    const updated = await mergeInto(req.user.id, [source], target);
+
+    res.json({
+      success: true,
+      message: `Renamed "${source}" to "${target}"`,
+      tag: target,
+      updated
+    });
+  } catch (error) {
+    handleError(res, error, 'Rename tag error', 'Error renaming tag');
+  }
+};
+
+// @desc    Merge several tags into one on every entry
+// @route   POST /api/tags/merge
+// @access  Private
+exports.mergeTags = async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.tags) || req.body.tags.length === 0) {
+      throw badRequest('Choose the tags to merge');
+    }
+    if (req.body.tags.length > MAX_MERGE_TAGS) {
+      throw badRequest(`Cannot merge more than ${MAX_MERGE_TAGS} tags at once`);
+    }
+
+    const target = requireTag(req.body.into, 'Merged tag name');
+    const sources = [...new Set(req.body.tags.map(tag => requireTag(tag)))]
+      .filter(tag => tag !== target);
+    if (sources.length === 0) {
+      throw badRequest('Choose at least one tag other than the one being merged into');
+    }
+
+    const updated = await mergeInto(req.user.id, sources, target);
+
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} tag${sources.length === 1 ? '' : 's'} into "${target}"`,
+      tag: target,
+      updated
+    });
+  } catch (error) {
+    handleError(res, error, 'Merge tags error', 'Error merging tags');
+  }
+};
+
+// @desc    Remove a tag from every entry
+// @route   DELETE /api/tags/:tag
+// @access  Private
+exports.deleteTag = async (req, res) => {
+  try {
+    const tag = requireTag(req.params.tag);
+    const options = { timestamps: false };
+
+    const [journals, drafts, templates] = await Promise.all([
+      Journal.updateMany({ user: req.user.id, tags: tag }, { $pull: { tags: tag } }, options)
+        .setOptions({ withDeleted: true }),
+      JournalDraft.updateMany({ user: req.user.id, tags: tag }, { $pull: { tags: tag } }, options),
+      JournalTemplate.updateMany(
+        { user: req.user.id, defaultTags: tag },
+        { $pull: { defaultTags: tag } },
+        options
+      )
+    ]);
+
+    res.json({
+      success: true,
+      message: `Removed "${tag}" from your entries`,
+      updated: {
+        journals: journals.modifiedCount,
+        drafts: drafts.modifiedCount,
+        templates: templates.modifiedCount
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete tag error', 'Error deleting tag');
+  }
+};
@@ -0,0 +1,187 @@
+const JournalTemplate = require('../models/JournalTemplate');
+const { validationResult } = require('express-validator');
+const { parseTags } = require('../utils/tags');
+
+const TEMPLATE_FIELDS = ['name', 'description', 'icon', 'moodPrompt'];
+
+// Normalize submitted sections and tags into the stored shape
+const applyTemplateFields = (template, body) => {
+  TEMPLATE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      template[field] = body[field];
+    }
+  });
+  if (body.sections !== undefined) {
+    template.sections = body.sections.map(({ heading, prompt }) => ({ heading, prompt }));
+  }
+  if (body.defaultTags !== undefined) {
+    template.defaultTags = parseTags(body.defaultTags);
+  }
+};
+
+// Respond with validation errors from express-validator or the model
+const sendValidationError = (res, error) => {
+  res.status(400).json({
+    success: false,
+    message: Object.values(error.errors).map(err => err.message).join(', ')
+  });
+};
+
+// @desc    Get built-in templates and the user's own templates
+// @route   GET /api/templates
+// @access  Private
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await JournalTemplate.availableTo(req.user.id)
+      .sort({ user: 1, name: 1 });
+
+    res.json({
+      success: true,
+      templates
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a single template
+// @route   GET /api/templates/:id
+// @access  Private
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await JournalTemplate.findOne({
+      _id: req.params.id,
+      $or: [{ user: null }, { user: req.user.id }]
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching template',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Create a template
+// @route   POST /api/templates
+// @access  Private
+exports.createTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = new JournalTemplate({ user: req.user.id });
+    applyTemplateFields(template, req.body);
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Create template error:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating template',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update one of the user's templates. Built-in templates are read-only.
+// @route   PUT /api/templates/:id
+// @access  Private
+exports.updateTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await JournalTemplate.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    applyTemplateFields(template, req.body);
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Update template error:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating template',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete one of the user's templates. Entries made from it keep their content.
+// @route   DELETE /api/templates/:id
+// @access  Private
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await JournalTemplate.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting template',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
@@ -181,12 +181,12 @@ exports.cutTodoItem = async (req, res) => {
   }
 };
 
-// @desc    Delete todo item
+// @desc    Move todo item to trash
 // @route   DELETE /api/todo-list/:id
 // @access  Private
 exports.deleteTodoItem = async (req, res) => {
   try {
-    const todoItem = await TodoList.findOneAndDelete({
+    const todoItem = await TodoList.findOne({
       _id: req.params.id,
       userId: req.user.id
     });
@@ -198,9 +198,11 @@ exports.deleteTodoItem = async (req, res) => {
       });
     }
 
+    await todoItem.softDelete();
+
     res.json({
       success: true,
-      message: 'Todo item deleted successfully'
+      message: 'Todo item moved to trash'
     });
   } catch (error) {
     console.error('Delete todo item error:', error);
@@ -212,9 +214,6 @@ exports.deleteTodoItem = async (req, res) => {
   }
 };
 
-// @desc    Delete completed todo items
-// @route   DELETE /api/todo-list/completed
-// @access  Private
 // @desc    Undo cutting a todo item
 // @route   PATCH /api/todo-list/:id/undo-cut
 // @access  Private
@@ -252,16 +251,19 @@ exports.undoCutTodoItem = async (req, res) => {
   }
 };
 
+// @desc    Move completed todo items to trash
+// @route   DELETE /api/todo-list/completed
+// @access  Private
 exports.deleteCompletedTodos = async (req, res) => {
   try {
-    const result = await TodoList.deleteMany({
-      userId: req.user.id,
-      isCompleted: true
-    });
+    const result = await TodoList.updateMany(
+      { userId: req.user.id, isCompleted: true },
+      { deletedAt: new Date() }
+    );
 
     res.json({
       success: true,
-      message: `${result.deletedCount} completed todo items deleted successfully`
+      message: `${result.modifiedCount} completed todo items moved to trash`
     });
   } catch (error) {
     console.error('Delete completed todos error:', error);
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Journal = require('../models/Journal');
+const TodoList = require('../models/TodoList');
+const BucketList = require('../models/BucketList');
+const { sanitizeJournal } = require('../utils/journalAccess');
+const { hiddenNotebookIds } = require('../utils/notebooks');
+const { purgeTrash, getPurgeDate, getRetentionDays } = require('../utils/trash');
+
+// Trash item types and how each model refers to its owner
+const TRASH_TYPES = {
+  journal: { Model: Journal, ownerField: 'user', filterKey: 'journalFilter', label: 'Journal entry' },
+  todo: { Model: TodoList, ownerField: 'userId', filterKey: 'todoFilter', label: 'Todo item' },
+  bucketlist: { Model: BucketList, ownerField: 'userId', filterKey: 'bucketListFilter', label: 'Bucket list item' }
+};
+
+const inTrash = { deletedAt: { $ne: null } };
+
+const withPurgeDate = (itemObj, type) => ({
+  ...itemObj,
+  type,
+  purgeAt: getPurgeDate(itemObj.deletedAt)
+});
+
+// @desc    Get all items in the trash
+// @route   GET /api/trash
+// @access  Private
+exports.getTrash = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    // Entries in locked notebooks stay out of the list until the notebook is unlocked
+    const notebook = { $nin: await hiddenNotebookIds(req) };
+
+    const [journals, todos, bucketList] = await Promise.all([
+      Journal.find({ user: userId, notebook, ...inTrash }).sort({ deletedAt: -1 }),
+      TodoList.find({ userId, ...inTrash }).sort({ deletedAt: -1 }),
+      BucketList.find({ userId, ...inTrash }).sort({ deletedAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      retentionDays: getRetentionDays(),
+      trash: {
+        journals: journals.map(journal => withPurgeDate(sanitizeJournal(journal.toObject()), 'journal')),
+        todos: todos.map(todo => withPurgeDate(todo.toObject(), 'todo')),
+        bucketList: bucketList.map(item => withPurgeDate(item.toObject(), 'bucketlist'))
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Restore an item from the trash
+// @route   PATCH /api/trash/:type/:id/restore
+// @access  Private
+exports.restoreTrashItem = async (req, res) => {
+  try {
+    const trashType = TRASH_TYPES[req.params.type];
+    if (!trashType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item type'
+      });
+    }
+
+    const item = mongoose.isValidObjectId(req.params.id) && await trashType.Model.findOne({
+      _id: req.params.id,
+      [trashType.ownerField]: req.user.id,
+      ...inTrash
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in trash'
+      });
+    }
+
+    await item.restoreFromTrash();
+
+    res.json({
+      success: true,
+      message: `${trashType.label} restored successfully`
+    });
+  } catch (error) {
+    console.error('Restore trash item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring item',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Permanently delete an item from the trash
+// @route   DELETE /api/trash/:type/:id
+// @access  Private
+exports.deleteTrashItem = async (req, res) => {
+  try {
+    const trashType = TRASH_TYPES[req.params.type];
+    if (!trashType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item type'
+      });
+    }
+
+    const purged = mongoose.isValidObjectId(req.params.id) && await purgeTrash({
+      [trashType.filterKey]: { _id: req.params.id, [trashType.ownerField]: req.user.id }
+    });
+
+    if (!purged || purged.journals + purged.todos + purged.bucketList === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${trashType.label} permanently deleted`
+    });
+  } catch (error) {
+    console.error('Delete trash item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting item',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Permanently delete everything in the trash
+// @route   DELETE /api/trash
+// @access  Private
+exports.emptyTrash = async (req, res) => {
+  try {
+    const purged = await purgeTrash({
+      journalFilter: { user: req.user.id },
+      todoFilter: { userId: req.user.id },
+      bucketListFilter: { userId: req.user.id }
+    });
+
+    const total = purged.journals + purged.todos + purged.bucketList;
+
+    res.json({
+      success: true,
+      message: `${total} item(s) permanently deleted`,
+      purged
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error emptying trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
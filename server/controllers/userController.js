@@ -1,6 +1,14 @@
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const { getFileUrl, deleteFile } = require('../middlewares/upload');
+const { toMediaPath, toProfilePictureUrl } = require('../utils/mediaUrls');
+
+// User in the shape sent to the client, with a signed profile picture URL
+const toUserResponse = (user) => {
+  const userData = user.toJSON();
+  userData.profilePicture = toProfilePictureUrl(userData.profilePicture);
+  return userData;
+};
 
 // @desc    Get user profile
 // @route   GET /api/user/profile
@@ -23,9 +31,7 @@ exports.getProfile = async (req, res) => {
     }
 
     // Add profile picture URL if it exists
-    if (userData.profilePicture && !userData.profilePicture.startsWith('http')) {
-      userData.profilePicture = `${process.env.SERVER_URL}${userData.profilePicture}`;
-    }
+    userData.profilePicture = toProfilePictureUrl(userData.profilePicture);
 
     res.json({
       success: true,
@@ -123,7 +129,7 @@ exports.updateProfile = async (req, res) => {
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      user: user
+      user: toUserResponse(user)
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -158,23 +164,21 @@ exports.updateProfilePicture = async (req, res) => {
     // Delete old profile picture if it exists
     if (user.profilePicture) {
       try {
-        const oldPath = user.profilePicture.replace('/uploads/', '');
-        deleteFile(oldPath);
+        deleteFile(toMediaPath(user.profilePicture));
       } catch (deleteError) {
         console.error('Error deleting old profile picture:', deleteError);
         // Continue with the upload even if delete fails
       }
     }
 
-    // Update profile picture URL using relative path
-    const filename = req.file.filename;
-    user.profilePicture = `/uploads/profiles/${filename}`;
+    // Point the profile at the newly stored file
+    user.profilePicture = getFileUrl(req.file.key);
     await user.save();
 
     res.json({
       success: true,
       message: 'Profile picture updated successfully',
-      user
+      user: toUserResponse(user)
     });
   } catch (error) {
     console.error('Update profile picture error:', error);
@@ -201,8 +205,7 @@ exports.removeProfilePicture = async (req, res) => {
 
     if (user.profilePicture) {
       try {
-        const relativePath = user.profilePicture.replace('/uploads/', '');
-        deleteFile(relativePath);
+        deleteFile(toMediaPath(user.profilePicture));
       } catch (deleteError) {
         console.error('Error deleting profile picture:', deleteError);
         // continue to clear db reference even if file delete fails
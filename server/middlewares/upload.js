@@ -1,40 +1,20 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Create separate folders for different types of uploads
-    const type = req.baseUrl.includes('journal') ? 'journals' : 'profiles';
-    const typeDir = path.join(uploadDir, type);
-    
-    if (!fs.existsSync(typeDir)) {
-      fs.mkdirSync(typeDir, { recursive: true });
-    }
-    
-    cb(null, typeDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename with timestamp and random string
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const mime = require('mime-types');
+const { getStorage } = require('../utils/storage');
+const { processJournalImage, processProfilePicture, IMAGE_SIZES } = require('../utils/imageProcessing');
+const { readAudioDuration, parseRecordingDurations } = require('../utils/audioMetadata');
+const { toMediaPath, toMediaUrl } = require('../utils/mediaUrls');
+
+// Files are kept in memory until storeUploads writes them to the storage backend
+const storage = multer.memoryStorage();
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  // Allow images and videos
-  if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+  // Allow images, videos and audio
+  if (['image/', 'video/', 'audio/'].some(type => file.mimetype.startsWith(type))) {
     cb(null, true);
   } else {
-    cb(new Error('Only image and video files are allowed!'), false);
+    cb(new Error('Only image, video and audio files are allowed!'), false);
   }
 };
 
@@ -48,10 +28,85 @@ const upload = multer({
   }
 });
 
+// Store one uploaded file. Images are re-encoded without their metadata: journal
+// photos and notebook covers in every size, profile pictures as a square crop. Each file gets the storage
+// `key` of its full-size copy, and journal photos the keys of all their `variantKeys`.
+// Audio files get their `duration`, falling back to the one measured while recording.
+const storeFile = async (file, folder, storedKeys, recordingDurations) => {
+  const storage = getStorage();
+  // Generate unique filename with timestamp and random string
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const baseKey = `${folder}/${file.fieldname}-${uniqueSuffix}`;
+
+  const put = async (key, buffer, contentType) => {
+    await storage.put(key, buffer, contentType);
+    storedKeys.push(key);
+    return key;
+  };
+
+  if (file.mimetype.startsWith('audio/')) {
+    file.duration = await readAudioDuration(file.buffer, file.mimetype) || recordingDurations[file.originalname];
+  }
+
+  if (!file.mimetype.startsWith('image/')) {
+    // The extension follows the accepted type, never the client's file name, since
+    // files are served with the type their key names
+    const extension = mime.extension(file.mimetype);
+    file.key = await put(`${baseKey}${extension ? `.${extension}` : ''}`, file.buffer, file.mimetype);
+    return;
+  }
+
+  if (folder === 'profiles') {
+    const image = await processProfilePicture(file.buffer, file.originalname);
+    file.key = await put(`${baseKey}.${image.extension}`, image.buffer, image.contentType);
+    return;
+  }
+
+  const { extension, contentType, variants } = await processJournalImage(file.buffer, file.originalname);
+  file.variantKeys = {};
+  for (const [size, image] of Object.entries(variants)) {
+    const suffix = size === 'full' ? '' : `-${size}`;
+    file.variantKeys[size] = await put(`${baseKey}${suffix}.${extension}`, image.buffer, contentType);
+  }
+  file.key = file.variantKeys.full;
+  file.mimetype = contentType;
+  file.size = variants.full.buffer.length;
+  file.width = variants.full.width;
+  file.height = variants.full.height;
+};
+
+// Write the files multer received to the configured storage backend
+const storeUploads = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  // Create separate folders for different types of uploads
+  let folder = 'profiles';
+  if (req.baseUrl.includes('notebooks')) {
+    folder = 'notebooks';
+  } else if (req.baseUrl.includes('journal') || req.baseUrl.includes('drafts')) {
+    folder = 'journals';
+  }
+  const storedKeys = [];
+  const recordingDurations = parseRecordingDurations(req.body.recordingDurations);
+
+  try {
+    for (const file of files) {
+      await storeFile(file, folder, storedKeys, recordingDurations);
+      file.buffer = undefined;
+    }
+    next();
+  } catch (err) {
+    storedKeys.forEach(key => exports.deleteFile(key));
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    next(err);
+  }
+};
+
 // Export different upload configurations
-exports.uploadSingle = upload.single('media');
-exports.uploadMultiple = upload.array('media', 5);
-exports.uploadProfilePicture = multer({
+exports.uploadSingle = [upload.single('media'), storeUploads];
+exports.uploadMultiple = [upload.array('media', 5), storeUploads];
+exports.uploadProfilePicture = [multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
@@ -63,26 +118,70 @@ exports.uploadProfilePicture = multer({
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit for profile pictures
   }
-}).single('profilePicture'); 
+}).single('profilePicture'), storeUploads];
+exports.uploadCover = [multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed for notebook covers!'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit for covers
+  }
+}).single('cover'), storeUploads];
 
 // Helpers
-// Generate a URL path for a stored file relative to the public uploads directory
-exports.getFileUrl = (relativePath) => {
-  if (!relativePath) return null;
-  const normalized = relativePath.replace(/\\/g, '/');
-  return `/uploads/${normalized.replace(/^\/?uploads\/?/, '')}`;
+// Generate the media route URL for a stored file
+exports.getFileUrl = (key) => {
+  if (!key) return null;
+  return toMediaUrl(key);
 };
 
-// Delete a file by relative path within the uploads directory
-exports.deleteFile = (relativePath) => {
-  try {
-    if (!relativePath) return;
-    const absolutePath = path.join(uploadDir, relativePath);
-    if (fs.existsSync(absolutePath)) {
-      fs.unlinkSync(absolutePath);
-    }
-  } catch (err) {
+// Build journal media entries from files uploaded by multer
+exports.buildMediaFromFiles = (files) => {
+  if (!files || files.length === 0) return [];
+  return files.map(file => ({
+    url: toMediaUrl(file.key),
+    type: ['image', 'audio'].find(type => file.mimetype.startsWith(`${type}/`)) || 'video',
+    filename: file.originalname,
+    size: file.size,
+    variants: file.variantKeys && {
+      thumb: toMediaUrl(file.variantKeys.thumb),
+      card: toMediaUrl(file.variantKeys.card),
+      full: toMediaUrl(file.variantKeys.full)
+    },
+    width: file.width,
+    height: file.height,
+    duration: file.duration
+  }));
+};
+
+// URLs of every stored copy of a journal or draft media entry
+exports.getMediaUrls = (item) => {
+  const variantUrls = Object.keys(IMAGE_SIZES).map(size => item.variants && item.variants[size]);
+  return [...new Set([item.url, ...variantUrls].filter(Boolean))];
+};
+
+// Delete the uploaded files behind journal or draft media entries, including resized copies
+exports.deleteMediaFiles = (media) => {
+  (media || []).forEach(item => {
+    exports.getMediaUrls(item).forEach(url => {
+      const mediaPath = toMediaPath(url);
+      if (mediaPath) {
+        exports.deleteFile(mediaPath);
+      }
+    });
+  });
+};
+
+// Delete a stored file by its key. Runs in the background; failures are only logged.
+exports.deleteFile = (key) => {
+  if (!key) return;
+  getStorage().delete(key).catch(err => {
     // Log and continue; callers handle failure gracefully
     console.error('Error deleting file:', err.message);
-  }
-};
\ No newline at end of file
+  });
+};
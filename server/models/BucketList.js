@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const bucketListSchema = new mongoose.Schema({
   userId: {
@@ -31,5 +32,12 @@ const bucketListSchema = new mongoose.Schema({
 // Index for efficient queries
 bucketListSchema.index({ userId: 1, isCompleted: 1 });
 bucketListSchema.index({ userId: 1, createdAt: -1 });
+// Full-text search (utils/search)
+bucketListSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'bucket_list_text', weights: { title: 5, description: 1 }, default_language: 'english' }
+);
+
+bucketListSchema.plugin(softDelete);
 
 module.exports = mongoose.model('BucketList', bucketListSchema); 
\ No newline at end of file
@@ -1,5 +1,88 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 const bcrypt = require('bcryptjs');
+const {
+  generateSalt,
+  deriveKey,
+  encryptPayload,
+  decryptPayload
+} = require('../utils/journalEncryption');
+const { renderMarkdown } = require('../utils/markdown');
+const { WEATHER_CONDITIONS } = require('../utils/weather');
+const { tagListField } = require('../utils/tags');
+const {
+  EMOTIONS,
+  EMOTION_EMOJIS,
+  MAX_EMOTIONS,
+  MIN_INTENSITY,
+  MAX_INTENSITY,
+  WELLBEING_MIN,
+  WELLBEING_MAX,
+  getEmotionGroup
+} = require('../utils/emotions');
+
+// Fields that are moved into the encrypted payload for protected entries
+const ENCRYPTED_FIELDS = [
+  'title', 'content', 'contentHtml', 'tags', 'moodRating', 'emotions', 'wellbeing',
+  'location', 'placeName', 'weather'
+];
+
+// Most attachments a single entry can hold
+const MAX_MEDIA = 20;
+
+// Plaintext fields are only required while the entry is not encrypted
+const requiredUnlessEncrypted = function() {
+  return !this.isEncrypted;
+};
+
+// GeoJSON point, [longitude, latitude], coarsened before it is stored (see utils/location)
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: value => value.length === 2,
+      message: 'Location must have a longitude and a latitude'
+    }
+  }
+}, { _id: false });
+
+// One emotion from the emotion wheel and how strongly it was felt
+const emotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: EMOTIONS,
+    required: true
+  },
+  intensity: {
+    type: Number,
+    min: [MIN_INTENSITY, `Emotion intensity must be at least ${MIN_INTENSITY}`],
+    max: [MAX_INTENSITY, `Emotion intensity cannot exceed ${MAX_INTENSITY}`],
+    default: 3
+  }
+}, { _id: false });
+
+// Where one [[wiki link]] in the content points. `text` is the normalized link target;
+// the entry it resolved to stays linked even when that entry is renamed.
+const linkSchema = new mongoose.Schema({
+  text: String,
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    default: null
+  }
+}, { _id: false });
+
+const wellbeingRating = (label) => ({
+  type: Number,
+  min: [WELLBEING_MIN, `${label} must be at least ${WELLBEING_MIN}`],
+  max: [WELLBEING_MAX, `${label} cannot exceed ${WELLBEING_MAX}`]
+});
 
 const journalSchema = new mongoose.Schema({
   user: {
@@ -7,17 +90,28 @@ const journalSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // The notebook the entry is filed in (see utils/notebooks)
+  notebook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null
+  },
   title: {
     type: String,
-    required: [true, 'Title is required'],
+    required: [requiredUnlessEncrypted, 'Title is required'],
     trim: true,
     maxlength: [100, 'Title cannot exceed 100 characters']
   },
+  // Markdown source as written by the user
   content: {
     type: String,
-    required: [true, 'Content is required'],
+    required: [requiredUnlessEncrypted, 'Content is required'],
     trim: true
   },
+  // Sanitized HTML rendered from `content`, safe to display as-is
+  contentHtml: {
+    type: String
+  },
   media: {
     type: [{
       url: {
@@ -26,20 +120,56 @@ const journalSchema = new mongoose.Schema({
       },
       type: {
         type: String,
-        enum: ['image', 'video'],
+        enum: ['image', 'video', 'audio'],
         required: true
       },
       filename: String,
-      size: Number
+      size: Number,
+      // Resized copies of images (thumb, card, full); `url` is the full size
+      variants: {
+        thumb: String,
+        card: String,
+        full: String
+      },
+      width: Number,
+      height: Number,
+      // Length of audio attachments, in seconds
+      duration: Number,
+      // Stored in the encrypted payload for protected entries
+      caption: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Caption cannot exceed 300 characters']
+      }
     }],
-    default: []
+    default: [],
+    validate: {
+      validator: (media) => media.length <= MAX_MEDIA,
+      message: `A journal entry can have at most ${MAX_MEDIA} attachments`
+    }
   },
   moodRating: {
     type: Number,
-    required: [true, 'Mood rating is required'],
+    required: [requiredUnlessEncrypted, 'Mood rating is required'],
     min: [1, 'Mood rating must be at least 1'],
     max: [10, 'Mood rating cannot exceed 10']
   },
+  // Emotions felt alongside the overall mood, e.g. anxious and excited at once.
+  // Stored in the encrypted payload for protected entries, like the mood rating.
+  emotions: {
+    type: [emotionSchema],
+    default: [],
+    validate: {
+      validator: (emotions) => emotions.length <= MAX_EMOTIONS,
+      message: `A journal entry can have at most ${MAX_EMOTIONS} emotions`
+    }
+  },
+  // Optional self-reported energy, stress and sleep quality, each from 1 (low) to 5 (high)
+  wellbeing: {
+    energy: wellbeingRating('Energy'),
+    stress: wellbeingRating('Stress'),
+    sleepQuality: wellbeingRating('Sleep quality')
+  },
   isEncrypted: {
     type: Boolean,
     default: false
@@ -57,28 +187,66 @@ const journalSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
-  tags: {
-    type: [String],
+  // AES-GCM ciphertext of the protected fields, keyed from the entry password
+  encryptedContent: {
+    type: {
+      salt: String,
+      iv: String,
+      authTag: String,
+      ciphertext: String,
+      version: Number
+    },
+    select: false
+  },
+  tags: tagListField({ default: [] }),
+  // Targets of the content's wiki links, in the order they are numbered in `contentHtml`
+  // (see utils/wikiLinks). Protected entries keep the targets but not the link text.
+  links: {
+    type: [linkSchema],
     default: []
   },
   isPublic: {
     type: Boolean,
     default: false
   },
+  // The day and time the entry is about. Defaults to when it was written but can be backdated.
+  entryDate: {
+    type: Date,
+    default: Date.now
+  },
+  // The template the entry was started from, if any
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalTemplate',
+    default: null
+  },
+  // The writing prompt the entry answers, if any
+  prompt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WritingPrompt',
+    default: null
+  },
+  // Where the entry was written. Entries without coordinates can still name a place.
+  // Both are stored in the encrypted payload for protected entries.
   location: {
-    type: {
-      type: String,
-      enum: ['Point'],
-      default: 'Point'
-    },
-    coordinates: {
-      type: [Number],
-      default: undefined
-    }
+    type: pointSchema,
+    default: undefined
+  },
+  placeName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Place name cannot exceed 200 characters']
   },
+  // Weather where and when the entry was written, captured from its location (utils/weather).
+  // Stored in the encrypted payload for protected entries.
   weather: {
+    // °C
     temperature: Number,
-    condition: String,
+    condition: {
+      type: String,
+      enum: WEATHER_CONDITIONS
+    },
+    // Relative humidity, in percent
     humidity: Number
   }
 }, {
@@ -87,11 +255,29 @@ const journalSchema = new mongoose.Schema({
 
 // Index for better query performance
 journalSchema.index({ user: 1, createdAt: -1 });
+journalSchema.index({ user: 1, entryDate: -1 });
+journalSchema.index({ user: 1, notebook: 1, entryDate: -1 });
 journalSchema.index({ user: 1, moodRating: 1 });
 journalSchema.index({ user: 1, tags: 1 });
+journalSchema.index({ user: 1, template: 1 });
+journalSchema.index({ user: 1, prompt: 1 });
+journalSchema.index({ user: 1, location: '2dsphere' });
+journalSchema.index({ user: 1, 'links.journal': 1 });
+// Full-text search (utils/search). Protected entries have no plaintext to index.
+journalSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'journal_text', weights: { title: 10, tags: 5, content: 1 }, default_language: 'english' }
+);
 
-// Virtual for mood emoji
+// Virtual for mood emoji: the entry's strongest emotion when it has any, otherwise its mood rating
 journalSchema.virtual('moodEmoji').get(function() {
+  if (this.emotions && this.emotions.length > 0) {
+    const strongest = this.emotions.reduce((max, emotion) => (
+      emotion.intensity > max.intensity ? emotion : max
+    ));
+    return EMOTION_EMOJIS[getEmotionGroup(strongest.name)];
+  }
+
   const emojis = {
     1: '😢', 2: '😞', 3: '😐', 4: '😕', 5: '😊',
     6: '😄', 7: '😃', 8: '😁', 9: '🤩', 10: '🥰'
@@ -102,13 +288,14 @@ journalSchema.virtual('moodEmoji').get(function() {
 // Virtual for reading time (rough estimate)
 journalSchema.virtual('readingTime').get(function() {
   const wordsPerMinute = 200;
+  if (!this.content) return 0;
   const wordCount = this.content.split(' ').length;
   return Math.ceil(wordCount / wordsPerMinute);
 });
 
 // Method to get formatted date
 journalSchema.methods.getFormattedDate = function() {
-  return this.createdAt.toLocaleDateString('en-US', {
+  return (this.entryDate || this.createdAt).toLocaleDateString('en-US', {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -119,7 +306,7 @@ journalSchema.methods.getFormattedDate = function() {
 // Method to get time ago
 journalSchema.methods.getTimeAgo = function() {
   const now = new Date();
-  const diffInSeconds = Math.floor((now - this.createdAt) / 1000);
+  const diffInSeconds = Math.floor((now - (this.entryDate || this.createdAt)) / 1000);
   
   if (diffInSeconds < 60) return 'Just now';
   if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
@@ -129,6 +316,20 @@ journalSchema.methods.getTimeAgo = function() {
   return `${Math.floor(diffInSeconds / 31536000)}y ago`;
 };
 
+// Render the Markdown content into its sanitized HTML form
+journalSchema.methods.renderContent = function() {
+  this.contentHtml = this.content ? renderMarkdown(this.content) : undefined;
+};
+
+// Keep the rendered content in step with the Markdown source.
+// Protected entries render theirs in sealContent, before the plaintext is cleared.
+journalSchema.pre('validate', function(next) {
+  if (!this.isEncrypted && (this.isModified('content') || (this.content && !this.contentHtml))) {
+    this.renderContent();
+  }
+  next();
+});
+
 // Pre-save middleware to hash password
 journalSchema.pre('save', async function(next) {
   if (!this.isModified('encryptionPassword') || !this.encryptionPassword) {
@@ -183,7 +384,104 @@ journalSchema.methods.verifyPasswordAndHandleLockout = async function(candidateP
   }
 };
 
+// Whether this entry is protected but its content is still stored as plaintext
+// (created before at-rest encryption). Such entries are sealed on their next unlock.
+journalSchema.methods.hasLegacyPlaintext = function() {
+  return this.isEncrypted && !(this.encryptedContent && this.encryptedContent.ciphertext);
+};
+
+// Derive the content key from the entry password. A new salt is generated when
+// `rotateSalt` is set (e.g. the password changed) or when none exists yet.
+journalSchema.methods.deriveContentKey = async function(password, rotateSalt = false) {
+  if (rotateSalt || !this.encryptedContent || !this.encryptedContent.salt) {
+    this.encryptedContent = { salt: generateSalt() };
+  }
+  return await deriveKey(password, this.encryptedContent.salt);
+};
+
+// Encrypt the protected fields with the given key and clear their plaintext
+journalSchema.methods.sealContent = function(key) {
+  this.renderContent();
+  const payload = {};
+  ENCRYPTED_FIELDS.forEach(field => {
+    const value = this[field];
+    payload[field] = Array.isArray(value) ? [...value] : value;
+  });
+  // Captions are written by the user, so they are protected like the content
+  payload.mediaCaptions = this.media
+    .filter(item => item.caption)
+    .map(item => ({ id: item._id.toString(), caption: item.caption }));
+  // Link text repeats what the content says
+  payload.linkTexts = this.links.map(link => link.text);
+
+  this.encryptedContent = {
+    salt: this.encryptedContent.salt,
+    ...encryptPayload(payload, key, this._id)
+  };
+
+  this.title = undefined;
+  this.content = undefined;
+  this.contentHtml = undefined;
+  this.moodRating = undefined;
+  this.tags = [];
+  this.emotions = [];
+  this.wellbeing = undefined;
+  this.location = undefined;
+  this.placeName = undefined;
+  this.weather = undefined;
+  this.media.forEach(item => {
+    item.caption = undefined;
+  });
+  this.links.forEach(link => {
+    link.text = undefined;
+  });
+};
+
+// Decrypt the protected fields with the given key and copy them back onto the document
+journalSchema.methods.openContent = function(key) {
+  if (this.hasLegacyPlaintext()) {
+    return;
+  }
+  const payload = decryptPayload(this.encryptedContent, key, this._id);
+  ENCRYPTED_FIELDS.forEach(field => {
+    this[field] = payload[field];
+  });
+  (payload.mediaCaptions || []).forEach(({ id, caption }) => {
+    const item = this.media.id(id);
+    if (item) item.caption = caption;
+  });
+  (payload.linkTexts || []).forEach((text, index) => {
+    if (this.links[index]) this.links[index].text = text;
+  });
+  // Entries sealed before Markdown rendering existed have no HTML in their payload
+  if (this.content && !this.contentHtml) {
+    this.renderContent();
+  }
+};
+
+// Drop the encrypted payload and store the protected fields as plaintext again
+journalSchema.methods.removeEncryption = function() {
+  this.isEncrypted = false;
+  this.encryptionPassword = undefined;
+  this.encryptedContent = undefined;
+};
+
+// Plain object for an unlocked entry, without any secrets
+journalSchema.methods.toUnlockedObject = function() {
+  const journalObj = this.toObject({ virtuals: true });
+  delete journalObj.encryptionPassword;
+  delete journalObj.encryptedContent;
+  delete journalObj.passwordFailedAttempts;
+  delete journalObj.passwordLockoutUntil;
+  return journalObj;
+};
+
 // Ensure virtual fields are serialized
 journalSchema.set('toJSON', { virtuals: true });
 
+journalSchema.plugin(softDelete);
+
+journalSchema.statics.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+journalSchema.statics.MAX_MEDIA = MAX_MEDIA;
+
 module.exports = mongoose.model('Journal', journalSchema);
\ No newline at end of file
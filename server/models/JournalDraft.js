@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { tagListField } = require('../utils/tags');
+
+// Work-in-progress state of the journal editor, autosaved until it is published or discarded.
+// Drafts are stored as plaintext, so they are never kept for password protected entries.
+const journalDraftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The entry being edited, or null for a draft of a new entry
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    default: null
+  },
+  title: {
+    type: String,
+    default: '',
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  moodRating: {
+    type: Number,
+    min: [1, 'Mood rating must be at least 1'],
+    max: [10, 'Mood rating cannot exceed 10']
+  },
+  tags: tagListField({ default: [] }),
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Emotions and wellbeing as accepted by utils/emotions
+  emotions: {
+    type: [{
+      _id: false,
+      name: String,
+      intensity: Number
+    }],
+    default: []
+  },
+  wellbeing: {
+    energy: Number,
+    stress: Number,
+    sleepQuality: Number
+  },
+  entryDate: {
+    type: Date
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalTemplate',
+    default: null
+  },
+  prompt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WritingPrompt',
+    default: null
+  },
+  // GeoJSON point, coarsened like the entry's own location
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  placeName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Place name cannot exceed 200 characters']
+  },
+  // Files uploaded while drafting; they move to the journal when the draft is published
+  media: {
+    type: [{
+      url: {
+        type: String,
+        required: true
+      },
+      type: {
+        type: String,
+        enum: ['image', 'video', 'audio'],
+        required: true
+      },
+      filename: String,
+      size: Number,
+      // Resized copies of images (thumb, card, full); `url` is the full size
+      variants: {
+        thumb: String,
+        card: String,
+        full: String
+      },
+      width: Number,
+      height: Number,
+      // Length of audio attachments, in seconds
+      duration: Number
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+journalDraftSchema.index({ user: 1, journal: 1, updatedAt: -1 });
+
+// Form fields in the shape accepted by createJournalEntry/applyJournalUpdate
+journalDraftSchema.methods.toJournalFields = function() {
+  return {
+    title: this.title,
+    content: this.content,
+    moodRating: this.moodRating,
+    tags: this.tags.join(', '),
+    emotions: JSON.stringify(this.emotions.map(({ name, intensity }) => ({ name, intensity }))),
+    wellbeing: this.wellbeing ? JSON.stringify(this.wellbeing) : '',
+    isPublic: this.isPublic,
+    entryDate: this.entryDate ? this.entryDate.toISOString() : undefined,
+    template: this.template ? this.template.toString() : undefined,
+    prompt: this.prompt ? this.prompt.toString() : undefined,
+    // The editor always saves the location, so a draft without one clears it
+    location: this.location && this.location.coordinates
+      ? JSON.stringify({
+          longitude: this.location.coordinates[0],
+          latitude: this.location.coordinates[1],
+          placeName: this.placeName
+        })
+      : this.placeName ? JSON.stringify({ placeName: this.placeName }) : ''
+  };
+};
+
+module.exports = mongoose.model('JournalDraft', journalDraftSchema);
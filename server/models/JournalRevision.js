@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { encryptPayload, decryptPayload } = require('../utils/journalEncryption');
+
+// Fields captured in every revision. Media is managed separately and not versioned.
+const REVISION_FIELDS = ['title', 'content', 'moodRating', 'tags'];
+
+const journalRevisionSchema = new mongoose.Schema({
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  content: String,
+  moodRating: Number,
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  // Revisions of protected entries are encrypted with the entry's content key
+  isEncrypted: {
+    type: Boolean,
+    default: false
+  },
+  encryptedContent: {
+    type: {
+      iv: String,
+      authTag: String,
+      ciphertext: String,
+      version: Number
+    },
+    select: false
+  },
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+journalRevisionSchema.index({ journal: 1, revision: -1 }, { unique: true });
+
+// Store the given field values, encrypting them when a key is supplied
+journalRevisionSchema.methods.setSnapshot = function(snapshot, key) {
+  if (key) {
+    this.isEncrypted = true;
+    this.encryptedContent = encryptPayload(snapshot, key, this._id);
+    REVISION_FIELDS.forEach(field => {
+      this[field] = undefined;
+    });
+    return;
+  }
+
+  this.isEncrypted = false;
+  this.encryptedContent = undefined;
+  REVISION_FIELDS.forEach(field => {
+    this[field] = snapshot[field];
+  });
+};
+
+// Read the stored field values, decrypting them when the revision is protected
+journalRevisionSchema.methods.getSnapshot = function(key) {
+  if (this.isEncrypted) {
+    return decryptPayload(this.encryptedContent, key, this._id);
+  }
+
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = this[field];
+  });
+  return snapshot;
+};
+
+// Attempts at taking the next revision number when saves of the same journal race
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Record the current (plaintext) state of a journal as its next revision. A save that
+// took the same number first makes the unique index reject this one, which then
+// retries with the number after it.
+journalRevisionSchema.statics.record = async function(journal, snapshot, key, restoredFrom) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ journal: journal._id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    const revision = new this({
+      journal: journal._id,
+      user: journal.user._id || journal.user,
+      revision: latest ? latest.revision + 1 : 1,
+      restoredFrom
+    });
+    revision.setSnapshot(snapshot, key);
+    try {
+      await revision.save();
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Re-encrypt (or decrypt) all revisions of a journal when its protection changes.
+// `fromKey` opens the existing encrypted revisions, `toKey` seals them again;
+// a null `toKey` stores them as plaintext.
+journalRevisionSchema.statics.reprotect = async function(journalId, fromKey, toKey) {
+  const revisions = await this.find({ journal: journalId }).select('+encryptedContent');
+
+  for (const revision of revisions) {
+    const snapshot = revision.getSnapshot(fromKey);
+    revision.setSnapshot(snapshot, toKey);
+    await revision.save();
+  }
+};
+
+// Pick the revisioned fields off a journal document
+journalRevisionSchema.statics.snapshotOf = function(journal) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    const value = journal[field];
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+  });
+  return snapshot;
+};
+
+journalRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('JournalRevision', journalRevisionSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { tagListField } = require('../utils/tags');
+
+// A starting point for new entries: named sections, default tags and a mood prompt.
+// Built-in templates have no owner and are shared by every user.
+const journalTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Stable identifier of a built-in template, used when seeding
+  key: {
+    type: String
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [60, 'Template name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  icon: {
+    type: String,
+    default: '📝'
+  },
+  sections: {
+    type: [{
+      heading: {
+        type: String,
+        required: [true, 'Section heading is required'],
+        trim: true,
+        maxlength: [100, 'Section heading cannot exceed 100 characters']
+      },
+      prompt: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Section prompt cannot exceed 300 characters']
+      }
+    }],
+    validate: {
+      validator: (sections) => sections.length > 0 && sections.length <= 20,
+      message: 'A template needs between 1 and 20 sections'
+    }
+  },
+  defaultTags: tagListField({ default: [] }),
+  // Question shown next to the mood slider, e.g. "How rested do you feel?"
+  moodPrompt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Mood prompt cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+journalTemplateSchema.index({ user: 1, name: 1 });
+journalTemplateSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+journalTemplateSchema.virtual('isBuiltIn').get(function() {
+  return !this.user;
+});
+
+// Templates a user can pick from: the built-ins plus their own
+journalTemplateSchema.statics.availableTo = function(userId) {
+  return this.find({ $or: [{ user: null }, { user: userId }] });
+};
+
+journalTemplateSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('JournalTemplate', journalTemplateSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Wrong passwords allowed before a protected notebook is locked, and for how long
+const MAX_PASSWORD_ATTEMPTS = 3;
+const LOCKOUT_DURATION = 3 * 60 * 60 * 1000; // 3 hours
+
+// A notebook groups journal entries, like "Work" or "Travel 2026". Every entry belongs
+// to exactly one; each user has a default notebook for entries not filed elsewhere.
+// A notebook password hides its entries until the notebook is unlocked (utils/notebooks).
+const notebookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Notebook name is required'],
+    trim: true,
+    maxlength: [50, 'Notebook name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    default: '#3b82f6',
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex color like #3b82f6']
+  },
+  icon: {
+    type: String,
+    default: '📓',
+    maxlength: [8, 'Icon cannot exceed 8 characters']
+  },
+  // Uploaded cover image, stored like journal media (see buildMediaFromFiles)
+  cover: {
+    type: {
+      url: String,
+      filename: String,
+      size: Number,
+      variants: {
+        thumb: String,
+        card: String,
+        full: String
+      },
+      width: Number,
+      height: Number
+    },
+    default: undefined
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  password: {
+    type: String,
+    select: false
+  },
+  passwordFailedAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  passwordLockoutUntil: {
+    type: Date,
+    select: false
+  },
+  // Mirrors whether a password is set, since the hash itself is never selected
+  isProtected: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+notebookSchema.index({ user: 1, createdAt: 1 });
+// A user has a single default notebook
+notebookSchema.index({ user: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Hash a new password and keep isProtected in step with it
+notebookSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.isProtected = !!this.password;
+    if (this.password) {
+      const salt = await bcrypt.genSalt(12);
+      this.password = await bcrypt.hash(this.password, salt);
+    }
+    this.passwordFailedAttempts = 0;
+    this.passwordLockoutUntil = null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check a password against the notebook's, locking the notebook after too many
+// wrong attempts. Throws a 429 error while it is locked.
+notebookSchema.methods.verifyPasswordAndHandleLockout = async function(candidatePassword) {
+  if (this.passwordLockoutUntil && this.passwordLockoutUntil > new Date()) {
+    const remainingTime = Math.ceil((this.passwordLockoutUntil - new Date()) / (1000 * 60));
+    const error = new Error(`This notebook is locked due to too many failed password attempts. Please try again in ${remainingTime} minutes.`);
+    error.status = 429;
+    throw error;
+  }
+
+  const isMatch = !!this.password && await bcrypt.compare(candidatePassword, this.password);
+
+  if (isMatch) {
+    if (this.passwordFailedAttempts > 0) {
+      this.passwordFailedAttempts = 0;
+      this.passwordLockoutUntil = null;
+      await this.save();
+    }
+    return true;
+  }
+
+  this.passwordFailedAttempts = (this.passwordFailedAttempts || 0) + 1;
+  if (this.passwordFailedAttempts >= MAX_PASSWORD_ATTEMPTS) {
+    this.passwordLockoutUntil = new Date(Date.now() + LOCKOUT_DURATION);
+  }
+  await this.save();
+  return false;
+};
+
+notebookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.passwordFailedAttempts;
+    delete ret.passwordLockoutUntil;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Notebook', notebookSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// The prompt of the day shown to a user, kept so prompts are not repeated too soon
+// and so the day's prompt stays the same until the next day
+const promptHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  prompt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WritingPrompt',
+    required: true
+  },
+  // The user's local calendar day, as YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  // Whether the prompt was chosen to match the user's recent mood
+  moodAware: {
+    type: Boolean,
+    default: false
+  },
+  // The first entry written from this prompt, if any
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promptHistorySchema.index({ user: 1, day: 1, moodAware: 1 }, { unique: true });
+promptHistorySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PromptHistory', promptHistorySchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// A revocable link that lets anyone holding its token read one journal entry
+const shareLinkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  journal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only shown once, when the link is created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Optional password visitors must enter before the entry is shown
+  password: {
+    type: String,
+    select: false
+  },
+  // Content key of a protected entry, encrypted with a key derived from the token
+  wrappedKey: {
+    type: {
+      iv: String,
+      authTag: String,
+      ciphertext: String,
+      version: Number
+    },
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ user: 1, createdAt: -1 });
+shareLinkSchema.index({ journal: 1 });
+
+// Current state of the link: active, expired or revoked
+shareLinkSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Pre-save middleware to hash password
+shareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) {
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare password
+shareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Revoke every active link to a journal, e.g. when its protection changes
+shareLinkSchema.statics.revokeForJournal = function(journalId) {
+  return this.updateMany(
+    { journal: journalId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+shareLinkSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
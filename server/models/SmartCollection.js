@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A saved journal search: a search with the operators of utils/searchQuery and the
+// filters of the journal list, stored as the query parameters of getJournals.
+// Pinned collections are listed in the sidebar.
+const smartCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Stable identifier of a default collection (utils/smartCollections)
+  key: {
+    type: String
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [50, 'Collection name cannot exceed 50 characters']
+  },
+  icon: {
+    type: String,
+    default: '🔎',
+    maxlength: [8, 'Icon cannot exceed 8 characters']
+  },
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Search cannot exceed 200 characters'],
+    default: ''
+  },
+  filters: {
+    mood: {
+      type: Number,
+      min: 1,
+      max: 10
+    },
+    moodRange: {
+      type: String,
+      enum: ['good', 'low']
+    },
+    isEncrypted: Boolean,
+    hasMedia: Boolean,
+    // YYYY-MM-DD days, like the date inputs of the search bar
+    fromDate: String,
+    toDate: String,
+    // A template id, or 'none' for entries started from a blank page
+    template: String,
+    tag: String
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+smartCollectionSchema.index({ user: 1, position: 1 });
+
+module.exports = mongoose.model('SmartCollection', smartCollectionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const todoListSchema = new mongoose.Schema({
   userId: {
@@ -36,5 +37,9 @@ const todoListSchema = new mongoose.Schema({
 todoListSchema.index({ userId: 1, isCompleted: 1 });
 todoListSchema.index({ userId: 1, priority: 1 });
 todoListSchema.index({ userId: 1, dueDate: 1 });
+// Full-text search (utils/search)
+todoListSchema.index({ task: 'text' }, { name: 'todo_text', default_language: 'english' });
+
+todoListSchema.plugin(softDelete);
 
 module.exports = mongoose.model('TodoList', todoListSchema); 
\ No newline at end of file
@@ -85,6 +85,25 @@ const userSchema = new mongoose.Schema({
   longestStreak: {
     type: Number,
     default: 0
+  },
+  // Opt-in daily email of "on this day" memories (utils/memories)
+  memoriesDigest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // IANA time zone deciding the user's day and when the email goes out
+    timeZone: {
+      type: String,
+      default: 'UTC'
+    },
+    // The local day (YYYY-MM-DD) the last digest was sent for
+    lastSentDay: String
+  },
+  // Whether the default smart collections were created (utils/smartCollections)
+  smartCollectionsSeeded: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -126,4 +145,6 @@ userSchema.virtual('age').get(function() {
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', { virtuals: true });
 
+userSchema.index({ 'memoriesDigest.enabled': 1 });
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
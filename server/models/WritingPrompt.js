@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const PROMPT_CATEGORIES = [
+  'reflection',
+  'gratitude',
+  'growth',
+  'relationships',
+  'creativity',
+  'mindfulness',
+  'goals',
+  'self-care'
+];
+
+// A question to write about. The mood range lists the recent average moods (1-10)
+// the prompt suits when prompts are matched to the user's mood.
+const writingPromptSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Prompt text is required'],
+    trim: true,
+    unique: true,
+    maxlength: [300, 'Prompt cannot exceed 300 characters']
+  },
+  category: {
+    type: String,
+    enum: PROMPT_CATEGORIES,
+    required: true
+  },
+  moodRange: {
+    min: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1
+    },
+    max: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 10
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+writingPromptSchema.index({ category: 1, isActive: 1 });
+
+writingPromptSchema.statics.CATEGORIES = PROMPT_CATEGORIES;
+
+module.exports = mongoose.model('WritingPrompt', writingPromptSchema);
@@ -0,0 +1,69 @@
+// Soft deletion for models that can be moved to the trash.
+//
+// Adds a `deletedAt` timestamp and hides deleted documents from every query and
+// aggregation unless the query filters on `deletedAt` itself or is run with the
+// `withDeleted` option, e.g. Model.find(filter).setOptions({ withDeleted: true }).
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  const excludeDeleted = function() {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  };
+
+  QUERY_HOOKS.forEach(hook => schema.pre(hook, excludeDeleted));
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    const pipeline = this.pipeline();
+    const firstStage = pipeline[0];
+
+    // $geoNear must stay the first stage, so filter inside it
+    if (firstStage && firstStage.$geoNear) {
+      firstStage.$geoNear.query = { deletedAt: null, ...firstStage.$geoNear.query };
+      return;
+    }
+
+    // Merge into a leading $match so stages like $text keep working
+    if (firstStage && firstStage.$match) {
+      if (firstStage.$match.deletedAt === undefined) {
+        firstStage.$match.deletedAt = null;
+      }
+      return;
+    }
+
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+
+  // Move the document to the trash
+  schema.methods.softDelete = async function() {
+    this.deletedAt = new Date();
+    return await this.save({ validateBeforeSave: false });
+  };
+
+  // Bring the document back from the trash
+  schema.methods.restoreFromTrash = async function() {
+    this.deletedAt = null;
+    return await this.save({ validateBeforeSave: false });
+  };
+};
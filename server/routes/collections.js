@@ -0,0 +1,52 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getCollections,
+  createCollection,
+  updateCollection,
+  reorderCollections,
+  restoreDefaultCollections,
+  deleteCollection
+} = require('../controllers/smartCollectionController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Validation middleware. Updates can change a single field, like pinning.
+const collectionValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 8 })
+    .withMessage('Icon must be between 1 and 8 characters'),
+  body('search')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search cannot exceed 200 characters'),
+  body('filters')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Filters must be an object'),
+  body('pinned')
+    .optional()
+    .isBoolean()
+    .withMessage('Pinned must be true or false')
+];
+
+// Routes
+router.get('/', getCollections);
+router.post('/', collectionValidation(false), createCollection);
+router.put('/order', reorderCollections);
+router.post('/defaults', restoreDefaultCollections);
+router.put('/:id', collectionValidation(true), updateCollection);
+router.delete('/:id', deleteCollection);
+
+module.exports = router;
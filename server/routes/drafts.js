@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  createDraft,
+  getDrafts,
+  getDraft,
+  updateDraft,
+  discardDraft,
+  publishDraft
+} = require('../controllers/journalDraftController');
+const { protect } = require('../middlewares/auth');
+const { uploadMultiple } = require('../middlewares/upload');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Routes
+router.get('/', getDrafts);
+router.post('/', uploadMultiple, createDraft);
+router.get('/:id', getDraft);
+router.put('/:id', uploadMultiple, updateDraft);
+router.delete('/:id', discardDraft);
+router.post('/:id/publish', uploadMultiple, publishDraft);
+
+module.exports = router;
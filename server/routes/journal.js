@@ -8,8 +8,21 @@ const {
   deleteJournal,
   getJournalStats,
   getJournalFilterStats,
-  verifyJournalPassword
+  verifyJournalPassword,
+  getBacklinks
 } = require('../controllers/journalController');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/journalRevisionController');
+const {
+  addMedia,
+  removeMedia,
+  reorderMedia,
+  updateMediaCaption
+} = require('../controllers/journalMediaController');
 const { protect } = require('../middlewares/auth');
 const { uploadMultiple } = require('../middlewares/upload');
 
@@ -46,7 +59,11 @@ const journalValidation = [
   body('isPublic')
     .optional()
     .isBoolean()
-    .withMessage('isPublic must be a boolean')
+    .withMessage('isPublic must be a boolean'),
+  body('entryDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Entry date must be a valid date')
 ];
 
 // Routes
@@ -56,6 +73,15 @@ router.get('/stats', getJournalStats);
 router.get('/filter-stats', getJournalFilterStats);
 router.get('/:id', getJournal);
 router.post('/:id/verify-password', verifyJournalPassword);
+router.get('/:id/backlinks', getBacklinks);
+router.get('/:id/revisions', getRevisions);
+router.get('/:id/revisions/diff', diffRevisions);
+router.get('/:id/revisions/:revision', getRevision);
+router.post('/:id/revisions/:revision/restore', restoreRevision);
+router.post('/:id/media', uploadMultiple, addMedia);
+router.put('/:id/media/order', reorderMedia);
+router.patch('/:id/media/:mediaId', updateMediaCaption);
+router.delete('/:id/media/:mediaId', removeMedia);
 router.put('/:id', uploadMultiple, updateJournal);
 router.delete('/:id', deleteJournal);
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const { reverseGeocode, searchPlaces } = require('../controllers/locationController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Routes
+router.get('/reverse', reverseGeocode);
+router.get('/search', searchPlaces);
+
+module.exports = router;
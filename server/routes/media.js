@@ -0,0 +1,11 @@
+const express = require('express');
+const { serveSignedMedia, serveMedia } = require('../controllers/mediaController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Signed URLs work without a session, so they can be used in <img> and <video> tags
+router.get('/*', serveSignedMedia);
+router.get('/*', protect, serveMedia);
+
+module.exports = router;
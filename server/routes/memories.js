@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getMemories,
+  getDigestSettings,
+  updateDigestSettings
+} = require('../controllers/memoriesController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Routes
+router.get('/', getMemories);
+router.get('/digest', getDigestSettings);
+router.put('/digest', updateDigestSettings);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getNotebooks,
+  createNotebook,
+  updateNotebook,
+  unlockNotebook,
+  updateNotebookCover,
+  removeNotebookCover,
+  moveEntries,
+  deleteNotebook
+} = require('../controllers/notebookController');
+const { protect } = require('../middlewares/auth');
+const { uploadCover } = require('../middlewares/upload');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Validation middleware. Updates can change a single field, like the color.
+const notebookValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-f]{6}$/i)
+    .withMessage('Color must be a hex color like #3b82f6'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 8 })
+    .withMessage('Icon must be between 1 and 8 characters'),
+  body('password')
+    .optional({ checkFalsy: true })
+    .isLength({ min: 4 })
+    .withMessage('Password must be at least 4 characters'),
+  body('removePassword')
+    .optional()
+    .isBoolean()
+    .withMessage('removePassword must be true or false')
+];
+
+// Routes
+router.get('/', getNotebooks);
+router.post('/', notebookValidation(false), createNotebook);
+router.put('/:id', notebookValidation(true), updateNotebook);
+router.post('/:id/unlock', unlockNotebook);
+router.put('/:id/cover', uploadCover, updateNotebookCover);
+router.delete('/:id/cover', removeNotebookCover);
+router.post('/:id/entries', moveEntries);
+router.delete('/:id', deleteNotebook);
+
+module.exports = router;
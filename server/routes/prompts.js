@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getPromptOfTheDay,
+  getPromptCategories,
+  getPrompts,
+  getPrompt
+} = require('../controllers/promptController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Routes
+router.get('/', getPrompts);
+router.get('/today', getPromptOfTheDay);
+router.get('/categories', getPromptCategories);
+router.get('/:id', getPrompt);
+
+module.exports = router;
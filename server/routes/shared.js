@@ -0,0 +1,23 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  getSharedJournal,
+  unlockSharedJournal
+} = require('../controllers/shareController');
+
+const router = express.Router();
+
+// Slow down password guessing on protected links
+const unlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many attempts, please try again later' }
+});
+
+// Public routes - anyone holding the token may read the entry
+router.get('/:token', getSharedJournal);
+router.post('/:token/unlock', unlockLimiter, unlockSharedJournal);
+
+module.exports = router;
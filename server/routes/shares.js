@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink
+} = require('../controllers/shareController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Routes
+router.get('/', getShareLinks);
+router.post('/', createShareLink);
+router.delete('/:id', revokeShareLink);
+
+module.exports = router;
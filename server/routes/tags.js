@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getTags,
+  renameTag,
+  mergeTags,
+  deleteTag
+} = require('../controllers/tagController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Routes
+router.get('/', getTags);
+router.post('/merge', mergeTags);
+router.patch('/:tag', renameTag);
+router.delete('/:tag', deleteTag);
+
+module.exports = router;
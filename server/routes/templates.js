@@ -0,0 +1,54 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/templateController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Validation middleware
+const templateValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('sections')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('A template needs between 1 and 20 sections'),
+  body('sections.*.heading')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Section headings must be between 1 and 100 characters'),
+  body('sections.*.prompt')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Section prompts cannot exceed 300 characters'),
+  body('moodPrompt')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Mood prompt cannot exceed 200 characters')
+];
+
+// Routes
+router.get('/', getTemplates);
+router.get('/:id', getTemplate);
+router.post('/', templateValidation, createTemplate);
+router.put('/:id', templateValidation, updateTemplate);
+router.delete('/:id', deleteTemplate);
+
+module.exports = router;
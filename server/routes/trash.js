@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  getTrash,
+  restoreTrashItem,
+  deleteTrashItem,
+  emptyTrash
+} = require('../controllers/trashController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Routes
+router.get('/', getTrash);
+router.delete('/', emptyTrash);
+router.patch('/:type/:id/restore', restoreTrashItem);
+router.delete('/:type/:id', deleteTrashItem);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// Files journal entries written before notebooks existed in their author's default
+// notebook, creating it where needed. The default notebook is also created the
+// first time a user opens their notebooks, so this only saves that first request the work.
+//
+// Usage: npm run migrate:notebooks
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const { ensureDefaultNotebook } = require('../utils/notebooks');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  // Entries in the trash are included so they have a notebook if restored
+  const unfiled = { notebook: null };
+  const filed = await Journal.countDocuments(unfiled).setOptions({ withDeleted: true });
+  const userIds = await Journal.distinct('user', unfiled).setOptions({ withDeleted: true });
+
+  for (const userId of userIds) {
+    const notebook = await ensureDefaultNotebook(userId);
+    // Servers still running the previous version may have written entries since it was created
+    await Journal.updateMany(
+      { user: userId, ...unfiled },
+      { $set: { notebook: notebook._id } },
+      { timestamps: false }
+    ).setOptions({ withDeleted: true });
+  }
+
+  console.log(`Filed ${filed} journal entries of ${userIds.length} users in their default notebook`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
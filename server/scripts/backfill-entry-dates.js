@@ -0,0 +1,29 @@
+// Sets `entryDate` on journal entries written before entries could be backdated.
+//
+// Dates, filters, insights and streaks all use `entryDate`, so run this once after
+// upgrading. Existing entries keep the day they were written (`createdAt`).
+//
+// Usage: npm run migrate:entry-dates
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  // Entries in the trash are included so they keep their date if restored
+  const result = await Journal.updateMany(
+    { entryDate: { $exists: false } },
+    [{ $set: { entryDate: '$createdAt' } }]
+  ).setOptions({ withDeleted: true });
+
+  console.log(`Set entry dates on ${result.modifiedCount} journal entries`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,61 @@
+// Finds journal and notebook cover files in the configured storage backend that no journal
+// entry, draft or notebook refers to.
+//
+// Before attachments could be managed one by one, uploading new files replaced an
+// entry's media without deleting the old files. Entries in the trash still own
+// their files. Files are only listed unless `--delete` is given.
+//
+// Usage: npm run cleanup:orphaned-media [-- --delete]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const Notebook = require('../models/Notebook');
+const { getStorage } = require('../utils/storage');
+const { toMediaPath } = require('../utils/mediaUrls');
+const { getMediaUrls } = require('../middlewares/upload');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  const [journals, drafts, notebooks] = await Promise.all([
+    Journal.find({ 'media.0': { $exists: true } }).select('media.url media.variants').setOptions({ withDeleted: true }),
+    JournalDraft.find({ 'media.0': { $exists: true } }).select('media.url media.variants'),
+    Notebook.find({ 'cover.url': { $exists: true } }).select('cover.url cover.variants')
+  ]);
+
+  const referenced = new Set();
+  [...journals, ...drafts].forEach(doc => {
+    doc.media.forEach(item => {
+      getMediaUrls(item).forEach(url => referenced.add(toMediaPath(url)));
+    });
+  });
+  notebooks.forEach(notebook => {
+    getMediaUrls(notebook.cover).forEach(url => referenced.add(toMediaPath(url)));
+  });
+
+  const storage = getStorage();
+  const files = [...await storage.list('journals'), ...await storage.list('notebooks')];
+  const orphans = files.filter(key => !referenced.has(key));
+  const shouldDelete = process.argv.includes('--delete');
+
+  for (const key of orphans) {
+    console.log(`${shouldDelete ? 'Deleting' : 'Orphaned'}: ${key} (${storage.name})`);
+    if (shouldDelete) {
+      await storage.delete(key);
+    }
+  }
+
+  console.log(`${orphans.length} of ${files.length} uploaded journal and notebook files are orphaned`);
+  if (orphans.length > 0 && !shouldDelete) {
+    console.log('Run again with --delete to remove them');
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Cleanup failed:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+// Reports protected journal entries whose content is still stored as plaintext.
+//
+// The server never keeps entry passwords, so these entries cannot be encrypted
+// in bulk. Each one is sealed automatically the next time its owner unlocks it
+// (viewing, editing or verifying the password). Run this script to track how
+// many entries are still waiting for that first unlock.
+//
+// Usage: npm run report:legacy-protected
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  const legacyQuery = {
+    isEncrypted: true,
+    $or: [
+      { encryptedContent: { $exists: false } },
+      { 'encryptedContent.ciphertext': { $exists: false } }
+    ]
+  };
+
+  const perUser = await Journal.aggregate([
+    { $match: legacyQuery },
+    { $group: { _id: '$user', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  const total = perUser.reduce((sum, entry) => sum + entry.count, 0);
+  console.log(`Protected entries still stored as plaintext: ${total}`);
+  perUser.forEach(entry => {
+    console.log(`  user ${entry._id}: ${entry.count}`);
+  });
+  if (total > 0) {
+    console.log('These entries are encrypted automatically when their owners next unlock them.');
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Report failed:', err.message);
+    process.exit(1);
+  });
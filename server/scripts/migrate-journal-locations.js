@@ -0,0 +1,59 @@
+// Prepares journal locations for the map and the location filters.
+//
+// Entries used to be saved with an empty `location: { type: 'Point' }`, which the
+// geospatial index cannot hold, so those are removed before the index is built.
+// Stored coordinates are then rounded to the current LOCATION_PRECISION, so run this
+// again after lowering it. Protected entries keep their location encrypted and are
+// rounded the next time they are saved.
+//
+// Usage: npm run migrate:journal-locations
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const { coarsen } = require('../utils/location');
+
+// Round the stored coordinates of every document that has some
+const coarsenLocations = async (Model, options = {}) => {
+  const cursor = Model.find({ 'location.coordinates': { $exists: true } })
+    .select('location')
+    .setOptions(options)
+    .cursor();
+
+  let updated = 0;
+  for await (const doc of cursor) {
+    const coordinates = doc.location.coordinates.map(coarsen);
+    if (coordinates.some((value, index) => value !== doc.location.coordinates[index])) {
+      await Model.updateOne({ _id: doc._id }, { 'location.coordinates': coordinates }).setOptions(options);
+      updated++;
+    }
+  }
+  return updated;
+};
+
+const run = async () => {
+  // The index is built below, once the entries it would reject are fixed
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary', { autoIndex: false });
+
+  // Entries in the trash are included so they can be restored
+  const cleared = await Journal.updateMany(
+    { location: { $exists: true }, 'location.coordinates': { $exists: false } },
+    { $unset: { location: 1 } }
+  ).setOptions({ withDeleted: true });
+  console.log(`Removed empty locations from ${cleared.modifiedCount} journal entries`);
+
+  const journals = await coarsenLocations(Journal, { withDeleted: true });
+  const drafts = await coarsenLocations(JournalDraft);
+  console.log(`Rounded the locations of ${journals} journal entries and ${drafts} drafts`);
+
+  await Journal.createIndexes();
+  console.log('Journal indexes are up to date');
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
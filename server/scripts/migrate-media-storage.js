@@ -0,0 +1,96 @@
+// Copies uploaded media from one storage backend to another.
+//
+// Media URLs only contain the storage key, so nothing in the database changes. Copy
+// the files, then set STORAGE_DRIVER to the new backend and restart the server. Files
+// already in the target are copied again, so an interrupted run can simply be repeated.
+// Only files still used by a journal entry (including the trash), draft or profile
+// picture are copied. With `--delete-source` they are removed from the old backend afterwards.
+//
+// Usage: npm run migrate:media-storage -- --from local --to s3 [--delete-source]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const User = require('../models/User');
+const Notebook = require('../models/Notebook');
+const { createStorage, isValidKey, DRIVERS } = require('../utils/storage');
+const { toMediaPath } = require('../utils/mediaUrls');
+const { getMediaUrls } = require('../middlewares/upload');
+
+const getArgument = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Keys of every stored file that is still in use
+const findReferencedKeys = async () => {
+  const [journals, drafts, users, notebooks] = await Promise.all([
+    Journal.find({ 'media.0': { $exists: true } }).select('media.url media.variants').setOptions({ withDeleted: true }),
+    JournalDraft.find({ 'media.0': { $exists: true } }).select('media.url media.variants'),
+    User.find({ profilePicture: { $exists: true, $ne: null } }).select('profilePicture'),
+    Notebook.find({ 'cover.url': { $exists: true } }).select('cover.url cover.variants')
+  ]);
+
+  const urls = [
+    ...[...journals, ...drafts].flatMap(doc => doc.media.flatMap(getMediaUrls)),
+    ...users.map(user => user.profilePicture),
+    ...notebooks.flatMap(notebook => getMediaUrls(notebook.cover))
+  ];
+  return [...new Set(urls.map(toMediaPath).filter(isValidKey))];
+};
+
+const run = async () => {
+  const from = getArgument('from');
+  const to = getArgument('to');
+  if (!DRIVERS.includes(from) || !DRIVERS.includes(to) || from === to) {
+    throw new Error(`Use --from and --to with two different drivers: ${DRIVERS.join(', ')}`);
+  }
+
+  const source = createStorage(from);
+  const target = createStorage(to);
+  const deleteSource = process.argv.includes('--delete-source');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  const keys = await findReferencedKeys();
+  let copied = 0;
+  const failed = [];
+
+  // One file at a time keeps memory use at a single upload
+  for (const key of keys) {
+    try {
+      const file = await source.get(key);
+      await target.put(key, await readAll(file.stream), file.contentType);
+      if (deleteSource) {
+        await source.delete(key);
+      }
+      copied++;
+      console.log(`Copied ${key}`);
+    } catch (err) {
+      failed.push(key);
+      console.error(`Failed to copy ${key}: ${err.message}`);
+    }
+  }
+
+  console.log(`Copied ${copied} of ${keys.length} files from ${from} to ${to}`);
+  if (failed.length > 0) {
+    console.log(`${failed.length} files could not be copied; run the command again to retry them`);
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,60 @@
+// Rewrites stored `/uploads/...` media URLs to the authenticated media route (`/api/media/...`).
+//
+// Uploads are no longer served as public static files, so run this once after
+// upgrading. Journal entries (including the trash), drafts and profile pictures
+// are updated; URLs of files stored elsewhere are left alone.
+//
+// Usage: npm run migrate:media-urls
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const User = require('../models/User');
+const { LEGACY_ROUTE, MEDIA_ROUTE } = require('../utils/mediaUrls');
+
+const legacyPrefix = `${LEGACY_ROUTE}/`;
+const legacyPattern = new RegExp(`^${legacyPrefix}`);
+
+// Aggregation expression replacing the legacy prefix of a URL
+const rewriteUrl = (url) => ({
+  $cond: [
+    { $eq: [{ $indexOfCP: [url, legacyPrefix] }, 0] },
+    { $concat: [`${MEDIA_ROUTE}/`, { $substrCP: [url, legacyPrefix.length, { $strLenCP: url }] }] },
+    url
+  ]
+});
+
+const rewriteMedia = [{
+  $set: {
+    media: {
+      $map: {
+        input: '$media',
+        as: 'item',
+        in: { $mergeObjects: ['$$item', { url: rewriteUrl('$$item.url') }] }
+      }
+    }
+  }
+}];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  const journals = await Journal.updateMany({ 'media.url': legacyPattern }, rewriteMedia)
+    .setOptions({ withDeleted: true });
+  const drafts = await JournalDraft.updateMany({ 'media.url': legacyPattern }, rewriteMedia);
+  const users = await User.updateMany(
+    { profilePicture: legacyPattern },
+    [{ $set: { profilePicture: rewriteUrl('$profilePicture') } }]
+  );
+
+  console.log(`Updated media URLs on ${journals.modifiedCount} journal entries and ${drafts.modifiedCount} drafts`);
+  console.log(`Updated ${users.modifiedCount} profile pictures`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,50 @@
+// Normalizes the tags already stored on journal entries, drafts and templates, so
+// "Work", "work " and "#work" become one "work" tag (see utils/tags). Entries are
+// normalized as they are saved, so this only needs to run once for older data.
+// Protected entries keep their tags encrypted and are normalized the next time they are saved.
+//
+// Usage: npm run migrate:normalize-tags
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const JournalTemplate = require('../models/JournalTemplate');
+const { normalizeTags } = require('../utils/tags');
+
+// Rewrite the tags of every document whose stored tags are not already normalized
+const normalizeStoredTags = async (Model, field, options = {}) => {
+  const cursor = Model.find({ [`${field}.0`]: { $exists: true } })
+    .select(field)
+    .setOptions(options)
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const doc of cursor) {
+    const tags = normalizeTags(doc[field]);
+    if (tags.length !== doc[field].length || tags.some((tag, index) => tag !== doc[field][index])) {
+      await Model.updateOne({ _id: doc._id }, { [field]: tags }, { timestamps: false }).setOptions(options);
+      updated++;
+    }
+  }
+  return updated;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  // Entries in the trash are included so they come back with tidy tags
+  const journals = await normalizeStoredTags(Journal, 'tags', { withDeleted: true });
+  const drafts = await normalizeStoredTags(JournalDraft, 'tags');
+  const templates = await normalizeStoredTags(JournalTemplate, 'defaultTags');
+
+  console.log(`Normalized the tags of ${journals} journal entries, ${drafts} drafts and ${templates} templates`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
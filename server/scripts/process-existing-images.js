@@ -0,0 +1,134 @@
+// Runs images uploaded before the image pipeline existed through it.
+//
+// Journal photos get their metadata (including GPS positions) stripped and thumb,
+// card and full sizes generated; profile pictures are cropped square. Photos that
+// already have resized copies and square profile pictures without metadata are skipped, so the
+// command can be run again safely.
+//
+// Usage: npm run migrate:image-variants
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const JournalDraft = require('../models/JournalDraft');
+const User = require('../models/User');
+const { getStorage } = require('../utils/storage');
+const { toMediaPath, toMediaUrl } = require('../utils/mediaUrls');
+const { processJournalImage, processProfilePicture } = require('../utils/imageProcessing');
+
+const storage = getStorage();
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const readFile = async (key) => readAll((await storage.get(key)).stream);
+
+const withoutExtension = (key) => key.slice(0, key.length - path.extname(key).length);
+
+// Store the processed copies of one journal photo and return its new media fields
+const processMediaItem = async (item) => {
+  const key = toMediaPath(item.url);
+  const baseKey = withoutExtension(key);
+  const { extension, contentType, variants } = await processJournalImage(await readFile(key), item.filename);
+
+  const variantUrls = {};
+  for (const [size, image] of Object.entries(variants)) {
+    const variantKey = size === 'full' ? `${baseKey}.${extension}` : `${baseKey}-${size}.${extension}`;
+    await storage.put(variantKey, image.buffer, contentType);
+    variantUrls[size] = toMediaUrl(variantKey);
+  }
+
+  // Converted formats get a new extension, so the original file is no longer used
+  if (variantUrls.full !== toMediaUrl(key)) {
+    await storage.delete(key);
+  }
+
+  return {
+    url: variantUrls.full,
+    variants: variantUrls,
+    size: variants.full.buffer.length,
+    width: variants.full.width,
+    height: variants.full.height
+  };
+};
+
+const processMediaOf = async (Model, options = {}) => {
+  const docs = await Model.find({ media: { $elemMatch: { type: 'image', 'variants.full': { $exists: false } } } })
+    .select('media')
+    .setOptions(options);
+
+  let processed = 0;
+  for (const doc of docs) {
+    for (const item of doc.media) {
+      if (item.type !== 'image' || (item.variants && item.variants.full) || !toMediaPath(item.url)) continue;
+
+      try {
+        const fields = await processMediaItem(item);
+        const update = {};
+        Object.entries(fields).forEach(([field, value]) => {
+          update[`media.$[item].${field}`] = value;
+        });
+        // A targeted update, so protected entries do not need to be unlocked
+        await Model.updateOne(
+          { _id: doc._id },
+          { $set: update },
+          { arrayFilters: [{ 'item._id': item._id }], ...options }
+        );
+        processed++;
+      } catch (err) {
+        console.error(`Failed to process ${item.url}: ${err.message}`);
+      }
+    }
+  }
+  return processed;
+};
+
+const processProfilePictures = async () => {
+  const users = await User.find({ profilePicture: /^\/api\/media\/profiles\// }).select('profilePicture');
+
+  let processed = 0;
+  for (const user of users) {
+    const key = toMediaPath(user.profilePicture);
+    try {
+      const buffer = await readFile(key);
+      const { width, height, exif } = await sharp(buffer).metadata();
+      if (width === height && !exif) continue;
+
+      const image = await processProfilePicture(buffer, key);
+      const newKey = `${withoutExtension(key)}.${image.extension}`;
+      await storage.put(newKey, image.buffer, image.contentType);
+      if (newKey !== key) {
+        await storage.delete(key);
+        await User.updateOne({ _id: user._id }, { $set: { profilePicture: toMediaUrl(newKey) } });
+      }
+      processed++;
+    } catch (err) {
+      console.error(`Failed to process ${user.profilePicture}: ${err.message}`);
+    }
+  }
+  return processed;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  const journalImages = await processMediaOf(Journal, { withDeleted: true });
+  const draftImages = await processMediaOf(JournalDraft);
+  const profilePictures = await processProfilePictures();
+
+  console.log(`Processed ${journalImages} journal images, ${draftImages} draft images and ${profilePictures} profile pictures`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
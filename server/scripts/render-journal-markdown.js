@@ -0,0 +1,39 @@
+// Renders the sanitized HTML form of journal entries written before Markdown support.
+//
+// Only unprotected entries are updated here. Protected entries keep their content
+// encrypted, so their HTML is rendered the next time they are saved.
+//
+// Usage: npm run migrate:render-markdown
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const { renderMarkdown } = require('../utils/markdown');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  // Entries in the trash are included so they render correctly if restored
+  const cursor = Journal.find({
+    isEncrypted: { $ne: true },
+    contentHtml: { $exists: false }
+  }).setOptions({ withDeleted: true }).select('content').cursor();
+
+  let rendered = 0;
+  for await (const journal of cursor) {
+    await Journal.updateOne(
+      { _id: journal._id },
+      { $set: { contentHtml: renderMarkdown(journal.content) } }
+    ).setOptions({ withDeleted: true });
+    rendered++;
+  }
+
+  console.log(`Rendered Markdown for ${rendered} journal entries`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+// Resolves [[wiki links]] in journal entries written before links were supported,
+// re-rendering their HTML so the links can be followed.
+//
+// Only unprotected entries are updated here. Protected entries keep their content
+// encrypted, so their links are resolved the next time they are saved.
+//
+// Usage: npm run migrate:wiki-links
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Journal = require('../models/Journal');
+const { renderMarkdownWithLinks } = require('../utils/markdown');
+const { resolveLinks } = require('../utils/wikiLinks');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary');
+
+  // Entries in the trash are included so their links work if restored
+  const cursor = Journal.find({
+    isEncrypted: { $ne: true },
+    content: /\[\[/
+  }).setOptions({ withDeleted: true }).select('user content links').cursor();
+
+  let resolved = 0;
+  for await (const journal of cursor) {
+    const { html } = renderMarkdownWithLinks(journal.content);
+    await resolveLinks(journal);
+    await Journal.updateOne(
+      { _id: journal._id },
+      { $set: { contentHtml: html, links: journal.links } },
+      { timestamps: false }
+    ).setOptions({ withDeleted: true });
+    resolved++;
+  }
+
+  console.log(`Resolved wiki links in ${resolved} journal entries`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
@@ -14,9 +14,33 @@ const insightsRoutes = require('./routes/insights');
 const streakRoutes = require('./routes/streak');
 const quotesRoutes = require('./routes/quotes');
 const globalSearchRoutes = require('./routes/globalSearch');
+const trashRoutes = require('./routes/trash');
+const draftRoutes = require('./routes/drafts');
+const shareRoutes = require('./routes/shares');
+const sharedRoutes = require('./routes/shared');
+const templateRoutes = require('./routes/templates');
+const promptRoutes = require('./routes/prompts');
+const mediaRoutes = require('./routes/media');
+const locationRoutes = require('./routes/location');
+const tagRoutes = require('./routes/tags');
+const memoriesRoutes = require('./routes/memories');
+const collectionRoutes = require('./routes/collections');
+const notebookRoutes = require('./routes/notebooks');
+const { startTrashPurgeSchedule } = require('./utils/trash');
+const { startMemoriesDigestSchedule } = require('./utils/memories');
+const { getStorage } = require('./utils/storage');
+const { getGeocoder } = require('./utils/geocoding');
+const { getWeatherProvider } = require('./utils/weather');
+const { seedBuiltInTemplates } = require('./utils/builtInTemplates');
+const { seedWritingPrompts } = require('./utils/builtInPrompts');
 
 const app = express();
 
+// Fail fast when the configured storage backend, geocoding or weather provider is invalid
+getStorage();
+getGeocoder();
+getWeatherProvider();
+
 // Trust proxy for rate limiting
 app.set('trust proxy', 1);
 
@@ -32,7 +56,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'x-notebook-token', 'x-journal-token'],
 };
 
 app.use(cors(corsOptions));
@@ -58,9 +82,6 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static('uploads'));
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
@@ -71,6 +92,18 @@ app.use('/api/insights', insightsRoutes);
 app.use('/api/streak', streakRoutes);
 app.use('/api/quotes', quotesRoutes);
 app.use('/api/search', globalSearchRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/location', locationRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/memories', memoriesRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/notebooks', notebookRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -103,6 +136,10 @@ app.use('*', (req, res) => {
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/digidiary')
   .then(() => {
     console.log('✅ Connected to MongoDB');
+    startTrashPurgeSchedule();
+    startMemoriesDigestSchedule();
+    seedBuiltInTemplates().catch(err => console.error('❌ Template seeding error:', err));
+    seedWritingPrompts().catch(err => console.error('❌ Prompt seeding error:', err));
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err);
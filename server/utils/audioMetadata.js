@@ -0,0 +1,35 @@
+// Longest duration accepted from the client for a recording, in seconds
+const MAX_DURATION = 6 * 60 * 60;
+
+const roundDuration = (seconds) => Math.round(seconds * 10) / 10;
+
+// Duration of an audio file in seconds, or undefined when the container does not
+// record it (browser recordings in WebM often don't)
+exports.readAudioDuration = async (buffer, mimeType) => {
+  try {
+    const { parseBuffer } = await import('music-metadata');
+    const { format } = await parseBuffer(buffer, { mimeType }, { duration: true });
+    return Number.isFinite(format.duration) && format.duration > 0 ? roundDuration(format.duration) : undefined;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+// Durations the client measured while recording, sent as a JSON object of
+// file name to seconds in the `recordingDurations` field
+exports.parseRecordingDurations = (value) => {
+  if (!value) return {};
+  try {
+    const durations = JSON.parse(value);
+    const valid = {};
+    Object.entries(durations || {}).forEach(([filename, seconds]) => {
+      const duration = Number(seconds);
+      if (Number.isFinite(duration) && duration > 0 && duration <= MAX_DURATION) {
+        valid[filename] = roundDuration(duration);
+      }
+    });
+    return valid;
+  } catch (err) {
+    return {};
+  }
+};
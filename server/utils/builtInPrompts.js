@@ -0,0 +1,74 @@
+const WritingPrompt = require('../models/WritingPrompt');
+
+// Starter prompt library. Prompts with a narrower mood range are only picked for
+// mood-matched prompts when the user's recent average mood falls inside it.
+const PROMPT_LIBRARY = [
+  // Reflection
+  { text: 'What moment from today would you like to remember a year from now?', category: 'reflection' },
+  { text: 'What is something you changed your mind about recently?', category: 'reflection' },
+  { text: 'Describe a place where you feel completely at ease.', category: 'reflection' },
+  { text: 'What would your younger self be surprised to learn about you today?', category: 'reflection', moodRange: { min: 4, max: 10 } },
+  { text: 'What has been taking up most of your thoughts this week?', category: 'reflection' },
+
+  // Gratitude
+  { text: 'Name three small things that went right today.', category: 'gratitude' },
+  { text: 'Who is someone you are grateful for, and have you told them?', category: 'gratitude' },
+  { text: 'What is an everyday comfort you would miss if it were gone?', category: 'gratitude' },
+  { text: 'What is one thing your body did for you today?', category: 'gratitude', moodRange: { min: 1, max: 6 } },
+  { text: 'Write about a kindness a stranger once showed you.', category: 'gratitude' },
+
+  // Growth
+  { text: 'What is a mistake you learned something valuable from?', category: 'growth', moodRange: { min: 4, max: 10 } },
+  { text: 'Which habit would you like to build, and what is the smallest first step?', category: 'growth', moodRange: { min: 5, max: 10 } },
+  { text: 'What is something difficult you handled better than you expected?', category: 'growth' },
+  { text: 'What feedback have you received lately, and how do you feel about it?', category: 'growth', moodRange: { min: 5, max: 10 } },
+  { text: 'What skill are you proud of having developed?', category: 'growth' },
+
+  // Relationships
+  { text: 'Describe a recent conversation that stayed with you.', category: 'relationships' },
+  { text: 'Who do you wish you spent more time with, and why?', category: 'relationships' },
+  { text: 'What makes you feel understood by the people close to you?', category: 'relationships' },
+  { text: 'Is there something you have been wanting to say to someone?', category: 'relationships', moodRange: { min: 4, max: 10 } },
+  { text: 'Who could you reach out to today for a little support?', category: 'relationships', moodRange: { min: 1, max: 5 } },
+
+  // Creativity
+  { text: 'If today were a chapter in a book, what would its title be?', category: 'creativity' },
+  { text: 'Describe your ideal day from start to finish, in as much detail as you like.', category: 'creativity' },
+  { text: 'Write a letter to yourself ten years from now.', category: 'creativity', moodRange: { min: 4, max: 10 } },
+  { text: 'What is something you would create if you knew nobody would judge it?', category: 'creativity', moodRange: { min: 5, max: 10 } },
+  { text: 'Describe the view from where you are sitting using all five senses.', category: 'creativity' },
+
+  // Mindfulness
+  { text: 'How does your body feel right now, from head to toe?', category: 'mindfulness' },
+  { text: 'What sounds can you hear at this moment?', category: 'mindfulness' },
+  { text: 'What is weighing on you, and what part of it is within your control?', category: 'mindfulness', moodRange: { min: 1, max: 6 } },
+  { text: 'Write down every thought in your head for five minutes without stopping.', category: 'mindfulness' },
+  { text: 'What emotion have you felt most often today?', category: 'mindfulness' },
+
+  // Goals
+  { text: 'What would make this week feel successful?', category: 'goals', moodRange: { min: 5, max: 10 } },
+  { text: 'What is one goal you have been putting off, and what is holding you back?', category: 'goals', moodRange: { min: 5, max: 10 } },
+  { text: 'Where do you see yourself a year from now?', category: 'goals', moodRange: { min: 5, max: 10 } },
+  { text: 'What is one small thing you can finish today?', category: 'goals', moodRange: { min: 1, max: 6 } },
+  { text: 'Which of your current goals excites you the most?', category: 'goals', moodRange: { min: 6, max: 10 } },
+
+  // Self-care
+  { text: 'What do you need more of right now?', category: 'self-care', moodRange: { min: 1, max: 6 } },
+  { text: 'What is one kind thing you can do for yourself today?', category: 'self-care', moodRange: { min: 1, max: 6 } },
+  { text: 'What would you say to a friend who felt the way you feel today?', category: 'self-care', moodRange: { min: 1, max: 5 } },
+  { text: 'What has helped you get through hard days before?', category: 'self-care', moodRange: { min: 1, max: 5 } },
+  { text: 'How can you make tomorrow a little easier for yourself?', category: 'self-care' }
+];
+
+// Add prompts missing from the library; safe to run on every start
+exports.seedWritingPrompts = async () => {
+  await WritingPrompt.bulkWrite(PROMPT_LIBRARY.map(prompt => ({
+    updateOne: {
+      filter: { text: prompt.text },
+      update: { $setOnInsert: { moodRange: { min: 1, max: 10 }, ...prompt } },
+      upsert: true
+    }
+  })));
+};
+
+exports.PROMPT_LIBRARY = PROMPT_LIBRARY;
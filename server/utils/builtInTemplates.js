@@ -0,0 +1,71 @@
+const JournalTemplate = require('../models/JournalTemplate');
+
+// Starter templates every user can pick from. Changes here are applied on the next start.
+const BUILT_IN_TEMPLATES = [
+  {
+    key: 'morning-pages',
+    name: 'Morning Pages',
+    description: 'Clear your head with unfiltered writing first thing in the morning',
+    icon: '🌅',
+    sections: [
+      { heading: 'On my mind', prompt: 'Write whatever comes up, without stopping to edit.' },
+      { heading: 'Today I want to', prompt: 'One or two things that would make today feel worthwhile.' }
+    ],
+    defaultTags: ['morning pages'],
+    moodPrompt: 'How rested do you feel this morning?'
+  },
+  {
+    key: 'gratitude',
+    name: 'Gratitude',
+    description: 'Notice the good things, big and small',
+    icon: '🙏',
+    sections: [
+      { heading: 'Three things I am grateful for', prompt: 'List three things, however small.' },
+      { heading: 'Someone who made a difference', prompt: 'Who helped you lately, and how?' },
+      { heading: 'A small joy', prompt: 'A moment today that made you smile.' }
+    ],
+    defaultTags: ['gratitude'],
+    moodPrompt: 'How content do you feel right now?'
+  },
+  {
+    key: 'daily-review',
+    name: 'Daily Review',
+    description: 'Look back on the day before you wind down',
+    icon: '🌙',
+    sections: [
+      { heading: 'What went well', prompt: 'Wins, progress and good moments.' },
+      { heading: 'What was hard', prompt: 'Challenges and how you handled them.' },
+      { heading: 'What I learned', prompt: 'Anything you would do differently?' },
+      { heading: 'Tomorrow', prompt: 'The most important thing to do tomorrow.' }
+    ],
+    defaultTags: ['daily review'],
+    moodPrompt: 'Overall, how was your day?'
+  },
+  {
+    key: 'weekly-retro',
+    name: 'Weekly Retro',
+    description: 'Reflect on the past week and plan the next one',
+    icon: '🗓️',
+    sections: [
+      { heading: 'Highlights', prompt: 'The best parts of this week.' },
+      { heading: 'Lowlights', prompt: 'What drained your energy?' },
+      { heading: 'Lessons', prompt: 'What will you keep doing, and what will you change?' },
+      { heading: 'Goals for next week', prompt: 'Up to three goals.' }
+    ],
+    defaultTags: ['weekly retro'],
+    moodPrompt: 'How did this week feel overall?'
+  }
+];
+
+// Create or refresh the built-in templates; safe to run on every start
+exports.seedBuiltInTemplates = async () => {
+  await JournalTemplate.bulkWrite(BUILT_IN_TEMPLATES.map(template => ({
+    updateOne: {
+      filter: { key: template.key },
+      update: { $set: { ...template, user: null } },
+      upsert: true
+    }
+  })));
+};
+
+exports.BUILT_IN_TEMPLATES = BUILT_IN_TEMPLATES;
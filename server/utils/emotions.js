@@ -0,0 +1,138 @@
+// The emotion wheel entries are tagged from: six core emotions, each with more specific
+// feelings around it. An entry can hold several, e.g. "anxious" and "excited", each
+// with an intensity. Keep in step with client/src/utils/emotions.js.
+const EMOTION_WHEEL = {
+  joy: ['happy', 'excited', 'grateful', 'proud', 'content', 'hopeful', 'loved', 'relieved'],
+  sadness: ['lonely', 'disappointed', 'hurt', 'guilty', 'bored', 'tired'],
+  anger: ['frustrated', 'irritated', 'resentful', 'jealous'],
+  fear: ['anxious', 'worried', 'nervous', 'insecure', 'overwhelmed'],
+  surprise: ['amazed', 'confused', 'curious', 'startled'],
+  disgust: ['disapproving', 'embarrassed', 'uncomfortable', 'ashamed']
+};
+
+// Emoji standing for each core emotion, used when an entry's strongest emotion is shown
+const EMOTION_EMOJIS = {
+  joy: '😊',
+  sadness: '😢',
+  anger: '😠',
+  fear: '😨',
+  surprise: '😲',
+  disgust: '😖'
+};
+
+const EMOTION_GROUPS = Object.keys(EMOTION_WHEEL);
+
+// Every emotion that can be tagged, core emotions included
+const EMOTIONS = EMOTION_GROUPS.flatMap(group => [group, ...EMOTION_WHEEL[group]]);
+
+const MAX_EMOTIONS = 10;
+const MIN_INTENSITY = 1;
+const MAX_INTENSITY = 5;
+const DEFAULT_INTENSITY = 3;
+
+// Energy, stress and sleep quality are each logged from 1 (low) to 5 (high)
+const WELLBEING_LABELS = {
+  energy: 'Energy',
+  stress: 'Stress',
+  sleepQuality: 'Sleep quality'
+};
+const WELLBEING_FIELDS = Object.keys(WELLBEING_LABELS);
+const WELLBEING_MIN = 1;
+const WELLBEING_MAX = 5;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// The core emotion an emotion belongs to
+const getEmotionGroup = (name) => {
+  if (EMOTION_WHEEL[name]) return name;
+  return EMOTION_GROUPS.find(group => EMOTION_WHEEL[group].includes(name));
+};
+
+// Form fields arrive as JSON strings in multipart requests
+const parseJsonField = (value, label) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw badRequest(`${label} must be valid JSON`);
+  }
+};
+
+const toRating = (value, label, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw badRequest(`${label} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+// Read a submitted `emotions` field: a list of { name, intensity }, as JSON or an array.
+// Returns undefined when the field was not sent and an empty list to clear the emotions.
+const parseEmotions = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return [];
+
+  const list = parseJsonField(value, 'Emotions');
+  if (!Array.isArray(list)) {
+    throw badRequest('Emotions must be a list');
+  }
+
+  // The same emotion picked twice keeps the last intensity
+  const emotions = new Map();
+  list.forEach(item => {
+    const name = typeof item === 'string' ? item : item && item.name;
+    const normalized = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (!EMOTIONS.includes(normalized)) {
+      throw badRequest(`Unknown emotion "${name}"`);
+    }
+    const intensity = typeof item === 'object' && item.intensity !== undefined && item.intensity !== ''
+      ? toRating(item.intensity, 'Emotion intensity', MIN_INTENSITY, MAX_INTENSITY)
+      : DEFAULT_INTENSITY;
+    emotions.delete(normalized);
+    emotions.set(normalized, intensity);
+  });
+
+  if (emotions.size > MAX_EMOTIONS) {
+    throw badRequest(`An entry can have at most ${MAX_EMOTIONS} emotions`);
+  }
+  return [...emotions].map(([name, intensity]) => ({ name, intensity }));
+};
+
+// Read a submitted `wellbeing` field: { energy, stress, sleepQuality }, each optional.
+// Returns undefined when the field was not sent and null to clear every value.
+const parseWellbeing = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const fields = parseJsonField(value, 'Wellbeing');
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw badRequest('Wellbeing must be an object');
+  }
+
+  const wellbeing = {};
+  WELLBEING_FIELDS.forEach(field => {
+    if (fields[field] === undefined || fields[field] === null || fields[field] === '') return;
+    wellbeing[field] = toRating(fields[field], WELLBEING_LABELS[field], WELLBEING_MIN, WELLBEING_MAX);
+  });
+  return Object.keys(wellbeing).length > 0 ? wellbeing : null;
+};
+
+module.exports = {
+  EMOTION_WHEEL,
+  EMOTION_EMOJIS,
+  EMOTION_GROUPS,
+  EMOTIONS,
+  MAX_EMOTIONS,
+  MIN_INTENSITY,
+  MAX_INTENSITY,
+  WELLBEING_FIELDS,
+  WELLBEING_MIN,
+  WELLBEING_MAX,
+  getEmotionGroup,
+  parseEmotions,
+  parseWellbeing
+};
@@ -0,0 +1,32 @@
+const createOfflineGeocoder = require('./offlineGeocoder');
+const createNominatimGeocoder = require('./nominatimGeocoder');
+
+// Every provider implements:
+//   reverse(latitude, longitude, { language })  { placeName } for a point, or null
+//   search(query, { language })                 [{ placeName, latitude, longitude }]
+// Only coarsened coordinates are ever passed to a provider.
+const PROVIDERS = {
+  offline: createOfflineGeocoder,
+  nominatim: createNominatimGeocoder
+};
+
+exports.createGeocoder = (provider) => {
+  const create = PROVIDERS[provider];
+  if (!create) {
+    throw new Error(`Unknown geocoding provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return create();
+};
+
+let geocoder;
+
+// The provider chosen with GEOCODING_PROVIDER (offline by default, so no location
+// leaves the server unless a provider is configured)
+exports.getGeocoder = () => {
+  if (!geocoder) {
+    geocoder = exports.createGeocoder(process.env.GEOCODING_PROVIDER || 'offline');
+  }
+  return geocoder;
+};
+
+exports.PROVIDERS = Object.keys(PROVIDERS);
@@ -0,0 +1,68 @@
+// OpenStreetMap's Nominatim, or a self-hosted instance with GEOCODING_URL.
+// The public service requires an identifying User-Agent and at most one request per second.
+const REQUEST_TIMEOUT = 5000; // 5 seconds
+
+const unavailable = () => {
+  const error = new Error('Geocoding service is unavailable');
+  error.status = 502;
+  return error;
+};
+
+// Short "town, country" label instead of the full street address
+const toPlaceName = (result) => {
+  const address = result.address || {};
+  const locality = address.city || address.town || address.village || address.hamlet
+    || address.suburb || address.county || address.state;
+  const label = [locality, address.country].filter(Boolean).join(', ');
+  return label || result.display_name;
+};
+
+module.exports = ({
+  baseUrl = process.env.GEOCODING_URL || 'https://nominatim.openstreetmap.org',
+  userAgent = process.env.GEOCODING_USER_AGENT || 'DigiDiary/1.0'
+} = {}) => {
+  const request = async (path, params, language) => {
+    const url = new URL(path, baseUrl);
+    Object.entries({ format: 'jsonv2', addressdetails: 1, ...params })
+      .forEach(([name, value]) => url.searchParams.set(name, value));
+
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: {
+          'User-Agent': userAgent,
+          ...(language ? { 'Accept-Language': language } : {})
+        },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+    } catch (err) {
+      console.error('Geocoding request failed:', err.message);
+      throw unavailable();
+    }
+    if (!response.ok) {
+      console.error(`Geocoding request failed with status ${response.status}`);
+      throw unavailable();
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'nominatim',
+
+    async reverse(latitude, longitude, { language } = {}) {
+      const result = await request('/reverse', { lat: latitude, lon: longitude, zoom: 14 }, language);
+      // Places in the middle of the sea have no address
+      if (!result || result.error) return null;
+      return { placeName: toPlaceName(result) };
+    },
+
+    async search(query, { language } = {}) {
+      const results = await request('/search', { q: query, limit: 5 }, language);
+      return (Array.isArray(results) ? results : []).map(result => ({
+        placeName: toPlaceName(result),
+        latitude: Number(result.lat),
+        longitude: Number(result.lon)
+      }));
+    }
+  };
+};
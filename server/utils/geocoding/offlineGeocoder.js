@@ -0,0 +1,28 @@
+// Geocoder that never leaves the server. Places are labelled with their coordinates,
+// and only "lat, lng" typed by hand can be found. Used by default and in development.
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const formatCoordinate = (value, positive, negative) =>
+  `${Math.abs(value).toFixed(2)}° ${value < 0 ? negative : positive}`;
+
+module.exports = () => ({
+  name: 'offline',
+
+  async reverse(latitude, longitude) {
+    return {
+      placeName: `${formatCoordinate(latitude, 'N', 'S')}, ${formatCoordinate(longitude, 'E', 'W')}`
+    };
+  },
+
+  async search(query) {
+    const match = COORDINATES_PATTERN.exec(query);
+    if (!match) return [];
+
+    const latitude = Number(match[1]);
+    const longitude = Number(match[2]);
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return [];
+
+    const { placeName } = await this.reverse(latitude, longitude);
+    return [{ placeName, latitude, longitude }];
+  }
+});
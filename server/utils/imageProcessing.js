@@ -0,0 +1,83 @@
+const sharp = require('sharp');
+
+// Longest side, in pixels, of each size generated for journal photos
+const IMAGE_SIZES = {
+  thumb: 320,
+  card: 800,
+  full: 2048
+};
+
+// Side of the square profile pictures are cropped to
+const PROFILE_PICTURE_SIZE = 512;
+
+// Formats kept as uploaded, with their file extension. Anything else (HEIC, TIFF, SVG...) becomes JPEG.
+const OUTPUT_FORMATS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  gif: 'gif'
+};
+
+// Error for uploads sharp cannot decode, reported to the client as a bad request
+const unreadableImage = (filename) => {
+  const error = new Error(`Could not read image "${filename}"`);
+  error.status = 400;
+  return error;
+};
+
+const readFormat = async (buffer, filename) => {
+  const metadata = await sharp(buffer).metadata().catch(() => {
+    throw unreadableImage(filename);
+  });
+  const format = OUTPUT_FORMATS[metadata.format] ? metadata.format : 'jpeg';
+  return { format, extension: OUTPUT_FORMATS[format], contentType: `image/${format}` };
+};
+
+// Re-encoding drops EXIF and other metadata (including GPS positions); autoOrient
+// applies the camera orientation first so photos stay the right way up
+const render = async (buffer, filename, format, resize) => {
+  const { data, info } = await sharp(buffer, { animated: format === 'gif' })
+    .autoOrient()
+    .resize(resize)
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true })
+    .catch(() => {
+      throw unreadableImage(filename);
+    });
+  return { buffer: data, width: info.width, height: info.pageHeight || info.height };
+};
+
+// Resized copies of a journal photo for every size in IMAGE_SIZES
+exports.processJournalImage = async (buffer, filename) => {
+  const { format, extension, contentType } = await readFormat(buffer, filename);
+
+  const variants = {};
+  for (const [size, maxSide] of Object.entries(IMAGE_SIZES)) {
+    variants[size] = await render(buffer, filename, format, {
+      width: maxSide,
+      height: maxSide,
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+  }
+
+  return { extension, contentType, variants };
+};
+
+// Square crop of a profile picture, centred on the most interesting part of the image
+exports.processProfilePicture = async (buffer, filename) => {
+  const { format, extension, contentType } = await readFormat(buffer, filename);
+  // Animated profile pictures keep their first frame
+  const image = await render(buffer, filename, format === 'gif' ? 'png' : format, {
+    width: PROFILE_PICTURE_SIZE,
+    height: PROFILE_PICTURE_SIZE,
+    fit: 'cover',
+    position: sharp.strategy.attention
+  });
+
+  return format === 'gif'
+    ? { ...image, extension: 'png', contentType: 'image/png' }
+    : { ...image, extension, contentType };
+};
+
+exports.IMAGE_SIZES = IMAGE_SIZES;
@@ -0,0 +1,97 @@
+const Journal = require('../models/Journal');
+const { signMedia } = require('./mediaUrls');
+const { assertNotebookUnlocked } = require('./notebooks');
+const { keyFromUnlockToken } = require('./journalUnlockTokens');
+
+const SECRET_FIELDS = '+encryptionPassword +passwordFailedAttempts +passwordLockoutUntil +encryptedContent';
+
+// Build an error carrying the HTTP status the controller should respond with
+const accessError = (status, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Replace the protected fields of a journal object with placeholders.
+// Media of readable entries gets signed URLs, so only call this for entries the requester may see.
+exports.sanitizeJournal = (journalObj) => {
+  if (!journalObj.isEncrypted) {
+    return { ...journalObj, media: signMedia(journalObj.media) };
+  }
+
+  const sanitized = {
+    ...journalObj,
+    title: '[Protected Journal]',
+    content: '[Content is password protected]',
+    moodRating: null,
+    moodEmoji: '🔒',
+    emotions: [],
+    media: [], // Hide media for encrypted journals
+    tags: [] // Hide tags for encrypted journals
+  };
+  delete sanitized.contentHtml;
+  delete sanitized.wellbeing;
+  delete sanitized.links;
+  delete sanitized.encryptedContent;
+  delete sanitized.encryptionPassword;
+  return sanitized;
+};
+
+// Load a journal owned by the current user and, if it is protected, verify the
+// entry password and decrypt its content in place. Without a password, the unlock
+// token verifyJournalPassword issued is used (utils/journalUnlockTokens). Entries in
+// a locked notebook are refused until the notebook is unlocked.
+// Resolves to { journal, key } where key is null for unprotected entries.
+// Entries created before at-rest encryption are sealed here on their first unlock.
+exports.unlockJournal = async (req, journalId, password) => {
+  const journal = await Journal.findById(journalId).select(SECRET_FIELDS);
+
+  if (!journal) {
+    throw accessError(404, 'Journal entry not found');
+  }
+
+  if (journal.user.toString() !== req.user.id) {
+    throw accessError(403, 'Access denied');
+  }
+
+  await assertNotebookUnlocked(req, journal);
+
+  if (!journal.isEncrypted) {
+    return { journal, key: null };
+  }
+
+  const tokenKey = password ? null : keyFromUnlockToken(req, journal);
+  if (tokenKey) {
+    journal.openContent(tokenKey);
+    return { journal, key: tokenKey };
+  }
+
+  if (!password) {
+    throw accessError(401, 'Password required to access this protected journal', { requiresPassword: true });
+  }
+
+  const isPasswordValid = await journal.verifyPasswordAndHandleLockout(password);
+  if (!isPasswordValid) {
+    throw accessError(401, 'Invalid password');
+  }
+
+  const key = await journal.deriveContentKey(password);
+
+  if (journal.hasLegacyPlaintext()) {
+    const plaintext = {};
+    Journal.ENCRYPTED_FIELDS.forEach(field => {
+      plaintext[field] = journal[field];
+    });
+    journal.sealContent(key);
+    await journal.save();
+    Object.assign(journal, plaintext);
+    journal.renderContent();
+    return { journal, key };
+  }
+
+  journal.openContent(key);
+  return { journal, key };
+};
+
+exports.SECRET_FIELDS = SECRET_FIELDS;
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const ENCRYPTION_VERSION = 1;
+
+// Generate a new random salt for key derivation
+exports.generateSalt = () => crypto.randomBytes(SALT_LENGTH).toString('base64');
+
+// Derive a 256-bit key from the entry password and its salt
+exports.deriveKey = async (password, salt) => {
+  return await scrypt(password, Buffer.from(salt, 'base64'), KEY_LENGTH);
+};
+
+// Encrypt a plain object with AES-GCM. `associatedData` (the journal id) binds the
+// ciphertext to its document so it cannot be copied onto another entry.
+exports.encryptPayload = (payload, key, associatedData) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (associatedData) {
+    cipher.setAAD(Buffer.from(String(associatedData)));
+  }
+
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(payload), 'utf8'),
+    cipher.final()
+  ]);
+
+  return {
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    version: ENCRYPTION_VERSION
+  };
+};
+
+// Decrypt a payload produced by encryptPayload. Throws if the key is wrong or the data was tampered with.
+exports.decryptPayload = (encrypted, key, associatedData) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(encrypted.iv, 'base64'));
+  if (associatedData) {
+    decipher.setAAD(Buffer.from(String(associatedData)));
+  }
+  decipher.setAuthTag(Buffer.from(encrypted.authTag, 'base64'));
+
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(encrypted.ciphertext, 'base64')),
+    decipher.final()
+  ]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+};
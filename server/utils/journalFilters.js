@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { nearQuery, boundingBoxQuery } = require('./location');
+const { normalizeTag } = require('./tags');
+const { parseSearch, searchFilter } = require('./searchQuery');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Filter for a user's journal list from its query parameters (see getJournals):
+// ?search= with the query language of utils/searchQuery, and the filters of the list's
+// search bar and quick filters. Saved searches (utils/smartCollections) store the same
+// parameters. Returns { query, search }, search being the parsed ?search= or null.
+// `hiddenNotebooks` are the locked notebooks (utils/notebooks), whose entries are left out
+// unless ?notebook= asks for one of them, which is a 401 error. Throws 400 errors for
+// invalid filters.
+const buildJournalQuery = (userId, params, { hiddenNotebooks = [] } = {}) => {
+  const query = { user: userId };
+
+  // Add notebook filter; without one, every notebook the user may see is listed
+  if (params.notebook) {
+    if (!mongoose.isValidObjectId(params.notebook)) {
+      throw badRequest('Invalid notebook filter');
+    }
+    if (hiddenNotebooks.some(id => id.toString() === params.notebook)) {
+      const error = new Error('This notebook is locked');
+      error.status = 401;
+      error.requiresNotebookPassword = true;
+      throw error;
+    }
+    query.notebook = params.notebook;
+  } else if (hiddenNotebooks.length) {
+    query.notebook = { $nin: hiddenNotebooks };
+  }
+
+  // Full-text search over title, tags and content, with the operators of utils/searchQuery
+  const search = params.search ? parseSearch(params.search) : null;
+  const searchConditions = search ? searchFilter(search, 'journal') : {};
+  if (searchConditions.$text) {
+    query.$text = searchConditions.$text;
+  }
+
+  // Add mood filter
+  if (params.mood) {
+    query.moodRating = parseInt(params.mood);
+  }
+
+  // Add encryption filter (for Protected Journals shortcut)
+  if (params.isEncrypted !== undefined) {
+    query.isEncrypted = params.isEncrypted === 'true';
+  }
+
+  // Add media filter (for With Media shortcut)
+  if (params.hasMedia !== undefined) {
+    if (params.hasMedia === 'true') {
+      query['media.0'] = { $exists: true }; // Has at least one media item
+    } else {
+      query.media = { $size: 0 }; // No media items
+    }
+  }
+
+  // Add mood range filters (for Good Mood / Low Mood shortcuts)
+  if (params.moodRange) {
+    if (params.moodRange === 'good') {
+      query.moodRating = { $gte: 7 }; // 7-10 rating
+    } else if (params.moodRange === 'low') {
+      query.moodRating = { $lte: 3 }; // 1-3 rating
+    }
+  }
+
+  // Add date range filter
+  if (params.fromDate || params.toDate) {
+    query.entryDate = {};
+    if (params.fromDate) {
+      query.entryDate.$gte = new Date(params.fromDate);
+    }
+    if (params.toDate) {
+      const toDate = new Date(params.toDate);
+      toDate.setHours(23, 59, 59, 999); // End of day
+      query.entryDate.$lte = toDate;
+    }
+  }
+
+  // Add single date filter (for backward compatibility)
+  if (params.date && !params.fromDate && !params.toDate) {
+    const date = new Date(params.date);
+    const nextDay = new Date(date);
+    nextDay.setDate(nextDay.getDate() + 1);
+    query.entryDate = {
+      $gte: date,
+      $lt: nextDay
+    };
+  }
+
+  // Add template filter; 'none' matches entries started from a blank page
+  if (params.template) {
+    if (params.template === 'none') {
+      query.template = null;
+    } else if (mongoose.isValidObjectId(params.template)) {
+      query.template = params.template;
+    } else {
+      throw badRequest('Invalid template filter');
+    }
+  }
+
+  // Add writing prompt filter
+  if (params.prompt) {
+    if (!mongoose.isValidObjectId(params.prompt)) {
+      throw badRequest('Invalid prompt filter');
+    }
+    query.prompt = params.prompt;
+  }
+
+  // Add tag filter, matching tags however they were typed
+  if (params.tag) {
+    query.tags = normalizeTag(params.tag);
+  }
+
+  // Add location filters: entries with or without a location, entries within
+  // ?radius= km (default 10) of ?near=<lat>,<lng>, and entries inside a map
+  // viewport given as ?bbox=<west>,<south>,<east>,<north>
+  if (params.hasLocation !== undefined) {
+    query.location = { $exists: params.hasLocation === 'true' };
+  }
+  const locationFilters = [];
+  if (params.near) {
+    locationFilters.push(nearQuery(params.near, params.radius));
+  }
+  if (params.bbox) {
+    locationFilters.push(boundingBoxQuery(params.bbox));
+  }
+  const conditions = [...locationFilters, ...(searchConditions.$and || [])];
+  if (conditions.length) {
+    query.$and = conditions;
+  }
+
+  return { query, search };
+};
+
+module.exports = { buildJournalQuery };
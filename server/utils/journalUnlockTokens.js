@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { encryptPayload, decryptPayload } = require('./journalEncryption');
+
+// Unlocked protected entries are sent back as tokens in this header,
+// comma-separated when several are unlocked
+const JOURNAL_TOKEN_HEADER = 'x-journal-token';
+const UNLOCK_TOKEN_PURPOSE = 'journal-unlock';
+const UNLOCK_DURATION = 15 * 60; // 15 minutes, in seconds
+
+// Key the content keys in unlock tokens are encrypted with. Tokens leave the server,
+// so they never carry a content key in the clear.
+const deriveWrappingKey = () => {
+  return Buffer.from(crypto.hkdfSync('sha256', String(process.env.JWT_SECRET), '', 'digidiary-journal-unlock', 32));
+};
+
+// Short-lived token that opens one protected entry for one user, in place of its password.
+// It carries the entry's content key, encrypted, and the salt the key was derived with,
+// so it stops working when the entry password changes.
+exports.issueJournalUnlockToken = (journal, key, userId) => {
+  const token = jwt.sign(
+    {
+      journal: journal._id.toString(),
+      user: userId,
+      purpose: UNLOCK_TOKEN_PURPOSE,
+      salt: journal.encryptedContent.salt,
+      wrappedKey: encryptPayload({ key: key.toString('base64') }, deriveWrappingKey(), journal._id)
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: UNLOCK_DURATION }
+  );
+  return { token, expiresAt: new Date(Date.now() + UNLOCK_DURATION * 1000) };
+};
+
+// Content key of a protected entry from the request's unlock tokens, or null when none
+// of them is valid for the entry and the current user
+exports.keyFromUnlockToken = (req, journal) => {
+  const header = req.get(JOURNAL_TOKEN_HEADER);
+  if (!header || !journal.encryptedContent) return null;
+
+  for (const token of header.split(',').map(value => value.trim()).filter(Boolean)) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      if (payload.purpose === UNLOCK_TOKEN_PURPOSE &&
+        payload.user === req.user.id &&
+        payload.journal === journal._id.toString() &&
+        payload.salt === journal.encryptedContent.salt) {
+        const { key } = decryptPayload(payload.wrappedKey, deriveWrappingKey(), journal._id);
+        return Buffer.from(key, 'base64');
+      }
+    } catch (error) {
+      // Expired or tampered tokens are skipped
+    }
+  }
+  return null;
+};
+
+exports.JOURNAL_TOKEN_HEADER = JOURNAL_TOKEN_HEADER;
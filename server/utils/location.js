@@ -0,0 +1,130 @@
+// Entry locations are stored with reduced precision, so an entry never pins down
+// exactly where it was written. LOCATION_PRECISION is the number of decimal places
+// kept: 2 (the default) is roughly 1 km, 1 roughly 11 km, 3 roughly 110 m.
+const DEFAULT_PRECISION = 2;
+const MAX_PRECISION = 4;
+
+// Radius used by the "near here" filter when none is given, in kilometres
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 1000;
+const EARTH_RADIUS_KM = 6378.1;
+
+const MAX_PLACE_NAME_LENGTH = 200;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const getPrecision = () => {
+  const precision = parseInt(process.env.LOCATION_PRECISION, 10);
+  if (isNaN(precision)) return DEFAULT_PRECISION;
+  return Math.min(Math.max(precision, 0), MAX_PRECISION);
+};
+
+// Round a latitude or longitude to the configured precision
+const coarsen = (value) => {
+  const factor = 10 ** getPrecision();
+  return Math.round(value * factor) / factor;
+};
+
+// Validate a latitude/longitude pair and return it as coarsened GeoJSON coordinates
+const toCoordinates = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude === '' || longitude === '' || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw badRequest('Location must have a numeric latitude and longitude');
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw badRequest('Location is outside the valid latitude/longitude range');
+  }
+  // GeoJSON orders coordinates longitude first
+  return [coarsen(lng), coarsen(lat)];
+};
+
+// Parse the `location` form field: JSON with latitude, longitude and/or placeName.
+// Resolves to undefined when the field was not sent, null when it was sent empty
+// (the location is cleared), or { location, placeName } ready to store.
+exports.parseLocation = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  let fields = value;
+  if (typeof value === 'string') {
+    try {
+      fields = JSON.parse(value);
+    } catch (err) {
+      throw badRequest('Location must be valid JSON');
+    }
+  }
+  if (!fields || typeof fields !== 'object') {
+    throw badRequest('Location must be an object');
+  }
+
+  const hasCoordinates = fields.latitude !== undefined && fields.latitude !== null
+    && fields.longitude !== undefined && fields.longitude !== null;
+  const placeName = typeof fields.placeName === 'string' ? fields.placeName.trim() : '';
+
+  if (placeName.length > MAX_PLACE_NAME_LENGTH) {
+    throw badRequest(`Place name cannot exceed ${MAX_PLACE_NAME_LENGTH} characters`);
+  }
+  if (!hasCoordinates && !placeName) return null;
+
+  return {
+    location: hasCoordinates
+      ? { type: 'Point', coordinates: toCoordinates(fields.latitude, fields.longitude) }
+      : undefined,
+    placeName: placeName || undefined
+  };
+};
+
+// Journal query for the "near here" filter: `near=<lat>,<lng>` with an optional
+// radius in kilometres
+exports.nearQuery = (near, radius) => {
+  const [latitude, longitude] = String(near).split(',');
+  const [lng, lat] = toCoordinates(latitude, longitude);
+  const radiusKm = radius === undefined ? DEFAULT_RADIUS_KM : Number(radius);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    throw badRequest(`Radius must be between 0 and ${MAX_RADIUS_KM} km`);
+  }
+  return {
+    location: { $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] } }
+  };
+};
+
+// Polygon edges are great circles, so wide boxes are split into narrower strips
+// that stay close to the viewport's parallels
+const MAX_STRIP_WIDTH = 90;
+
+// Journal query for a map viewport: `bbox=<west>,<south>,<east>,<north>`.
+// Boxes crossing the antimeridian (west > east) wrap around.
+exports.boundingBoxQuery = (bbox) => {
+  const parts = String(bbox).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(value => !Number.isFinite(value))) {
+    throw badRequest('Bounding box must be west,south,east,north');
+  }
+  const [west, south, east, north] = parts;
+  if (south < -90 || north > 90 || south >= north || west < -180 || east > 180) {
+    throw badRequest('Bounding box is outside the valid latitude/longitude range');
+  }
+
+  const spans = west < east ? [[west, east]] : [[west, 180], [-180, east]];
+  const strips = [];
+  spans.forEach(([from, to]) => {
+    for (let minLng = from; minLng < to; minLng += MAX_STRIP_WIDTH) {
+      const maxLng = Math.min(minLng + MAX_STRIP_WIDTH, to);
+      strips.push([[
+        [minLng, south], [maxLng, south], [maxLng, north], [minLng, north], [minLng, south]
+      ]]);
+    }
+  });
+
+  const conditions = strips.map(coordinates => ({
+    location: { $geoWithin: { $geometry: { type: 'Polygon', coordinates } } }
+  }));
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+};
+
+exports.coarsen = coarsen;
+exports.MAX_PLACE_NAME_LENGTH = MAX_PLACE_NAME_LENGTH;
@@ -0,0 +1,133 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Markup allowed in rendered journal content. Anything else (scripts, styles,
+// event handlers, iframes, raw HTML embeds) is removed.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'input',
+    'strong', 'em', 'del', 'code', 'pre',
+    'a', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel', 'class', 'data-link-index'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedClasses: {
+    a: ['wiki-link']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    // Links open outside the app and never leak the referrer. Wiki links point inside the
+    // app and are filled in by whoever displays the entry.
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.class === 'wiki-link'
+        ? attribs
+        : { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' }
+    }),
+    // Checklist boxes are display only
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.type === 'checkbox'
+        ? { type: 'checkbox', disabled: '', ...(attribs.checked !== undefined ? { checked: '' } : {}) }
+        : {}
+    })
+  },
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+const MARKED_OPTIONS = { gfm: true, breaks: true, async: false };
+
+// [[Entry title]] or [[Entry title|text to show]]
+const WIKI_LINK_PATTERN = /^\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/;
+
+// Link targets are compared ignoring case and spacing
+const normalizeLinkTarget = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// A Markdown parser that turns wiki links into placeholders numbered by target, in order of
+// first appearance; `targets` collects the normalized targets. The entry's `links` hold what
+// each number resolves to, so the link follows its entry even after a rename.
+const createParser = (targets) => new Marked(MARKED_OPTIONS, {
+  extensions: [{
+    name: 'wikiLink',
+    level: 'inline',
+    start: (src) => {
+      const index = src.indexOf('[[');
+      return index === -1 ? undefined : index;
+    },
+    tokenizer: (src) => {
+      const match = WIKI_LINK_PATTERN.exec(src);
+      if (!match || !normalizeLinkTarget(match[1])) return undefined;
+      return {
+        type: 'wikiLink',
+        raw: match[0],
+        target: normalizeLinkTarget(match[1]),
+        text: (match[2] || match[1]).trim()
+      };
+    },
+    renderer: (token) => {
+      let index = targets.indexOf(token.target);
+      if (index === -1) {
+        index = targets.push(token.target) - 1;
+      }
+      return `<a class="wiki-link" data-link-index="${index}">${escapeHtml(token.text)}</a>`;
+    }
+  }]
+});
+
+// Render Markdown to safe HTML, along with the targets of its wiki links
+exports.renderMarkdownWithLinks = (markdown) => {
+  const links = [];
+  if (!markdown) return { html: '', links };
+  const html = createParser(links).parse(markdown);
+  return { html: sanitizeHtml(html, SANITIZE_OPTIONS), links };
+};
+
+// Normalized targets of the wiki links in some Markdown, in order of first appearance
+exports.extractWikiLinks = (markdown) => exports.renderMarkdownWithLinks(markdown).links;
+
+exports.normalizeLinkTarget = normalizeLinkTarget;
+
+// Replace each wiki link in Markdown with replace(target, text)
+exports.replaceWikiLinks = (markdown, replace) => {
+  const pattern = new RegExp(WIKI_LINK_PATTERN.source.slice(1), 'g');
+  return markdown.replace(pattern, (match, target, text) => (
+    normalizeLinkTarget(target) ? replace(normalizeLinkTarget(target), (text || target).trim()) : match
+  ));
+};
+
+// Replace each rendered wiki link in HTML with replace(index, escapedText)
+exports.replaceWikiLinkAnchors = (html, replace) => html.replace(
+  /<a class="wiki-link" data-link-index="(\d+)">([^<]*)<\/a>/g,
+  (match, index, text) => replace(Number(index), text)
+);
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#x27;': "'", '&nbsp;': ' ' };
+
+// Render Markdown to HTML that is safe to insert into the page
+exports.renderMarkdown = (markdown) => exports.renderMarkdownWithLinks(markdown).html;
+
+// Reduce Markdown to plain text, e.g. for search excerpts
+exports.stripMarkdown = (markdown) => {
+  if (!markdown) return '';
+  const html = createParser([]).parse(markdown)
+    // Keep block boundaries as spaces so words do not run together
+    .replace(/<\/(p|h[1-6]|li|blockquote|pre|tr)>|<br\s*\/?>/gi, ' ');
+  const text = sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+  return text
+    .replace(/&(amp|lt|gt|quot|nbsp|#39|#x27);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+};
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// Uploaded files are served by the media route, never as public static files
+const MEDIA_ROUTE = '/api/media';
+const LEGACY_ROUTE = '/uploads';
+
+// Signed URLs stay valid for one to two of these windows. Expiry is rounded to a
+// window boundary so the same file keeps the same URL for a while and browsers can cache it.
+const SIGNED_URL_WINDOW = (parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 60 * 60) * 1000;
+
+const getSecret = () => process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+
+const computeSignature = (mediaPath, expires) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${mediaPath}:${expires}`)
+    .digest('base64url');
+};
+
+// Path of an uploaded file relative to the uploads folder (e.g. 'journals/abc.jpg'),
+// or null for URLs that point somewhere else
+exports.toMediaPath = (url) => {
+  if (!url) return null;
+  for (const prefix of [`${MEDIA_ROUTE}/`, `${LEGACY_ROUTE}/`]) {
+    if (url.startsWith(prefix)) {
+      return url.slice(prefix.length).split('?')[0];
+    }
+  }
+  return null;
+};
+
+// URL stored for an uploaded file
+exports.toMediaUrl = (mediaPath) => `${MEDIA_ROUTE}/${mediaPath.replace(/\\/g, '/').replace(/^\/+/, '')}`;
+
+// Short-lived URL granting access to an uploaded file without an Authorization header,
+// so it can be used in <img> and <video> tags. Only sign URLs for files the
+// requester has already been allowed to see.
+exports.signMediaUrl = (url) => {
+  const mediaPath = exports.toMediaPath(url);
+  if (!mediaPath) return url;
+
+  const expires = (Math.floor(Date.now() / SIGNED_URL_WINDOW) + 2) * SIGNED_URL_WINDOW;
+  const signature = computeSignature(mediaPath, expires);
+  return `${exports.toMediaUrl(mediaPath)}?expires=${expires}&signature=${signature}`;
+};
+
+// Copy of a media list with signed URLs, including those of resized copies
+exports.signMedia = (media) => (media || []).map(item => {
+  const itemObj = typeof item.toObject === 'function' ? item.toObject() : item;
+  const signed = { ...itemObj, url: exports.signMediaUrl(itemObj.url) };
+  if (itemObj.variants) {
+    signed.variants = {};
+    Object.entries(itemObj.variants).forEach(([size, url]) => {
+      signed.variants[size] = exports.signMediaUrl(url);
+    });
+  }
+  return signed;
+});
+
+// Absolute, signed URL of a profile picture. The client runs on another origin,
+// so it cannot rely on relative URLs like journal media does through its proxy.
+exports.toProfilePictureUrl = (url) => {
+  if (!url || !exports.toMediaPath(url)) return url;
+  return `${process.env.SERVER_URL || 'http://localhost:5000'}${exports.signMediaUrl(url)}`;
+};
+
+// Whether a signature was issued for this file and has not expired
+exports.verifyMediaSignature = (mediaPath, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!signature || !Number.isFinite(expiresAt) || expiresAt < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(mediaPath, expiresAt));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+exports.MEDIA_ROUTE = MEDIA_ROUTE;
+exports.LEGACY_ROUTE = LEGACY_ROUTE;
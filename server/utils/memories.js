@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Journal = require('../models/Journal');
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+const { sanitizeJournal } = require('./journalAccess');
+const { stripMarkdown } = require('./markdown');
+const { protectedNotebookIds } = require('./notebooks');
+
+const DIGEST_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Besides the same calendar day in earlier years, memories include these days before today
+const RECENT_PERIODS = [
+  { period: 'week', label: 'One week ago', days: 7 },
+  { period: 'month', label: 'One month ago', months: 1 }
+];
+
+// Longest excerpt of an entry shown in the digest email
+const EXCERPT_LENGTH = 200;
+
+// Local hour after which the day's digest is sent
+const getDigestHour = () => {
+  const hour = parseInt(process.env.MEMORIES_DIGEST_HOUR);
+  return hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The day (YYYY-MM-DD) and hour it is in a time zone
+const getLocalTime = (timeZone, date = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+};
+
+// A day some days or months before another one. Months are clamped to their
+// last day, so one month before March 31 is the last day of February.
+const shiftDay = (day, { days = 0, months = 0 }) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - months, 0)).getUTCDate();
+  const shifted = new Date(Date.UTC(year, month - 1 - months, Math.min(date, lastDay) - days));
+  return shifted.toISOString().split('T')[0];
+};
+
+const yearsAgoLabel = (years) => (years === 1 ? 'One year ago' : `${years} years ago`);
+
+// The user's entries written on this day in earlier years and on the days in
+// RECENT_PERIODS, grouped by how long ago they were written: the recent periods
+// first, then the years, most recent first. `day` is the user's local day
+// (YYYY-MM-DD) and `timeZone` the IANA time zone entries are placed in.
+// Journals are sanitized like in the journal list. Entries of password-protected
+// notebooks never resurface here, as memories are also sent by email.
+const findMemories = async (userId, { day, timeZone }) => {
+  const recent = RECENT_PERIODS.map(period => ({ ...period, day: shiftDay(day, period) }));
+
+  const matches = await Journal.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        notebook: { $nin: await protectedNotebookIds(userId) }
+      }
+    },
+    {
+      $project: {
+        localDay: { $dateToString: { format: '%Y-%m-%d', date: '$entryDate', timezone: timeZone } }
+      }
+    },
+    {
+      $match: {
+        $or: [
+          { localDay: { $in: recent.map(period => period.day) } },
+          { localDay: { $regex: `^\\d{4}-${day.slice(5)}$`, $lt: day } }
+        ]
+      }
+    }
+  ]);
+  if (matches.length === 0) return [];
+
+  const localDays = new Map(matches.map(match => [match._id.toString(), match.localDay]));
+  const journals = await Journal.find({ _id: { $in: matches.map(match => match._id) } })
+    .populate('user', 'fullName surname')
+    .populate('template', 'name icon')
+    .sort({ entryDate: -1 });
+
+  const groups = new Map();
+  const addToGroup = (key, group, journal) => {
+    if (!groups.has(key)) groups.set(key, { ...group, journals: [] });
+    groups.get(key).journals.push(sanitizeJournal(journal.toObject()));
+  };
+
+  journals.forEach(journal => {
+    const localDay = localDays.get(journal._id.toString());
+    const period = recent.find(recentPeriod => recentPeriod.day === localDay);
+    if (period) {
+      addToGroup(period.period, { period: period.period, label: period.label, day: localDay }, journal);
+      return;
+    }
+    const yearsAgo = Number(day.slice(0, 4)) - Number(localDay.slice(0, 4));
+    addToGroup(`year-${yearsAgo}`, {
+      period: 'year',
+      label: yearsAgoLabel(yearsAgo),
+      day: localDay,
+      yearsAgo
+    }, journal);
+  });
+
+  const order = (group) => (group.period === 'year'
+    ? RECENT_PERIODS.length + group.yearsAgo
+    : RECENT_PERIODS.findIndex(period => period.period === group.period));
+  return [...groups.values()].sort((a, b) => order(a) - order(b));
+};
+
+// Memories in the form sent by email. Protected entries only show that they exist.
+const toDigestGroups = (memories) => memories.map(group => ({
+  label: group.label,
+  entries: group.journals.map(journal => ({
+    title: journal.isEncrypted ? 'Protected entry' : journal.title,
+    excerpt: journal.isEncrypted ? '' : stripMarkdown(journal.content).slice(0, EXCERPT_LENGTH),
+    url: `${process.env.CLIENT_URL}/journal/${journal._id}`
+  }))
+}));
+
+const sendMemoriesDigest = async (user, memories) => {
+  const groups = toDigestGroups(memories);
+  const message = groups
+    .map(group => `${group.label}:\n${group.entries.map(entry => `- ${entry.title} (${entry.url})`).join('\n')}`)
+    .join('\n\n');
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Your memories from this day - DigiDiary',
+    message,
+    type: 'memories',
+    name: user.fullName,
+    groups
+  });
+};
+
+// Send today's digest to every user who opted in and whose local morning has come.
+// A user's day is claimed before the email is sent, so it goes out at most once
+// even if sending fails.
+const sendMemoriesDigests = async () => {
+  const users = await User.find({ 'memoriesDigest.enabled': true })
+    .select('email fullName memoriesDigest');
+  let sent = 0;
+
+  for (const user of users) {
+    const timeZone = isValidTimeZone(user.memoriesDigest.timeZone) ? user.memoriesDigest.timeZone : 'UTC';
+    const { day, hour } = getLocalTime(timeZone);
+    if (hour < getDigestHour() || user.memoriesDigest.lastSentDay === day) continue;
+
+    const claimed = await User.updateOne(
+      { _id: user._id, 'memoriesDigest.lastSentDay': { $ne: day } },
+      { 'memoriesDigest.lastSentDay': day }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      const memories = await findMemories(user._id, { day, timeZone });
+      if (memories.length > 0) {
+        await sendMemoriesDigest(user, memories);
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Memories digest error for user ${user._id}:`, error);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`📬 Sent ${sent} memories digest(s)`);
+  }
+  return sent;
+};
+
+// Check for due digests now and then periodically
+const startMemoriesDigestSchedule = () => {
+  const run = () => sendMemoriesDigests().catch(err => {
+    console.error('Memories digest error:', err);
+  });
+
+  run();
+  setInterval(run, DIGEST_INTERVAL).unref();
+};
+
+module.exports = {
+  isValidTimeZone,
+  getLocalTime,
+  findMemories,
+  sendMemoriesDigests,
+  startMemoriesDigestSchedule
+};
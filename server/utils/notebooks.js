@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Notebook = require('../models/Notebook');
+const Journal = require('../models/Journal');
+
+const DEFAULT_NOTEBOOK = { name: 'Journal', icon: '📓', color: '#3b82f6' };
+
+// Unlocked protected notebooks are sent back as tokens in this header,
+// comma-separated when several are unlocked
+const NOTEBOOK_TOKEN_HEADER = 'x-notebook-token';
+const UNLOCK_TOKEN_PURPOSE = 'notebook-unlock';
+const UNLOCK_DURATION = 30 * 60; // 30 minutes, in seconds
+
+// Build an error carrying the HTTP status the controller should respond with
+const notebookError = (status, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+};
+
+// The user's default notebook, created the first time it is needed. Entries
+// written before notebooks existed are filed in it when it is created.
+const ensureDefaultNotebook = async (userId) => {
+  const existing = await Notebook.findOne({ user: userId, isDefault: true });
+  if (existing) return existing;
+
+  try {
+    const notebook = await Notebook.create({ ...DEFAULT_NOTEBOOK, user: userId, isDefault: true });
+    await Journal.updateMany(
+      { user: userId, notebook: null },
+      { $set: { notebook: notebook._id } },
+      { timestamps: false }
+    ).setOptions({ withDeleted: true });
+    return notebook;
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return await Notebook.findOne({ user: userId, isDefault: true });
+    }
+    throw error;
+  }
+};
+
+// Id of the user's notebook `notebookId`, for filing an entry in it.
+// Entries without a notebook go to the default one.
+const resolveNotebook = async (userId, notebookId) => {
+  if (!notebookId) {
+    return (await ensureDefaultNotebook(userId))._id;
+  }
+  const notebook = mongoose.isValidObjectId(notebookId)
+    && await Notebook.exists({ _id: notebookId, user: userId });
+  if (!notebook) {
+    throw notebookError(400, 'Notebook not found');
+  }
+  return notebook._id;
+};
+
+// Fingerprint of a notebook's password hash. Unlock tokens carry it so they stop
+// working when the password is changed or removed, without exposing the hash.
+const passwordStamp = (notebook) => crypto
+  .createHmac('sha256', String(process.env.JWT_SECRET))
+  .update(notebook.password || '')
+  .digest('base64url');
+
+// Short-lived token proving the notebook's password was entered.
+// `notebook` must be loaded with its password.
+const issueUnlockToken = (notebook, userId) => {
+  const token = jwt.sign(
+    {
+      notebook: notebook._id.toString(),
+      user: userId,
+      purpose: UNLOCK_TOKEN_PURPOSE,
+      stamp: passwordStamp(notebook)
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: UNLOCK_DURATION }
+  );
+  return { token, expiresAt: new Date(Date.now() + UNLOCK_DURATION * 1000) };
+};
+
+// Ids of the notebooks the request's unlock tokens are valid for. Expired and
+// foreign tokens are ignored, as are tokens issued for an earlier password.
+const unlockedNotebookIds = async (req) => {
+  const header = req.get(NOTEBOOK_TOKEN_HEADER);
+  if (!header) return [];
+
+  const stamps = new Map(header.split(',').map(token => token.trim()).filter(Boolean).flatMap(token => {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      return payload.purpose === UNLOCK_TOKEN_PURPOSE && payload.user === req.user.id &&
+        mongoose.isValidObjectId(payload.notebook)
+        ? [[payload.notebook, payload.stamp]]
+        : [];
+    } catch (error) {
+      return [];
+    }
+  }));
+  if (stamps.size === 0) return [];
+
+  const notebooks = await Notebook.find({
+    _id: { $in: [...stamps.keys()] },
+    user: req.user.id,
+    isProtected: true
+  }).select('+password');
+
+  return notebooks
+    .filter(notebook => stamps.get(notebook._id.toString()) === passwordStamp(notebook))
+    .map(notebook => notebook._id.toString());
+};
+
+// Ids of the user's password-protected notebooks
+const protectedNotebookIds = async (userId) => {
+  const notebooks = await Notebook.find({ user: userId, isProtected: true }).select('_id');
+  return notebooks.map(notebook => notebook._id);
+};
+
+// Ids of the protected notebooks the request has not unlocked. Their entries are
+// left out of lists and searches spanning every notebook.
+const hiddenNotebookIds = async (req) => {
+  const [unlocked, ids] = await Promise.all([
+    unlockedNotebookIds(req),
+    protectedNotebookIds(req.user.id)
+  ]);
+  return ids.filter(id => !unlocked.includes(id.toString()));
+};
+
+// Throw a 401 error unless the entry's notebook is unprotected or unlocked by the request
+const assertNotebookUnlocked = async (req, journal) => {
+  if (!journal.notebook) return;
+  const notebookId = journal.notebook._id || journal.notebook;
+  const hidden = await hiddenNotebookIds(req);
+  if (hidden.some(id => id.equals(notebookId))) {
+    throw notebookError(401, 'This entry is in a locked notebook', {
+      requiresNotebookPassword: true,
+      notebook: notebookId
+    });
+  }
+};
+
+module.exports = {
+  NOTEBOOK_TOKEN_HEADER,
+  notebookError,
+  ensureDefaultNotebook,
+  resolveNotebook,
+  issueUnlockToken,
+  unlockedNotebookIds,
+  protectedNotebookIds,
+  hiddenNotebookIds,
+  assertNotebookUnlocked
+};
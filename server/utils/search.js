@@ -0,0 +1,124 @@
+// Full-text search helpers. Searches run on MongoDB text indexes, which stem
+// words, ignore case and stop words, and understand "quoted phrases" and
+// -excluded words. The helpers here validate queries and mark where results
+// matched, for highlighted snippets.
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+
+// Characters shown around the first match in a snippet
+const SNIPPET_LENGTH = 160;
+
+// Common English endings dropped before matching, so "walking" also highlights
+// "walked", roughly like the stemming done by the text index
+const SUFFIXES = ['ingly', 'edly', 'ing', 'ies', 'ied', 'ed', 'es', 's', 'ly', 'er', 'est'];
+
+const LETTER_OR_DIGIT = '[\\p{L}\\p{N}]';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trimmed search text from a request, rejecting ones too short or too long to search
+const parseSearchQuery = (value) => {
+  const query = typeof value === 'string' ? value.trim() : '';
+  if (query.length < MIN_QUERY_LENGTH) {
+    throw badRequest(`Search query must be at least ${MIN_QUERY_LENGTH} characters long`);
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw badRequest(`Search query cannot exceed ${MAX_QUERY_LENGTH} characters`);
+  }
+  return query;
+};
+
+const stemOf = (word) => {
+  const lower = word.toLowerCase();
+  const suffix = SUFFIXES.find(ending => lower.endsWith(ending) && lower.length - ending.length >= 3);
+  return suffix ? lower.slice(0, -suffix.length) : lower;
+};
+
+// Pattern matching the words and phrases a search looks for, leaving out excluded ones.
+// Null when nothing is left to highlight.
+const buildHighlightPattern = (query) => {
+  // Phrases come first, so they win over the words inside them
+  const alternatives = [];
+
+  const words = query.replace(/(-?)"([^"]*)"/g, (match, excluded, phrase) => {
+    const phraseWords = phrase.split(/\s+/).filter(Boolean);
+    if (!excluded && phraseWords.length > 0) {
+      alternatives.push(phraseWords.map(escapeRegExp).join('\\s+'));
+    }
+    return ' ';
+  });
+
+  words.split(/\s+/)
+    .filter(token => token && !token.startsWith('-'))
+    .flatMap(token => token.split(/[^\p{L}\p{N}]+/u))
+    .filter(Boolean)
+    .forEach(word => {
+      alternatives.push(`${escapeRegExp(stemOf(word))}${LETTER_OR_DIGIT}*`);
+    });
+
+  if (alternatives.length === 0) return null;
+  return new RegExp(`(?<!${LETTER_OR_DIGIT})(?:${alternatives.join('|')})`, 'giu');
+};
+
+// Split text into [{ text, match }] segments, marking the parts the pattern matches
+const highlight = (text, pattern) => {
+  if (!text) return [];
+  if (!pattern) return [{ text, match: false }];
+
+  const segments = [];
+  let last = 0;
+  for (const found of text.matchAll(pattern)) {
+    if (found[0].length === 0) continue;
+    if (found.index > last) {
+      segments.push({ text: text.slice(last, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    last = found.index + found[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), match: false });
+  }
+  return segments;
+};
+
+// Up to SNIPPET_LENGTH characters of text around its first match, as highlighted segments
+const buildSnippet = (text, pattern, length = SNIPPET_LENGTH) => {
+  if (!text) return [];
+  const normalized = text.replace(/\s+/g, ' ').trim();
+
+  let start = 0;
+  if (pattern) {
+    pattern.lastIndex = 0;
+    const found = pattern.exec(normalized);
+    pattern.lastIndex = 0;
+    // Leave some text before the match, starting at a word
+    if (found && found.index > length / 3) {
+      start = normalized.lastIndexOf(' ', found.index - Math.floor(length / 3)) + 1;
+    }
+  }
+
+  let end = Math.min(normalized.length, start + length);
+  if (end < normalized.length) {
+    const lastSpace = normalized.lastIndexOf(' ', end);
+    if (lastSpace > start) end = lastSpace;
+  }
+
+  const snippet = `${start > 0 ? '…' : ''}${normalized.slice(start, end)}${end < normalized.length ? '…' : ''}`;
+  return highlight(snippet, pattern);
+};
+
+module.exports = {
+  MIN_QUERY_LENGTH,
+  MAX_QUERY_LENGTH,
+  parseSearchQuery,
+  buildHighlightPattern,
+  highlight,
+  buildSnippet
+};
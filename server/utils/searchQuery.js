@@ -0,0 +1,290 @@
+// Search query language. A query mixes free text, matched through the text
+// indexes (see utils/search), with operators that filter on fields:
+//
+//   tag:work mood:<4 has:media before:2025-06-01 "exact phrase" -draft
+//   since:7d is:protected
+//   priority:high due:overdue is:open
+//
+// Operator values can be quoted (tag:"road trip") and operators negated with a
+// leading "-" (-has:media). Each operator applies to some content types only;
+// a search covers the types that support all of its operators.
+
+const { parseSearchQuery } = require('./search');
+const { normalizeTag } = require('./tags');
+
+const SEARCH_TYPES = ['journal', 'todo', 'bucketlist'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TYPE_LABELS = {
+  journal: 'journal entries',
+  todo: 'todos',
+  bucketlist: 'bucket list items'
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// An operator value failing to parse; parseSearch adds the operator and its usage
+class InvalidValue extends Error {}
+
+// Start of a YYYY-MM-DD day, read like the fromDate/toDate filters of the journal list
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new InvalidValue();
+  const day = new Date(value);
+  if (Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) {
+    throw new InvalidValue();
+  }
+  return day;
+};
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+const between = (start, end) => ({ $gte: start, $lt: end });
+
+// Start of a day relative to today: 7d, 2w, 3m or 1y ago, today, the first day of
+// this month or year, or a YYYY-MM-DD day
+const parseSince = (value) => {
+  const since = startOfToday();
+  const relative = value.match(/^(\d{1,3})([dwmy])$/);
+  if (relative) {
+    const amount = Number(relative[1]);
+    if (relative[2] === 'd') since.setDate(since.getDate() - amount);
+    if (relative[2] === 'w') since.setDate(since.getDate() - 7 * amount);
+    if (relative[2] === 'm') since.setMonth(since.getMonth() - amount);
+    if (relative[2] === 'y') since.setFullYear(since.getFullYear() - amount);
+    return since;
+  }
+  if (value === 'today') return since;
+  if (value === 'month') return new Date(since.getFullYear(), since.getMonth(), 1);
+  if (value === 'year') return new Date(since.getFullYear(), 0, 1);
+  return parseDay(value);
+};
+
+// Mood ratings run from 1 to 10, as in the Journal model
+const parseRating = (value) => {
+  if (!/^([1-9]|10)$/.test(value)) throw new InvalidValue();
+  return Number(value);
+};
+
+const MOOD_COMPARISONS = { '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+
+// 8, <5, >=6, 6..10, or the good/low ranges of the journal list shortcuts
+const parseMood = (value) => {
+  if (value === 'good') return { moodRating: { $gte: 7 } };
+  if (value === 'low') return { moodRating: { $lte: 3 } };
+
+  const range = value.match(/^(\d{1,2})\.\.(\d{1,2})$/);
+  if (range) {
+    const [from, to] = [parseRating(range[1]), parseRating(range[2])];
+    if (from > to) throw new InvalidValue();
+    return { moodRating: { $gte: from, $lte: to } };
+  }
+
+  const comparison = value.match(/^(<=?|>=?)(\d{1,2})$/);
+  if (comparison) {
+    return { moodRating: { [MOOD_COMPARISONS[comparison[1]]]: parseRating(comparison[2]) } };
+  }
+
+  return { moodRating: parseRating(value) };
+};
+
+// Operators by name. `parse` turns a value into the conditions it adds, keyed by
+// the content types it applies to, and throws InvalidValue for values it does not accept.
+const OPERATORS = {
+  tag: {
+    usage: 'tag:work or tag:"road trip"',
+    parse: (value) => {
+      const tag = normalizeTag(value);
+      if (!tag) throw new InvalidValue();
+      return { journal: { tags: tag } };
+    }
+  },
+  mood: {
+    usage: 'mood:8, mood:<5, mood:>=6, mood:6..10, mood:good or mood:low',
+    parse: (value) => ({ journal: parseMood(value) })
+  },
+  has: {
+    usage: 'has:media, has:location, has:links or has:tags',
+    parse: (value) => {
+      const conditions = {
+        media: { 'media.0': { $exists: true } },
+        location: { location: { $exists: true } },
+        links: { 'links.journal': { $ne: null } },
+        tags: { 'tags.0': { $exists: true } }
+      };
+      if (!conditions[value]) throw new InvalidValue();
+      return { journal: conditions[value] };
+    }
+  },
+  is: {
+    usage: 'is:protected, is:done or is:open',
+    parse: (value) => {
+      if (value === 'protected') return { journal: { isEncrypted: true } };
+      if (value === 'done' || value === 'open') {
+        const isCompleted = { isCompleted: value === 'done' };
+        return { todo: isCompleted, bucketlist: isCompleted };
+      }
+      throw new InvalidValue();
+    }
+  },
+  before: {
+    usage: 'before:2025-06-01',
+    parse: (value) => ({ journal: { entryDate: { $lt: parseDay(value) } } })
+  },
+  after: {
+    usage: 'after:2025-06-01',
+    parse: (value) => ({ journal: { entryDate: { $gte: new Date(parseDay(value).getTime() + DAY) } } })
+  },
+  since: {
+    usage: 'since:7d, since:2w, since:3m, since:1y, since:today, since:month, since:year or since:2025-06-01',
+    parse: (value) => ({ journal: { entryDate: { $gte: parseSince(value) } } })
+  },
+  on: {
+    usage: 'on:2025-06-01',
+    parse: (value) => {
+      const day = parseDay(value);
+      return { journal: { entryDate: between(day, new Date(day.getTime() + DAY)) } };
+    }
+  },
+  priority: {
+    usage: 'priority:high, priority:medium or priority:low',
+    parse: (value) => {
+      const priority = { high: 'High', medium: 'Medium', low: 'Low' }[value];
+      if (!priority) throw new InvalidValue();
+      return { todo: { priority } };
+    }
+  },
+  due: {
+    usage: 'due:overdue, due:today, due:week, due:none or due:2025-06-01',
+    parse: (value) => {
+      const today = startOfToday();
+      const conditions = {
+        overdue: () => ({ dueDate: { $lt: today }, isCompleted: false }),
+        today: () => ({ dueDate: between(today, new Date(today.getTime() + DAY)) }),
+        week: () => ({ dueDate: between(today, new Date(today.getTime() + 7 * DAY)) }),
+        none: () => ({ dueDate: null })
+      };
+      if (conditions[value]) return { todo: conditions[value]() };
+      const day = parseDay(value);
+      return { todo: { dueDate: between(day, new Date(day.getTime() + DAY)) } };
+    }
+  },
+  type: {
+    usage: 'type:journal, type:todo or type:bucketlist',
+    negatable: false,
+    parse: (value) => {
+      if (!SEARCH_TYPES.includes(value)) throw new InvalidValue();
+      return { [value]: {} };
+    }
+  }
+};
+
+const OPERATOR_LIST = Object.keys(OPERATORS).map(name => `${name}:`).join(', ');
+
+// Operators, "phrases" and other words of a query. An unknown name followed by a
+// colon stays text when nothing follows it ("notes:") or it looks like a URL.
+const TOKEN_PATTERN = /(-?)([a-z]+):("[^"]*"|[^\s"]*)|-?"[^"]*"|[^\s"]+/gi;
+
+const tokenize = (query) => {
+  if ((query.match(/"/g) || []).length % 2 !== 0) {
+    throw badRequest('Search has an unmatched quote. Close the quote or remove it.');
+  }
+
+  const operators = [];
+  const text = [];
+  for (const [token, negated, name, rawValue] of query.matchAll(TOKEN_PATTERN)) {
+    const key = name && name.toLowerCase();
+    if (!name || (!OPERATORS[key] && (!rawValue || rawValue.startsWith('//')))) {
+      text.push(token);
+      continue;
+    }
+    if (!OPERATORS[key]) {
+      throw badRequest(
+        `Unknown search operator "${name}:". Use one of ${OPERATOR_LIST} or put "${token}" in quotes to search for it as written.`
+      );
+    }
+    operators.push({
+      name: key,
+      negated: !!negated,
+      value: rawValue.replace(/^"|"$/g, '').trim()
+    });
+  }
+  return { operators, text: text.join(' ') };
+};
+
+// Parse a search into { text, types, conditions }: the free text for a $text search
+// (empty when there is none), the content types it can match, and the conditions of
+// its operators for each of those types. Throws a 400 error for malformed queries.
+const parseSearch = (input) => {
+  const { operators, text } = tokenize(parseSearchQuery(input));
+
+  let types = SEARCH_TYPES;
+  const conditions = Object.fromEntries(SEARCH_TYPES.map(type => [type, []]));
+
+  operators.forEach(({ name, negated, value }) => {
+    const operator = OPERATORS[name];
+    const written = `${negated ? '-' : ''}${name}:`;
+    if (!value) {
+      throw badRequest(`${written} needs a value, like ${operator.usage}`);
+    }
+    if (negated && operator.negatable === false) {
+      throw badRequest(`${written} cannot be negated`);
+    }
+
+    let byType;
+    try {
+      byType = operator.parse(value.toLowerCase());
+    } catch (error) {
+      if (!(error instanceof InvalidValue)) throw error;
+      throw badRequest(`"${value}" is not a valid value for ${name}:. Use ${operator.usage}`);
+    }
+
+    const applicable = Object.keys(byType);
+    const remaining = types.filter(type => applicable.includes(type));
+    if (remaining.length === 0) {
+      throw badRequest(
+        `${written}${value} only applies to ${applicable.map(type => TYPE_LABELS[type]).join(' and ')}, `
+        + 'so it cannot be combined with the other operators of this search'
+      );
+    }
+    types = remaining;
+    types.forEach(type => {
+      const condition = byType[type];
+      if (Object.keys(condition).length === 0) return;
+      conditions[type].push(negated ? { $nor: [condition] } : condition);
+    });
+  });
+
+  return { text: text.trim(), types, conditions };
+};
+
+// MongoDB filter of a parsed search for one content type: its $text search and
+// operator conditions. Throws a 400 error if the search cannot match the type.
+const searchFilter = (search, type) => {
+  if (!search.types.includes(type)) {
+    throw badRequest(`This search only finds ${search.types.map(other => TYPE_LABELS[other]).join(' and ')}`);
+  }
+
+  const filter = {};
+  if (search.text) {
+    filter.$text = { $search: search.text };
+  }
+  if (search.conditions[type].length > 0) {
+    filter.$and = search.conditions[type];
+  }
+  return filter;
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  parseSearch,
+  searchFilter
+};
@@ -44,7 +44,7 @@ const sendEmail = async (options) => {
     const senderEmail = getSenderEmail(options.email);
 
     // Create transporter
-    const transporter = nodemailer.createTransporter(emailConfig);
+    const transporter = nodemailer.createTransport(emailConfig);
 
     // Verify transporter configuration
     await transporter.verify();
@@ -69,7 +69,14 @@ const sendEmail = async (options) => {
   }
 };
 
-// Generate HTML template for password reset
+// Escape user-written text before it is placed in an email
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Generate HTML templates for the email types
 const generateHTMLTemplate = (options) => {
   if (options.type === 'password-reset') {
     return `
@@ -123,6 +130,56 @@ const generateHTMLTemplate = (options) => {
     `;
   }
 
+  if (options.type === 'memories') {
+    const groups = options.groups.map(group => `
+      <h3 style="color: #764ba2; margin: 25px 0 10px;">${escapeHtml(group.label)}</h3>
+      ${group.entries.map(entry => `
+        <div class="entry">
+          <a href="${escapeHtml(entry.url)}" class="entry-title">${escapeHtml(entry.title)}</a>
+          ${entry.excerpt ? `<p class="entry-excerpt">${escapeHtml(entry.excerpt)}</p>` : ''}
+        </div>
+      `).join('')}
+    `).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Memories - DigiDiary</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .entry { background: white; border-left: 4px solid #667eea; padding: 12px 15px; margin-bottom: 10px; border-radius: 5px; }
+          .entry-title { color: #667eea; font-weight: bold; text-decoration: none; }
+          .entry-excerpt { margin: 5px 0 0; color: #555; font-size: 14px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📅 On This Day</h1>
+            <p>DigiDiary - Your Personal Digital Journey</p>
+          </div>
+          <div class="content">
+            <h2>Hello${options.name ? ` ${escapeHtml(options.name)}` : ''}!</h2>
+            <p>Here is what you wrote around this day:</p>
+            ${groups}
+          </div>
+          <div class="footer">
+            <p>You receive this email because you turned on daily memories in DigiDiary.</p>
+            <p>You can turn it off from the memories card on your dashboard.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   // Default template
   return `
     <!DOCTYPE html>
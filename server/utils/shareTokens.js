@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { encryptPayload, decryptPayload } = require('./journalEncryption');
+
+const TOKEN_BYTES = 24;
+
+// Generate a new random, URL-safe share token. Only its hash is stored.
+exports.generateShareToken = () => crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+
+// Hash used to look a share link up by its token
+exports.hashShareToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Key derived from the token itself, so a protected entry can only be opened by whoever holds the link
+const deriveTokenKey = (token) => {
+  return Buffer.from(crypto.hkdfSync('sha256', String(token), '', 'digidiary-share-link', 32));
+};
+
+// Encrypt a protected entry's content key with the share token
+exports.wrapContentKey = (contentKey, token, linkId) => {
+  return encryptPayload({ key: contentKey.toString('base64') }, deriveTokenKey(token), linkId);
+};
+
+// Recover the content key of a protected entry from a share token.
+// Throws if the token does not belong to the link.
+exports.unwrapContentKey = (wrappedKey, token, linkId) => {
+  const { key } = decryptPayload(wrappedKey, deriveTokenKey(token), linkId);
+  return Buffer.from(key, 'base64');
+};
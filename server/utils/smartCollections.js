@@ -0,0 +1,79 @@
+const SmartCollection = require('../models/SmartCollection');
+const User = require('../models/User');
+const Journal = require('../models/Journal');
+const { buildJournalQuery } = require('./journalFilters');
+
+// Collections every user starts with, in place of the journal list's old quick filters.
+// They can be edited and deleted like any other; restoring brings back missing ones.
+const DEFAULT_COLLECTIONS = [
+  { key: 'protected', name: 'Protected Journals', icon: '🔒', search: 'is:protected' },
+  { key: 'recent', name: 'Last 7 Days', icon: '📅', search: 'since:7d' },
+  { key: 'thisMonth', name: 'This Month', icon: '🗓️', search: 'since:month' },
+  { key: 'withMedia', name: 'With Media', icon: '🖼️', search: 'has:media' },
+  { key: 'goodMood', name: 'Good Mood', icon: '😊', search: 'mood:good' },
+  { key: 'lowMood', name: 'Low Mood', icon: '😔', search: 'mood:low' }
+];
+
+const FILTER_FIELDS = ['mood', 'moodRange', 'isEncrypted', 'hasMedia', 'fromDate', 'toDate', 'template', 'tag'];
+
+// A collection's search and filters as getJournals query parameters, which are strings
+const toJournalParams = (collection) => {
+  const params = {};
+  if (collection.search) params.search = collection.search;
+  FILTER_FIELDS.forEach(field => {
+    const value = collection.filters && collection.filters[field];
+    if (value !== undefined && value !== null && value !== '') {
+      params[field] = String(value);
+    }
+  });
+  return params;
+};
+
+// Add the default collections the user is missing after their own ones
+const addDefaultCollections = async (userId) => {
+  const existing = await SmartCollection.find({ user: userId }).select('key position');
+  const keys = new Set(existing.map(collection => collection.key));
+  const last = Math.max(-1, ...existing.map(collection => collection.position));
+
+  const missing = DEFAULT_COLLECTIONS.filter(collection => !keys.has(collection.key));
+  await SmartCollection.insertMany(missing.map((collection, index) => ({
+    ...collection,
+    user: userId,
+    position: last + 1 + index
+  })));
+  return missing.length;
+};
+
+// Create the default collections the first time a user's collections are listed.
+// The user is claimed first, so concurrent requests create them once.
+const ensureDefaultCollections = async (user) => {
+  if (user.smartCollectionsSeeded) return;
+
+  const claimed = await User.updateOne(
+    { _id: user._id, smartCollectionsSeeded: { $ne: true } },
+    { smartCollectionsSeeded: true }
+  );
+  if (claimed.modifiedCount > 0) {
+    await addDefaultCollections(user._id);
+  }
+};
+
+// Number of entries in a collection right now, leaving out those of the locked
+// `hiddenNotebooks`, or the error explaining why its search cannot run
+const countCollection = async (userId, collection, hiddenNotebooks = []) => {
+  try {
+    const { query } = buildJournalQuery(userId, toJournalParams(collection), { hiddenNotebooks });
+    return { count: await Journal.countDocuments(query), error: null };
+  } catch (error) {
+    if (!error.status) throw error;
+    return { count: null, error: error.message };
+  }
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  toJournalParams,
+  addDefaultCollections,
+  ensureDefaultCollections,
+  countCollection
+};
@@ -0,0 +1,76 @@
+const { Readable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+const mime = require('mime-types');
+const { notFound } = require('./errors');
+
+// Files kept as private ("authenticated") raw assets on Cloudinary, so they cannot be
+// fetched without a signed delivery URL. They are only read through the media route.
+module.exports = ({
+  cloudName = process.env.CLOUDINARY_CLOUD_NAME,
+  apiKey = process.env.CLOUDINARY_API_KEY,
+  apiSecret = process.env.CLOUDINARY_API_SECRET,
+  folder = process.env.CLOUDINARY_FOLDER || 'digidiary'
+} = {}) => {
+  if (!cloudName || !apiKey || !apiSecret) {
+    throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET must be set to use the cloudinary storage driver');
+  }
+
+  const config = { cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret };
+  const assetOptions = { resource_type: 'raw', type: 'authenticated' };
+  const publicId = (key) => `${folder}/${key}`;
+
+  return {
+    name: 'cloudinary',
+
+    async put(key, buffer) {
+      await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          { ...config, ...assetOptions, public_id: publicId(key), overwrite: true },
+          (err, result) => (err ? reject(err) : resolve(result))
+        ).end(buffer);
+      });
+    },
+
+    async get(key, { range } = {}) {
+      const url = cloudinary.url(publicId(key), { ...config, ...assetOptions, sign_url: true, secure: true });
+      const response = await fetch(url, { headers: range ? { Range: range } : {} });
+
+      if (response.status === 404) {
+        throw notFound();
+      }
+      if (!response.ok) {
+        throw new Error(`Cloudinary responded with ${response.status}`);
+      }
+
+      const contentLength = response.headers.get('content-length');
+      return {
+        stream: Readable.fromWeb(response.body),
+        // Raw assets are delivered without a meaningful content type
+        contentType: mime.lookup(key) || response.headers.get('content-type'),
+        contentLength: contentLength ? Number(contentLength) : undefined,
+        contentRange: response.headers.get('content-range') || undefined
+      };
+    },
+
+    async delete(key) {
+      await cloudinary.uploader.destroy(publicId(key), { ...config, ...assetOptions, invalidate: true });
+    },
+
+    async list(keyPrefix) {
+      const keys = [];
+      let nextCursor;
+      do {
+        const page = await cloudinary.api.resources({
+          ...config,
+          ...assetOptions,
+          prefix: publicId(`${keyPrefix}/`),
+          max_results: 500,
+          next_cursor: nextCursor
+        });
+        page.resources.forEach(resource => keys.push(resource.public_id.slice(folder.length + 1)));
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+      return keys;
+    }
+  };
+};
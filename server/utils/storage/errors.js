@@ -0,0 +1,6 @@
+// Error for keys that are missing from a storage backend
+exports.notFound = () => {
+  const error = new Error('File not found');
+  error.status = 404;
+  return error;
+};
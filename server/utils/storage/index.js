@@ -0,0 +1,40 @@
+const createLocalStorage = require('./localStorage');
+const createCloudinaryStorage = require('./cloudinaryStorage');
+const createS3Storage = require('./s3Storage');
+
+// Every backend stores files under keys like 'journals/media-123.jpg' and implements:
+//   put(key, buffer, contentType)  store a file
+//   get(key, { range })            { stream, contentType, contentLength, contentRange }
+//   delete(key)                    remove a file; missing files are not an error
+//   list(prefix)                   keys of all files under a folder
+// Media URLs only contain the key, so files can move between backends without changing them.
+const DRIVERS = {
+  local: createLocalStorage,
+  cloudinary: createCloudinaryStorage,
+  s3: createS3Storage
+};
+
+// Keys are a folder and a generated file name
+const KEY_PATTERN = /^(journals|profiles|notebooks)\/[\w.-]+$/;
+
+exports.createStorage = (driver) => {
+  const create = DRIVERS[driver];
+  if (!create) {
+    throw new Error(`Unknown storage driver "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return create();
+};
+
+let storage;
+
+// The backend chosen with STORAGE_DRIVER (local by default)
+exports.getStorage = () => {
+  if (!storage) {
+    storage = exports.createStorage(process.env.STORAGE_DRIVER || 'local');
+  }
+  return storage;
+};
+
+exports.isValidKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key);
+
+exports.DRIVERS = Object.keys(DRIVERS);
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const parseRange = require('range-parser');
+const mime = require('mime-types');
+const { notFound } = require('./errors');
+
+// Files on the server's own disk, under server/uploads unless UPLOAD_DIR is set
+module.exports = ({ directory = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads') } = {}) => {
+  const root = path.resolve(directory);
+
+  // Absolute path of a key, refusing keys that would point outside the uploads folder
+  const resolveKey = (key) => {
+    const absolutePath = path.resolve(root, key);
+    if (!absolutePath.startsWith(root + path.sep)) {
+      throw notFound();
+    }
+    return absolutePath;
+  };
+
+  const listFiles = async (directoryPath) => {
+    const entries = await fs.promises.readdir(directoryPath, { withFileTypes: true }).catch(() => []);
+    const nested = await Promise.all(entries.map(entry => {
+      const entryPath = path.join(directoryPath, entry.name);
+      return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    }));
+    return nested.flat();
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const absolutePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+      await fs.promises.writeFile(absolutePath, buffer);
+    },
+
+    async get(key, { range } = {}) {
+      const absolutePath = resolveKey(key);
+      const stats = await fs.promises.stat(absolutePath).catch(() => null);
+      if (!stats || !stats.isFile()) {
+        throw notFound();
+      }
+
+      const file = {
+        contentType: mime.lookup(key) || 'application/octet-stream',
+        contentLength: stats.size
+      };
+
+      const ranges = range ? parseRange(stats.size, range, { combine: true }) : null;
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        const { start, end } = ranges[0];
+        return {
+          ...file,
+          contentLength: end - start + 1,
+          contentRange: `bytes ${start}-${end}/${stats.size}`,
+          stream: fs.createReadStream(absolutePath, { start, end })
+        };
+      }
+
+      return { ...file, stream: fs.createReadStream(absolutePath) };
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(resolveKey(key)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    async list(prefix) {
+      const files = await listFiles(resolveKey(prefix));
+      return files.map(file => path.relative(root, file).split(path.sep).join('/'));
+    }
+  };
+};
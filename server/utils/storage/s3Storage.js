@@ -0,0 +1,90 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { notFound } = require('./errors');
+
+// Any S3-compatible object store: AWS S3, or e.g. a local MinIO with S3_ENDPOINT and
+// S3_FORCE_PATH_STYLE=true. Objects stay private; they are only read through the media route.
+module.exports = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  prefix = process.env.S3_PREFIX || ''
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async get(key, { range } = {}) {
+      try {
+        const object = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Range: range
+        }));
+        return {
+          stream: object.Body,
+          contentType: object.ContentType,
+          contentLength: object.ContentLength,
+          contentRange: object.ContentRange
+        };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) {
+          throw notFound();
+        }
+        // Unsatisfiable ranges are answered with the whole object
+        if (range && err.$metadata?.httpStatusCode === 416) {
+          return this.get(key);
+        }
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    async list(keyPrefix) {
+      const keys = [];
+      let continuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: objectKey(`${keyPrefix}/`),
+          ContinuationToken: continuationToken
+        }));
+        (page.Contents || []).forEach(object => keys.push(object.Key.slice(prefix.length)));
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return keys;
+    }
+  };
+};
@@ -0,0 +1,43 @@
+// Tags are stored normalized so "Work", "work " and "#work" are the same tag:
+// lower case, without a leading "#", with runs of whitespace collapsed to one space.
+const MAX_TAG_LENGTH = 50;
+
+const normalizeTag = (tag) => {
+  if (tag === undefined || tag === null) return '';
+  return String(tag)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '')
+    .toLowerCase();
+};
+
+// Normalize a list of tags, dropping empty ones and duplicates while keeping their order
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return tags;
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
+
+// Tags submitted as a comma separated string (the editor's form field) or an array
+const parseTags = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return normalizeTags(Array.isArray(value) ? value : String(value).split(','));
+};
+
+// Schema options for a list of tags, normalizing them whenever they are set
+const tagListField = (options = {}) => ({
+  type: [String],
+  set: normalizeTags,
+  validate: {
+    validator: (tags) => tags.every(tag => tag.length <= MAX_TAG_LENGTH),
+    message: `Tags cannot exceed ${MAX_TAG_LENGTH} characters`
+  },
+  ...options
+});
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  parseTags,
+  tagListField
+};
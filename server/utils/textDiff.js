@@ -0,0 +1,140 @@
+// Word-level diff based on Myers' O(ND) algorithm.
+// Text is split into words and the whitespace between them so that joining the
+// parts of a diff reproduces both inputs exactly.
+
+// Give up on a fine-grained diff beyond this many edits and report a full replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+const tokenize = (text) => (text || '').match(/\s+|[^\s]+/g) || [];
+
+// Append a part, merging it with the previous one when they have the same type
+const pushPart = (parts, type, value) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+};
+
+// Compute the shortest edit script between two token arrays.
+// Returns a list of [type, token] pairs in order, or null if it is too long.
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  let v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset, d);
+      }
+    }
+  }
+
+  return null;
+};
+
+// Walk the recorded V arrays backwards to recover the edit script
+const backtrack = (trace, a, b, offset, finalD) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = finalD; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[x - 1]]);
+      x--;
+      y--;
+    }
+    if (x === prevX) {
+      ops.push(['insert', b[y - 1]]);
+      y--;
+    } else {
+      ops.push(['delete', a[x - 1]]);
+      x--;
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push(['equal', a[x - 1]]);
+    x--;
+    y--;
+  }
+
+  return ops.reverse();
+};
+
+// Diff two texts word by word.
+// Returns [{ type: 'equal' | 'insert' | 'delete', value }]
+exports.diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const parts = [];
+
+  // Trim the common prefix and suffix so only the changed middle is diffed
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  if (start > 0) {
+    pushPart(parts, 'equal', a.slice(0, start).join(''));
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const ops = myers(middleA, middleB);
+
+  if (ops) {
+    ops.forEach(([type, token]) => pushPart(parts, type, token));
+  } else {
+    if (middleA.length) pushPart(parts, 'delete', middleA.join(''));
+    if (middleB.length) pushPart(parts, 'insert', middleB.join(''));
+  }
+
+  if (endA < a.length) {
+    pushPart(parts, 'equal', a.slice(endA).join(''));
+  }
+
+  return parts;
+};
+
+// Count the words added and removed in a diff
+exports.summarizeDiff = (parts) => {
+  const countWords = (value) => (value.match(/[^\s]+/g) || []).length;
+  return parts.reduce((summary, part) => {
+    if (part.type === 'insert') summary.wordsAdded += countWords(part.value);
+    if (part.type === 'delete') summary.wordsRemoved += countWords(part.value);
+    return summary;
+  }, { wordsAdded: 0, wordsRemoved: 0 });
+};
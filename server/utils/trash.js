@@ -0,0 +1,90 @@
+const Journal = require('../models/Journal');
+const JournalRevision = require('../models/JournalRevision');
+const JournalDraft = require('../models/JournalDraft');
+const ShareLink = require('../models/ShareLink');
+const PromptHistory = require('../models/PromptHistory');
+const TodoList = require('../models/TodoList');
+const BucketList = require('../models/BucketList');
+const { deleteMediaFiles } = require('../middlewares/upload');
+const { unlinkJournals } = require('./wikiLinks');
+
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Number of days items stay in the trash before they are purged. 0 purges them on the
+// next run; unset, invalid or negative values keep the 30 day default.
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+// Date after which an item deleted at `deletedAt` will be purged
+exports.getPurgeDate = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+// Permanently delete trashed journals matching the filter, with their uploaded media, drafts, history and share links.
+// Wiki links pointing at them become unresolved.
+const purgeJournals = async (filter) => {
+  const journals = await Journal.find({ ...filter, deletedAt: filter.deletedAt || { $ne: null } })
+    .select('media');
+  const ids = journals.map(journal => journal._id);
+  const drafts = await JournalDraft.find({ journal: { $in: ids } }).select('media');
+
+  journals.forEach(journal => deleteMediaFiles(journal.media));
+  drafts.forEach(draft => deleteMediaFiles(draft.media));
+
+  await JournalDraft.deleteMany({ journal: { $in: ids } });
+  await JournalRevision.deleteMany({ journal: { $in: ids } });
+  await ShareLink.deleteMany({ journal: { $in: ids } });
+  await PromptHistory.updateMany({ journal: { $in: ids } }, { journal: null });
+  await unlinkJournals(ids);
+  const result = await Journal.deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+};
+
+// Permanently delete trashed todos and bucket list items matching the filter
+const purgeSimple = async (Model, filter) => {
+  const result = await Model.deleteMany({ ...filter, deletedAt: filter.deletedAt || { $ne: null } });
+  return result.deletedCount;
+};
+
+// Permanently delete trashed items of every type matching the filters
+exports.purgeTrash = async ({ journalFilter, todoFilter, bucketListFilter }) => {
+  const [journals, todos, bucketList] = await Promise.all([
+    journalFilter ? purgeJournals(journalFilter) : 0,
+    todoFilter ? purgeSimple(TodoList, todoFilter) : 0,
+    bucketListFilter ? purgeSimple(BucketList, bucketListFilter) : 0
+  ]);
+  return { journals, todos, bucketList };
+};
+
+// Purge everything that has been in the trash longer than the retention window
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const purged = await exports.purgeTrash({
+    journalFilter: expired,
+    todoFilter: expired,
+    bucketListFilter: expired
+  });
+
+  const total = purged.journals + purged.todos + purged.bucketList;
+  if (total > 0) {
+    console.log(`🗑️  Purged ${total} expired trash item(s)`, purged);
+  }
+  return purged;
+};
+
+// Run the purge now and then periodically
+exports.startTrashPurgeSchedule = () => {
+  const run = () => purgeExpiredTrash().catch(err => {
+    console.error('Trash purge error:', err);
+  });
+
+  run();
+  setInterval(run, PURGE_INTERVAL).unref();
+};
+
+exports.getRetentionDays = getRetentionDays;
+exports.purgeExpiredTrash = purgeExpiredTrash;
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Weather read from a local JSON file, for tests and development without network access.
+// The file lists weather for specific days (`days`, keyed by YYYY-MM-DD in UTC) and
+// `samples` used in turn for every other day, so the same day always gets the same weather.
+module.exports = ({
+  fixturePath = process.env.WEATHER_FIXTURE_PATH || path.join(__dirname, 'fixtures', 'weather.json')
+} = {}) => {
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const days = fixture.days || {};
+  const samples = fixture.samples || [];
+
+  return {
+    name: 'fixture',
+
+    async getWeather({ date }) {
+      const day = date.toISOString().split('T')[0];
+      if (days[day]) return days[day];
+      if (samples.length === 0) return null;
+
+      const dayNumber = Math.floor(date.getTime() / (24 * 60 * 60 * 1000));
+      return samples[((dayNumber % samples.length) + samples.length) % samples.length];
+    }
+  };
+};
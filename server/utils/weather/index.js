@@ -0,0 +1,65 @@
+const createOpenMeteoProvider = require('./openMeteoProvider');
+const createFixtureProvider = require('./fixtureProvider');
+
+// Every provider implements:
+//   getWeather({ latitude, longitude, date })  { temperature, condition, humidity } or null
+// Temperatures are in °C, humidity in percent and conditions one of WEATHER_CONDITIONS.
+const PROVIDERS = {
+  'open-meteo': createOpenMeteoProvider,
+  fixture: createFixtureProvider
+};
+
+const WEATHER_CONDITIONS = [
+  'clear',
+  'partly-cloudy',
+  'cloudy',
+  'fog',
+  'drizzle',
+  'rain',
+  'snow',
+  'thunderstorm'
+];
+
+exports.createWeatherProvider = (provider) => {
+  const create = PROVIDERS[provider];
+  if (!create) {
+    throw new Error(`Unknown weather provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return create();
+};
+
+let weatherProvider;
+
+// The provider chosen with WEATHER_PROVIDER, or null when weather capture is off (the default)
+exports.getWeatherProvider = () => {
+  if (weatherProvider === undefined) {
+    weatherProvider = process.env.WEATHER_PROVIDER
+      ? exports.createWeatherProvider(process.env.WEATHER_PROVIDER)
+      : null;
+  }
+  return weatherProvider;
+};
+
+// Record the weather at the entry's location and date on the journal document.
+// Weather is a nice-to-have, so a failing provider never stops an entry being saved.
+exports.captureWeather = async (journal) => {
+  const provider = exports.getWeatherProvider();
+  const coordinates = journal.location && journal.location.coordinates;
+  if (!provider || !coordinates) return;
+
+  try {
+    const weather = await provider.getWeather({
+      latitude: coordinates[1],
+      longitude: coordinates[0],
+      date: journal.entryDate || new Date()
+    });
+    if (weather) {
+      journal.weather = weather;
+    }
+  } catch (err) {
+    console.error('Weather capture failed:', err.message);
+  }
+};
+
+exports.PROVIDERS = Object.keys(PROVIDERS);
+exports.WEATHER_CONDITIONS = WEATHER_CONDITIONS;
@@ -0,0 +1,61 @@
+// Open-Meteo (https://open-meteo.com), which needs no API key for non-commercial use.
+// Recent days come from the forecast API and older ones from the historical archive;
+// both URLs can point at a self-hosted instance, and WEATHER_API_KEY is sent when set.
+const REQUEST_TIMEOUT = 4000; // 4 seconds
+
+// The forecast API keeps about three months of past weather
+const FORECAST_PAST_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+// WMO weather interpretation codes, grouped into the conditions we store
+const toCondition = (code) => {
+  if (code === 0) return 'clear';
+  if (code <= 2) return 'partly-cloudy';
+  if (code === 3) return 'cloudy';
+  if (code === 45 || code === 48) return 'fog';
+  if (code >= 51 && code <= 57) return 'drizzle';
+  if ((code >= 61 && code <= 67) || (code >= 80 && code <= 82)) return 'rain';
+  if ((code >= 71 && code <= 77) || code === 85 || code === 86) return 'snow';
+  if (code >= 95) return 'thunderstorm';
+  return undefined;
+};
+
+module.exports = ({
+  forecastUrl = process.env.WEATHER_URL || 'https://api.open-meteo.com/v1/forecast',
+  archiveUrl = process.env.WEATHER_ARCHIVE_URL || 'https://archive-api.open-meteo.com/v1/archive',
+  apiKey = process.env.WEATHER_API_KEY
+} = {}) => ({
+  name: 'open-meteo',
+
+  async getWeather({ latitude, longitude, date }) {
+    const day = date.toISOString().split('T')[0];
+    const isRecent = Date.now() - date.getTime() < FORECAST_PAST_DAYS * DAY;
+    const url = new URL(isRecent ? forecastUrl : archiveUrl);
+    Object.entries({
+      latitude,
+      longitude,
+      hourly: 'temperature_2m,relative_humidity_2m,weather_code',
+      start_date: day,
+      end_date: day,
+      timezone: 'UTC',
+      ...(apiKey ? { apikey: apiKey } : {})
+    }).forEach(([name, value]) => url.searchParams.set(name, value));
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`Weather request failed with status ${response.status}`);
+    }
+    const { hourly } = await response.json();
+    if (!hourly || !Array.isArray(hourly.time)) return null;
+
+    // Readings are hourly, so use the one for the hour the entry was written
+    const index = hourly.time.indexOf(`${day}T${String(date.getUTCHours()).padStart(2, '0')}:00`);
+    if (index === -1 || hourly.temperature_2m[index] === null) return null;
+
+    return {
+      temperature: hourly.temperature_2m[index],
+      condition: toCondition(hourly.weather_code[index]),
+      humidity: hourly.relative_humidity_2m[index]
+    };
+  }
+});
@@ -0,0 +1,141 @@
+const Journal = require('../models/Journal');
+const { protectedNotebookIds } = require('./notebooks');
+const {
+  extractWikiLinks,
+  normalizeLinkTarget,
+  replaceWikiLinks,
+  replaceWikiLinkAnchors
+} = require('./markdown');
+
+// Shown instead of links to protected entries, whose link text may name them
+const PROTECTED_LINK_TEXT = 'Protected entry';
+
+// Most distinct entries a single entry can link to; further links stay unresolved
+const MAX_LINKS = 100;
+
+// Journals are sometimes passed with their user populated
+const ownerOf = (journal) => journal.user._id || journal.user;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches a title equal to a normalized link target, ignoring case and spacing
+const titlePattern = (text) => new RegExp(`^\\s*${text.split(' ').map(escapeRegExp).join('\\s+')}\\s*$`, 'i');
+
+// The most recent other entry of the user whose title matches a link target.
+// Titles of protected entries are encrypted, so only readable entries can match.
+const findTarget = async (journal, text) => {
+  const target = await Journal.findOne({
+    user: ownerOf(journal),
+    _id: { $ne: journal._id },
+    isEncrypted: false,
+    title: titlePattern(text)
+  })
+    .sort({ entryDate: -1 })
+    .select('_id');
+  return target ? target._id : null;
+};
+
+// Point the journal's [[wiki links]] at the entries they name, in the order utils/markdown
+// numbers them. A link keeps the entry it already points at, so renaming that entry does
+// not break it. Call with the plaintext content, before the entry is sealed.
+exports.resolveLinks = async (journal) => {
+  const targets = journal.content ? extractWikiLinks(journal.content).slice(0, MAX_LINKS) : [];
+  const previous = new Map(
+    (journal.links || [])
+      .filter(link => link.text && link.journal)
+      .map(link => [link.text, link.journal])
+  );
+
+  const links = [];
+  for (const text of targets) {
+    links.push({
+      text,
+      journal: previous.get(text) || await findTarget(journal, text)
+    });
+  }
+  journal.links = links;
+};
+
+// Point the user's unresolved links to `title` at the journal, once it is created or renamed.
+// `title` is the plaintext title, which protected entries no longer hold after sealing.
+exports.linkDanglingReferences = async (journal, title) => {
+  const text = title ? normalizeLinkTarget(title) : '';
+  if (!text) return;
+
+  await Journal.updateMany(
+    {
+      user: ownerOf(journal),
+      _id: { $ne: journal._id },
+      links: { $elemMatch: { text, journal: null } }
+    },
+    { $set: { 'links.$[link].journal': journal._id } },
+    {
+      arrayFilters: [{ 'link.text': text, 'link.journal': null }],
+      timestamps: false
+    }
+  ).setOptions({ withDeleted: true });
+};
+
+// Leave links to permanently deleted journals unresolved, so they can find a new entry
+exports.unlinkJournals = async (ids) => {
+  await Journal.updateMany(
+    { 'links.journal': { $in: ids } },
+    { $set: { 'links.$[link].journal': null } },
+    {
+      arrayFilters: [{ 'link.journal': { $in: ids } }],
+      timestamps: false
+    }
+  ).setOptions({ withDeleted: true });
+};
+
+// The entries behind a journal's links, indexed like its rendered wiki links:
+// { _id, title, isEncrypted } for each target that can still be opened, otherwise null.
+// Titles of protected targets are left out, and targets in `hiddenNotebooks` count as gone.
+exports.getLinkedEntries = async (journal, hiddenNotebooks = []) => {
+  const ids = (journal.links || []).map(link => link.journal).filter(Boolean);
+  if (ids.length === 0) {
+    return (journal.links || []).map(() => null);
+  }
+
+  const targets = await Journal.find({ _id: { $in: ids }, user: ownerOf(journal), notebook: { $nin: hiddenNotebooks } })
+    .select('title isEncrypted');
+  const byId = new Map(targets.map(target => [target._id.toString(), target]));
+
+  return journal.links.map(link => {
+    const target = link.journal && byId.get(link.journal.toString());
+    if (!target) return null;
+    return {
+      _id: target._id,
+      title: target.isEncrypted ? null : target.title,
+      isEncrypted: target.isEncrypted
+    };
+  });
+};
+
+// Content of a journal for readers outside the app, such as share link visitors. Wiki links
+// become plain text, and links to protected entries or entries in protected notebooks
+// show only a placeholder.
+exports.toPublicContent = async (journal) => {
+  const [linkedEntries, publicEntries] = await Promise.all([
+    exports.getLinkedEntries(journal),
+    exports.getLinkedEntries(journal, await protectedNotebookIds(ownerOf(journal)))
+  ]);
+  const isProtected = (index) => !!(linkedEntries[index] &&
+    (linkedEntries[index].isEncrypted || !publicEntries[index]));
+  const protectedTargets = new Set(
+    (journal.links || []).filter((link, index) => isProtected(index)).map(link => link.text)
+  );
+
+  return {
+    content: journal.content && replaceWikiLinks(journal.content, (target, text) => (
+      protectedTargets.has(target) ? PROTECTED_LINK_TEXT : text
+    )),
+    contentHtml: journal.contentHtml && replaceWikiLinkAnchors(journal.contentHtml, (index, text) => (
+      isProtected(index)
+        ? `<span class="wiki-link wiki-link-locked">${PROTECTED_LINK_TEXT}</span>`
+        : `<span class="wiki-link">${text}</span>`
+    ))
+  };
+};
+
+exports.MAX_LINKS = MAX_LINKS;